@@ -29,11 +29,13 @@ import automationWebhookRoutes from './routes/automation-webhooks.js';
 import reportsRoutes from './routes/reports.js';
 import discountsRoutes from './routes/discounts.js';
 import billingRoutes from './routes/billing.js';
-import mittoRoutes from './routes/mitto.js';
+import smsWebhookRoutes from './routes/sms-webhooks.js';
 import trackingRoutes from './routes/tracking.js';
+import linkRoutes from './routes/links.js';
 import settingsRoutes from './routes/settings.js';
 import stripeWebhookRoutes from './routes/stripe-webhooks.js';
 import audiencesRoutes from './routes/audiences.js';
+import segmentsRoutes from './routes/segments.js';
 import shopifyRoutes from './routes/shopify.js';
 import docsRoutes from './routes/docs.js';
 // import { setDevShop } from './middlewares/dev-shop.js'; // Not used in current implementation
@@ -126,7 +128,7 @@ app.use(
 );
 
 // mount
-app.use('/', mittoRoutes); // Mitto webhooks (no auth)
+app.use('/', smsWebhookRoutes); // SMS provider webhooks (no auth)
 app.use('/', coreRoutes); // health, webhooks, auth helpers
 if (process.env.NODE_ENV !== 'production') app.use('/', docsRoutes); // Swagger UI (dev only)
 // Store-scoped routes (require store context)
@@ -139,11 +141,13 @@ app.use('/discounts', resolveStore, requireStore, discountsRoutes);
 app.use('/billing', resolveStore, requireStore, billingRoutes);
 app.use('/settings', resolveStore, requireStore, settingsRoutes);
 app.use('/audiences', resolveStore, requireStore, audiencesRoutes);
+app.use('/segments', resolveStore, requireStore, segmentsRoutes);
 app.use('/shopify', resolveStore, requireStore, shopifyRoutes);
 
 // Public routes (no store context required)
 app.use('/templates', templatesRoutes); // Public templates
 app.use('/tracking', trackingRoutes); // Tracking endpoints
+app.use('/l', linkRoutes); // Short link redirects
 app.use('/automation-webhooks', automationWebhookRoutes); // Automation webhooks
 app.use('/webhooks/stripe', stripeWebhookRoutes); // Stripe webhooks
 
@@ -1,5 +1,6 @@
 import prisma from '../services/prisma.js';
 import { logger } from '../utils/logger.js';
+import { getSegmentAudienceWhere } from '../services/segments.js';
 
 /**
  * Get predefined audiences for campaign targeting
@@ -47,24 +48,17 @@ export async function getAudiences(req, res, next) {
       }),
     ]);
 
-    // Get custom segments
+    // Get custom segments with their current opted-in counts
     const segments = await prisma.segment.findMany({
       where: { shopId: shop.id },
-      include: {
-        _count: {
-          select: {
-            memberships: {
-              where: {
-                contact: {
-                  smsConsent: 'opted_in',
-                },
-              },
-            },
-          },
-        },
-      },
     });
 
+    const segmentCounts = await Promise.all(segments.map(async segment => (
+      prisma.contact.count({
+        where: await getSegmentAudienceWhere(shop.id, segment.id),
+      })
+    )));
+
     // Build predefined audiences
     const audiences = [
       {
@@ -94,13 +88,13 @@ export async function getAudiences(req, res, next) {
     ];
 
     // Add custom segments
-    const customAudiences = segments.map(segment => ({
+    const customAudiences = segments.map((segment, index) => ({
       id: `segment:${segment.id}`,
       name: segment.name,
       description: `Custom segment: ${segment.name}`,
       type: 'segment',
-      contactCount: segment._count.memberships,
-      isAvailable: segment._count.memberships > 0,
+      contactCount: segmentCounts[index],
+      isAvailable: segmentCounts[index] > 0,
       segmentId: segment.id,
     }));
 
@@ -170,30 +164,18 @@ export async function getAudienceDetails(req, res, next) {
     } else if (audienceId.startsWith('segment:')) {
       const segmentId = audienceId.split(':')[1];
 
-      // Get segment members
-      const memberships = await prisma.segmentMembership.findMany({
-        where: {
-          segmentId,
-          contact: {
-            smsConsent: 'opted_in',
-          },
-        },
-        include: {
-          contact: true,
-        },
-        skip: (page - 1) * limit,
-        take: parseInt(limit),
-      });
+      // Get segment members (static memberships or evaluated rules)
+      const segmentWhere = await getSegmentAudienceWhere(shop.id, segmentId);
 
-      const contacts = memberships.map(m => m.contact);
-      const totalCount = await prisma.segmentMembership.count({
-        where: {
-          segmentId,
-          contact: {
-            smsConsent: 'opted_in',
-          },
-        },
-      });
+      const [contacts, totalCount] = await Promise.all([
+        prisma.contact.findMany({
+          where: segmentWhere,
+          skip: (page - 1) * limit,
+          take: parseInt(limit),
+          orderBy: { createdAt: 'desc' },
+        }),
+        prisma.contact.count({ where: segmentWhere }),
+      ]);
 
       return res.json({
         success: true,
@@ -323,13 +305,8 @@ export async function validateAudience(req, res, next) {
         if (!segment) {
           error = 'Segment not found';
         } else {
-          contactCount = await prisma.segmentMembership.count({
-            where: {
-              segmentId,
-              contact: {
-                smsConsent: 'opted_in',
-              },
-            },
+          contactCount = await prisma.contact.count({
+            where: await getSegmentAudienceWhere(shop.id, segmentId),
           });
           isValid = contactCount > 0;
         }
@@ -0,0 +1,196 @@
+import { getStoreId } from '../middlewares/store-resolution.js';
+import { logger } from '../utils/logger.js';
+import flowsService from '../services/automation-flows.js';
+
+/**
+ * Automation Flows Controller
+ * Multi-step automations (drip sequences) and their per-contact runs
+ */
+
+/**
+ * List flows with run counts
+ * @route GET /automations/flows
+ */
+export async function list(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const flows = await flowsService.listFlows(storeId);
+
+    return res.json({
+      success: true,
+      data: flows,
+    });
+  } catch (error) {
+    logger.error('List flows error', {
+      error: error.message,
+      storeId: getStoreId(req),
+    });
+    next(error);
+  }
+}
+
+/**
+ * Get a single flow
+ * @route GET /automations/flows/:id
+ */
+export async function getOne(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { id } = req.params;
+
+    const flow = await flowsService.getFlowById(storeId, id);
+
+    return res.json({
+      success: true,
+      data: flow,
+    });
+  } catch (error) {
+    logger.error('Get flow error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      flowId: req.params.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Create a flow
+ * @route POST /automations/flows
+ */
+export async function create(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const flow = await flowsService.createFlow(storeId, req.body);
+
+    return res.status(201).json({
+      success: true,
+      data: flow,
+      message: 'Flow created successfully',
+    });
+  } catch (error) {
+    logger.error('Create flow error', {
+      error: error.message,
+      storeId: getStoreId(req),
+    });
+    next(error);
+  }
+}
+
+/**
+ * Update a flow
+ * @route PUT /automations/flows/:id
+ */
+export async function update(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { id } = req.params;
+
+    const flow = await flowsService.updateFlow(storeId, id, req.body);
+
+    return res.json({
+      success: true,
+      data: flow,
+      message: 'Flow updated successfully',
+    });
+  } catch (error) {
+    logger.error('Update flow error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      flowId: req.params.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Delete a flow and its runs
+ * @route DELETE /automations/flows/:id
+ */
+export async function remove(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { id } = req.params;
+
+    await flowsService.deleteFlow(storeId, id);
+
+    return res.json({
+      success: true,
+      message: 'Flow deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Delete flow error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      flowId: req.params.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Enter contacts into a flow by hand
+ * @route POST /automations/flows/:id/enroll
+ */
+export async function enroll(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { id } = req.params;
+
+    const result = await flowsService.enrollContacts(storeId, id, req.body.contactIds);
+
+    return res.json({
+      success: true,
+      data: result,
+      message: `${result.enrolled} contacts entered the flow`,
+    });
+  } catch (error) {
+    logger.error('Enroll flow contacts error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      flowId: req.params.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * List the runs of a flow
+ * @route GET /automations/flows/:id/runs
+ */
+export async function runs(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { id } = req.params;
+
+    const result = await flowsService.listFlowRuns(storeId, id, {
+      status: req.query.status,
+      page: req.query.page,
+      pageSize: req.query.pageSize,
+    });
+
+    return res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('List flow runs error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      flowId: req.params.id,
+    });
+    next(error);
+  }
+}
+
+export default {
+  list,
+  getOne,
+  create,
+  update,
+  remove,
+  enroll,
+  runs,
+};
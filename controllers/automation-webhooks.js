@@ -1,22 +1,43 @@
 import { logger } from '../utils/logger.js';
-import {
-  triggerAbandonedCart,
-  triggerOrderConfirmation,
-} from '../services/automations.js';
+import { queueAutomationJob, AUTOMATION_JOBS } from '../services/automations.js';
 import prisma from '../services/prisma.js';
+import { ValidationError } from '../utils/errors.js';
+import { recordContactOrder } from '../services/contacts.js';
+import { recordDiscountRedemptions } from '../services/discount-codes.js';
+import { attributeOrder } from '../services/attribution.js';
+import { enrollContact, exitFlowsOnGoal, FLOW_TRIGGERS } from '../services/automation-flows.js';
+import { recordCheckout, recoverCheckout } from '../services/abandoned-checkouts.js';
+import { recordFulfillment, recordFulfillmentEvent } from '../services/fulfillments.js';
+import { scheduleReviewRequest, REVIEW_AFTER } from '../services/review-requests.js';
+import { recordOrderPurchases } from '../services/reorder-reminders.js';
+import { applyShopifyConsent, CONSENT_SOURCES } from '../services/consent.js';
+
+// Shopify customer sms_marketing_consent states that settle consent
+const SHOPIFY_SMS_CONSENT = {
+  subscribed: 'opted_in',
+  unsubscribed: 'opted_out',
+};
+
+/**
+ * Shop domain of a Shopify webhook; older integrations send it in the body
+ */
+function getWebhookShopDomain(req) {
+  return req.get('X-Shopify-Shop-Domain') || req.body.shop_domain;
+}
 
 /**
  * Handle Shopify order creation webhook
  */
 export async function handleOrderCreated(req, res) {
   try {
-    const { shop_domain, id, customer, line_items } = req.body;
+    const { id, customer, line_items } = req.body;
+    const shop_domain = getWebhookShopDomain(req);
 
     if (!shop_domain || !id || !customer) {
       return res.status(400).json({
         success: false,
         error: 'Missing required fields',
-        message: 'shop_domain, id, and customer are required',
+        message: 'shop domain, id, and customer are required',
       });
     }
 
@@ -34,6 +55,33 @@ export async function handleOrderCreated(req, res) {
       });
     }
 
+    // The order completes its checkout: cancel the pending abandoned checkout reminders
+    if (req.body.checkout_token) {
+      await recoverCheckout(shop.id, req.body.checkout_token, id);
+    }
+
+    // Unique campaign codes used on the order; never blocks the confirmation SMS
+    try {
+      await recordDiscountRedemptions(shop.id, req.body);
+    } catch (error) {
+      logger.error('Discount redemption recording failed', {
+        shopId: shop.id,
+        orderId: id,
+        error: error.message,
+      });
+    }
+
+    // Credit the order to the SMS that led to it; never blocks the confirmation SMS
+    try {
+      await attributeOrder(shop.id, req.body);
+    } catch (error) {
+      logger.error('Order attribution failed', {
+        shopId: shop.id,
+        orderId: id,
+        error: error.message,
+      });
+    }
+
     // Find the customer contact
     const contact = await prisma.contact.findFirst({
       where: {
@@ -54,40 +102,83 @@ export async function handleOrderCreated(req, res) {
       });
     }
 
-    // Trigger order confirmation automation
-    const result = await triggerOrderConfirmation({
-      shopId: shop.id,
-      contactId: contact.id,
-      orderData: {
-        orderNumber: id.toString(),
-        customerEmail: customer.email,
-        customerName: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
-        lineItems: line_items,
-        totalPrice: req.body.total_price,
-        currency: req.body.currency,
-      },
-    });
+    // SMS marketing consent from the Shopify customer record
+    const smsMarketingConsent = customer.sms_marketing_consent;
+    if (SHOPIFY_SMS_CONSENT[smsMarketingConsent?.state]) {
+      try {
+        await applyShopifyConsent(contact, SHOPIFY_SMS_CONSENT[smsMarketingConsent.state], {
+          source: CONSENT_SOURCES.SHOPIFY,
+          evidence: { orderId: String(id), ...smsMarketingConsent },
+        });
+      } catch (error) {
+        logger.error('Shopify consent update failed', {
+          shopId: shop.id,
+          contactId: contact.id,
+          error: error.message,
+        });
+      }
+    }
 
-    if (result.success) {
-      logger.info('Order confirmation automation triggered', {
-        shopId: shop.id,
-        contactId: contact.id,
+    // Keep order activity current for segment rules; false for a Shopify retry of a known order
+    const isNewOrder = await recordContactOrder(shop.id, contact.id, id, req.body.created_at || new Date());
+
+    const orderData = {
+      orderNumber: id.toString(),
+      customerEmail: customer.email,
+      customerName: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
+      lineItems: line_items,
+      totalPrice: req.body.total_price,
+      currency: req.body.currency,
+    };
+
+    // End flows whose goal is an order, then start post-purchase flows, once per order
+    if (isNewOrder) {
+      try {
+        await exitFlowsOnGoal(shop.id, contact.id, 'ordered');
+        await enrollContact(shop.id, contact.id, FLOW_TRIGGERS.ORDER_PLACED, {
+          orderNumber: orderData.orderNumber,
+          customerName: orderData.customerName,
+          totalPrice: orderData.totalPrice,
+          currency: orderData.currency,
+        });
+      } catch (error) {
+        logger.error('Order flow processing failed', {
+          shopId: shop.id,
+          contactId: contact.id,
+          orderId: id,
+          error: error.message,
+        });
+      }
+    }
+
+    // Purchases drive reorder reminders; review requests may wait for the order instead of delivery
+    try {
+      await recordOrderPurchases(shop.id, contact.id, req.body);
+      await scheduleReviewRequest(shop.id, {
         orderId: id,
-        messageId: result.messageId,
-      });
-    } else {
-      logger.warn('Order confirmation automation failed', {
+        orderName: req.body.name || null,
+        contactId: contact.id,
+      }, REVIEW_AFTER.ORDER);
+    } catch (error) {
+      logger.error('Order purchase processing failed', {
         shopId: shop.id,
         contactId: contact.id,
         orderId: id,
-        reason: result.reason,
+        error: error.message,
       });
     }
 
+    // Sent by the automation worker; Shopify retries of the same order are queued once
+    await queueAutomationJob(AUTOMATION_JOBS.ORDER_CONFIRMATION, {
+      shopId: shop.id,
+      contactId: contact.id,
+      orderData,
+    }, `order-confirmation-${shop.id}-${id}`);
+
     res.json({
       success: true,
       message: 'Order webhook processed',
-      automationTriggered: result.success,
+      automationQueued: true,
     });
   } catch (error) {
     logger.error('Order webhook processing failed', {
@@ -104,17 +195,19 @@ export async function handleOrderCreated(req, res) {
 }
 
 /**
- * Handle abandoned cart webhook (if available from Shopify)
+ * Handle Shopify checkouts/create and checkouts/update webhooks:
+ * record the checkout and schedule its abandoned checkout reminders
  */
-export async function handleCartAbandoned(req, res) {
+export async function handleCheckout(req, res) {
   try {
-    const { shop_domain, customer, cart_token, line_items } = req.body;
+    const shop_domain = getWebhookShopDomain(req);
+    const { token } = req.body;
 
-    if (!shop_domain || !customer) {
+    if (!shop_domain || !token) {
       return res.status(400).json({
         success: false,
         error: 'Missing required fields',
-        message: 'shop_domain and customer are required',
+        message: 'shop domain and checkout token are required',
       });
     }
 
@@ -124,7 +217,7 @@ export async function handleCartAbandoned(req, res) {
     });
 
     if (!shop) {
-      logger.warn('Shop not found for cart webhook', { shop_domain });
+      logger.warn('Shop not found for checkout webhook', { shop_domain });
       return res.status(404).json({
         success: false,
         error: 'Shop not found',
@@ -132,64 +225,137 @@ export async function handleCartAbandoned(req, res) {
       });
     }
 
-    // Find the customer contact
-    const contact = await prisma.contact.findFirst({
-      where: {
-        shopId: shop.id,
-        email: customer.email,
-      },
+    const { checkout, scheduled } = await recordCheckout(shop.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Checkout webhook processed',
+      status: checkout?.status || null,
+      remindersScheduled: scheduled,
+    });
+  } catch (error) {
+    logger.error('Checkout webhook processing failed', {
+      error: error.message,
+      checkoutToken: req.body?.token,
     });
 
-    if (!contact) {
-      logger.warn('Contact not found for cart webhook', {
-        shopId: shop.id,
-        customerEmail: customer.email,
+    res.status(500).json({
+      success: false,
+      error: 'Webhook processing failed',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Handle Shopify fulfillments/create and fulfillments/update webhooks:
+ * record tracking details and send the shipping or delivery SMS once per status
+ */
+export async function handleFulfillment(req, res) {
+  try {
+    const shop_domain = getWebhookShopDomain(req);
+
+    if (!shop_domain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'shop domain is required',
       });
+    }
+
+    // Find the shop
+    const shop = await prisma.shop.findUnique({
+      where: { shopDomain: shop_domain },
+    });
+
+    if (!shop) {
+      logger.warn('Shop not found for fulfillment webhook', { shop_domain });
       return res.status(404).json({
         success: false,
-        error: 'Contact not found',
-        message: 'Customer not found in our contact database',
+        error: 'Shop not found',
+        message: 'Shop domain not found in our system',
       });
     }
 
-    // Trigger abandoned cart automation
-    const result = await triggerAbandonedCart({
-      shopId: shop.id,
-      contactId: contact.id,
-      cartData: {
-        cartToken: cart_token,
-        customerEmail: customer.email,
-        customerName: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
-        lineItems: line_items,
-        abandonedAt: new Date().toISOString(),
-      },
+    const { fulfillment, notification } = await recordFulfillment(shop.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Fulfillment webhook processed',
+      matched: !!fulfillment,
+      notification,
     });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: error.message,
+      });
+    }
 
-    if (result.success) {
-      logger.info('Abandoned cart automation triggered', {
-        shopId: shop.id,
-        contactId: contact.id,
-        cartToken: cart_token,
-        messageId: result.messageId,
+    logger.error('Fulfillment webhook processing failed', {
+      error: error.message,
+      fulfillmentId: req.body?.id,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Webhook processing failed',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Handle Shopify fulfillment_events/create webhooks (carrier status updates)
+ */
+export async function handleFulfillmentEvent(req, res) {
+  try {
+    const shop_domain = getWebhookShopDomain(req);
+
+    if (!shop_domain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'shop domain is required',
       });
-    } else {
-      logger.warn('Abandoned cart automation failed', {
-        shopId: shop.id,
-        contactId: contact.id,
-        cartToken: cart_token,
-        reason: result.reason,
+    }
+
+    // Find the shop
+    const shop = await prisma.shop.findUnique({
+      where: { shopDomain: shop_domain },
+    });
+
+    if (!shop) {
+      logger.warn('Shop not found for fulfillment event webhook', { shop_domain });
+      return res.status(404).json({
+        success: false,
+        error: 'Shop not found',
+        message: 'Shop domain not found in our system',
       });
     }
 
+    const { fulfillment, notification } = await recordFulfillmentEvent(shop.id, req.body);
+
     res.json({
       success: true,
-      message: 'Cart webhook processed',
-      automationTriggered: result.success,
+      message: 'Fulfillment event webhook processed',
+      matched: !!fulfillment,
+      notification,
     });
   } catch (error) {
-    logger.error('Cart webhook processing failed', {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: error.message,
+      });
+    }
+
+    logger.error('Fulfillment event webhook processing failed', {
       error: error.message,
-      body: req.body,
+      fulfillmentId: req.body?.fulfillment_id,
     });
 
     res.status(500).json({
@@ -216,7 +382,7 @@ export async function triggerAutomationManually(req, res) {
     }
 
     // Import the automation service
-    const { triggerAutomation } = await import('../services/automations.js');
+    const { triggerAutomation, recordAutomationOutcome } = await import('../services/automations.js');
 
     const result = await triggerAutomation({
       shopId,
@@ -225,6 +391,8 @@ export async function triggerAutomationManually(req, res) {
       additionalData,
     });
 
+    await recordAutomationOutcome(shopId, result);
+
     if (result.success) {
       logger.info('Manual automation trigger successful', {
         shopId,
@@ -269,6 +437,8 @@ export async function triggerAutomationManually(req, res) {
 
 export default {
   handleOrderCreated,
-  handleCartAbandoned,
+  handleCheckout,
+  handleFulfillment,
+  handleFulfillmentEvent,
   triggerAutomationManually,
 };
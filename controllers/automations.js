@@ -1,5 +1,28 @@
 import prisma from '../services/prisma.js';
 import { logger } from '../utils/logger.js';
+import { validateTemplate, AUTOMATION_VARIABLES } from '../utils/template-engine.js';
+import { CHECKOUT_TRIGGER, DEFAULT_CHECKOUT_REMINDERS, validateCheckoutReminders } from '../services/abandoned-checkouts.js';
+import { REVIEW_TRIGGER, DEFAULT_REVIEW_CONFIG, validateReviewConfig } from '../services/review-requests.js';
+import { REORDER_TRIGGER, DEFAULT_REORDER_CONFIG, validateReorderConfig } from '../services/reorder-reminders.js';
+
+// Automations with settings: defaults shown until saved, and a validator returning what to store
+const AUTOMATION_SETTINGS = {
+  [CHECKOUT_TRIGGER]: {
+    defaults: { reminders: DEFAULT_CHECKOUT_REMINDERS },
+    validate: (config) => {
+      validateCheckoutReminders(config?.reminders);
+      return { reminders: config.reminders };
+    },
+  },
+  [REVIEW_TRIGGER]: {
+    defaults: DEFAULT_REVIEW_CONFIG,
+    validate: validateReviewConfig,
+  },
+  [REORDER_TRIGGER]: {
+    defaults: DEFAULT_REORDER_CONFIG,
+    validate: validateReorderConfig,
+  },
+};
 
 /**
  * Get all automations for the current user
@@ -42,6 +65,9 @@ export async function getUserAutomations(req, res) {
       triggerEvent: userAutomation.automation.triggerEvent,
       defaultMessage: userAutomation.automation.defaultMessage,
       userMessage: userAutomation.userMessage,
+      config: userAutomation.config
+        || AUTOMATION_SETTINGS[userAutomation.automation.triggerEvent]?.defaults
+        || null,
       isActive: userAutomation.isActive,
       isSystemDefault: userAutomation.automation.isSystemDefault,
       createdAt: userAutomation.createdAt,
@@ -67,12 +93,14 @@ export async function getUserAutomations(req, res) {
 }
 
 /**
- * Update user automation (message content or active status)
+ * Update user automation (message content, settings or active status).
+ * Settings exist for cart_abandoned ({ reminders }), review_request
+ * ({ after, delayDays, reviewUrl }) and reorder_reminder ({ leadDays, useOrderHistory, products })
  */
 export async function updateUserAutomation(req, res) {
   try {
     const { id } = req.params;
-    const { userMessage, isActive } = req.body;
+    const { userMessage, isActive, config } = req.body;
     const { shopId } = req.shop || {};
 
     if (!shopId) {
@@ -102,12 +130,52 @@ export async function updateUserAutomation(req, res) {
       });
     }
 
+    if (userMessage) {
+      const templateCheck = validateTemplate(userMessage, { variables: AUTOMATION_VARIABLES });
+      if (!templateCheck.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid message template',
+          message: templateCheck.unknownVariables.length > 0
+            ? `Unknown template variables: ${templateCheck.unknownVariables.map(name => `{{${name}}}`).join(', ')}`
+            : templateCheck.errors.join('; '),
+          unknownVariables: templateCheck.unknownVariables,
+          availableVariables: AUTOMATION_VARIABLES,
+        });
+      }
+    }
+
+    let settings;
+    if (config !== undefined) {
+      const settingsType = AUTOMATION_SETTINGS[existingUserAutomation.automation.triggerEvent];
+
+      if (!settingsType) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid automation settings',
+          message: 'This automation has no settings',
+        });
+      }
+
+      try {
+        settings = settingsType.validate(config);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid automation settings',
+          message: error.message,
+          details: error.details,
+        });
+      }
+    }
+
     // Update the user automation
     const updatedUserAutomation = await prisma.userAutomation.update({
       where: { id },
       data: {
         ...(userMessage !== undefined && { userMessage }),
         ...(isActive !== undefined && { isActive }),
+        ...(settings !== undefined && { config: settings }),
       },
       include: {
         automation: {
@@ -126,7 +194,7 @@ export async function updateUserAutomation(req, res) {
     logger.info('User automation updated', {
       userAutomationId: id,
       shopId,
-      changes: { userMessage, isActive },
+      changes: { userMessage, isActive, config },
     });
 
     res.json({
@@ -139,6 +207,7 @@ export async function updateUserAutomation(req, res) {
         triggerEvent: updatedUserAutomation.automation.triggerEvent,
         defaultMessage: updatedUserAutomation.automation.defaultMessage,
         userMessage: updatedUserAutomation.userMessage,
+        config: updatedUserAutomation.config,
         isActive: updatedUserAutomation.isActive,
         isSystemDefault: updatedUserAutomation.automation.isSystemDefault,
         createdAt: updatedUserAutomation.createdAt,
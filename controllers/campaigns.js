@@ -1,6 +1,7 @@
 import { getStoreId } from '../middlewares/store-resolution.js';
 import { logger } from '../utils/logger.js';
 import campaignsService from '../services/campaigns.js';
+import { getCampaignCalendar } from '../services/campaign-calendar.js';
 
 /**
  * Campaigns Controller
@@ -196,6 +197,32 @@ export async function sendNow(req, res, next) {
   }
 }
 
+/**
+ * Send the campaign message to seed numbers
+ * @route POST /campaigns/:id/test-send
+ */
+export async function testSend(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { id } = req.params;
+
+    const result = await campaignsService.testSendCampaign(storeId, id, req.body);
+
+    return res.json({
+      success: true,
+      data: result,
+      message: `Test message sent to ${result.sent} of ${result.results.length} numbers`,
+    });
+  } catch (error) {
+    logger.error('Test send campaign error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      campaignId: req.params.id,
+    });
+    next(error);
+  }
+}
+
 /**
  * Schedule campaign for later
  * @route PUT /campaigns/:id/schedule
@@ -226,6 +253,136 @@ export async function schedule(req, res, next) {
   }
 }
 
+/**
+ * Cancel a scheduled, sending or paused campaign
+ * @route POST /campaigns/:id/cancel
+ */
+export async function cancel(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { id } = req.params;
+
+    const result = await campaignsService.cancelCampaign(storeId, id);
+
+    return res.json({
+      success: true,
+      data: result,
+      message: 'Campaign cancelled',
+    });
+  } catch (error) {
+    logger.error('Cancel campaign error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      campaignId: req.params.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Pause a sending campaign
+ * @route POST /campaigns/:id/pause
+ */
+export async function pause(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { id } = req.params;
+
+    const result = await campaignsService.pauseCampaign(storeId, id);
+
+    return res.json({
+      success: true,
+      data: result,
+      message: 'Campaign paused',
+    });
+  } catch (error) {
+    logger.error('Pause campaign error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      campaignId: req.params.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Resume a paused campaign
+ * @route POST /campaigns/:id/resume
+ */
+export async function resume(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { id } = req.params;
+
+    const result = await campaignsService.resumeCampaign(storeId, id);
+
+    return res.json({
+      success: true,
+      data: result,
+      message: 'Campaign resumed',
+    });
+  } catch (error) {
+    logger.error('Resume campaign error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      campaignId: req.params.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Re-queue recipients that failed for a retryable reason
+ * @route POST /campaigns/:id/retry-failed
+ */
+export async function retryFailed(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { id } = req.params;
+
+    const result = await campaignsService.retryFailedRecipients(storeId, id);
+
+    return res.json({
+      success: true,
+      data: result,
+      message: `${result.retried} failed recipients queued for retry`,
+    });
+  } catch (error) {
+    logger.error('Retry failed recipients error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      campaignId: req.params.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Create a follow-up campaign for non-clickers or non-deliverers
+ * @route POST /campaigns/:id/resend
+ */
+export async function resend(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { id } = req.params;
+
+    const campaign = await campaignsService.resendCampaign(storeId, id, req.body);
+
+    return res.status(201).json({
+      success: true,
+      data: campaign,
+      message: 'Resend campaign created as a draft',
+    });
+  } catch (error) {
+    logger.error('Resend campaign error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      campaignId: req.params.id,
+    });
+    next(error);
+  }
+}
+
 /**
  * Get campaign metrics
  * @route GET /campaigns/:id/metrics
@@ -251,6 +408,31 @@ export async function metrics(req, res, next) {
   }
 }
 
+/**
+ * Get the campaign calendar for a date range
+ * @route GET /campaigns/calendar
+ */
+export async function calendar(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { from, to } = req.query;
+
+    const result = await getCampaignCalendar(storeId, { from, to });
+
+    return res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Get campaign calendar error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      query: req.query,
+    });
+    next(error);
+  }
+}
+
 /**
  * Get campaign statistics
  * @route GET /campaigns/stats
@@ -282,7 +464,14 @@ export default {
   remove,
   prepare,
   sendNow,
+  testSend,
   schedule,
+  cancel,
+  pause,
+  resume,
+  retryFailed,
+  resend,
   metrics,
+  calendar,
   stats,
 };
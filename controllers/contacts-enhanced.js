@@ -1,12 +1,25 @@
 import { getStoreId } from '../middlewares/store-resolution.js';
 import { logger } from '../utils/logger.js';
 import contactsService from '../services/contacts.js';
+import consentService from '../services/consent.js';
 
 /**
  * Enhanced Contacts Controller
  * Uses service layer for all business logic
  */
 
+/**
+ * Request details recorded with consent changes
+ * @param {Object} req - Express request
+ * @returns {Object} { ipAddress, userAgent }
+ */
+function consentContext(req) {
+  return {
+    ipAddress: req.ip || null,
+    userAgent: req.get('user-agent') || null,
+  };
+}
+
 /**
  * List contacts with filtering, search, and pagination
  * @route GET /contacts
@@ -78,6 +91,31 @@ export async function getOne(req, res, next) {
   }
 }
 
+/**
+ * Get a contact's consent history
+ * @route GET /contacts/:id/consent
+ */
+export async function consentTimeline(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { id } = req.params;
+
+    const timeline = await consentService.getConsentTimeline(storeId, id);
+
+    return res.json({
+      success: true,
+      data: timeline,
+    });
+  } catch (error) {
+    logger.error('Get consent timeline error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      contactId: req.params.id,
+    });
+    next(error);
+  }
+}
+
 /**
  * Create a new contact
  * @route POST /contacts
@@ -87,7 +125,7 @@ export async function create(req, res, next) {
     const storeId = getStoreId(req);
     const contactData = req.body;
 
-    const contact = await contactsService.createContact(storeId, contactData);
+    const contact = await contactsService.createContact(storeId, contactData, consentContext(req));
 
     return res.status(201).json({
       success: true,
@@ -114,7 +152,7 @@ export async function update(req, res, next) {
     const { id } = req.params;
     const contactData = req.body;
 
-    const contact = await contactsService.updateContact(storeId, id, contactData);
+    const contact = await contactsService.updateContact(storeId, id, contactData, consentContext(req));
 
     return res.json({
       success: true,
@@ -251,7 +289,7 @@ export async function importCsv(req, res, next) {
       });
     }
 
-    const result = await contactsService.importContacts(storeId, contacts);
+    const result = await contactsService.importContacts(storeId, contacts, consentContext(req));
 
     return res.json({
       success: true,
@@ -270,6 +308,7 @@ export async function importCsv(req, res, next) {
 export default {
   list,
   getOne,
+  consentTimeline,
   create,
   update,
   remove,
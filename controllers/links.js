@@ -0,0 +1,34 @@
+import { findShortLink, recordClick } from '../services/link-shortener.js';
+import { NotFoundError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Redirect a short link to its target and record the click
+ * @route GET /l/:code
+ */
+export async function redirect(req, res, next) {
+  try {
+    const link = await findShortLink(req.params.code);
+
+    if (!link) {
+      throw new NotFoundError('Link');
+    }
+
+    // A failed click record must not break the customer's link
+    try {
+      await recordClick(link, {
+        userAgent: req.get('user-agent') || null,
+        ipAddress: req.ip || null,
+      });
+    } catch (error) {
+      logger.error('Failed to record link click', { error: error.message, linkId: link.id });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    return res.redirect(302, link.targetUrl);
+  } catch (error) {
+    next(error);
+  }
+}
+
+export default { redirect };
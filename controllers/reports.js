@@ -2,6 +2,10 @@ import { getStoreId } from '../middlewares/store-resolution.js';
 import { logger } from '../utils/logger.js';
 import { getKPIs, getCampaignPerformance, getAutomationInsights, getCreditUsage, getContactInsights } from '../services/reports.js';
 import prisma from '../services/prisma.js';
+import { getAbTestConfig, getVariantMetrics } from '../services/ab-testing.js';
+import { getCampaignClickStats } from '../services/link-shortener.js';
+import { getCampaignDiscountStats } from '../services/discount-codes.js';
+import { getAttributionReport, getCampaignAttribution } from '../services/attribution.js';
 
 export async function overview(req, res, next) {
   try {
@@ -168,6 +172,12 @@ export async function campaignById(req, res, next) {
         scheduleType: true,
         createdAt: true,
         updatedAt: true,
+        abTestPercent: true,
+        abWinningMetric: true,
+        abTestWaitMinutes: true,
+        abWinnerSelectedAt: true,
+        abTestResults: true,
+        uniqueDiscountCodes: true,
       },
     });
 
@@ -214,16 +224,33 @@ export async function campaignById(req, res, next) {
       orderBy: { createdAt: 'asc' },
     });
 
+    // Per-variant breakdown for A/B campaigns; results holds the numbers the winner was picked on
+    const abTestConfig = getAbTestConfig(campaign);
+    const abTest = abTestConfig && {
+      ...abTestConfig,
+      winnerSelectedAt: campaign.abWinnerSelectedAt,
+      results: campaign.abTestResults,
+      variants: await getVariantMetrics(id),
+    };
+
+    const clicks = await getCampaignClickStats(id);
+    const discountCodes = campaign.uniqueDiscountCodes ? await getCampaignDiscountStats(id) : null;
+    const attribution = await getCampaignAttribution(id);
+
     res.json({
       success: true,
       data: {
         campaign,
+        abTest,
         analytics: {
           sent,
           delivered,
           failed,
           deliveryRate: Math.round(deliveryRate * 100) / 100,
         },
+        clicks,
+        discountCodes,
+        attribution,
         recipientAnalytics: {
           total: totalRecipients,
           optedIn,
@@ -242,6 +269,28 @@ export async function campaignById(req, res, next) {
   }
 }
 
+export async function attribution(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { from, to } = req.query;
+
+    logger.info('Attribution report requested', { storeId, from, to });
+
+    const report = await getAttributionReport(storeId, { from, to });
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        dateRange: { from: from || null, to: to || null },
+      },
+    });
+  } catch (error) {
+    logger.error('Attribution report error:', error);
+    next(error);
+  }
+}
+
 export async function automations(req, res, next) {
   try {
     const storeId = getStoreId(req);
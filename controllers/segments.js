@@ -0,0 +1,194 @@
+import { getStoreId } from '../middlewares/store-resolution.js';
+import { logger } from '../utils/logger.js';
+import segmentsService from '../services/segments.js';
+
+/**
+ * Segments Controller
+ * Uses service layer for segment management and rule evaluation
+ */
+
+/**
+ * List segments
+ * @route GET /segments
+ */
+export async function list(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const segments = await segmentsService.listSegments(storeId);
+
+    return res.json({
+      success: true,
+      data: segments,
+    });
+  } catch (error) {
+    logger.error('List segments error', {
+      error: error.message,
+      storeId: getStoreId(req),
+    });
+    next(error);
+  }
+}
+
+/**
+ * Get a single segment with live counts
+ * @route GET /segments/:id
+ */
+export async function getOne(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { id } = req.params;
+
+    const segment = await segmentsService.getSegmentById(storeId, id);
+
+    return res.json({
+      success: true,
+      data: segment,
+    });
+  } catch (error) {
+    logger.error('Get segment error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      segmentId: req.params.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Create a segment
+ * @route POST /segments
+ */
+export async function create(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const segment = await segmentsService.createSegment(storeId, req.body);
+
+    return res.status(201).json({
+      success: true,
+      data: segment,
+      message: 'Segment created successfully',
+    });
+  } catch (error) {
+    logger.error('Create segment error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      body: req.body,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Update a segment
+ * @route PUT /segments/:id
+ */
+export async function update(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { id } = req.params;
+
+    const segment = await segmentsService.updateSegment(storeId, id, req.body);
+
+    return res.json({
+      success: true,
+      data: segment,
+      message: 'Segment updated successfully',
+    });
+  } catch (error) {
+    logger.error('Update segment error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      segmentId: req.params.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Delete a segment
+ * @route DELETE /segments/:id
+ */
+export async function remove(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { id } = req.params;
+
+    await segmentsService.deleteSegment(storeId, id);
+
+    return res.json({
+      success: true,
+      message: 'Segment deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Delete segment error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      segmentId: req.params.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Preview unsaved rules: live count and sample contacts
+ * @route POST /segments/preview
+ */
+export async function preview(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { ruleJson, sampleSize } = req.body;
+
+    const result = await segmentsService.previewSegment(storeId, ruleJson, sampleSize);
+
+    return res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Preview segment error', {
+      error: error.message,
+      storeId: getStoreId(req),
+    });
+    next(error);
+  }
+}
+
+/**
+ * List contacts currently matching a segment
+ * @route GET /segments/:id/contacts
+ */
+export async function contacts(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { id } = req.params;
+
+    const result = await segmentsService.getSegmentContacts(storeId, id, {
+      page: req.query.page,
+      pageSize: req.query.pageSize,
+    });
+
+    return res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error('Get segment contacts error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      segmentId: req.params.id,
+    });
+    next(error);
+  }
+}
+
+export default {
+  list,
+  getOne,
+  create,
+  update,
+  remove,
+  preview,
+  contacts,
+};
@@ -1,5 +1,7 @@
 import prisma from '../services/prisma.js';
 import { logger } from '../utils/logger.js';
+import { getStoreId } from '../middlewares/store-resolution.js';
+import settingsService from '../services/settings.js';
 
 /**
  * Get current user settings
@@ -264,8 +266,253 @@ export async function getAccountInfo(req, res) {
   }
 }
 
+/**
+ * Get consent settings (double opt-in)
+ * @route GET /settings/consent
+ */
+export async function getConsentSettings(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const settings = await settingsService.getConsentSettings(storeId);
+
+    return res.json({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    logger.error('Get consent settings error', {
+      error: error.message,
+      storeId: getStoreId(req),
+    });
+    next(error);
+  }
+}
+
+/**
+ * Update consent settings (double opt-in)
+ * @route PUT /settings/consent
+ */
+export async function updateConsentSettings(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const settings = await settingsService.updateConsentSettings(storeId, req.body);
+
+    return res.json({
+      success: true,
+      data: settings,
+      message: 'Consent settings updated successfully',
+    });
+  } catch (error) {
+    logger.error('Update consent settings error', {
+      error: error.message,
+      storeId: getStoreId(req),
+    });
+    next(error);
+  }
+}
+
+/**
+ * Get quiet hours
+ * @route GET /settings/quiet-hours
+ */
+export async function getQuietHours(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const quietHours = await settingsService.getQuietHours(storeId);
+
+    return res.json({
+      success: true,
+      data: quietHours,
+    });
+  } catch (error) {
+    logger.error('Get quiet hours error', {
+      error: error.message,
+      storeId: getStoreId(req),
+    });
+    next(error);
+  }
+}
+
+/**
+ * Update quiet hours
+ * @route PUT /settings/quiet-hours
+ */
+export async function updateQuietHours(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const quietHours = await settingsService.updateQuietHours(storeId, req.body);
+
+    return res.json({
+      success: true,
+      data: quietHours,
+      message: 'Quiet hours updated successfully',
+    });
+  } catch (error) {
+    logger.error('Update quiet hours error', {
+      error: error.message,
+      storeId: getStoreId(req),
+    });
+    next(error);
+  }
+}
+
+/**
+ * Get frequency caps
+ * @route GET /settings/frequency-caps
+ */
+export async function getFrequencyCaps(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const caps = await settingsService.getFrequencyCaps(storeId);
+
+    return res.json({
+      success: true,
+      data: caps,
+    });
+  } catch (error) {
+    logger.error('Get frequency caps error', {
+      error: error.message,
+      storeId: getStoreId(req),
+    });
+    next(error);
+  }
+}
+
+/**
+ * Update frequency caps
+ * @route PUT /settings/frequency-caps
+ */
+export async function updateFrequencyCaps(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const caps = await settingsService.updateFrequencyCaps(storeId, req.body);
+
+    return res.json({
+      success: true,
+      data: caps,
+      message: 'Frequency caps updated successfully',
+    });
+  } catch (error) {
+    logger.error('Update frequency caps error', {
+      error: error.message,
+      storeId: getStoreId(req),
+    });
+    next(error);
+  }
+}
+
+/**
+ * Get SMS provider
+ * @route GET /settings/sms-provider
+ */
+export async function getSmsProvider(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const provider = await settingsService.getSmsProvider(storeId);
+
+    return res.json({
+      success: true,
+      data: provider,
+    });
+  } catch (error) {
+    logger.error('Get SMS provider error', {
+      error: error.message,
+      storeId: getStoreId(req),
+    });
+    next(error);
+  }
+}
+
+/**
+ * Update SMS provider
+ * @route PUT /settings/sms-provider
+ */
+export async function updateSmsProvider(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const provider = await settingsService.updateSmsProvider(storeId, req.body);
+
+    return res.json({
+      success: true,
+      data: provider,
+      message: 'SMS provider updated successfully',
+    });
+  } catch (error) {
+    logger.error('Update SMS provider error', {
+      error: error.message,
+      storeId: getStoreId(req),
+    });
+    next(error);
+  }
+}
+
+/**
+ * Get order attribution settings
+ * @route GET /settings/attribution
+ */
+export async function getAttributionSettings(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const attribution = await settingsService.getAttributionSettings(storeId);
+
+    return res.json({
+      success: true,
+      data: attribution,
+    });
+  } catch (error) {
+    logger.error('Get attribution settings error', {
+      error: error.message,
+      storeId: getStoreId(req),
+    });
+    next(error);
+  }
+}
+
+/**
+ * Update order attribution settings
+ * @route PUT /settings/attribution
+ */
+export async function updateAttributionSettings(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const attribution = await settingsService.updateAttributionSettings(storeId, req.body);
+
+    return res.json({
+      success: true,
+      data: attribution,
+      message: 'Attribution settings updated successfully',
+    });
+  } catch (error) {
+    logger.error('Update attribution settings error', {
+      error: error.message,
+      storeId: getStoreId(req),
+    });
+    next(error);
+  }
+}
+
 export default {
   getSettings,
   updateSenderNumber,
   getAccountInfo,
+  getConsentSettings,
+  updateConsentSettings,
+  getQuietHours,
+  updateQuietHours,
+  getFrequencyCaps,
+  updateFrequencyCaps,
+  getSmsProvider,
+  updateSmsProvider,
+  getAttributionSettings,
+  updateAttributionSettings,
 };
@@ -0,0 +1,39 @@
+import { handleInboundMessage } from '../services/inbound.js';
+import { processDeliveryReport } from '../services/delivery-reports.js';
+import { PROVIDERS, isProviderAvailable } from '../services/sms-providers/index.js';
+
+// Legacy /webhooks/mitto/* routes have no :provider param. Providers that are
+// not available here (the mock provider in production) get no webhooks.
+function resolveWebhookProvider(req) {
+  const name = req.params.provider || 'mitto';
+  if (!Object.hasOwn(PROVIDERS, name) || !isProviderAvailable(name)) return null;
+  return PROVIDERS[name];
+}
+
+export async function deliveryReport(req, res, next) {
+  try {
+    const provider = resolveWebhookProvider(req);
+    if (!provider) return res.status(404).json({ error: 'unknown_provider' });
+    if (!provider.verifySignature(req)) return res.status(401).json({ error: 'invalid_signature' });
+    const payload = req.body || {};
+    const report = provider.parseDeliveryReport(payload);
+    const result = await processDeliveryReport(report, provider.name, payload);
+    res.status(200).json({ ok: true, matched: result.matched });
+  } catch (e) {
+    next(e);
+  }
+}
+
+export async function inboundMessage(req, res, next) {
+  try {
+    const provider = resolveWebhookProvider(req);
+    if (!provider) return res.status(404).json({ error: 'unknown_provider' });
+    if (!provider.verifySignature(req)) return res.status(401).json({ error: 'invalid_signature' });
+    const payload = req.body || {};
+    const message = provider.parseInbound(payload);
+    const result = await handleInboundMessage(message, { provider: provider.name, payload });
+    res.status(200).json({ ok: true, handled: result.handled, action: result.action || null });
+  } catch (e) {
+    next(e);
+  }
+}
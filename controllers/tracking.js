@@ -1,5 +1,5 @@
 import prisma from '../services/prisma.js';
-import { getMessageStatus } from '../services/mitto.js';
+import { getMessageStatus } from '../services/sms.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -23,6 +23,7 @@ export async function getMittoMessageStatus(req, res, next) {
       select: {
         id: true,
         phoneE164: true,
+        provider: true,
         status: true,
         deliveryStatus: true,
         senderNumber: true,
@@ -45,9 +46,9 @@ export async function getMittoMessageStatus(req, res, next) {
       });
     }
 
-    // Fetch latest status from Mitto API
+    // Fetch latest status from the provider that sent the message
     try {
-      const mittoStatus = await getMessageStatus(messageId);
+      const mittoStatus = await getMessageStatus(messageId, messageLog.provider);
 
       // Update database with latest status if it changed
       if (mittoStatus.deliveryStatus !== messageLog.deliveryStatus) {
@@ -91,6 +91,19 @@ export const campaignSendRateLimit = rateLimit({
   legacyHeaders: false,
 });
 
+/**
+ * Campaign test send rate limit
+ * 10 requests per 10 minutes per store, separate from real sends
+ */
+export const campaignTestSendRateLimit = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: 10,
+  keyGenerator: storeKeyGenerator,
+  handler: standardHandler,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 /**
  * Billing rate limit
  * 20 requests per minute per store
@@ -153,6 +166,7 @@ export default {
   contactsRateLimit,
   campaignsRateLimit,
   campaignSendRateLimit,
+  campaignTestSendRateLimit,
   billingRateLimit,
   importRateLimit,
   rlReportsOverview,
@@ -0,0 +1,2 @@
+-- AddRecipientSegments
+ALTER TABLE "CampaignRecipient" ADD COLUMN "segments" INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,30 @@
+-- AddContactOrderActivity
+ALTER TABLE "Contact" ADD COLUMN "orderCount" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Contact" ADD COLUMN "lastOrderAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Contact_shopId_lastOrderAt_idx" ON "Contact"("shopId", "lastOrderAt");
+
+-- CreateTable
+CREATE TABLE "ContactOrder" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "orderedAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ContactOrder_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ContactOrder_shopId_orderId_key" ON "ContactOrder"("shopId", "orderId");
+
+-- CreateIndex
+CREATE INDEX "ContactOrder_contactId_idx" ON "ContactOrder"("contactId");
+
+-- AddForeignKey
+ALTER TABLE "ContactOrder" ADD CONSTRAINT "ContactOrder_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ContactOrder" ADD CONSTRAINT "ContactOrder_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "ConsentEvent" ADD COLUMN "ipAddress" TEXT,
+ADD COLUMN "userAgent" TEXT;
+
+-- AlterTable
+ALTER TABLE "Contact" ADD COLUMN "optInRequestedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "doubleOptIn" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "quietHoursEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "quietHoursStart" TEXT NOT NULL DEFAULT '21:00',
+ADD COLUMN "quietHoursEnd" TEXT NOT NULL DEFAULT '09:00',
+ADD COLUMN "quietHoursContactTimezone" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "CampaignRecipient" ADD COLUMN "deferredUntil" TIMESTAMP(3);
@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "frequencyCapDaily" INTEGER,
+ADD COLUMN "frequencyCapWeekly" INTEGER;
+
+-- AlterTable
+ALTER TABLE "MessageLog" ADD COLUMN "category" TEXT;
+
+-- AlterTable
+ALTER TABLE "CampaignMetrics" ADD COLUMN "totalSkipped" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "MessageLog_shopId_phoneE164_category_createdAt_idx" ON "MessageLog"("shopId", "phoneE164", "category", "createdAt");
+
+-- Backfill: campaign messages are marketing, keyword replies and opt-in confirmations are system messages
+UPDATE "MessageLog" SET "category" = 'marketing' WHERE "direction" = 'outbound' AND "campaignId" IS NOT NULL;
+UPDATE "MessageLog" SET "category" = 'system' WHERE "direction" = 'outbound' AND "payload"->>'type' IN ('keyword_reply', 'opt_in_confirmation');
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "smsProvider" TEXT;
+
+-- CreateIndex
+CREATE INDEX "MessageLog_provider_providerMsgId_idx" ON "MessageLog"("provider", "providerMsgId");
@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN "abTestPercent" INTEGER,
+ADD COLUMN "abWinningMetric" TEXT,
+ADD COLUMN "abTestWaitMinutes" INTEGER,
+ADD COLUMN "abWinnerSelectedAt" TIMESTAMP(3),
+ADD COLUMN "abTestResults" JSONB;
+
+-- AlterTable
+ALTER TABLE "CampaignRecipient" ADD COLUMN "variantId" TEXT;
+
+-- CreateTable
+CREATE TABLE "CampaignVariant" (
+    "id" TEXT NOT NULL,
+    "campaignId" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "isWinner" BOOLEAN NOT NULL DEFAULT false,
+    "totalClicked" INTEGER NOT NULL DEFAULT 0,
+    "totalOrders" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CampaignVariant_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CampaignVariant_campaignId_label_key" ON "CampaignVariant"("campaignId", "label");
+
+-- CreateIndex
+CREATE INDEX "CampaignRecipient_campaignId_variantId_idx" ON "CampaignRecipient"("campaignId", "variantId");
+
+-- AddForeignKey
+ALTER TABLE "CampaignVariant" ADD CONSTRAINT "CampaignVariant_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "Campaign"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CampaignRecipient" ADD CONSTRAINT "CampaignRecipient_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "CampaignVariant"("id") ON DELETE SET NULL ON UPDATE CASCADE;
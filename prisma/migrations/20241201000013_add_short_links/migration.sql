@@ -0,0 +1,66 @@
+-- AlterTable
+ALTER TABLE "CampaignRecipient" ADD COLUMN "clickedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ShortLink" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "targetUrl" TEXT NOT NULL,
+    "campaignId" TEXT,
+    "recipientId" TEXT,
+    "contactId" TEXT,
+    "automationId" TEXT,
+    "clickCount" INTEGER NOT NULL DEFAULT 0,
+    "lastClickedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ShortLink_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LinkClick" (
+    "id" TEXT NOT NULL,
+    "linkId" TEXT NOT NULL,
+    "campaignId" TEXT,
+    "recipientId" TEXT,
+    "contactId" TEXT,
+    "userAgent" TEXT,
+    "ipAddress" TEXT,
+    "clickedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LinkClick_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShortLink_code_key" ON "ShortLink"("code");
+
+-- CreateIndex
+CREATE INDEX "ShortLink_campaignId_idx" ON "ShortLink"("campaignId");
+
+-- CreateIndex
+CREATE INDEX "ShortLink_shopId_createdAt_idx" ON "ShortLink"("shopId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "LinkClick_linkId_clickedAt_idx" ON "LinkClick"("linkId", "clickedAt");
+
+-- CreateIndex
+CREATE INDEX "LinkClick_campaignId_clickedAt_idx" ON "LinkClick"("campaignId", "clickedAt");
+
+-- CreateIndex
+CREATE INDEX "LinkClick_contactId_clickedAt_idx" ON "LinkClick"("contactId", "clickedAt");
+
+-- AddForeignKey
+ALTER TABLE "ShortLink" ADD CONSTRAINT "ShortLink_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ShortLink" ADD CONSTRAINT "ShortLink_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "Campaign"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ShortLink" ADD CONSTRAINT "ShortLink_recipientId_fkey" FOREIGN KEY ("recipientId") REFERENCES "CampaignRecipient"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ShortLink" ADD CONSTRAINT "ShortLink_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LinkClick" ADD CONSTRAINT "LinkClick_linkId_fkey" FOREIGN KEY ("linkId") REFERENCES "ShortLink"("id") ON DELETE CASCADE ON UPDATE CASCADE;
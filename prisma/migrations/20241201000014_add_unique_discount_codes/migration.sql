@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN "uniqueDiscountCodes" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "DiscountLink" ADD COLUMN "recipientId" TEXT,
+ADD COLUMN "contactId" TEXT,
+ADD COLUMN "redeemedAt" TIMESTAMP(3),
+ADD COLUMN "orderId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DiscountLink_recipientId_key" ON "DiscountLink"("recipientId");
+
+-- CreateIndex
+CREATE INDEX "DiscountLink_campaignId_redeemedAt_idx" ON "DiscountLink"("campaignId", "redeemedAt");
+
+-- AddForeignKey
+ALTER TABLE "DiscountLink" ADD CONSTRAINT "DiscountLink_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "Campaign"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DiscountLink" ADD CONSTRAINT "DiscountLink_recipientId_fkey" FOREIGN KEY ("recipientId") REFERENCES "CampaignRecipient"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,48 @@
+-- AlterTable
+ALTER TABLE "CampaignMetrics" ADD COLUMN "totalOrders" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "totalRevenue" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "MessageLog" ADD COLUMN "automationId" TEXT,
+ADD COLUMN "segments" INTEGER;
+
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "attributionWindowDays" INTEGER NOT NULL DEFAULT 7;
+
+-- CreateTable
+CREATE TABLE "OrderAttribution" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderNumber" TEXT,
+    "contactId" TEXT,
+    "campaignId" TEXT,
+    "automationId" TEXT,
+    "recipientId" TEXT,
+    "method" TEXT NOT NULL,
+    "revenue" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL,
+    "orderedAt" TIMESTAMP(3) NOT NULL,
+    "touchpointAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderAttribution_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MessageLog_shopId_automationId_idx" ON "MessageLog"("shopId", "automationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrderAttribution_shopId_orderId_key" ON "OrderAttribution"("shopId", "orderId");
+
+-- CreateIndex
+CREATE INDEX "OrderAttribution_campaignId_idx" ON "OrderAttribution"("campaignId");
+
+-- CreateIndex
+CREATE INDEX "OrderAttribution_shopId_automationId_idx" ON "OrderAttribution"("shopId", "automationId");
+
+-- CreateIndex
+CREATE INDEX "OrderAttribution_shopId_orderedAt_idx" ON "OrderAttribution"("shopId", "orderedAt");
+
+-- AddForeignKey
+ALTER TABLE "OrderAttribution" ADD CONSTRAINT "OrderAttribution_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
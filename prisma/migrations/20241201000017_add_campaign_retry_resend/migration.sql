@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN "parentCampaignId" TEXT,
+ADD COLUMN "resendTarget" TEXT;
+
+-- AlterTable
+ALTER TABLE "CampaignRecipient" ADD COLUMN "errorType" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "Campaign" ADD CONSTRAINT "Campaign_parentCampaignId_fkey" FOREIGN KEY ("parentCampaignId") REFERENCES "Campaign"("id") ON DELETE SET NULL ON UPDATE CASCADE;
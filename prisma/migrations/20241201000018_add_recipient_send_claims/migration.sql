@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN "sendCount" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "CampaignRecipient" ADD COLUMN "claimedAt" TIMESTAMP(3),
+ADD COLUMN "occurrence" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "CampaignRecipient_campaignId_status_idx" ON "CampaignRecipient"("campaignId", "status");
+
+-- Earlier sends could store a phone more than once per campaign (recurring
+-- occurrences, duplicate inserts). Keep the first row at occurrence 0 and
+-- number the others so the unique index below can be created.
+UPDATE "CampaignRecipient" AS r
+SET "occurrence" = numbered."rowNumber" - 1
+FROM (
+  SELECT "id", ROW_NUMBER() OVER (
+    PARTITION BY "campaignId", "phoneE164"
+    ORDER BY "sentAt" ASC NULLS LAST, "id"
+  ) AS "rowNumber"
+  FROM "CampaignRecipient"
+) AS numbered
+WHERE r."id" = numbered."id" AND numbered."rowNumber" > 1;
+
+-- New sends start after the renumbered occurrences
+UPDATE "Campaign" AS c
+SET "sendCount" = numbered."maxOccurrence"
+FROM (
+  SELECT "campaignId", MAX("occurrence") AS "maxOccurrence"
+  FROM "CampaignRecipient"
+  GROUP BY "campaignId"
+) AS numbered
+WHERE c."id" = numbered."campaignId";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CampaignRecipient_campaignId_occurrence_phoneE164_key" ON "CampaignRecipient"("campaignId", "occurrence", "phoneE164");
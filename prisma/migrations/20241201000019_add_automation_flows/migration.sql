@@ -0,0 +1,56 @@
+-- AlterTable
+ALTER TABLE "ShortLink" ADD COLUMN "flowId" TEXT;
+
+-- CreateTable
+CREATE TABLE "AutomationFlow" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "triggerEvent" TEXT NOT NULL,
+    "steps" JSONB NOT NULL,
+    "goal" TEXT,
+    "allowReentry" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AutomationFlow_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "FlowRun" (
+    "id" TEXT NOT NULL,
+    "flowId" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "stepIndex" INTEGER NOT NULL DEFAULT 0,
+    "exitReason" TEXT,
+    "context" JSONB,
+    "nextRunAt" TIMESTAMP(3),
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "FlowRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AutomationFlow_shopId_name_key" ON "AutomationFlow"("shopId", "name");
+
+-- CreateIndex
+CREATE INDEX "AutomationFlow_shopId_triggerEvent_isActive_idx" ON "AutomationFlow"("shopId", "triggerEvent", "isActive");
+
+-- CreateIndex
+CREATE INDEX "FlowRun_flowId_status_idx" ON "FlowRun"("flowId", "status");
+
+-- CreateIndex
+CREATE INDEX "FlowRun_contactId_status_idx" ON "FlowRun"("contactId", "status");
+
+-- AddForeignKey
+ALTER TABLE "AutomationFlow" ADD CONSTRAINT "AutomationFlow_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FlowRun" ADD CONSTRAINT "FlowRun_flowId_fkey" FOREIGN KEY ("flowId") REFERENCES "AutomationFlow"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FlowRun" ADD CONSTRAINT "FlowRun_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE "UserAutomation" ADD COLUMN "config" JSONB;
+
+-- CreateTable
+CREATE TABLE "AbandonedCheckout" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "checkoutToken" TEXT NOT NULL,
+    "contactId" TEXT,
+    "phoneE164" TEXT,
+    "email" TEXT,
+    "recoveryUrl" TEXT,
+    "totalPrice" TEXT,
+    "currency" TEXT,
+    "lineItems" JSONB,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "remindersSent" INTEGER NOT NULL DEFAULT 0,
+    "lastActivityAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastReminderAt" TIMESTAMP(3),
+    "orderId" TEXT,
+    "recoveredAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AbandonedCheckout_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AbandonedCheckout_shopId_checkoutToken_key" ON "AbandonedCheckout"("shopId", "checkoutToken");
+
+-- CreateIndex
+CREATE INDEX "AbandonedCheckout_shopId_status_idx" ON "AbandonedCheckout"("shopId", "status");
+
+-- AddForeignKey
+ALTER TABLE "AbandonedCheckout" ADD CONSTRAINT "AbandonedCheckout_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AbandonedCheckout" ADD CONSTRAINT "AbandonedCheckout_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "Fulfillment" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "fulfillmentId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT,
+    "contactId" TEXT,
+    "status" TEXT,
+    "shipmentStatus" TEXT,
+    "trackingNumber" TEXT,
+    "trackingCompany" TEXT,
+    "trackingUrl" TEXT,
+    "notified" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Fulfillment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Fulfillment_shopId_fulfillmentId_key" ON "Fulfillment"("shopId", "fulfillmentId");
+
+-- CreateIndex
+CREATE INDEX "Fulfillment_shopId_orderId_idx" ON "Fulfillment"("shopId", "orderId");
+
+-- AddForeignKey
+ALTER TABLE "Fulfillment" ADD CONSTRAINT "Fulfillment_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Fulfillment" ADD CONSTRAINT "Fulfillment_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,58 @@
+-- CreateTable
+CREATE TABLE "ContactPurchase" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "productTitle" TEXT,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "orderedAt" TIMESTAMP(3) NOT NULL,
+    "remindedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ContactPurchase_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ReviewRequest" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT,
+    "contactId" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'scheduled',
+    "reason" TEXT,
+    "sendAt" TIMESTAMP(3) NOT NULL,
+    "sentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ReviewRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ContactPurchase_shopId_orderId_productId_key" ON "ContactPurchase"("shopId", "orderId", "productId");
+
+-- CreateIndex
+CREATE INDEX "ContactPurchase_shopId_orderedAt_idx" ON "ContactPurchase"("shopId", "orderedAt");
+
+-- CreateIndex
+CREATE INDEX "ContactPurchase_contactId_productId_idx" ON "ContactPurchase"("contactId", "productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReviewRequest_shopId_orderId_key" ON "ReviewRequest"("shopId", "orderId");
+
+-- CreateIndex
+CREATE INDEX "ReviewRequest_shopId_status_idx" ON "ReviewRequest"("shopId", "status");
+
+-- AddForeignKey
+ALTER TABLE "ContactPurchase" ADD CONSTRAINT "ContactPurchase_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ContactPurchase" ADD CONSTRAINT "ContactPurchase_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReviewRequest" ADD CONSTRAINT "ReviewRequest_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReviewRequest" ADD CONSTRAINT "ReviewRequest_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE CASCADE ON UPDATE CASCADE;
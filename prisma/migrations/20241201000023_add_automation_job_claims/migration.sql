@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "AutomationJobClaim" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AutomationJobClaim_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AutomationJobClaim_shopId_key_key" ON "AutomationJobClaim"("shopId", "key");
+
+-- AddForeignKey
+ALTER TABLE "AutomationJobClaim" ADD CONSTRAINT "AutomationJobClaim_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
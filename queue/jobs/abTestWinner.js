@@ -0,0 +1,153 @@
+import prisma from '../../services/prisma.js';
+import { getCampaignSendContext, renderCampaignMessage } from '../../services/campaigns.js';
+import { AB_WINNER_JOB, getVariantMetrics, pickWinner } from '../../services/ab-testing.js';
+import { refundCredits } from '../../services/credit-validation.js';
+import { campaignQueue } from '../index.js';
+import { queueCampaignSendJob } from '../../services/scheduler.js';
+import { countSmsSegments } from '../../utils/sms-segments.js';
+import { withShortLinkPlaceholders } from '../../services/link-shortener.js';
+import { logger } from '../../utils/logger.js';
+
+const ROLLOUT_BATCH_SIZE = 500;
+
+// How long to wait when test messages are still going out (e.g. quiet hours)
+const RECHECK_DELAY_MS = 15 * 60 * 1000;
+
+/**
+ * Pick the winning variant and store the test results it was picked on
+ * @param {Object} campaign - Campaign record
+ * @returns {Promise<Object>} Winning variant
+ */
+async function selectWinner(campaign) {
+  const metrics = await getVariantMetrics(campaign.id);
+  const winner = pickWinner(metrics, campaign.abWinningMetric);
+
+  await prisma.$transaction([
+    prisma.campaignVariant.update({
+      where: { id: winner.id },
+      data: { isWinner: true },
+    }),
+    prisma.campaign.update({
+      where: { id: campaign.id },
+      data: {
+        abWinnerSelectedAt: new Date(),
+        abTestResults: { winningMetric: campaign.abWinningMetric, winner: winner.label, variants: metrics },
+      },
+    }),
+  ]);
+
+  logger.info('A/B test winner selected', {
+    campaignId: campaign.id,
+    winner: winner.label,
+    winningMetric: campaign.abWinningMetric,
+  });
+
+  return campaign.variants.find(v => v.id === winner.id);
+}
+
+/**
+ * Move held recipients to the winning variant. They were charged for their
+ * most expensive variant, so the difference to the winner is refunded.
+ * @param {Object} campaign - Campaign record with variants
+ * @param {Object} winner - Winning variant
+ * @returns {Promise<{rolledOut: number, creditsRefunded: number}>}
+ */
+async function rollOutWinner(campaign, winner) {
+  const sendContext = await getCampaignSendContext(campaign);
+  let rolledOut = 0;
+  let refund = 0;
+
+  for (;;) {
+    const held = await prisma.campaignRecipient.findMany({
+      where: { campaignId: campaign.id, status: 'held' },
+      orderBy: { id: 'asc' },
+      take: ROLLOUT_BATCH_SIZE,
+      include: { contact: true },
+    });
+
+    if (held.length === 0) break;
+
+    const idsBySegments = new Map();
+    for (const recipient of held) {
+      const contact = recipient.contact || { phoneE164: recipient.phoneE164 };
+      const text = renderCampaignMessage(campaign, contact, sendContext, winner);
+      const segments = Math.max(1, countSmsSegments(withShortLinkPlaceholders(text)).segments);
+
+      refund += Math.max(0, recipient.segments - segments);
+
+      if (!idsBySegments.has(segments)) idsBySegments.set(segments, []);
+      idsBySegments.get(segments).push(recipient.id);
+    }
+
+    await prisma.$transaction([...idsBySegments].map(([segments, ids]) =>
+      prisma.campaignRecipient.updateMany({
+        where: { id: { in: ids }, status: 'held' },
+        data: { status: 'pending', variantId: winner.id, segments },
+      }),
+    ));
+
+    rolledOut += held.length;
+  }
+
+  if (refund > 0) {
+    await refundCredits(campaign.shopId, refund, `campaign:${campaign.id}`, {
+      reason: 'ab_test_rollout',
+      winner: winner.label,
+    });
+  }
+
+  return { rolledOut, creditsRefunded: refund };
+}
+
+/**
+ * Select the A/B test winner once the wait is over and send it to the held
+ * recipients. Safe to retry: a winner that was already picked is reused.
+ * @param {Object} job - BullMQ job with { campaignId, storeId }
+ * @returns {Promise<Object>} Rollout result
+ */
+export async function handleAbWinnerSelection(job) {
+  const { campaignId, storeId } = job.data;
+
+  const campaign = await prisma.campaign.findFirst({
+    where: { id: campaignId, shopId: storeId },
+    include: { variants: { orderBy: { label: 'asc' } } },
+  });
+
+  if (!campaign || campaign.status !== 'sending' || campaign.variants.length === 0) {
+    logger.warn('Campaign not awaiting an A/B winner, skipping', {
+      campaignId,
+      status: campaign?.status,
+    });
+    return { ok: false, reason: 'not_awaiting_winner' };
+  }
+
+  let winner = campaign.variants.find(v => v.isWinner);
+
+  if (!winner) {
+    const testPending = await prisma.campaignRecipient.count({
+      where: { campaignId, status: 'pending', variantId: { not: null } },
+    });
+
+    // Judge the test only once every test message has gone out
+    if (testPending > 0) {
+      await campaignQueue.add(AB_WINNER_JOB, { campaignId, storeId }, {
+        delay: RECHECK_DELAY_MS,
+        jobId: `ab-winner-${campaignId}-${Date.now()}`,
+      });
+      logger.info('A/B test still sending, winner selection postponed', { campaignId, testPending });
+      return { ok: false, reason: 'test_in_progress', testPending };
+    }
+
+    winner = await selectWinner(campaign);
+  }
+
+  const { rolledOut, creditsRefunded } = await rollOutWinner(campaign, winner);
+
+  await queueCampaignSendJob(campaignId, storeId, { recipientCount: rolledOut });
+
+  logger.info('A/B test winner rolled out', { campaignId, winner: winner.label, rolledOut, creditsRefunded });
+
+  return { ok: true, campaignId, winner: winner.label, rolledOut, creditsRefunded };
+}
+
+export default { handleAbWinnerSelection };
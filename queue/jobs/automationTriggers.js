@@ -1,59 +1,103 @@
 import { logger } from '../../utils/logger.js';
 import {
-  triggerAbandonedCart,
+  triggerAutomation,
   triggerOrderConfirmation,
   triggerCustomerReengagement,
   triggerBirthdayOffer,
+  queueAutomationJob,
+  releaseAutomationJob,
+  recordAutomationOutcome,
+  AUTOMATION_JOBS,
 } from '../../services/automations.js';
+import { getShopTimezone } from '../../services/settings.js';
+import { formatDateInTimezone } from '../../utils/timezone.js';
 import prisma from '../../services/prisma.js';
-import { validateAndConsumeCredits, InsufficientCreditsError, logAutomationSkip } from '../../services/credit-validation.js';
+import { sendCheckoutReminder } from '../../services/abandoned-checkouts.js';
+import { sendReviewRequest } from '../../services/review-requests.js';
+import { REORDER_TRIGGER, findDueReorders, sendReorderReminder } from '../../services/reorder-reminders.js';
 
 /**
- * Handle abandoned cart automation trigger
+ * Send an abandoned checkout reminder
  */
 export async function handleAbandonedCartTrigger(job) {
-  const { shopId, contactId, cartData, automationId } = job.data;
+  const { shopId, checkoutId, reminder } = job.data;
 
   try {
-    logger.info('Processing abandoned cart automation', {
+    logger.info('Processing abandoned checkout reminder', {
       shopId,
-      contactId,
-      cartData,
-      automationId,
+      checkoutId,
+      reminder,
     });
 
-    // Validate credits before triggering automation
-    try {
-      await validateAndConsumeCredits(shopId, 1);
-    } catch (error) {
-      if (error instanceof InsufficientCreditsError) {
-        await logAutomationSkip(automationId, shopId, 'Insufficient credits');
-        logger.warn('Abandoned cart automation skipped due to insufficient credits', {
-          shopId,
-          contactId,
-          automationId,
-        });
-        return { success: false, reason: 'insufficient_credits', error: error.message };
-      }
-      throw error;
+    // Credits are checked and charged per SMS segment once the message is personalized
+    const result = await sendCheckoutReminder(job.data);
+
+    await recordAutomationOutcome(shopId, result);
+
+    if (result.success) {
+      logger.info('Abandoned checkout reminder handled', {
+        shopId,
+        checkoutId,
+        reminder,
+        messageId: result.messageId,
+        deferredUntil: result.deferredUntil,
+      });
+    } else {
+      logger.warn('Abandoned checkout reminder not sent', {
+        shopId,
+        checkoutId,
+        reminder,
+        reason: result.reason,
+        error: result.error,
+      });
     }
 
-    const result = await triggerAbandonedCart({
+    return result;
+  } catch (error) {
+    logger.error('Abandoned checkout reminder job failed', {
+      error: error.message,
+      shopId,
+      checkoutId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Handle shipping update and delivery confirmation automation triggers
+ */
+export async function handleFulfillmentTrigger(job) {
+  const { shopId, contactId, triggerEvent, fulfillmentData } = job.data;
+
+  try {
+    logger.info('Processing fulfillment automation', {
+      shopId,
+      contactId,
+      triggerEvent,
+      fulfillmentData,
+    });
+
+    const result = await triggerAutomation({
       shopId,
       contactId,
-      cartData,
+      triggerEvent,
+      additionalData: fulfillmentData,
     });
 
+    await recordAutomationOutcome(shopId, result);
+
     if (result.success) {
-      logger.info('Abandoned cart automation triggered successfully', {
+      logger.info('Fulfillment automation triggered successfully', {
         shopId,
         contactId,
+        triggerEvent,
         messageId: result.messageId,
       });
     } else {
-      logger.warn('Abandoned cart automation failed', {
+      logger.warn('Fulfillment automation failed', {
         shopId,
         contactId,
+        triggerEvent,
         reason: result.reason,
         error: result.error,
       });
@@ -61,7 +105,7 @@ export async function handleAbandonedCartTrigger(job) {
 
     return result;
   } catch (error) {
-    logger.error('Abandoned cart automation job failed', {
+    logger.error('Fulfillment automation job failed', {
       error: error.message,
       shopId,
       contactId,
@@ -70,42 +114,123 @@ export async function handleAbandonedCartTrigger(job) {
   }
 }
 
+/**
+ * Send a scheduled review request
+ */
+export async function handleReviewRequestTrigger(job) {
+  const { shopId, reviewRequestId } = job.data;
+
+  try {
+    logger.info('Processing review request', { shopId, reviewRequestId });
+
+    const result = await sendReviewRequest(reviewRequestId);
+
+    if (result.reason === 'review_request_handled') {
+      return result;
+    }
+
+    await recordAutomationOutcome(shopId, result);
+
+    if (result.success) {
+      logger.info('Review request sent', {
+        shopId,
+        reviewRequestId,
+        messageId: result.messageId,
+      });
+    } else {
+      logger.warn('Review request not sent', {
+        shopId,
+        reviewRequestId,
+        reason: result.reason,
+        error: result.error,
+      });
+    }
+
+    return result;
+  } catch (error) {
+    logger.error('Review request job failed', {
+      error: error.message,
+      shopId,
+      reviewRequestId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Send the reorder reminder of a purchase
+ */
+export async function handleReorderReminderTrigger(job) {
+  const { shopId, purchaseId, intervalDays } = job.data;
+
+  try {
+    logger.info('Processing reorder reminder', { shopId, purchaseId, intervalDays });
+
+    const result = await sendReorderReminder(purchaseId, intervalDays);
+
+    if (result.reason === 'reorder_reminder_sent') {
+      return result;
+    }
+
+    await recordAutomationOutcome(shopId, result);
+
+    if (result.success) {
+      logger.info('Reorder reminder sent', {
+        shopId,
+        purchaseId,
+        messageId: result.messageId,
+      });
+    } else {
+      logger.warn('Reorder reminder not sent', {
+        shopId,
+        purchaseId,
+        reason: result.reason,
+        error: result.error,
+      });
+    }
+
+    return result;
+  } catch (error) {
+    logger.error('Reorder reminder job failed', {
+      error: error.message,
+      shopId,
+      purchaseId,
+    });
+    throw error;
+  }
+}
+
 /**
  * Handle order confirmation automation trigger
  */
 export async function handleOrderConfirmationTrigger(job) {
-  const { shopId, contactId, orderData, automationId } = job.data;
+  const { shopId, contactId, orderData } = job.data;
 
   try {
     logger.info('Processing order confirmation automation', {
       shopId,
       contactId,
       orderData,
-      automationId,
     });
 
-    // Validate credits before triggering automation
-    try {
-      await validateAndConsumeCredits(shopId, 1);
-    } catch (error) {
-      if (error instanceof InsufficientCreditsError) {
-        await logAutomationSkip(automationId, shopId, 'Insufficient credits');
-        logger.warn('Order confirmation automation skipped due to insufficient credits', {
-          shopId,
-          contactId,
-          automationId,
-        });
-        return { success: false, reason: 'insufficient_credits', error: error.message };
-      }
-      throw error;
-    }
-
+    // Credits are checked and charged per SMS segment once the message is personalized
     const result = await triggerOrderConfirmation({
       shopId,
       contactId,
       orderData,
     });
 
+    await recordAutomationOutcome(shopId, result);
+
+    if (result.reason === 'insufficient_credits') {
+      logger.warn('Order confirmation automation skipped due to insufficient credits', {
+        shopId,
+        contactId,
+        automationId: result.automationId,
+      });
+      return result;
+    }
+
     if (result.success) {
       logger.info('Order confirmation automation triggered successfully', {
         shopId,
@@ -136,38 +261,38 @@ export async function handleOrderConfirmationTrigger(job) {
  * Handle customer re-engagement automation trigger
  */
 export async function handleCustomerReengagementTrigger(job) {
-  const { shopId, contactId, reengagementData, automationId } = job.data;
+  const { shopId, contactId, reengagementData } = job.data;
 
   try {
     logger.info('Processing customer re-engagement automation', {
       shopId,
       contactId,
       reengagementData,
-      automationId,
     });
 
-    // Validate credits before triggering automation
-    try {
-      await validateAndConsumeCredits(shopId, 1);
-    } catch (error) {
-      if (error instanceof InsufficientCreditsError) {
-        await logAutomationSkip(automationId, shopId, 'Insufficient credits');
-        logger.warn('Customer re-engagement automation skipped due to insufficient credits', {
-          shopId,
-          contactId,
-          automationId,
-        });
-        return { success: false, reason: 'insufficient_credits', error: error.message };
-      }
-      throw error;
-    }
-
+    // Credits are checked and charged per SMS segment once the message is personalized
     const result = await triggerCustomerReengagement({
       shopId,
       contactId,
       reengagementData,
     });
 
+    await recordAutomationOutcome(shopId, result);
+
+    // Not sent (credits, frequency cap, provider error): the next daily check may queue it again
+    if (!result.success) {
+      await releaseAutomationJob(shopId, job.id);
+    }
+
+    if (result.reason === 'insufficient_credits') {
+      logger.warn('Customer re-engagement automation skipped due to insufficient credits', {
+        shopId,
+        contactId,
+        automationId: result.automationId,
+      });
+      return result;
+    }
+
     if (result.success) {
       logger.info('Customer re-engagement automation triggered successfully', {
         shopId,
@@ -190,6 +315,9 @@ export async function handleCustomerReengagementTrigger(job) {
       shopId,
       contactId,
     });
+    if (job.attemptsMade + 1 >= (job.opts.attempts || 1)) {
+      await releaseAutomationJob(shopId, job.id);
+    }
     throw error;
   }
 }
@@ -198,38 +326,33 @@ export async function handleCustomerReengagementTrigger(job) {
  * Handle birthday automation trigger
  */
 export async function handleBirthdayTrigger(_job) {
-  const { shopId, contactId, birthdayData, automationId } = _job.data;
+  const { shopId, contactId, birthdayData } = _job.data;
 
   try {
     logger.info('Processing birthday automation', {
       shopId,
       contactId,
       birthdayData,
-      automationId,
     });
 
-    // Validate credits before triggering automation
-    try {
-      await validateAndConsumeCredits(shopId, 1);
-    } catch (error) {
-      if (error instanceof InsufficientCreditsError) {
-        await logAutomationSkip(automationId, shopId, 'Insufficient credits');
-        logger.warn('Birthday automation skipped due to insufficient credits', {
-          shopId,
-          contactId,
-          automationId,
-        });
-        return { success: false, reason: 'insufficient_credits', error: error.message };
-      }
-      throw error;
-    }
-
+    // Credits are checked and charged per SMS segment once the message is personalized
     const result = await triggerBirthdayOffer({
       shopId,
       contactId,
       birthdayData,
     });
 
+    await recordAutomationOutcome(shopId, result);
+
+    if (result.reason === 'insufficient_credits') {
+      logger.warn('Birthday automation skipped due to insufficient credits', {
+        shopId,
+        contactId,
+        automationId: result.automationId,
+      });
+      return result;
+    }
+
     if (result.success) {
       logger.info('Birthday automation triggered successfully', {
         shopId,
@@ -257,66 +380,117 @@ export async function handleBirthdayTrigger(_job) {
 }
 
 /**
- * Daily job to check for inactive customers and trigger re-engagement
+ * Run an automation trigger that was deferred by quiet hours
+ */
+export async function handleDeferredAutomation(job) {
+  const { shopId, contactId, triggerEvent, additionalData, message } = job.data;
+
+  logger.info('Processing deferred automation', { shopId, contactId, triggerEvent });
+
+  const result = await triggerAutomation({
+    shopId,
+    contactId,
+    triggerEvent,
+    additionalData,
+    message,
+  });
+
+  await recordAutomationOutcome(shopId, result);
+
+  if (result.reason === 'insufficient_credits') {
+    logger.warn('Deferred automation skipped due to insufficient credits', {
+      shopId,
+      contactId,
+      triggerEvent,
+    });
+  }
+
+  return result;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days without an order before a customer counts as inactive
+const REENGAGEMENT_INACTIVE_DAYS = 30;
+
+/**
+ * Active system automations for a trigger, one per shop
+ * @param {string} triggerEvent - Automation trigger event
+ * @returns {Promise<Array<{ shopId: string, automationId: string }>>}
+ */
+async function findActiveAutomations(triggerEvent) {
+  return await prisma.userAutomation.findMany({
+    where: {
+      isActive: true,
+      automation: { triggerEvent, isSystemDefault: true },
+    },
+    select: { shopId: true, automationId: true },
+  });
+}
+
+/**
+ * Daily job: queue re-engagement messages for customers whose last order is
+ * more than 30 days old. Each inactive period gets one message; contacts the
+ * automation already messaged since their last order are skipped.
  */
 export async function handleDailyReengagementCheck(_job) {
   try {
     logger.info('Starting daily re-engagement check');
 
-    // Get all shops
-    const shops = await prisma.shop.findMany({
-      select: { id: true, shopDomain: true },
-    });
+    const automations = await findActiveAutomations('customer_inactive');
+    const cutoff = new Date(Date.now() - REENGAGEMENT_INACTIVE_DAYS * DAY_MS);
 
     let totalProcessed = 0;
-    let totalTriggered = 0;
-
-    for (const shop of shops) {
-      // Find customers who haven't placed an order in 30 days
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-      // This would need to be implemented based on your order tracking system
-      // For now, we'll get all contacts and simulate the check
-      const contacts = await prisma.contact.findMany({
-        where: {
-          shopId: shop.id,
-          smsConsent: 'opted_in',
-        },
-      });
+    let totalQueued = 0;
+
+    for (const { shopId, automationId } of automations) {
+      const [contacts, lastSent] = await Promise.all([
+        prisma.contact.findMany({
+          where: {
+            shopId,
+            smsConsent: 'opted_in',
+            lastOrderAt: { lt: cutoff },
+          },
+          select: { id: true, phoneE164: true, lastOrderAt: true },
+        }),
+        prisma.messageLog.groupBy({
+          by: ['phoneE164'],
+          where: { shopId, automationId, direction: 'outbound' },
+          _max: { createdAt: true },
+        }),
+      ]);
+
+      const lastSentByPhone = new Map(lastSent.map(row => [row.phoneE164, row._max.createdAt]));
 
       for (const contact of contacts) {
         totalProcessed++;
 
-        // In a real implementation, you would check order history here
-        // For now, we'll trigger for a subset of contacts
-        if (Math.random() < 0.1) { // 10% chance for demo
-          const result = await triggerCustomerReengagement({
-            shopId: shop.id,
-            contactId: contact.id,
-            reengagementData: {
-              daysSinceLastOrder: 30,
-            },
-          });
-
-          if (result.success) {
-            totalTriggered++;
-          }
-        }
+        const sentAt = lastSentByPhone.get(contact.phoneE164);
+        if (sentAt && sentAt > contact.lastOrderAt) continue;
+
+        await queueAutomationJob(AUTOMATION_JOBS.CUSTOMER_REENGAGEMENT, {
+          shopId,
+          contactId: contact.id,
+          reengagementData: {
+            daysSinceLastOrder: Math.floor((Date.now() - contact.lastOrderAt.getTime()) / DAY_MS),
+          },
+        }, `reengagement-${contact.id}-${contact.lastOrderAt.getTime()}`);
+
+        totalQueued++;
       }
     }
 
     logger.info('Daily re-engagement check completed', {
       totalProcessed,
-      totalTriggered,
-      shopsProcessed: shops.length,
+      totalQueued,
+      shopsProcessed: automations.length,
     });
 
     return {
       success: true,
       totalProcessed,
-      totalTriggered,
-      shopsProcessed: shops.length,
+      totalQueued,
+      shopsProcessed: automations.length,
     };
   } catch (error) {
     logger.error('Daily re-engagement check failed', {
@@ -327,67 +501,59 @@ export async function handleDailyReengagementCheck(_job) {
 }
 
 /**
- * Daily job to check for birthdays and trigger birthday offers
+ * Daily job: queue birthday offers for contacts whose birthday is today in
+ * the shop's timezone. Feb 29 birthdays are celebrated on Mar 1 in other years.
  */
 export async function handleDailyBirthdayCheck(_job) {
   try {
     logger.info('Starting daily birthday check');
 
-    // Get all shops
-    const shops = await prisma.shop.findMany({
-      select: { id: true, shopDomain: true },
-    });
+    const automations = await findActiveAutomations('birthday');
 
     let totalProcessed = 0;
-    let totalTriggered = 0;
+    let totalQueued = 0;
 
-    for (const shop of shops) {
-      // Find contacts with birthdays today
-      const today = new Date();
-      // const todayMonth = today.getMonth() + 1; // JavaScript months are 0-indexed
-      // const todayDay = today.getDate();
+    for (const { shopId } of automations) {
+      const today = formatDateInTimezone(new Date(), await getShopTimezone(shopId));
+      const year = Number(today.slice(0, 4));
 
-      // This would need to be implemented based on your contact birthday tracking
-      // For now, we'll get all contacts and simulate the check
       const contacts = await prisma.contact.findMany({
         where: {
-          shopId: shop.id,
+          shopId,
           smsConsent: 'opted_in',
+          birthDate: { not: null },
         },
+        select: { id: true, birthDate: true },
       });
 
       for (const contact of contacts) {
         totalProcessed++;
 
-        // In a real implementation, you would check birthday data here
-        // For now, we'll trigger for a subset of contacts
-        if (Math.random() < 0.05) { // 5% chance for demo
-          const result = await triggerBirthdayOffer({
-            shopId: shop.id,
-            contactId: contact.id,
-            birthdayData: {
-              birthday: today.toISOString().split('T')[0],
-            },
-          });
-
-          if (result.success) {
-            totalTriggered++;
-          }
-        }
+        const birthday = new Date(Date.UTC(year, contact.birthDate.getUTCMonth(), contact.birthDate.getUTCDate()))
+          .toISOString().slice(0, 10);
+        if (birthday !== today) continue;
+
+        await queueAutomationJob(AUTOMATION_JOBS.BIRTHDAY, {
+          shopId,
+          contactId: contact.id,
+          birthdayData: { birthday: today },
+        }, `birthday-${contact.id}-${today}`);
+
+        totalQueued++;
       }
     }
 
     logger.info('Daily birthday check completed', {
       totalProcessed,
-      totalTriggered,
-      shopsProcessed: shops.length,
+      totalQueued,
+      shopsProcessed: automations.length,
     });
 
     return {
       success: true,
       totalProcessed,
-      totalTriggered,
-      shopsProcessed: shops.length,
+      totalQueued,
+      shopsProcessed: automations.length,
     };
   } catch (error) {
     logger.error('Daily birthday check failed', {
@@ -397,11 +563,68 @@ export async function handleDailyBirthdayCheck(_job) {
   }
 }
 
+/**
+ * Daily job: queue reorder reminders for purchases whose supply is about to
+ * run out, from the configured or learned interval of each product
+ */
+export async function handleDailyReorderCheck(_job) {
+  try {
+    logger.info('Starting daily reorder check');
+
+    const automations = await prisma.userAutomation.findMany({
+      where: {
+        isActive: true,
+        automation: { triggerEvent: REORDER_TRIGGER, isSystemDefault: true },
+      },
+      select: { shopId: true, config: true },
+    });
+
+    let totalQueued = 0;
+
+    for (const { shopId, config } of automations) {
+      const due = await findDueReorders(shopId, config);
+      const today = new Date().toISOString().slice(0, 10);
+
+      // One job per purchase and day: a reminder that was not sent is tried again tomorrow
+      for (const { purchase, intervalDays } of due) {
+        await queueAutomationJob(AUTOMATION_JOBS.REORDER_REMINDER, {
+          shopId,
+          purchaseId: purchase.id,
+          intervalDays,
+        }, `reorder-${purchase.id}-${today}`);
+
+        totalQueued++;
+      }
+    }
+
+    logger.info('Daily reorder check completed', {
+      totalQueued,
+      shopsProcessed: automations.length,
+    });
+
+    return {
+      success: true,
+      totalQueued,
+      shopsProcessed: automations.length,
+    };
+  } catch (error) {
+    logger.error('Daily reorder check failed', {
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
 export default {
   handleAbandonedCartTrigger,
   handleOrderConfirmationTrigger,
+  handleFulfillmentTrigger,
+  handleReviewRequestTrigger,
+  handleReorderReminderTrigger,
   handleCustomerReengagementTrigger,
   handleBirthdayTrigger,
+  handleDeferredAutomation,
   handleDailyReengagementCheck,
   handleDailyBirthdayCheck,
+  handleDailyReorderCheck,
 };
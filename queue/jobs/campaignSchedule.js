@@ -0,0 +1,107 @@
+import prisma from '../../services/prisma.js';
+import { launchScheduledCampaign } from '../../services/campaigns.js';
+import { getNextOccurrence, scheduleCampaignLaunch } from '../../services/scheduler.js';
+import { getShopTimezone } from '../../services/settings.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Re-arm a recurring campaign for its next occurrence
+ * @param {Object} campaign - Campaign record
+ * @returns {Promise<Date>} Next occurrence
+ */
+async function rearmRecurringCampaign(campaign) {
+  const timeZone = await getShopTimezone(campaign.shopId);
+  const nextAt = getNextOccurrence(campaign.scheduleAt, campaign.recurringDays, timeZone);
+
+  const updated = await prisma.campaign.update({
+    where: { id: campaign.id },
+    data: { scheduleAt: nextAt },
+  });
+
+  await scheduleCampaignLaunch(updated);
+
+  return nextAt;
+}
+
+/**
+ * Launch a scheduled or recurring campaign when its delayed job fires
+ * @param {Object} job - BullMQ job with { campaignId, storeId, scheduleAt }
+ * @returns {Promise<Object>} Launch result
+ */
+export async function handleScheduledCampaignLaunch(job) {
+  const { campaignId, storeId, scheduleAt } = job.data;
+
+  const campaign = await prisma.campaign.findFirst({
+    where: { id: campaignId, shopId: storeId },
+  });
+
+  if (!campaign) {
+    logger.warn('Scheduled campaign not found, skipping launch', { campaignId });
+    return { ok: false, reason: 'not_scheduled' };
+  }
+
+  // A reschedule moves scheduleAt; a job armed for the old time is stale
+  if (campaign.scheduleAt?.getTime() !== new Date(scheduleAt).getTime()) {
+    logger.warn('Stale campaign launch job, skipping', {
+      campaignId,
+      jobScheduleAt: scheduleAt,
+      campaignScheduleAt: campaign.scheduleAt,
+    });
+    return { ok: false, reason: 'stale_schedule' };
+  }
+
+  const isRecurring = campaign.scheduleType === 'recurring' && campaign.recurringDays;
+
+  // A recurring campaign still sending or paused skips this occurrence but keeps its series
+  if (isRecurring && ['sending', 'paused'].includes(campaign.status)) {
+    const nextAt = await rearmRecurringCampaign(campaign);
+    logger.warn('Recurring campaign busy, occurrence skipped', {
+      campaignId,
+      status: campaign.status,
+      nextAt,
+    });
+    return { ok: false, reason: 'occurrence_skipped', campaignId, nextAt };
+  }
+
+  if (campaign.status !== 'scheduled') {
+    logger.warn('Scheduled campaign no longer pending, skipping launch', {
+      campaignId,
+      status: campaign.status,
+    });
+    return { ok: false, reason: 'not_scheduled' };
+  }
+
+  let result = null;
+  let launchError = null;
+
+  try {
+    result = await launchScheduledCampaign(storeId, campaignId);
+  } catch (error) {
+    launchError = error;
+    logger.error('Scheduled campaign launch failed', {
+      campaignId,
+      storeId,
+      error: error.message,
+    });
+  }
+
+  if (isRecurring) {
+    // The next occurrence is armed even when this one could not be sent
+    const nextAt = await rearmRecurringCampaign(campaign);
+    logger.info('Recurring campaign re-armed', { campaignId, nextAt });
+    return { ok: !launchError, campaignId, result, nextAt, error: launchError?.message };
+  }
+
+  if (launchError) {
+    // A send that claimed the campaign meanwhile keeps its status
+    await prisma.campaign.updateMany({
+      where: { id: campaignId, status: 'scheduled' },
+      data: { status: 'failed' },
+    });
+    return { ok: false, campaignId, error: launchError.message };
+  }
+
+  return { ok: true, campaignId, result };
+}
+
+export default { handleScheduledCampaignLaunch };
@@ -0,0 +1,486 @@
+import prisma from '../../services/prisma.js';
+import { sendMessage, classifySendError } from '../../services/sms.js';
+import { getSenderConfig, getQuietHours, getSmsProvider } from '../../services/settings.js';
+import { getCampaignSendContext, renderCampaignMessage } from '../../services/campaigns.js';
+import { campaignQueue } from '../index.js';
+import { SEND_CAMPAIGN_JOB } from '../../services/scheduler.js';
+import { resolveSendTime } from '../../utils/sending-window.js';
+import { MESSAGE_CATEGORIES } from '../../services/frequency-caps.js';
+import { shortenLinks } from '../../services/link-shortener.js';
+import { issueRecipientCodes } from '../../services/discount-codes.js';
+import { logger } from '../../utils/logger.js';
+
+// Throttling: recipients are sent in batches with a pause between batches
+const BATCH_SIZE = parseInt(process.env.CAMPAIGN_SEND_BATCH_SIZE || '50');
+const BATCH_DELAY_MS = parseInt(process.env.CAMPAIGN_SEND_BATCH_DELAY_MS || '1000');
+
+// A claim older than this belongs to a worker that died mid-send
+const CLAIM_TIMEOUT_MS = parseInt(process.env.CAMPAIGN_SEND_CLAIM_TIMEOUT_MS || '300000');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Claim a pending recipient before calling the provider. Only one worker can
+ * win the claim, so concurrent or retried send jobs never message a recipient
+ * twice.
+ * @param {string} recipientId - Campaign recipient ID
+ * @returns {Promise<boolean>} True if this worker now owns the recipient
+ */
+async function claimRecipient(recipientId) {
+  const { count } = await prisma.campaignRecipient.updateMany({
+    where: { id: recipientId, status: 'pending' },
+    data: { status: 'sending', claimedAt: new Date() },
+  });
+  return count === 1;
+}
+
+/**
+ * Send the campaign message to one recipient and record the result. The
+ * recipient row, message log and campaign metrics are written together.
+ * @param {Object} campaign - Campaign record
+ * @param {Object} recipient - Pending campaign recipient record
+ * @param {string} sender - Sender name or number
+ * @param {Object} sendContext - Render context (shop, discount code of this recipient)
+ * @param {string} provider - SMS provider name for the shop
+ * @returns {Promise<string>} "sent", "failed", or "skipped" when another worker claimed it
+ */
+async function sendToRecipient(campaign, recipient, sender, sendContext, provider) {
+  if (!await claimRecipient(recipient.id)) return 'skipped';
+
+  const contact = recipient.contact || { phoneE164: recipient.phoneE164 };
+  let res;
+
+  try {
+    const text = await shortenLinks(renderCampaignMessage(campaign, contact, sendContext, recipient.variant), {
+      shopId: campaign.shopId,
+      campaignId: campaign.id,
+      recipientId: recipient.id,
+      contactId: recipient.contactId,
+    });
+
+    // Credits were consumed for the whole audience when the campaign was queued,
+    // so this send is not charged a second time
+    res = await sendMessage({
+      to: recipient.phoneE164,
+      text,
+      senderOverride: sender,
+      shopId: campaign.shopId,
+      charge: false,
+      provider,
+    });
+  } catch (err) {
+    const errorMessage = err?.message || String(err);
+    const errorType = classifySendError(err);
+
+    logger.error('Campaign SMS send failed', {
+      campaignId: campaign.id,
+      recipientId: recipient.id,
+      phoneE164: recipient.phoneE164,
+      error: errorMessage,
+      errorType,
+    });
+
+    await prisma.$transaction([
+      prisma.campaignRecipient.update({
+        where: { id: recipient.id },
+        data: {
+          status: 'failed',
+          error: errorMessage,
+          errorType,
+          senderNumber: sender,
+        },
+      }),
+      prisma.messageLog.create({
+        data: {
+          shopId: campaign.shopId,
+          phoneE164: recipient.phoneE164,
+          direction: 'outbound',
+          provider,
+          category: MESSAGE_CATEGORIES.MARKETING,
+          status: 'failed',
+          error: errorMessage,
+          campaignId: campaign.id,
+          senderNumber: sender,
+        },
+      }),
+      prisma.campaignMetrics.update({
+        where: { campaignId: campaign.id },
+        data: { totalFailed: { increment: 1 } },
+      }),
+    ]);
+
+    return 'failed';
+  }
+
+  const msgId = res?.messageId || null;
+
+  await prisma.$transaction([
+    prisma.campaignRecipient.update({
+      where: { id: recipient.id },
+      data: {
+        status: 'sent',
+        mittoMessageId: msgId,
+        sentAt: new Date(),
+        senderNumber: sender,
+        deliveryStatus: 'Queued',
+        error: null,
+        errorType: null,
+      },
+    }),
+    prisma.messageLog.create({
+      data: {
+        shopId: campaign.shopId,
+        phoneE164: recipient.phoneE164,
+        direction: 'outbound',
+        provider,
+        category: MESSAGE_CATEGORIES.MARKETING,
+        providerMsgId: msgId,
+        status: 'sent',
+        campaignId: campaign.id,
+        senderNumber: sender,
+        deliveryStatus: 'Queued',
+        segments: res.segments,
+      },
+    }),
+    prisma.campaignMetrics.update({
+      where: { campaignId: campaign.id },
+      data: { totalSent: { increment: 1 } },
+    }),
+  ]);
+
+  return 'sent';
+}
+
+/**
+ * Fail recipients whose claim outlived CLAIM_TIMEOUT_MS: the worker that
+ * claimed them died between calling the provider and recording the result.
+ * The message may have gone out, so they are not sent again and retry-failed
+ * leaves them alone (errorType "interrupted").
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<number>} Number of recipients released
+ */
+async function releaseStaleClaims(campaignId) {
+  const staleBefore = new Date(Date.now() - CLAIM_TIMEOUT_MS);
+
+  const released = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.campaignRecipient.updateMany({
+      where: { campaignId, status: 'sending', claimedAt: { lt: staleBefore } },
+      data: {
+        status: 'failed',
+        errorType: 'interrupted',
+        error: 'Send was interrupted before its result was recorded',
+      },
+    });
+
+    if (count > 0) {
+      await tx.campaignMetrics.update({
+        where: { campaignId },
+        data: { totalFailed: { increment: count } },
+      });
+    }
+
+    return count;
+  });
+
+  if (released > 0) {
+    logger.warn('Interrupted campaign sends marked failed', { campaignId, released });
+  }
+
+  return released;
+}
+
+/**
+ * Re-queue the campaign for when the oldest claim still in flight goes stale,
+ * so a worker that died mid-send cannot keep the campaign in sending forever
+ * @param {Object} campaign - Campaign record
+ * @returns {Promise<Date|null>} Re-check time, or null if nothing is in flight
+ */
+async function scheduleClaimCheck(campaign) {
+  const oldest = await prisma.campaignRecipient.findFirst({
+    where: { campaignId: campaign.id, status: 'sending' },
+    orderBy: { claimedAt: 'asc' },
+    select: { claimedAt: true },
+  });
+
+  if (!oldest) return null;
+
+  const checkAt = new Date((oldest.claimedAt?.getTime() || Date.now()) + CLAIM_TIMEOUT_MS);
+
+  await campaignQueue.add(SEND_CAMPAIGN_JOB, {
+    campaignId: campaign.id,
+    storeId: campaign.shopId,
+  }, {
+    delay: Math.max(0, checkAt.getTime() - Date.now()),
+    jobId: `campaign-claims-${campaign.id}-${checkAt.getTime()}`,
+  });
+
+  return checkAt;
+}
+
+/**
+ * Mark the campaign as finished once no pending recipients remain.
+ * Recurring campaigns with a future occurrence go back to scheduled.
+ * A cancel or pause that landed after the last batch keeps its status.
+ * @param {Object} campaign - Campaign record
+ * @returns {Promise<string|null>} Final campaign status, or null when no longer sending
+ */
+async function finalizeCampaign(campaign) {
+  const campaignId = campaign.id;
+
+  const [accepted, failed, current] = await Promise.all([
+    prisma.campaignRecipient.count({
+      where: { campaignId, status: { notIn: ['pending', 'failed', 'cancelled'] } },
+    }),
+    prisma.campaignRecipient.count({
+      where: { campaignId, status: 'failed' },
+    }),
+    prisma.campaign.findUnique({
+      where: { id: campaignId },
+      select: { scheduleType: true, scheduleAt: true },
+    }),
+  ]);
+
+  let status = accepted > 0 ? 'sent' : 'failed';
+
+  if (current?.scheduleType === 'recurring' && current.scheduleAt > new Date()) {
+    status = 'scheduled';
+  }
+
+  const { count } = await prisma.campaign.updateMany({
+    where: { id: campaignId, status: 'sending' },
+    data: { status },
+  });
+
+  if (count === 0) {
+    logger.info('Campaign left sending before it was finalized', { campaignId });
+    return null;
+  }
+
+  logger.info('Campaign finished', { campaignId, status, accepted, failed });
+
+  return status;
+}
+
+/**
+ * Hold back recipients whose local time is inside quiet hours
+ * @param {Array} deferrals - [{ recipient, sendAt }]
+ * @returns {Promise<void>}
+ */
+async function deferRecipients(deferrals) {
+  await Promise.all(deferrals.map(({ recipient, sendAt }) =>
+    prisma.campaignRecipient.update({
+      where: { id: recipient.id },
+      data: { deferredUntil: sendAt },
+    }),
+  ));
+}
+
+/**
+ * Re-queue the campaign for when its earliest deferred recipient may be sent
+ * @param {Object} campaign - Campaign record
+ * @returns {Promise<Date|null>} Resume time, or null if nothing is deferred
+ */
+async function scheduleDeferredResume(campaign) {
+  const next = await prisma.campaignRecipient.findFirst({
+    where: { campaignId: campaign.id, status: 'pending', deferredUntil: { gt: new Date() } },
+    orderBy: { deferredUntil: 'asc' },
+    select: { deferredUntil: true },
+  });
+
+  if (!next) return null;
+
+  const resumeAt = next.deferredUntil;
+
+  await campaignQueue.add(SEND_CAMPAIGN_JOB, {
+    campaignId: campaign.id,
+    storeId: campaign.shopId,
+  }, {
+    delay: Math.max(0, resumeAt.getTime() - Date.now()),
+    jobId: `campaign-resume-${campaign.id}-${resumeAt.getTime()}`,
+  });
+
+  return resumeAt;
+}
+
+/**
+ * Process a queued campaign: send every pending recipient in throttled batches.
+ * Recipients inside quiet hours are deferred and the job re-queues itself for
+ * the end of the window. Recipients held for an A/B winner are left alone.
+ * Each recipient is claimed before it is sent, so the job is safe to retry or
+ * run again after a crash; it picks up where the previous run stopped.
+ * @param {Object} job - BullMQ job with { campaignId, storeId }
+ * @returns {Promise<Object>} Send summary
+ */
+export async function handleCampaignSend(job) {
+  const { campaignId, storeId } = job.data;
+
+  const campaign = await prisma.campaign.findFirst({
+    where: { id: campaignId, shopId: storeId },
+    include: { variants: true },
+  });
+
+  if (!campaign) {
+    logger.warn('Campaign not found for send job', { campaignId, storeId });
+    return { ok: false, reason: 'campaign_not_found' };
+  }
+
+  if (campaign.status !== 'sending') {
+    logger.warn('Campaign is not in sending state, skipping send job', {
+      campaignId,
+      status: campaign.status,
+    });
+    return { ok: false, reason: 'invalid_status', status: campaign.status };
+  }
+
+  await releaseStaleClaims(campaignId);
+
+  const senderConfig = await getSenderConfig(storeId);
+  const sender = senderConfig.senderNumber || senderConfig.senderName;
+
+  const sendContext = await getCampaignSendContext(campaign);
+  const quietHours = await getQuietHours(storeId);
+  const { provider } = await getSmsProvider(storeId);
+
+  logger.info('Starting campaign send', { campaignId, storeId, sender, provider, batchSize: BATCH_SIZE });
+
+  let totalSent = 0;
+  let totalFailed = 0;
+  let totalDeferred = 0;
+
+  for (;;) {
+    // Pause and cancel take effect between batches
+    const current = await prisma.campaign.findUnique({
+      where: { id: campaignId },
+      select: { status: true },
+    });
+
+    if (current?.status !== 'sending') {
+      logger.info('Campaign send stopped', { campaignId, status: current?.status, totalSent, totalFailed });
+      return {
+        ok: true,
+        campaignId,
+        status: current?.status,
+        sent: totalSent,
+        failed: totalFailed,
+        stopped: true,
+      };
+    }
+
+    const now = new Date();
+    const batch = await prisma.campaignRecipient.findMany({
+      where: {
+        campaignId,
+        status: 'pending',
+        OR: [{ deferredUntil: null }, { deferredUntil: { lte: now } }],
+      },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      include: { contact: true, variant: true },
+    });
+
+    if (batch.length === 0) break;
+
+    const ready = [];
+    const deferrals = [];
+    for (const recipient of batch) {
+      const { deferred, sendAt } = resolveSendTime(quietHours, recipient.phoneE164, now);
+      if (deferred) {
+        deferrals.push({ recipient, sendAt });
+      } else {
+        ready.push(recipient);
+      }
+    }
+
+    if (deferrals.length > 0) {
+      await deferRecipients(deferrals);
+      totalDeferred += deferrals.length;
+    }
+
+    // Unique-code campaigns issue each recipient's code right before sending
+    const codes = sendContext.uniqueDiscountCodes && ready.length > 0
+      ? await issueRecipientCodes(campaign, sendContext.shop.shopDomain, ready)
+      : null;
+
+    const results = await Promise.all(ready.map(recipient => sendToRecipient(
+      campaign,
+      recipient,
+      sender,
+      codes ? { ...sendContext, discountCode: codes.get(recipient.id) || null } : sendContext,
+      provider,
+    )));
+
+    const sent = results.filter(r => r === 'sent').length;
+    const failed = results.filter(r => r === 'failed').length;
+    totalSent += sent;
+    totalFailed += failed;
+
+    await job.updateProgress({ sent: totalSent, failed: totalFailed, deferred: totalDeferred });
+
+    logger.info('Campaign batch processed', {
+      campaignId,
+      sent,
+      failed,
+      deferred: deferrals.length,
+      totalSent,
+      totalFailed,
+    });
+
+    if (ready.length > 0 && batch.length === BATCH_SIZE && BATCH_DELAY_MS > 0) {
+      await sleep(BATCH_DELAY_MS);
+    }
+  }
+
+  // Recipients still in quiet hours keep the campaign in sending state
+  const resumeAt = await scheduleDeferredResume(campaign);
+
+  if (resumeAt) {
+    logger.info('Campaign paused for quiet hours', { campaignId, totalDeferred, resumeAt });
+    return {
+      ok: true,
+      campaignId,
+      status: 'sending',
+      sent: totalSent,
+      failed: totalFailed,
+      deferred: totalDeferred,
+      resumeAt,
+    };
+  }
+
+  // Another run is still sending (or died sending) some recipients
+  const claimCheckAt = await scheduleClaimCheck(campaign);
+
+  if (claimCheckAt) {
+    logger.info('Campaign has sends in flight, finishing later', { campaignId, claimCheckAt });
+    return {
+      ok: true,
+      campaignId,
+      status: 'sending',
+      sent: totalSent,
+      failed: totalFailed,
+      claimCheckAt,
+    };
+  }
+
+  // A/B campaigns stay in sending state until the winner goes to the held recipients
+  const held = await prisma.campaignRecipient.count({
+    where: { campaignId, status: 'held' },
+  });
+
+  if (held > 0) {
+    logger.info('A/B test batch sent, awaiting winner', { campaignId, totalSent, held });
+    return {
+      ok: true,
+      campaignId,
+      status: 'sending',
+      sent: totalSent,
+      failed: totalFailed,
+      awaitingWinner: held,
+    };
+  }
+
+  const status = await finalizeCampaign(campaign);
+
+  return { ok: true, campaignId, status, sent: totalSent, failed: totalFailed };
+}
+
+export default { handleCampaignSend };
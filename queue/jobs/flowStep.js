@@ -0,0 +1,15 @@
+import { runFlowStep } from '../../services/automation-flows.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Run the due steps of an automation flow run
+ * @param {Object} job - BullMQ job with { runId }
+ * @returns {Promise<Object>} Execution summary
+ */
+export async function handleFlowStep(job) {
+  const { runId } = job.data;
+
+  logger.info('Running flow step', { runId, jobId: job.id });
+
+  return await runFlowStep(runId);
+}
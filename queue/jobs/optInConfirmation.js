@@ -0,0 +1,15 @@
+import { sendOptInConfirmation } from '../../services/consent.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Send a double opt-in confirmation SMS
+ * @param {Object} job - BullMQ job with { shopId, contactId }
+ * @returns {Promise<Object>} Send result
+ */
+export async function handleOptInConfirmation(job) {
+  const { shopId, contactId } = job.data;
+
+  logger.info('Sending opt-in confirmation', { shopId, contactId, jobId: job.id });
+
+  return await sendOptInConfirmation(shopId, contactId);
+}
@@ -0,0 +1,205 @@
+import { DelayedError } from 'bullmq';
+import prisma from '../../services/prisma.js';
+import { sendMessage, classifySendError } from '../../services/sms.js';
+import { getQuietHours, getSmsProvider } from '../../services/settings.js';
+import { resolveSendTime } from '../../utils/sending-window.js';
+import { MESSAGE_CATEGORIES } from '../../services/frequency-caps.js';
+import { validateAndConsumeCredits } from '../../services/credit-validation.js';
+import { countSmsSegments } from '../../utils/sms-segments.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Find or create the recipient row a campaign SMS job sends to. The row is the
+ * idempotency key for (campaign, phone): credits are consumed only when it is
+ * created, so retries of the job are not charged again.
+ * @returns {Promise<Object>} Campaign recipient
+ */
+async function findOrCreateRecipient({ campaignId, recipientId, shopId, phoneE164, message }) {
+  if (recipientId) {
+    return prisma.campaignRecipient.findFirst({ where: { id: recipientId, campaignId } });
+  }
+
+  const existing = await prisma.campaignRecipient.findFirst({ where: { campaignId, occurrence: 0, phoneE164 } });
+  if (existing) return existing;
+
+  const segments = Math.max(1, countSmsSegments(message).segments);
+  let recipient;
+  try {
+    recipient = await prisma.campaignRecipient.create({
+      data: { campaignId, contactId: null, phoneE164, status: 'pending', segments },
+    });
+  } catch (error) {
+    // A concurrent job created the row (and consumed its credits) first
+    if (error.code === 'P2002') {
+      return prisma.campaignRecipient.findFirst({ where: { campaignId, occurrence: 0, phoneE164 } });
+    }
+    throw error;
+  }
+
+  try {
+    await validateAndConsumeCredits(shopId, segments);
+  } catch (error) {
+    await prisma.campaignRecipient.update({
+      where: { id: recipient.id },
+      data: { status: 'failed', error: error.message, errorType: 'validation' },
+    });
+    throw error;
+  }
+
+  return recipient;
+}
+
+/**
+ * Send a single queued campaign SMS. Jobs that reach the worker during the
+ * shop's quiet hours are moved back to the delayed set until the window ends.
+ * The recipient is claimed before the provider is called, so a retried or
+ * duplicated job never sends twice; only transient failures are retried.
+ * @param {Object} job - BullMQ job with { campaignId, recipientId?, shopId, phoneE164, message, sender }
+ * @param {string} token - Worker lock token (needed to move the job)
+ * @returns {Promise<Object>} Send result
+ */
+export async function handleSmsSend(job, token) {
+  const { campaignId, shopId, phoneE164, message, sender } = job.data;
+
+  const { deferred, sendAt } = resolveSendTime(await getQuietHours(shopId), phoneE164);
+
+  if (deferred) {
+    logger.info('SMS deferred by quiet hours', { campaignId, shopId, phoneE164, sendAt });
+    await job.moveToDelayed(sendAt.getTime(), token);
+    throw new DelayedError();
+  }
+
+  // Jobs of a cancelled or paused campaign are dropped when they run
+  const campaign = await prisma.campaign.findUnique({ where: { id: campaignId }, select: { status: true } });
+  if (['cancelled', 'paused'].includes(campaign?.status)) {
+    logger.info('Campaign not sending, SMS job skipped', { campaignId, status: campaign.status });
+    return { ok: false, reason: 'campaign_not_sending', status: campaign.status };
+  }
+
+  let recipient;
+  try {
+    recipient = await findOrCreateRecipient(job.data);
+  } catch (error) {
+    logger.error('SMS not sent, credits could not be consumed', { campaignId, phoneE164, error: error.message });
+    return { ok: false, reason: 'credits', error: error.message };
+  }
+
+  if (!recipient) {
+    logger.warn('Campaign recipient not found for SMS job', { campaignId, recipientId: job.data.recipientId });
+    return { ok: false, reason: 'recipient_not_found' };
+  }
+
+  // A previous attempt that failed transiently may be claimed again
+  const { count } = await prisma.campaignRecipient.updateMany({
+    where: {
+      id: recipient.id,
+      OR: [{ status: 'pending' }, { status: 'failed', errorType: 'transient' }],
+    },
+    data: { status: 'sending', claimedAt: new Date() },
+  });
+
+  if (count === 0) {
+    logger.info('SMS already handled for recipient, skipping', { campaignId, recipientId: recipient.id });
+    return { ok: true, skipped: true, recipientId: recipient.id };
+  }
+
+  const { provider } = await getSmsProvider(shopId);
+  let res;
+
+  try {
+    res = await sendMessage({
+      to: phoneE164,
+      text: message,
+      senderOverride: sender,
+      shopId,
+      charge: false,
+      provider,
+    });
+  } catch (err) {
+    const errorMessage = err?.message || String(err);
+    const errorType = classifySendError(err);
+    const willRetry = errorType === 'transient' && job.attemptsMade + 1 < (job.opts.attempts || 1);
+
+    logger.error('SMS send failed via queue', {
+      campaignId,
+      phoneE164,
+      error: errorMessage,
+      errorType,
+      willRetry,
+    });
+
+    await prisma.$transaction([
+      prisma.campaignRecipient.update({
+        where: { id: recipient.id },
+        data: { status: 'failed', error: errorMessage, errorType, senderNumber: sender },
+      }),
+      prisma.messageLog.create({
+        data: {
+          shopId,
+          phoneE164,
+          direction: 'outbound',
+          provider,
+          category: MESSAGE_CATEGORIES.MARKETING,
+          status: 'failed',
+          error: errorMessage,
+          campaignId,
+        },
+      }),
+      // A failure is counted once, when no retry follows
+      ...(willRetry ? [] : [prisma.campaignMetrics.update({
+        where: { campaignId },
+        data: { totalFailed: { increment: 1 } },
+      })]),
+    ]);
+
+    if (willRetry) throw err;
+
+    return { ok: false, recipientId: recipient.id, error: errorMessage, errorType };
+  }
+
+  const msgId = res?.messageId || null;
+
+  await prisma.$transaction([
+    prisma.campaignRecipient.update({
+      where: { id: recipient.id },
+      data: {
+        status: 'sent',
+        mittoMessageId: msgId,
+        sentAt: new Date(),
+        senderNumber: sender,
+        deliveryStatus: 'Queued', // Initial status until the provider reports delivery
+        error: null,
+        errorType: null,
+      },
+    }),
+    prisma.messageLog.create({
+      data: {
+        shopId,
+        phoneE164,
+        direction: 'outbound',
+        provider,
+        category: MESSAGE_CATEGORIES.MARKETING,
+        providerMsgId: msgId,
+        status: 'sent',
+        campaignId,
+        senderNumber: sender,
+        deliveryStatus: 'Queued',
+        segments: res.segments,
+      },
+    }),
+    prisma.campaignMetrics.update({
+      where: { campaignId },
+      data: { totalSent: { increment: 1 } },
+    }),
+  ]);
+
+  logger.info('SMS sent successfully via queue', {
+    campaignId,
+    phoneE164,
+    msgId,
+  });
+
+  return { ok: true, msgId, recipientId: recipient.id };
+}
+
+export default { handleSmsSend };
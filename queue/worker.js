@@ -1,14 +1,48 @@
 import { Worker } from 'bullmq';
 import { queueRedis } from '../config/redis.js';
-import { handleMittoSend } from './jobs/mittoSend.js';
+import { handleSmsSend } from './jobs/smsSend.js';
+import { handleCampaignSend } from './jobs/campaignSend.js';
+import { handleScheduledCampaignLaunch } from './jobs/campaignSchedule.js';
+import { handleAbWinnerSelection } from './jobs/abTestWinner.js';
+import { handleOptInConfirmation } from './jobs/optInConfirmation.js';
+import {
+  handleAbandonedCartTrigger,
+  handleOrderConfirmationTrigger,
+  handleFulfillmentTrigger,
+  handleReviewRequestTrigger,
+  handleReorderReminderTrigger,
+  handleCustomerReengagementTrigger,
+  handleBirthdayTrigger,
+  handleDeferredAutomation,
+  handleDailyReengagementCheck,
+  handleDailyBirthdayCheck,
+  handleDailyReorderCheck,
+} from './jobs/automationTriggers.js';
+import { handleFlowStep } from './jobs/flowStep.js';
+import {
+  restoreScheduledCampaigns,
+  resumeSendingCampaigns,
+  LAUNCH_CAMPAIGN_JOB,
+  SEND_CAMPAIGN_JOB,
+} from '../services/scheduler.js';
+import { OPT_IN_CONFIRMATION_JOB } from '../services/consent.js';
+import { DEFERRED_AUTOMATION_JOB, AUTOMATION_JOBS, scheduleDailyAutomationChecks } from '../services/automations.js';
+import { FLOW_STEP_JOB } from '../services/automation-flows.js';
+import { AB_WINNER_JOB } from '../services/ab-testing.js';
 import { logger } from '../utils/logger.js';
 
 // SMS Worker
 export const smsWorker = new Worker(
   'sms-send',
-  async (job) => {
+  async (job, token) => {
     logger.info(`Processing SMS job ${job.id}`, { jobData: job.data });
-    return await handleMittoSend(job);
+
+    switch (job.name) {
+    case OPT_IN_CONFIRMATION_JOB:
+      return await handleOptInConfirmation(job);
+    default:
+      return await handleSmsSend(job, token);
+    }
   },
   {
     connection: queueRedis,
@@ -23,8 +57,16 @@ export const campaignWorker = new Worker(
   'campaign-send',
   async (job) => {
     logger.info(`Processing campaign job ${job.id}`, { jobData: job.data });
-    // TODO: Implement campaign processing logic
-    return { status: 'processed', jobId: job.id };
+
+    switch (job.name) {
+    case LAUNCH_CAMPAIGN_JOB:
+      return await handleScheduledCampaignLaunch(job);
+    case AB_WINNER_JOB:
+      return await handleAbWinnerSelection(job);
+    case SEND_CAMPAIGN_JOB:
+    default:
+      return await handleCampaignSend(job);
+    }
   },
   {
     connection: queueRedis,
@@ -39,8 +81,36 @@ export const automationWorker = new Worker(
   'automation-trigger',
   async (job) => {
     logger.info(`Processing automation job ${job.id}`, { jobData: job.data });
-    // TODO: Implement automation processing logic
-    return { status: 'processed', jobId: job.id };
+
+    switch (job.name) {
+    case AUTOMATION_JOBS.ABANDONED_CART:
+      return await handleAbandonedCartTrigger(job);
+    case AUTOMATION_JOBS.ORDER_CONFIRMATION:
+      return await handleOrderConfirmationTrigger(job);
+    case AUTOMATION_JOBS.FULFILLMENT_UPDATE:
+      return await handleFulfillmentTrigger(job);
+    case AUTOMATION_JOBS.REVIEW_REQUEST:
+      return await handleReviewRequestTrigger(job);
+    case AUTOMATION_JOBS.REORDER_REMINDER:
+      return await handleReorderReminderTrigger(job);
+    case AUTOMATION_JOBS.CUSTOMER_REENGAGEMENT:
+      return await handleCustomerReengagementTrigger(job);
+    case AUTOMATION_JOBS.BIRTHDAY:
+      return await handleBirthdayTrigger(job);
+    case AUTOMATION_JOBS.DAILY_REENGAGEMENT_CHECK:
+      return await handleDailyReengagementCheck(job);
+    case AUTOMATION_JOBS.DAILY_BIRTHDAY_CHECK:
+      return await handleDailyBirthdayCheck(job);
+    case AUTOMATION_JOBS.DAILY_REORDER_CHECK:
+      return await handleDailyReorderCheck(job);
+    case DEFERRED_AUTOMATION_JOB:
+      return await handleDeferredAutomation(job);
+    case FLOW_STEP_JOB:
+      return await handleFlowStep(job);
+    default:
+      logger.warn(`Unknown automation job ${job.name}`, { jobId: job.id });
+      return { status: 'ignored', jobId: job.id };
+    }
   },
   {
     connection: queueRedis,
@@ -99,3 +169,18 @@ process.on('SIGTERM', gracefulShutdown);
 process.on('SIGINT', gracefulShutdown);
 
 logger.info('Workers started successfully');
+
+// Re-arm scheduled campaign launches that may have been lost while the worker was down
+restoreScheduledCampaigns().catch((error) => {
+  logger.error('Failed to restore scheduled campaigns', { error: error.message });
+});
+
+// Continue campaign sends cut short by a crash or restart; sent recipients are skipped
+resumeSendingCampaigns().catch((error) => {
+  logger.error('Failed to resume sending campaigns', { error: error.message });
+});
+
+// Register the repeatable daily birthday, re-engagement and reorder checks
+scheduleDailyAutomationChecks().catch((error) => {
+  logger.error('Failed to schedule daily automation checks', { error: error.message });
+});
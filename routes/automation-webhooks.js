@@ -5,7 +5,11 @@ const r = express.Router();
 
 // Shopify webhook routes (no authentication required)
 r.post('/shopify/orders/create', ctrl.handleOrderCreated);
-r.post('/shopify/cart/abandoned', ctrl.handleCartAbandoned);
+r.post('/shopify/checkouts/create', ctrl.handleCheckout);
+r.post('/shopify/checkouts/update', ctrl.handleCheckout);
+r.post('/shopify/fulfillments/create', ctrl.handleFulfillment);
+r.post('/shopify/fulfillments/update', ctrl.handleFulfillment);
+r.post('/shopify/fulfillment_events/create', ctrl.handleFulfillmentEvent);
 
 // Manual trigger route (for testing)
 r.post('/trigger', ctrl.triggerAutomationManually);
@@ -1,11 +1,29 @@
 import express from 'express';
 import * as ctrl from '../controllers/automations.js';
+import * as flows from '../controllers/automation-flows.js';
+import { validateBody, validateQuery } from '../middlewares/validation.js';
+import {
+  createFlowSchema,
+  updateFlowSchema,
+  enrollFlowContactsSchema,
+  flowRunsQuerySchema,
+} from '../schemas/automations.schema.js';
 
 const r = express.Router();
 
 // User automation routes (requires shop context)
 r.get('/', ctrl.getUserAutomations);
 r.get('/stats', ctrl.getAutomationStats);
+
+// Multi-step flows (drip sequences)
+r.get('/flows', flows.list);
+r.post('/flows', validateBody(createFlowSchema), flows.create);
+r.get('/flows/:id', flows.getOne);
+r.put('/flows/:id', validateBody(updateFlowSchema), flows.update);
+r.delete('/flows/:id', flows.remove);
+r.post('/flows/:id/enroll', validateBody(enrollFlowContactsSchema), flows.enroll);
+r.get('/flows/:id/runs', validateQuery(flowRunsQuerySchema), flows.runs);
+
 r.put('/:id', ctrl.updateUserAutomation);
 
 // Admin routes (system defaults)
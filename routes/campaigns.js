@@ -6,8 +6,15 @@ import {
   updateCampaignSchema,
   listCampaignsQuerySchema,
   scheduleCampaignSchema,
+  testSendCampaignSchema,
+  resendCampaignSchema,
+  campaignCalendarQuerySchema,
 } from '../schemas/campaigns.schema.js';
-import { campaignsRateLimit, campaignSendRateLimit } from '../middlewares/rateLimits.js';
+import {
+  campaignsRateLimit,
+  campaignSendRateLimit,
+  campaignTestSendRateLimit,
+} from '../middlewares/rateLimits.js';
 import {
   campaignsListCache,
   campaignMetricsCache,
@@ -25,6 +32,9 @@ r.get('/', validateQuery(listCampaignsQuerySchema), campaignsListCache, ctrl.lis
 // GET /campaigns/stats/summary - Get campaign statistics
 r.get('/stats/summary', campaignsListCache, ctrl.stats);
 
+// GET /campaigns/calendar - Campaigns and automation volume per day in the shop timezone
+r.get('/calendar', validateQuery(campaignCalendarQuerySchema), campaignsListCache, ctrl.calendar);
+
 // GET /campaigns/:id - Get single campaign
 r.get('/:id', ctrl.getOne);
 
@@ -43,9 +53,27 @@ r.post('/:id/prepare', ctrl.prepare);
 // POST /campaigns/:id/send - Send campaign immediately (stricter rate limit)
 r.post('/:id/send', campaignSendRateLimit, invalidateCampaignsCache, ctrl.sendNow);
 
+// POST /campaigns/:id/test-send - Send the rendered message to seed numbers (own rate limit)
+r.post('/:id/test-send', campaignTestSendRateLimit, validateBody(testSendCampaignSchema), ctrl.testSend);
+
 // PUT /campaigns/:id/schedule - Schedule campaign
 r.put('/:id/schedule', validateBody(scheduleCampaignSchema), invalidateCampaignsCache, ctrl.schedule);
 
+// POST /campaigns/:id/cancel - Cancel and refund unsent recipients
+r.post('/:id/cancel', invalidateCampaignsCache, ctrl.cancel);
+
+// POST /campaigns/:id/pause - Pause a sending campaign
+r.post('/:id/pause', invalidateCampaignsCache, ctrl.pause);
+
+// POST /campaigns/:id/resume - Resume a paused campaign
+r.post('/:id/resume', invalidateCampaignsCache, ctrl.resume);
+
+// POST /campaigns/:id/retry-failed - Re-queue recipients that failed for a transient reason
+r.post('/:id/retry-failed', campaignSendRateLimit, invalidateCampaignsCache, ctrl.retryFailed);
+
+// POST /campaigns/:id/resend - Create a follow-up draft for non-clickers or non-deliverers
+r.post('/:id/resend', validateBody(resendCampaignSchema), invalidateCampaignsCache, ctrl.resend);
+
 // GET /campaigns/:id/metrics - Get campaign metrics
 r.get('/:id/metrics', campaignMetricsCache, ctrl.metrics);
 
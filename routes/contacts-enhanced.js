@@ -2,6 +2,7 @@ import express from 'express';
 import {
   list,
   getOne,
+  consentTimeline,
   create,
   update,
   remove,
@@ -48,6 +49,9 @@ router.get('/birthdays', validateQuery(birthdayContactsQuerySchema), getBirthday
 // GET /api/contacts/:id - Get single contact
 router.get('/:id', getOne);
 
+// GET /api/contacts/:id/consent - Consent history (audit trail)
+router.get('/:id/consent', consentTimeline);
+
 // POST /api/contacts - Create new contact
 router.post('/', validateBody(createContactSchema), invalidateContactsCache, create);
 
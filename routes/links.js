@@ -0,0 +1,9 @@
+import express from 'express';
+import * as ctrl from '../controllers/links.js';
+
+const r = express.Router();
+
+// Redirect a short link from an SMS and record the click (public)
+r.get('/:code', ctrl.redirect);
+
+export default r;
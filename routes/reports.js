@@ -11,6 +11,7 @@ r.get('/kpis', rlReportsGeneral, ctrl.kpis);
 r.get('/campaigns', rlReportsGeneral, ctrl.campaigns);
 r.get('/campaigns/:id', rlReportsGeneral, ctrl.campaignById);
 r.get('/automations', rlReportsGeneral, ctrl.automations);
+r.get('/attribution', rlReportsGeneral, ctrl.attribution);
 r.get('/messaging', rlReportsGeneral, ctrl.messaging);
 r.get('/credits', rlReportsGeneral, ctrl.credits);
 r.get('/contacts', rlReportsGeneral, ctrl.contacts);
@@ -0,0 +1,38 @@
+import { Router } from 'express';
+import * as ctrl from '../controllers/segments.js';
+import { validateBody, validateQuery } from '../middlewares/validation.js';
+import {
+  createSegmentSchema,
+  updateSegmentSchema,
+  previewSegmentSchema,
+  segmentContactsQuerySchema,
+} from '../schemas/segments.schema.js';
+import { contactsRateLimit } from '../middlewares/rateLimits.js';
+
+const r = Router();
+
+// Segments query contacts, so they share the contacts rate limit
+r.use(contactsRateLimit);
+
+// GET /segments - List segments
+r.get('/', ctrl.list);
+
+// POST /segments/preview - Evaluate unsaved rules (live count)
+r.post('/preview', validateBody(previewSegmentSchema), ctrl.preview);
+
+// GET /segments/:id - Get segment with live counts
+r.get('/:id', ctrl.getOne);
+
+// GET /segments/:id/contacts - Contacts currently in the segment
+r.get('/:id/contacts', validateQuery(segmentContactsQuerySchema), ctrl.contacts);
+
+// POST /segments - Create segment
+r.post('/', validateBody(createSegmentSchema), ctrl.create);
+
+// PUT /segments/:id - Update segment
+r.put('/:id', validateBody(updateSegmentSchema), ctrl.update);
+
+// DELETE /segments/:id - Delete segment
+r.delete('/:id', ctrl.remove);
+
+export default r;
@@ -1,5 +1,13 @@
 import express from 'express';
 import * as ctrl from '../controllers/settings.js';
+import { validateBody } from '../middlewares/validation.js';
+import {
+  consentSettingsSchema,
+  quietHoursSchema,
+  frequencyCapsSchema,
+  smsProviderSchema,
+  attributionSettingsSchema,
+} from '../schemas/settings.schema.js';
 
 const r = express.Router();
 
@@ -7,5 +15,15 @@ const r = express.Router();
 r.get('/', ctrl.getSettings);
 r.get('/account', ctrl.getAccountInfo);
 r.put('/sender', ctrl.updateSenderNumber);
+r.get('/consent', ctrl.getConsentSettings);
+r.put('/consent', validateBody(consentSettingsSchema), ctrl.updateConsentSettings);
+r.get('/quiet-hours', ctrl.getQuietHours);
+r.put('/quiet-hours', validateBody(quietHoursSchema), ctrl.updateQuietHours);
+r.get('/frequency-caps', ctrl.getFrequencyCaps);
+r.put('/frequency-caps', validateBody(frequencyCapsSchema), ctrl.updateFrequencyCaps);
+r.get('/sms-provider', ctrl.getSmsProvider);
+r.put('/sms-provider', validateBody(smsProviderSchema), ctrl.updateSmsProvider);
+r.get('/attribution', ctrl.getAttributionSettings);
+r.put('/attribution', validateBody(attributionSettingsSchema), ctrl.updateAttributionSettings);
 
 export default r;
@@ -0,0 +1,10 @@
+import { Router } from 'express';
+import * as ctrl from '../controllers/sms-webhooks.js';
+const r = Router();
+// Adjust paths to match Mitto webhook config
+r.post('/webhooks/mitto/dlr', ctrl.deliveryReport);
+r.post('/webhooks/mitto/inbound', ctrl.inboundMessage);
+// Provider-specific webhooks, e.g. /webhooks/sms/mock/dlr
+r.post('/webhooks/sms/:provider/dlr', ctrl.deliveryReport);
+r.post('/webhooks/sms/:provider/inbound', ctrl.inboundMessage);
+export default r;
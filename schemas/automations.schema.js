@@ -0,0 +1,76 @@
+import { z } from 'zod';
+
+/**
+ * Automation Flow Validation Schemas
+ * Template variables and branch targets are checked by the flows service
+ * (services/automation-flows.js) once the whole step list is known.
+ */
+
+const branchTargetSchema = z.union([z.number().int().min(0), z.literal('exit')]);
+
+const flowStepSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('send_sms'),
+    message: z.string().min(1, 'Message is required').max(1600, 'Message too long'),
+  }),
+  z.object({
+    type: z.literal('wait'),
+    amount: z.number().int().min(1, 'Wait must be at least 1').max(365),
+    unit: z.enum(['hours', 'days']),
+  }),
+  z.object({
+    type: z.literal('branch'),
+    condition: z.enum(['clicked', 'ordered', 'replied']),
+    ifTrue: branchTargetSchema.optional(),
+    ifFalse: branchTargetSchema.optional(),
+  }),
+  z.object({
+    type: z.literal('add_tag'),
+    tag: z.string().trim().min(1, 'Tag is required').max(50, 'Tag too long'),
+  }),
+  z.object({
+    type: z.literal('exit'),
+  }),
+]);
+
+/**
+ * Create Flow Schema
+ */
+export const createFlowSchema = z.object({
+  name: z.string().min(1, 'Flow name is required').max(100, 'Flow name too long'),
+  triggerEvent: z.enum(['contact_opted_in', 'order_placed', 'manual']),
+  steps: z.array(flowStepSchema).min(1, 'Add at least one step').max(30, 'At most 30 steps'),
+  goal: z.enum(['ordered', 'clicked', 'replied']).nullable().optional(),
+  allowReentry: z.boolean().optional(),
+  isActive: z.boolean().optional(),
+});
+
+/**
+ * Update Flow Schema
+ */
+export const updateFlowSchema = createFlowSchema.partial().refine((data) => Object.keys(data).length > 0, {
+  message: 'At least one field must be provided for update',
+});
+
+/**
+ * Enroll Contacts Schema
+ */
+export const enrollFlowContactsSchema = z.object({
+  contactIds: z.array(z.string().min(1)).min(1, 'Select at least one contact').max(1000, 'At most 1000 contacts'),
+});
+
+/**
+ * Flow Runs Query Schema
+ */
+export const flowRunsQuerySchema = z.object({
+  status: z.enum(['active', 'completed', 'exited', 'failed']).optional(),
+  page: z.coerce.number().int().min(1).default(1),
+  pageSize: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+export default {
+  createFlowSchema,
+  updateFlowSchema,
+  enrollFlowContactsSchema,
+  flowRunsQuerySchema,
+};
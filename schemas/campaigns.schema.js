@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { hasExplicitOffset } from '../utils/timezone.js';
 
 /**
  * Campaign Validation Schemas
@@ -6,11 +7,21 @@ import { z } from 'zod';
  */
 
 // Campaign status validation
-const campaignStatusSchema = z.enum(['draft', 'scheduled', 'sending', 'sent', 'failed', 'cancelled']);
+const campaignStatusSchema = z.enum(['draft', 'scheduled', 'sending', 'paused', 'sent', 'failed', 'cancelled']);
 
 // Schedule type validation
 const scheduleTypeSchema = z.enum(['immediate', 'scheduled', 'recurring']);
 
+// Schedule date: ISO datetime with an offset, or a local datetime in the shop timezone
+const scheduleAtSchema = z.string().datetime({
+  offset: true,
+  local: true,
+  message: 'Schedule date must be a valid ISO date string',
+});
+
+// Local datetimes are resolved against the shop timezone in the service layer
+const isFutureScheduleDate = (value) => !hasExplicitOffset(value) || new Date(value) > new Date();
+
 // Audience validation
 const audienceSchema = z.string()
   .refine((val) => {
@@ -24,6 +35,35 @@ const audienceSchema = z.string()
     message: 'Audience must be "all", "male", "female", "men", "women", or "segment:<id>"',
   });
 
+// A/B test variants; variant A doubles as the campaign message
+const variantsSchema = z.array(z.object({
+  message: z.string()
+    .min(1, 'Variant message is required')
+    .max(1600, 'Message is too long (max 1600 characters)'),
+})).min(2, 'At least 2 variants are required').max(5, 'At most 5 variants are allowed');
+
+/**
+ * A/B Test Schema
+ * testPercent of the audience is split evenly across the variants; the rest
+ * gets the winner after waitMinutes
+ */
+const abTestSchema = z.object({
+  testPercent: z.number().int().min(5).max(90).optional(),
+  winningMetric: z.enum(['delivery', 'clicks', 'orders']).optional(),
+  waitMinutes: z.number().int().min(15).max(7 * 24 * 60).optional(),
+});
+
+/**
+ * Exclusion Rules Schema
+ * Contacts matching any rule are left out of the audience
+ */
+const exclusionsSchema = z.object({
+  segmentIds: z.array(z.string().min(1)).max(20).optional(),
+  tags: z.array(z.string().min(1).max(100)).max(50).optional(),
+  messagedWithinDays: z.number().int().min(1).max(365).optional(),
+  purchasedWithinDays: z.number().int().min(1).max(365).optional(),
+});
+
 /**
  * Create Campaign Schema
  */
@@ -33,12 +73,29 @@ export const createCampaignSchema = z.object({
     .max(200, 'Campaign name too long'),
   message: z.string()
     .min(1, 'Campaign message is required')
-    .max(1600, 'Message is too long (max 1600 characters)'),
+    .max(1600, 'Message is too long (max 1600 characters)')
+    .optional(),
+  variants: variantsSchema.optional(),
+  abTest: abTestSchema.optional(),
   audience: audienceSchema.default('all'),
   discountId: z.string().optional(),
+  uniqueDiscountCodes: z.boolean().optional(),
+  exclusions: exclusionsSchema.optional(),
   scheduleType: scheduleTypeSchema.default('immediate'),
-  scheduleAt: z.string().datetime().optional(),
+  scheduleAt: scheduleAtSchema.optional(),
   recurringDays: z.number().int().positive().max(365).optional(),
+}).refine((data) => !!data.message || !!data.variants, {
+  message: 'Campaign message is required',
+  path: ['message'],
+}).refine((data) => !data.abTest || !!data.variants, {
+  message: 'Variants are required for an A/B test',
+  path: ['variants'],
+}).refine((data) => !data.variants || data.scheduleType !== 'recurring', {
+  message: 'A/B tests are not supported for recurring campaigns',
+  path: ['variants'],
+}).refine((data) => !data.uniqueDiscountCodes || !!data.discountId, {
+  message: 'Unique discount codes need a discount',
+  path: ['discountId'],
 }).refine((data) => {
   if (data.scheduleType === 'scheduled') {
     return !!data.scheduleAt;
@@ -57,7 +114,7 @@ export const createCampaignSchema = z.object({
   path: ['recurringDays'],
 }).refine((data) => {
   if (data.scheduleAt) {
-    return new Date(data.scheduleAt) > new Date();
+    return isFutureScheduleDate(data.scheduleAt);
   }
   return true;
 }, {
@@ -73,13 +130,54 @@ export const updateCampaignSchema = z.object({
   message: z.string().min(1).max(1600).optional(),
   audience: audienceSchema.optional(),
   discountId: z.string().optional().nullable(),
+  uniqueDiscountCodes: z.boolean().optional(),
+  exclusions: exclusionsSchema.optional().nullable(),
   scheduleType: scheduleTypeSchema.optional(),
-  scheduleAt: z.string().datetime().optional().nullable(),
+  scheduleAt: scheduleAtSchema.optional().nullable(),
   recurringDays: z.number().int().positive().max(365).optional().nullable(),
+  variants: variantsSchema.optional().nullable(),
+  abTest: abTestSchema.optional(),
 }).refine((data) => Object.keys(data).length > 0, {
   message: 'At least one field must be provided for update',
 });
 
+// Most seed numbers a single test send may target
+export const MAX_TEST_SEND_RECIPIENTS = 5;
+
+/**
+ * Test Send Schema
+ * Seeds are phone numbers and/or contact IDs; sampleContactId picks whose
+ * data fills the message variables
+ */
+export const testSendCampaignSchema = z.object({
+  phones: z.array(z.string()
+    .regex(/^\+[1-9]\d{1,14}$/, 'Phone number must be in E.164 format (e.g., +306977123456)'))
+    .optional(),
+  contactIds: z.array(z.string().min(1)).optional(),
+  sampleContactId: z.string().min(1).optional(),
+  variant: z.string().regex(/^[A-E]$/, 'Variant must be a label from A to E').optional(),
+}).refine((data) => {
+  const count = (data.phones?.length || 0) + (data.contactIds?.length || 0);
+  return count > 0 && count <= MAX_TEST_SEND_RECIPIENTS;
+}, {
+  message: `Provide between 1 and ${MAX_TEST_SEND_RECIPIENTS} phone numbers or contact IDs`,
+  path: ['phones'],
+});
+
+/**
+ * Resend Campaign Schema
+ * The follow-up goes to the parent's non-clickers or non-deliverers with its
+ * own message; discountId defaults to the parent's discount
+ */
+export const resendCampaignSchema = z.object({
+  target: z.enum(['non_clickers', 'non_deliverers']),
+  message: z.string()
+    .min(1, 'Campaign message is required')
+    .max(1600, 'Message is too long (max 1600 characters)'),
+  name: z.string().min(1).max(200).optional(),
+  discountId: z.string().optional().nullable(),
+});
+
 /**
  * List Campaigns Query Schema
  */
@@ -91,18 +189,37 @@ export const listCampaignsQuerySchema = z.object({
   sortOrder: z.enum(['asc', 'desc']).default('desc'),
 });
 
+const localDateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format');
+
+/**
+ * Campaign Calendar Query Schema
+ * Local dates in the shop timezone, both inclusive
+ */
+export const campaignCalendarQuerySchema = z.object({
+  from: localDateSchema,
+  to: localDateSchema,
+});
+
 /**
  * Schedule Campaign Schema
  */
 export const scheduleCampaignSchema = z.object({
   scheduleType: scheduleTypeSchema.default('scheduled'),
-  scheduleAt: z.string().datetime('Schedule date must be a valid ISO date string'),
+  scheduleAt: scheduleAtSchema,
   recurringDays: z.number().int().positive().max(365).optional(),
 }).refine((data) => {
-  return new Date(data.scheduleAt) > new Date();
+  return isFutureScheduleDate(data.scheduleAt);
 }, {
   message: 'Schedule date must be in the future',
   path: ['scheduleAt'],
+}).refine((data) => {
+  if (data.scheduleType === 'recurring') {
+    return !!data.recurringDays;
+  }
+  return true;
+}, {
+  message: 'Recurring days is required for recurring campaigns',
+  path: ['recurringDays'],
 });
 
 export default {
@@ -110,5 +227,8 @@ export default {
   updateCampaignSchema,
   listCampaignsQuerySchema,
   scheduleCampaignSchema,
+  testSendCampaignSchema,
+  resendCampaignSchema,
+  campaignCalendarQuerySchema,
 };
 
@@ -0,0 +1,61 @@
+import { z } from 'zod';
+
+/**
+ * Segment Validation Schemas
+ * Field/operator/value combinations are checked by the rules evaluator
+ * (services/segment-rules.js) so the same checks apply everywhere.
+ */
+
+// A single condition, e.g. { field: 'tags', op: 'has', value: 'vip' }
+const conditionSchema = z.object({
+  field: z.string().min(1, 'Condition field is required'),
+  op: z.string().min(1, 'Condition operator is required'),
+  value: z.any().optional(),
+});
+
+// A group of conditions or nested groups combined with and/or
+const ruleGroupSchema = z.lazy(() => z.object({
+  operator: z.enum(['and', 'or']),
+  conditions: z.array(z.union([ruleGroupSchema, conditionSchema])),
+}));
+
+/**
+ * Create Segment Schema
+ */
+export const createSegmentSchema = z.object({
+  name: z.string().min(1, 'Segment name is required').max(100, 'Segment name too long'),
+  ruleJson: ruleGroupSchema.optional(),
+});
+
+/**
+ * Update Segment Schema
+ */
+export const updateSegmentSchema = z.object({
+  name: z.string().min(1).max(100).optional(),
+  ruleJson: ruleGroupSchema.optional(),
+}).refine((data) => Object.keys(data).length > 0, {
+  message: 'At least one field must be provided for update',
+});
+
+/**
+ * Preview Segment Schema
+ */
+export const previewSegmentSchema = z.object({
+  ruleJson: ruleGroupSchema,
+  sampleSize: z.number().int().min(0).max(50).default(10),
+});
+
+/**
+ * Segment Contacts Query Schema
+ */
+export const segmentContactsQuerySchema = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  pageSize: z.coerce.number().int().positive().max(100).default(20),
+});
+
+export default {
+  createSegmentSchema,
+  updateSegmentSchema,
+  previewSegmentSchema,
+  segmentContactsQuerySchema,
+};
@@ -0,0 +1,74 @@
+import { z } from 'zod';
+
+/**
+ * Settings Validation Schemas
+ */
+
+/**
+ * Consent Settings Schema
+ */
+export const consentSettingsSchema = z.object({
+  doubleOptIn: z.boolean({
+    required_error: 'doubleOptIn is required',
+    invalid_type_error: 'doubleOptIn must be a boolean',
+  }),
+});
+
+// Local time of day, e.g. 21:00
+const timeOfDaySchema = z.string()
+  .regex(/^([01]\d|2[0-3]):([0-5]\d)$/, 'Time must be in HH:mm format (e.g., 21:00)');
+
+/**
+ * Quiet Hours Schema
+ * start/end are local times; a window such as 21:00-09:00 wraps past midnight
+ */
+export const quietHoursSchema = z.object({
+  enabled: z.boolean({
+    required_error: 'enabled is required',
+    invalid_type_error: 'enabled must be a boolean',
+  }),
+  start: timeOfDaySchema.optional(),
+  end: timeOfDaySchema.optional(),
+  useContactTimezone: z.boolean().optional(),
+}).refine((data) => !data.start || !data.end || data.start !== data.end, {
+  message: 'Quiet hours start and end must differ',
+  path: ['end'],
+});
+
+// Messages per contact; null removes the cap
+const capSchema = z.number().int().positive().max(100).nullable();
+
+/**
+ * Frequency Caps Schema
+ * Caps apply to marketing messages over rolling 24-hour and 7-day windows
+ */
+export const frequencyCapsSchema = z.object({
+  daily: capSchema.optional(),
+  weekly: capSchema.optional(),
+}).refine((data) => data.daily !== undefined || data.weekly !== undefined, {
+  message: 'At least one of daily or weekly must be provided',
+});
+
+/**
+ * SMS Provider Schema
+ * Availability is checked by the service; null resets to the default provider
+ */
+export const smsProviderSchema = z.object({
+  provider: z.string().trim().min(1).nullable(),
+});
+
+/**
+ * Attribution Settings Schema
+ * Orders placed within windowDays of an SMS touchpoint are credited to it
+ */
+export const attributionSettingsSchema = z.object({
+  windowDays: z.number().int().min(1).max(90),
+});
+
+export default {
+  consentSettingsSchema,
+  quietHoursSchema,
+  frequencyCapsSchema,
+  smsProviderSchema,
+  attributionSettingsSchema,
+};
@@ -0,0 +1,233 @@
+import { Prisma } from '@prisma/client';
+import prisma from './prisma.js';
+import { ValidationError } from '../utils/errors.js';
+import { assertValidTemplate } from '../utils/template-engine.js';
+
+/**
+ * A/B Testing Service
+ * A campaign with variants first sends each variant to an equal share of a
+ * test group (abTestPercent of the audience). The rest of the audience is
+ * held back until abTestWaitMinutes later, when the variant with the best
+ * winning metric is sent to them.
+ */
+
+export const AB_WINNER_JOB = 'select-ab-winner';
+
+/**
+ * Job ID of a campaign's scheduled winner selection
+ * @param {string} campaignId - Campaign ID
+ * @returns {string} Job ID
+ */
+export function abWinnerJobId(campaignId) {
+  return `ab-winner-${campaignId}`;
+}
+
+export const WINNING_METRICS = {
+  DELIVERY: 'delivery',
+  CLICKS: 'clicks',
+  ORDERS: 'orders',
+};
+
+export const AB_TEST_DEFAULTS = {
+  testPercent: 20,
+  winningMetric: WINNING_METRICS.CLICKS,
+  waitMinutes: 240,
+};
+
+const VARIANT_LABELS = ['A', 'B', 'C', 'D', 'E'];
+
+// Rate compared for each winning metric
+const METRIC_RATES = {
+  [WINNING_METRICS.DELIVERY]: 'deliveryRate',
+  [WINNING_METRICS.CLICKS]: 'clickRate',
+  [WINNING_METRICS.ORDERS]: 'orderRate',
+};
+
+/**
+ * Validate variant messages and label them A, B, C...
+ * @param {Array<{message: string}>} variants - Variant input
+ * @returns {Array<{label: string, message: string}>} Variant rows to create
+ * @throws {ValidationError} If a variant is invalid
+ */
+export function buildVariants(variants) {
+  if (variants.length < 2 || variants.length > VARIANT_LABELS.length) {
+    throw new ValidationError(`A/B tests need between 2 and ${VARIANT_LABELS.length} variants`, [
+      { field: 'variants', message: `Provide 2 to ${VARIANT_LABELS.length} variants` },
+    ]);
+  }
+
+  return variants.map((variant, index) => {
+    const message = variant.message?.trim();
+
+    if (!message) {
+      throw new ValidationError('Variant message is required', [
+        { field: `variants.${index}.message`, message: 'Message is required' },
+      ]);
+    }
+
+    if (message.length > 1600) {
+      throw new ValidationError('Message is too long (max 1600 characters)', [
+        { field: `variants.${index}.message`, message: 'Max 1600 characters' },
+      ]);
+    }
+
+    assertValidTemplate(message);
+
+    return { label: VARIANT_LABELS[index], message };
+  });
+}
+
+/**
+ * Build the campaign A/B test fields
+ * @param {Object|null} abTest - { testPercent, winningMetric, waitMinutes }, null to disable
+ * @returns {Object} Campaign fields
+ */
+export function buildAbTestFields(abTest) {
+  if (!abTest) {
+    return {
+      abTestPercent: null,
+      abWinningMetric: null,
+      abTestWaitMinutes: null,
+      abWinnerSelectedAt: null,
+      abTestResults: Prisma.DbNull,
+    };
+  }
+
+  const { testPercent, winningMetric, waitMinutes } = { ...AB_TEST_DEFAULTS, ...abTest };
+
+  if (!METRIC_RATES[winningMetric]) {
+    throw new ValidationError('Invalid winning metric', [
+      { field: 'abTest.winningMetric', message: `Must be one of: ${Object.values(WINNING_METRICS).join(', ')}` },
+    ]);
+  }
+
+  return {
+    abTestPercent: testPercent,
+    abWinningMetric: winningMetric,
+    abTestWaitMinutes: waitMinutes,
+  };
+}
+
+/**
+ * Read a campaign's A/B test configuration
+ * @param {Object} campaign - Campaign record
+ * @returns {Object|null} { testPercent, winningMetric, waitMinutes }, null when not an A/B test
+ */
+export function getAbTestConfig(campaign) {
+  if (campaign.abTestPercent == null) return null;
+
+  return {
+    testPercent: campaign.abTestPercent,
+    winningMetric: campaign.abWinningMetric,
+    waitMinutes: campaign.abTestWaitMinutes,
+  };
+}
+
+/**
+ * Randomly pick the test group and spread it evenly across the variants
+ * @param {Array} recipients - Resolved recipients
+ * @param {Array} variants - Campaign variants
+ * @param {number} testPercent - Share of the audience in the test group
+ * @returns {Array<Object|null>} Variant per recipient (same order), null = held for the winner
+ */
+export function assignVariants(recipients, variants, testPercent) {
+  const order = recipients.map((_, index) => index);
+
+  // Fisher-Yates shuffle so the test group is a random sample
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  const testSize = Math.min(
+    recipients.length,
+    Math.max(variants.length, Math.round(recipients.length * testPercent / 100)),
+  );
+
+  const assignments = new Array(recipients.length).fill(null);
+  for (let i = 0; i < testSize; i++) {
+    assignments[order[i]] = variants[i % variants.length];
+  }
+
+  return assignments;
+}
+
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 100 : 0);
+
+/**
+ * Per-variant results of a campaign
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Array<Object>>} Variant metrics ordered by label
+ */
+export async function getVariantMetrics(campaignId) {
+  const [variants, counts] = await Promise.all([
+    prisma.campaignVariant.findMany({
+      where: { campaignId },
+      orderBy: { label: 'asc' },
+    }),
+    prisma.campaignRecipient.groupBy({
+      by: ['variantId', 'status'],
+      where: { campaignId, variantId: { not: null } },
+      _count: { _all: true },
+    }),
+  ]);
+
+  return variants.map(variant => {
+    const byStatus = {};
+    for (const row of counts) {
+      if (row.variantId === variant.id) byStatus[row.status] = row._count._all;
+    }
+
+    const recipients = Object.values(byStatus).reduce((sum, n) => sum + n, 0);
+    const pending = byStatus.pending || 0;
+    const delivered = byStatus.delivered || 0;
+    const failed = byStatus.failed || 0;
+    const attempted = recipients - pending - (byStatus.cancelled || 0);
+
+    return {
+      id: variant.id,
+      label: variant.label,
+      message: variant.message,
+      isWinner: variant.isWinner,
+      recipients,
+      pending,
+      sent: (byStatus.sent || 0) + delivered,
+      delivered,
+      failed,
+      clicked: variant.totalClicked,
+      orders: variant.totalOrders,
+      deliveryRate: rate(delivered, attempted),
+      clickRate: rate(variant.totalClicked, attempted),
+      orderRate: rate(variant.totalOrders, attempted),
+    };
+  });
+}
+
+/**
+ * Pick the winning variant. Ties fall back to delivery rate, then label.
+ * @param {Array<Object>} metrics - From getVariantMetrics()
+ * @param {string} winningMetric - delivery, clicks or orders
+ * @returns {Object|null} Winning variant metrics
+ */
+export function pickWinner(metrics, winningMetric) {
+  const key = METRIC_RATES[winningMetric] || METRIC_RATES[WINNING_METRICS.DELIVERY];
+
+  return [...metrics].sort((a, b) =>
+    b[key] - a[key] ||
+    b.deliveryRate - a.deliveryRate ||
+    a.label.localeCompare(b.label),
+  )[0] || null;
+}
+
+export default {
+  AB_WINNER_JOB,
+  abWinnerJobId,
+  WINNING_METRICS,
+  AB_TEST_DEFAULTS,
+  buildVariants,
+  buildAbTestFields,
+  getAbTestConfig,
+  assignVariants,
+  getVariantMetrics,
+  pickWinner,
+};
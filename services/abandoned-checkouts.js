@@ -0,0 +1,375 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+import { automationQueue } from '../queue/index.js';
+import { AUTOMATION_JOBS, triggerAbandonedCart } from './automations.js';
+import { getQuietHours } from './settings.js';
+import { resolveSendTime } from '../utils/sending-window.js';
+import { assertValidTemplate, AUTOMATION_VARIABLES } from '../utils/template-engine.js';
+import { applyShopifyConsent, CONSENT_SOURCES } from './consent.js';
+
+/**
+ * Abandoned Checkouts Service
+ * Shopify checkouts/create and checkouts/update webhooks record the checkout
+ * and schedule up to three reminders (delays configured on the shop's
+ * cart_abandoned automation). Reminder delays count from the latest checkout
+ * activity, so every update pushes the pending reminders back. A completed
+ * checkout or an orders/create for the same checkout token cancels them.
+ */
+
+export const CHECKOUT_TRIGGER = 'cart_abandoned';
+
+export const MAX_CHECKOUT_REMINDERS = 3;
+
+// Used until the shop configures its own reminders
+export const DEFAULT_CHECKOUT_REMINDERS = [
+  { delayMinutes: 60 },
+  { delayMinutes: 24 * 60 },
+];
+
+const MIN_REMINDER_DELAY_MINUTES = 15;
+const MAX_REMINDER_DELAY_MINUTES = 7 * 24 * 60;
+
+/**
+ * Validate abandoned checkout reminders
+ * @param {Array} reminders - [{ delayMinutes, message }], message falls back to the automation message
+ * @throws {ValidationError} If the reminders are malformed
+ */
+export function validateCheckoutReminders(reminders) {
+  if (!Array.isArray(reminders) || reminders.length === 0 || reminders.length > MAX_CHECKOUT_REMINDERS) {
+    throw new ValidationError(`Configure between 1 and ${MAX_CHECKOUT_REMINDERS} reminders`, [
+      { field: 'config.reminders', message: `Between 1 and ${MAX_CHECKOUT_REMINDERS} reminders` },
+    ]);
+  }
+
+  reminders.forEach((reminder, index) => {
+    const field = `config.reminders.${index}`;
+    const delay = reminder?.delayMinutes;
+
+    if (!Number.isInteger(delay) || delay < MIN_REMINDER_DELAY_MINUTES || delay > MAX_REMINDER_DELAY_MINUTES) {
+      throw new ValidationError(`Reminder ${index + 1} has an invalid delay`, [
+        { field: `${field}.delayMinutes`, message: `Whole minutes between ${MIN_REMINDER_DELAY_MINUTES} and ${MAX_REMINDER_DELAY_MINUTES}` },
+      ]);
+    }
+
+    if (index > 0 && delay <= reminders[index - 1].delayMinutes) {
+      throw new ValidationError('Reminder delays must increase', [
+        { field: `${field}.delayMinutes`, message: 'Must be later than the previous reminder' },
+      ]);
+    }
+
+    if (reminder.message !== undefined && reminder.message !== null) {
+      assertValidTemplate(reminder.message, { variables: AUTOMATION_VARIABLES, field: `${field}.message` });
+    }
+  });
+}
+
+/**
+ * The shop's active cart_abandoned automation
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object|null>} User automation
+ */
+async function getCheckoutAutomation(shopId) {
+  return await prisma.userAutomation.findFirst({
+    where: {
+      shopId,
+      isActive: true,
+      automation: { triggerEvent: CHECKOUT_TRIGGER, isSystemDefault: true },
+    },
+  });
+}
+
+/**
+ * Reminders configured on the automation, or the defaults
+ * @param {Object} userAutomation - User automation
+ * @returns {Array<Object>} Reminders
+ */
+function getReminders(userAutomation) {
+  const reminders = userAutomation.config?.reminders;
+  return Array.isArray(reminders) && reminders.length > 0 ? reminders : DEFAULT_CHECKOUT_REMINDERS;
+}
+
+/**
+ * Job ID of a reminder; tied to the checkout activity it was scheduled for
+ */
+function reminderJobId(checkout, reminder) {
+  return `abandoned-checkout-${checkout.id}-${reminder}-${checkout.lastActivityAt.getTime()}`;
+}
+
+/**
+ * Normalize a Shopify phone to E.164, or null when it is not one
+ */
+function normalizePhone(value) {
+  if (!value) return null;
+  const phone = String(value).replace(/[\s().-]/g, '');
+  return /^\+[1-9]\d{6,14}$/.test(phone) ? phone : null;
+}
+
+/**
+ * Pick the fields we keep from a Shopify checkout payload
+ * @param {Object} payload - checkouts/create or checkouts/update body
+ * @returns {Object} Checkout fields
+ */
+function parseCheckout(payload) {
+  const customer = payload.customer || {};
+
+  return {
+    checkoutToken: payload.token || null,
+    phoneE164: normalizePhone(payload.phone || customer.phone || payload.shipping_address?.phone ||
+      payload.billing_address?.phone),
+    email: payload.email || customer.email || null,
+    recoveryUrl: payload.abandoned_checkout_url || null,
+    totalPrice: payload.total_price ?? null,
+    currency: payload.currency || payload.presentment_currency || null,
+    lineItems: (payload.line_items || []).map(item => ({
+      title: item.title,
+      quantity: item.quantity,
+      price: item.price,
+    })),
+    customerName: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
+    acceptsSms: payload.buyer_accepts_sms_marketing === true,
+    completed: !!payload.completed_at,
+  };
+}
+
+/**
+ * Find the contact a checkout belongs to, by phone first and then email
+ */
+async function findCheckoutContact(shopId, phoneE164, email) {
+  if (phoneE164) {
+    const contact = await prisma.contact.findUnique({
+      where: { shopId_phoneE164: { shopId, phoneE164 } },
+    });
+    if (contact) return contact;
+  }
+
+  if (email) {
+    return await prisma.contact.findFirst({
+      where: { shopId, email },
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Remove the queued reminder jobs of a checkout. Reminders check the
+ * checkout before sending, so a job that cannot be removed is still harmless.
+ * @param {Object} checkout - Checkout with id and lastActivityAt
+ */
+async function removeReminderJobs(checkout) {
+  for (let reminder = 0; reminder < MAX_CHECKOUT_REMINDERS; reminder++) {
+    const jobId = reminderJobId(checkout, reminder);
+
+    for (const id of [jobId, `${jobId}-deferred`]) {
+      try {
+        const job = await automationQueue.getJob(id);
+        if (job) await job.remove();
+      } catch (error) {
+        logger.warn('Failed to remove checkout reminder job', { jobId: id, error: error.message });
+      }
+    }
+  }
+}
+
+/**
+ * Record a Shopify checkout and (re)schedule its remaining reminders
+ * @param {string} shopId - Shop ID
+ * @param {Object} payload - checkouts/create or checkouts/update body
+ * @returns {Promise<Object>} { checkout, scheduled }
+ * @throws {ValidationError} If the payload has no checkout token
+ */
+export async function recordCheckout(shopId, payload) {
+  const data = parseCheckout(payload);
+
+  if (!data.checkoutToken) {
+    throw new ValidationError('Checkout token is required', [
+      { field: 'token', message: 'Required' },
+    ]);
+  }
+
+  const existing = await prisma.abandonedCheckout.findUnique({
+    where: { shopId_checkoutToken: { shopId, checkoutToken: data.checkoutToken } },
+  });
+
+  if (existing?.status === 'recovered') {
+    return { checkout: existing, scheduled: 0 };
+  }
+
+  if (data.completed) {
+    const checkout = await recoverCheckout(shopId, data.checkoutToken);
+    return { checkout, scheduled: 0 };
+  }
+
+  const contact = await findCheckoutContact(shopId, data.phoneE164, data.email);
+
+  // The SMS marketing box ticked at checkout
+  if (contact && data.acceptsSms) {
+    await applyShopifyConsent(contact, 'opted_in', {
+      source: CONSENT_SOURCES.CHECKOUT,
+      evidence: { checkoutToken: data.checkoutToken, smsMarketingPhone: payload.sms_marketing_phone || null },
+    });
+  }
+
+  const fields = {
+    contactId: contact?.id || null,
+    phoneE164: data.phoneE164,
+    email: data.email,
+    recoveryUrl: data.recoveryUrl,
+    totalPrice: data.totalPrice === null ? null : String(data.totalPrice),
+    currency: data.currency,
+    lineItems: data.lineItems,
+    lastActivityAt: new Date(),
+  };
+
+  const checkout = await prisma.abandonedCheckout.upsert({
+    where: { shopId_checkoutToken: { shopId, checkoutToken: data.checkoutToken } },
+    create: { shopId, checkoutToken: data.checkoutToken, ...fields },
+    update: fields,
+  });
+
+  if (existing) {
+    await removeReminderJobs(existing);
+  }
+
+  const automation = await getCheckoutAutomation(shopId);
+
+  if (!automation || !checkout.contactId || !checkout.recoveryUrl) {
+    return { checkout, scheduled: 0 };
+  }
+
+  const reminders = getReminders(automation);
+  let scheduled = 0;
+
+  for (let reminder = checkout.remindersSent; reminder < reminders.length; reminder++) {
+    await automationQueue.add(AUTOMATION_JOBS.ABANDONED_CART, {
+      shopId,
+      checkoutId: checkout.id,
+      reminder,
+      activityAt: checkout.lastActivityAt.getTime(),
+    }, {
+      jobId: reminderJobId(checkout, reminder),
+      delay: reminders[reminder].delayMinutes * 60 * 1000,
+    });
+    scheduled++;
+  }
+
+  logger.info('Checkout reminders scheduled', { shopId, checkoutId: checkout.id, scheduled });
+
+  return { checkout, scheduled };
+}
+
+/**
+ * Mark a checkout recovered and cancel its pending reminders
+ * @param {string} shopId - Shop ID
+ * @param {string} checkoutToken - Shopify checkout token
+ * @param {string} [orderId] - Order that completed the checkout
+ * @returns {Promise<Object|null>} Checkout, or null when it was never recorded
+ */
+export async function recoverCheckout(shopId, checkoutToken, orderId = null) {
+  const checkout = await prisma.abandonedCheckout.findUnique({
+    where: { shopId_checkoutToken: { shopId, checkoutToken } },
+  });
+
+  if (!checkout) return null;
+
+  const recovered = await prisma.abandonedCheckout.update({
+    where: { id: checkout.id },
+    data: {
+      status: 'recovered',
+      recoveredAt: checkout.recoveredAt || new Date(),
+      ...(orderId && { orderId: String(orderId) }),
+    },
+  });
+
+  if (checkout.status === 'pending') {
+    await removeReminderJobs(checkout);
+    logger.info('Checkout recovered, reminders cancelled', {
+      shopId,
+      checkoutId: checkout.id,
+      remindersSent: checkout.remindersSent,
+    });
+  }
+
+  return recovered;
+}
+
+/**
+ * Send one reminder of a checkout. Skipped when the checkout was recovered,
+ * had new activity since the reminder was scheduled, or already got it.
+ * Inside quiet hours the reminder is re-queued for the end of the window.
+ * @param {Object} params - { checkoutId, reminder, activityAt }
+ * @returns {Promise<Object>} triggerAutomation() result, or { success: false, reason } when skipped
+ */
+export async function sendCheckoutReminder({ checkoutId, reminder, activityAt }) {
+  const checkout = await prisma.abandonedCheckout.findUnique({
+    where: { id: checkoutId },
+    include: { contact: { select: { phoneE164: true } } },
+  });
+
+  if (!checkout || checkout.status !== 'pending') {
+    return { success: false, reason: 'checkout_recovered' };
+  }
+
+  if (checkout.lastActivityAt.getTime() !== activityAt || checkout.remindersSent !== reminder) {
+    return { success: false, reason: 'reminder_outdated' };
+  }
+
+  const automation = checkout.contactId && await getCheckoutAutomation(checkout.shopId);
+  const config = automation && getReminders(automation)[reminder];
+
+  if (!config) {
+    return { success: false, reason: 'reminder_not_configured' };
+  }
+
+  const { deferred, sendAt } = resolveSendTime(await getQuietHours(checkout.shopId), checkout.contact.phoneE164);
+
+  if (deferred) {
+    await automationQueue.add(AUTOMATION_JOBS.ABANDONED_CART, {
+      shopId: checkout.shopId,
+      checkoutId,
+      reminder,
+      activityAt,
+    }, {
+      jobId: `${reminderJobId(checkout, reminder)}-deferred`,
+      delay: Math.max(0, sendAt.getTime() - Date.now()),
+    });
+    return { success: true, deferred: true, deferredUntil: sendAt };
+  }
+
+  // Claim the reminder so duplicate jobs never send it twice
+  const { count } = await prisma.abandonedCheckout.updateMany({
+    where: { id: checkoutId, status: 'pending', remindersSent: reminder, lastActivityAt: checkout.lastActivityAt },
+    data: { remindersSent: reminder + 1, lastReminderAt: new Date() },
+  });
+
+  if (count === 0) {
+    return { success: false, reason: 'reminder_outdated' };
+  }
+
+  const [firstItem] = Array.isArray(checkout.lineItems) ? checkout.lineItems : [];
+
+  return await triggerAbandonedCart({
+    shopId: checkout.shopId,
+    contactId: checkout.contactId,
+    cartData: {
+      cartUrl: checkout.recoveryUrl,
+      orderTotal: checkout.totalPrice,
+      currency: checkout.currency,
+      productName: firstItem?.title,
+      checkoutToken: checkout.checkoutToken,
+      reminder: reminder + 1,
+    },
+    message: config.message || null,
+  });
+}
+
+export default {
+  CHECKOUT_TRIGGER,
+  MAX_CHECKOUT_REMINDERS,
+  DEFAULT_CHECKOUT_REMINDERS,
+  validateCheckoutReminders,
+  recordCheckout,
+  recoverCheckout,
+  sendCheckoutReminder,
+};
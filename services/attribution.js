@@ -0,0 +1,371 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { getAttributionSettings } from './settings.js';
+
+/**
+ * Attribution Service
+ * Credits Shopify orders to the SMS that led to them. Within the shop's
+ * attribution window the strongest evidence wins: a campaign discount code
+ * used on the order, then the latest tracked link click, then the latest SMS
+ * sent to the customer's phone (found by phone or by email).
+ */
+
+export const ATTRIBUTION_METHODS = {
+  DISCOUNT_CODE: 'discount_code',
+  LINK_CLICK: 'link_click',
+  PHONE: 'phone',
+  EMAIL: 'email',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Only SMS sent by a campaign or an automation can earn an order
+const SMS_SOURCE = { OR: [{ campaignId: { not: null } }, { automationId: { not: null } }] };
+
+function normalizeOrderPhone(phone) {
+  const cleaned = phone?.replace(/[\s\-().]/g, '');
+  return cleaned && /^\+[1-9]\d{6,14}$/.test(cleaned) ? cleaned : null;
+}
+
+/**
+ * Find the contact who placed the order
+ * @returns {Promise<{contact: Object|null, phoneE164: string|null, matchedBy: string}>}
+ */
+async function findOrderContact(shopId, order) {
+  const email = order.customer?.email || order.email;
+
+  if (email) {
+    const contact = await prisma.contact.findFirst({ where: { shopId, email } });
+    if (contact) {
+      return { contact, phoneE164: contact.phoneE164, matchedBy: ATTRIBUTION_METHODS.EMAIL };
+    }
+  }
+
+  const phoneE164 = normalizeOrderPhone(
+    order.phone || order.customer?.phone || order.billing_address?.phone || order.shipping_address?.phone,
+  );
+
+  const contact = phoneE164
+    ? await prisma.contact.findFirst({ where: { shopId, phoneE164 } })
+    : null;
+
+  return { contact, phoneE164, matchedBy: ATTRIBUTION_METHODS.PHONE };
+}
+
+async function matchDiscountCode(shopId, order, window) {
+  const codes = (order.discount_codes || []).map(d => d.code?.toUpperCase()).filter(Boolean);
+  if (codes.length === 0) return null;
+
+  const link = await prisma.discountLink.findFirst({
+    where: {
+      shopId,
+      code: { in: codes },
+      campaignId: { not: null },
+      createdAt: window,
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  return link && {
+    method: ATTRIBUTION_METHODS.DISCOUNT_CODE,
+    campaignId: link.campaignId,
+    recipientId: link.recipientId,
+    touchpointAt: link.createdAt,
+  };
+}
+
+async function matchLinkClick(contact, window) {
+  if (!contact) return null;
+
+  const click = await prisma.linkClick.findFirst({
+    where: {
+      contactId: contact.id,
+      clickedAt: window,
+      link: SMS_SOURCE,
+    },
+    orderBy: { clickedAt: 'desc' },
+    include: { link: true },
+  });
+
+  return click && {
+    method: ATTRIBUTION_METHODS.LINK_CLICK,
+    campaignId: click.link.campaignId,
+    automationId: click.link.automationId,
+    recipientId: click.link.recipientId,
+    touchpointAt: click.clickedAt,
+  };
+}
+
+async function matchMessage(shopId, phoneE164, matchedBy, window) {
+  if (!phoneE164) return null;
+
+  const message = await prisma.messageLog.findFirst({
+    where: {
+      shopId,
+      phoneE164,
+      direction: 'outbound',
+      status: { not: 'failed' },
+      createdAt: window,
+      ...SMS_SOURCE,
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  if (!message) return null;
+
+  const recipient = message.campaignId
+    ? await prisma.campaignRecipient.findFirst({
+      where: { campaignId: message.campaignId, phoneE164 },
+      select: { id: true },
+    })
+    : null;
+
+  return {
+    method: matchedBy,
+    campaignId: message.campaignId,
+    automationId: message.automationId,
+    recipientId: recipient?.id || null,
+    touchpointAt: message.createdAt,
+  };
+}
+
+/**
+ * Credit an order to the last SMS touchpoint within the attribution window.
+ * Webhook retries are safe: an order is attributed at most once.
+ * @param {string} shopId - Shop ID
+ * @param {Object} order - Shopify order payload
+ * @returns {Promise<Object|null>} Attribution, or null when no SMS led to the order
+ */
+export async function attributeOrder(shopId, order) {
+  const orderId = order.id?.toString();
+  if (!orderId) return null;
+
+  const existing = await prisma.orderAttribution.findUnique({
+    where: { shopId_orderId: { shopId, orderId } },
+  });
+  if (existing) return existing;
+
+  const { windowDays } = await getAttributionSettings(shopId);
+  const orderedAt = order.created_at ? new Date(order.created_at) : new Date();
+  const window = { gte: new Date(orderedAt.getTime() - windowDays * DAY_MS), lte: orderedAt };
+
+  const { contact, phoneE164, matchedBy } = await findOrderContact(shopId, order);
+
+  const touchpoint = await matchDiscountCode(shopId, order, window) ||
+    await matchLinkClick(contact, window) ||
+    await matchMessage(shopId, phoneE164, matchedBy, window);
+
+  if (!touchpoint) {
+    logger.info('Order not attributed to SMS', { shopId, orderId, windowDays });
+    return null;
+  }
+
+  const revenue = Math.round((parseFloat(order.total_price) || 0) * 100);
+
+  const recipient = touchpoint.recipientId
+    ? await prisma.campaignRecipient.findUnique({
+      where: { id: touchpoint.recipientId },
+      select: { variantId: true },
+    })
+    : null;
+
+  let attribution;
+  try {
+    attribution = await prisma.$transaction(async (tx) => {
+      const created = await tx.orderAttribution.create({
+        data: {
+          shopId,
+          orderId,
+          orderNumber: order.order_number?.toString() || order.name || null,
+          contactId: contact?.id || null,
+          campaignId: touchpoint.campaignId || null,
+          automationId: touchpoint.campaignId ? null : touchpoint.automationId || null,
+          recipientId: touchpoint.recipientId || null,
+          method: touchpoint.method,
+          revenue,
+          currency: order.currency || 'EUR',
+          orderedAt,
+          touchpointAt: touchpoint.touchpointAt,
+        },
+      });
+
+      if (created.campaignId) {
+        await tx.campaignMetrics.updateMany({
+          where: { campaignId: created.campaignId },
+          data: { totalOrders: { increment: 1 }, totalRevenue: { increment: revenue } },
+        });
+      }
+
+      if (recipient?.variantId) {
+        await tx.campaignVariant.update({
+          where: { id: recipient.variantId },
+          data: { totalOrders: { increment: 1 } },
+        });
+      }
+
+      return created;
+    });
+  } catch (error) {
+    // The same order attributed by a concurrent webhook delivery
+    if (error.code === 'P2002') return null;
+    throw error;
+  }
+
+  logger.info('Order attributed to SMS', {
+    shopId,
+    orderId,
+    method: attribution.method,
+    campaignId: attribution.campaignId,
+    automationId: attribution.automationId,
+    revenue,
+  });
+
+  return attribution;
+}
+
+const toAmount = (cents) => Math.round(cents) / 100;
+
+const perCredit = (cents, credits) => (credits > 0 ? Math.round(cents / credits) / 100 : 0);
+
+/**
+ * Attributed orders and revenue of one campaign
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} { orders, revenue, creditsSpent, revenuePerCredit, byMethod }
+ */
+export async function getCampaignAttribution(campaignId) {
+  const [totals, byMethod, credits] = await Promise.all([
+    prisma.orderAttribution.aggregate({
+      where: { campaignId },
+      _count: { _all: true },
+      _sum: { revenue: true },
+    }),
+    prisma.orderAttribution.groupBy({
+      by: ['method'],
+      where: { campaignId },
+      _count: { _all: true },
+    }),
+    prisma.campaignRecipient.aggregate({
+      where: { campaignId, status: { not: 'cancelled' } },
+      _sum: { segments: true },
+    }),
+  ]);
+
+  const revenue = totals._sum.revenue || 0;
+  const creditsSpent = credits._sum.segments || 0;
+
+  return {
+    orders: totals._count._all,
+    revenue: toAmount(revenue),
+    creditsSpent,
+    revenuePerCredit: perCredit(revenue, creditsSpent),
+    byMethod: Object.fromEntries(byMethod.map(row => [row.method, row._count._all])),
+  };
+}
+
+/**
+ * Attribution report for a store: totals, campaigns and automations
+ * @param {string} storeId - Store ID
+ * @param {Object} filters - { from, to } order date range
+ * @returns {Promise<Object>} Attribution report
+ */
+export async function getAttributionReport(storeId, filters = {}) {
+  const { from, to } = filters;
+  const orderedAt = from && to ? { gte: new Date(from), lte: new Date(to) } : undefined;
+  const sentAt = orderedAt && { createdAt: orderedAt };
+
+  const [byCampaign, byAutomation, campaignCredits, automationCredits, shop] = await Promise.all([
+    prisma.orderAttribution.groupBy({
+      by: ['campaignId'],
+      where: { shopId: storeId, campaignId: { not: null }, orderedAt },
+      _count: { _all: true },
+      _sum: { revenue: true },
+    }),
+    prisma.orderAttribution.groupBy({
+      by: ['automationId'],
+      where: { shopId: storeId, automationId: { not: null }, orderedAt },
+      _count: { _all: true },
+      _sum: { revenue: true },
+    }),
+    prisma.messageLog.groupBy({
+      by: ['campaignId'],
+      where: { shopId: storeId, direction: 'outbound', campaignId: { not: null }, ...sentAt },
+      _sum: { segments: true },
+      _count: { _all: true },
+    }),
+    prisma.messageLog.groupBy({
+      by: ['automationId'],
+      where: { shopId: storeId, direction: 'outbound', automationId: { not: null }, ...sentAt },
+      _sum: { segments: true },
+      _count: { _all: true },
+    }),
+    prisma.shop.findUnique({ where: { id: storeId }, select: { currency: true } }),
+  ]);
+
+  const [campaigns, automations] = await Promise.all([
+    prisma.campaign.findMany({
+      where: { id: { in: byCampaign.map(row => row.campaignId) } },
+      select: { id: true, name: true },
+    }),
+    prisma.automation.findMany({
+      where: { id: { in: byAutomation.map(row => row.automationId) } },
+      select: { id: true, title: true, triggerEvent: true },
+    }),
+  ]);
+
+  // Messages logged before segments were recorded count as one credit
+  const creditsBy = (rows, key) => new Map(rows.map(row => [
+    row[key],
+    Math.max(row._sum.segments || 0, row._count._all),
+  ]));
+  const campaignCreditMap = creditsBy(campaignCredits, 'campaignId');
+  const automationCreditMap = creditsBy(automationCredits, 'automationId');
+
+  const summarize = (row, credits) => {
+    const revenue = row._sum.revenue || 0;
+    return {
+      orders: row._count._all,
+      revenue: toAmount(revenue),
+      creditsSpent: credits,
+      revenuePerCredit: perCredit(revenue, credits),
+    };
+  };
+
+  const campaignRows = byCampaign.map(row => ({
+    campaignId: row.campaignId,
+    name: campaigns.find(c => c.id === row.campaignId)?.name || null,
+    ...summarize(row, campaignCreditMap.get(row.campaignId) || 0),
+  })).sort((a, b) => b.revenue - a.revenue);
+
+  const automationRows = byAutomation.map(row => {
+    const automation = automations.find(a => a.id === row.automationId);
+    return {
+      automationId: row.automationId,
+      title: automation?.title || null,
+      triggerEvent: automation?.triggerEvent || null,
+      ...summarize(row, automationCreditMap.get(row.automationId) || 0),
+    };
+  }).sort((a, b) => b.revenue - a.revenue);
+
+  const totalRevenue = [...byCampaign, ...byAutomation].reduce((sum, row) => sum + (row._sum.revenue || 0), 0);
+  const totalCredits = [...campaignCreditMap.values(), ...automationCreditMap.values()]
+    .reduce((sum, n) => sum + n, 0);
+
+  return {
+    summary: {
+      orders: [...byCampaign, ...byAutomation].reduce((sum, row) => sum + row._count._all, 0),
+      revenue: toAmount(totalRevenue),
+      currency: shop?.currency || 'EUR',
+      creditsSpent: totalCredits,
+      revenuePerCredit: perCredit(totalRevenue, totalCredits),
+    },
+    campaigns: campaignRows,
+    automations: automationRows,
+  };
+}
+
+export default {
+  ATTRIBUTION_METHODS,
+  attributeOrder,
+  getCampaignAttribution,
+  getAttributionReport,
+};
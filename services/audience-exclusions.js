@@ -0,0 +1,130 @@
+import prisma from './prisma.js';
+import { ValidationError } from '../utils/errors.js';
+import { getSegmentContactWhere } from './segments.js';
+import { getRecentlyMessagedPhones } from './frequency-caps.js';
+
+/**
+ * Audience Exclusions Service
+ * Campaign exclusion rules, stored as Campaign.exclusions:
+ * {
+ *   "segmentIds": ["seg_1"],        // contacts in any of these segments
+ *   "tags": ["vip"],                // contacts with any of these tags
+ *   "messagedWithinDays": 3,        // contacts sent a marketing SMS in the last N days
+ *   "purchasedWithinDays": 14       // contacts who ordered in the last N days
+ * }
+ * Each excluded contact is counted under the first rule that matched it, in
+ * the order above.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate exclusion rules and drop empty ones
+ * @param {string} shopId - Store ID
+ * @param {Object|null} exclusions - Exclusion rules
+ * @returns {Promise<Object|null>} Rules to store, null when there are none
+ * @throws {ValidationError} If a segment does not belong to the store
+ */
+export async function normalizeExclusions(shopId, exclusions) {
+  if (!exclusions) return null;
+
+  const rules = {};
+
+  const segmentIds = [...new Set(exclusions.segmentIds || [])];
+  if (segmentIds.length > 0) {
+    const found = await prisma.segment.findMany({
+      where: { shopId, id: { in: segmentIds } },
+      select: { id: true },
+    });
+    const missing = segmentIds.filter(id => !found.some(s => s.id === id));
+
+    if (missing.length > 0) {
+      throw new ValidationError('Excluded segment not found', missing.map(id => ({
+        field: 'exclusions.segmentIds',
+        message: `Segment ${id} not found`,
+      })));
+    }
+    rules.segmentIds = segmentIds;
+  }
+
+  const tags = [...new Set((exclusions.tags || []).map(t => t.trim()).filter(Boolean))];
+  if (tags.length > 0) rules.tags = tags;
+
+  if (exclusions.messagedWithinDays) rules.messagedWithinDays = exclusions.messagedWithinDays;
+  if (exclusions.purchasedWithinDays) rules.purchasedWithinDays = exclusions.purchasedWithinDays;
+
+  return Object.keys(rules).length > 0 ? rules : null;
+}
+
+/**
+ * Contact IDs in any of the excluded segments
+ * @returns {Promise<Set<string>>}
+ */
+async function findSegmentContactIds(shopId, segmentIds) {
+  const ids = new Set();
+
+  for (const segmentId of segmentIds) {
+    const segment = await prisma.segment.findFirst({ where: { id: segmentId, shopId } });
+    // A segment deleted after the campaign was saved excludes nobody
+    if (!segment) continue;
+
+    const members = await prisma.contact.findMany({
+      where: await getSegmentContactWhere(shopId, segment),
+      select: { id: true },
+    });
+    for (const { id } of members) ids.add(id);
+  }
+
+  return ids;
+}
+
+/**
+ * Remove excluded contacts
+ * @param {string} shopId - Store ID
+ * @param {Array} contacts - Audience contacts (id, phoneE164, tags, lastOrderAt)
+ * @param {Object|null} exclusions - Exclusion rules
+ * @returns {Promise<Object>} { contacts, excluded: { segments, tags, recentlyMessaged, recentPurchasers } }
+ */
+export async function applyExclusions(shopId, contacts, exclusions) {
+  const excluded = { segments: 0, tags: 0, recentlyMessaged: 0, recentPurchasers: 0 };
+
+  if (!exclusions || contacts.length === 0) {
+    return { contacts, excluded };
+  }
+
+  const segmentContactIds = exclusions.segmentIds?.length
+    ? await findSegmentContactIds(shopId, exclusions.segmentIds)
+    : new Set();
+
+  const messagedPhones = exclusions.messagedWithinDays
+    ? await getRecentlyMessagedPhones(shopId, contacts.map(c => c.phoneE164), exclusions.messagedWithinDays)
+    : new Set();
+
+  const tags = new Set(exclusions.tags || []);
+
+  const purchasedSince = exclusions.purchasedWithinDays
+    ? new Date(Date.now() - exclusions.purchasedWithinDays * DAY_MS)
+    : null;
+
+  const remaining = contacts.filter(contact => {
+    if (segmentContactIds.has(contact.id)) {
+      excluded.segments++;
+    } else if (contact.tags?.some(tag => tags.has(tag))) {
+      excluded.tags++;
+    } else if (messagedPhones.has(contact.phoneE164)) {
+      excluded.recentlyMessaged++;
+    } else if (purchasedSince && contact.lastOrderAt && contact.lastOrderAt >= purchasedSince) {
+      excluded.recentPurchasers++;
+    } else {
+      return true;
+    }
+    return false;
+  });
+
+  return { contacts: remaining, excluded };
+}
+
+export default {
+  normalizeExclusions,
+  applyExclusions,
+};
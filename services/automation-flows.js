@@ -0,0 +1,638 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+import { sendMessage } from './sms.js';
+import { getQuietHours, getSenderConfig } from './settings.js';
+import { isFrequencyCapped, MESSAGE_CATEGORIES } from './frequency-caps.js';
+import { shortenLinks } from './link-shortener.js';
+import { automationQueue } from '../queue/index.js';
+import { resolveSendTime } from '../utils/sending-window.js';
+import { assertValidTemplate, buildTemplateContext, renderTemplate, AUTOMATION_VARIABLES } from '../utils/template-engine.js';
+
+/**
+ * Automation Flows Service
+ * Multi-step automations (drip sequences). A flow is an ordered list of steps:
+ *
+ *   { "type": "send_sms", "message": "Welcome {{firstName}}!" }
+ *   { "type": "wait", "amount": 2, "unit": "days" }              // or "hours"
+ *   { "type": "branch", "condition": "clicked", "ifTrue": 4, "ifFalse": 2 }
+ *   { "type": "add_tag", "tag": "welcomed" }
+ *   { "type": "exit" }
+ *
+ * Branch targets are step indexes or "exit" and default to the next step.
+ * Conditions (clicked a flow link, ordered, replied by SMS) count from the
+ * moment the contact entered the flow. Each contact's progress is a FlowRun,
+ * advanced by FLOW_STEP_JOB on the automation queue; a flow goal uses the
+ * same conditions and ends the run as soon as it is met.
+ */
+
+export const FLOW_STEP_JOB = 'flow-step';
+
+export const FLOW_TRIGGERS = {
+  CONTACT_OPTED_IN: 'contact_opted_in',
+  ORDER_PLACED: 'order_placed',
+  MANUAL: 'manual',
+};
+
+export const FLOW_STEP_TYPES = ['send_sms', 'wait', 'branch', 'add_tag', 'exit'];
+
+export const FLOW_CONDITIONS = ['clicked', 'ordered', 'replied'];
+
+export const MAX_FLOW_STEPS = 30;
+
+const UNIT_MS = {
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000,
+};
+
+// Steps that run back to back without a wait; stops branch loops
+const MAX_STEPS_PER_JOB = MAX_FLOW_STEPS * 2;
+
+/**
+ * Validate flow steps
+ * @param {Array} steps - Flow steps
+ * @throws {ValidationError} If a step is malformed or points outside the flow
+ */
+export function validateFlowSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new ValidationError('A flow needs at least one step', [
+      { field: 'steps', message: 'Add at least one step' },
+    ]);
+  }
+
+  if (steps.length > MAX_FLOW_STEPS) {
+    throw new ValidationError(`A flow can have at most ${MAX_FLOW_STEPS} steps`, [
+      { field: 'steps', message: `At most ${MAX_FLOW_STEPS} steps` },
+    ]);
+  }
+
+  const isTarget = (target, index) => target === undefined || target === 'exit' ||
+    (Number.isInteger(target) && target >= 0 && target < steps.length && target !== index);
+
+  steps.forEach((step, index) => {
+    const field = `steps.${index}`;
+
+    if (!FLOW_STEP_TYPES.includes(step?.type)) {
+      throw new ValidationError(`Unknown step type at step ${index}`, [
+        { field: `${field}.type`, message: `Must be one of ${FLOW_STEP_TYPES.join(', ')}` },
+      ]);
+    }
+
+    if (step.type === 'send_sms') {
+      assertValidTemplate(step.message, { variables: AUTOMATION_VARIABLES, field: `${field}.message` });
+    }
+
+    if (step.type === 'branch') {
+      if (!FLOW_CONDITIONS.includes(step.condition)) {
+        throw new ValidationError(`Unknown branch condition at step ${index}`, [
+          { field: `${field}.condition`, message: `Must be one of ${FLOW_CONDITIONS.join(', ')}` },
+        ]);
+      }
+      if (!isTarget(step.ifTrue, index) || !isTarget(step.ifFalse, index)) {
+        throw new ValidationError(`Branch at step ${index} points to a missing step`, [
+          { field, message: 'ifTrue and ifFalse must be another step index or "exit"' },
+        ]);
+      }
+    }
+  });
+}
+
+/**
+ * Check a flow condition for a run since the contact entered the flow
+ * @param {string} condition - clicked, ordered or replied
+ * @param {Object} run - Flow run with contact
+ * @returns {Promise<boolean>} True if the condition is met
+ */
+async function isConditionMet(condition, run) {
+  const since = run.startedAt;
+
+  switch (condition) {
+  case 'clicked':
+    return !!await prisma.linkClick.findFirst({
+      where: { contactId: run.contactId, clickedAt: { gte: since }, link: { flowId: run.flowId } },
+      select: { id: true },
+    });
+  case 'ordered':
+    return !!run.contact.lastOrderAt && run.contact.lastOrderAt > since;
+  case 'replied':
+    return !!await prisma.messageLog.findFirst({
+      where: {
+        shopId: run.shopId,
+        phoneE164: run.contact.phoneE164,
+        direction: 'inbound',
+        createdAt: { gte: since },
+      },
+      select: { id: true },
+    });
+  default:
+    return false;
+  }
+}
+
+/**
+ * Queue the next step of a run
+ * @param {Object} run - Flow run
+ * @param {Date} [runAt] - When to run it (now when omitted)
+ */
+async function scheduleRun(run, runAt = null) {
+  const delay = runAt ? Math.max(0, runAt.getTime() - Date.now()) : 0;
+
+  await automationQueue.add(FLOW_STEP_JOB, { runId: run.id }, {
+    delay,
+    jobId: `flow-${run.id}-${run.stepIndex}-${runAt ? runAt.getTime() : 'now'}`,
+  });
+}
+
+/**
+ * End a run
+ * @param {string} runId - Flow run ID
+ * @param {string} status - completed, exited or failed
+ * @param {string|null} exitReason - Why the run ended
+ */
+async function finishRun(runId, status, exitReason = null) {
+  await prisma.flowRun.updateMany({
+    where: { id: runId, status: 'active' },
+    data: { status, exitReason, nextRunAt: null, finishedAt: new Date() },
+  });
+
+  logger.info('Flow run finished', { runId, status, exitReason });
+}
+
+/**
+ * Enter a contact into every active flow for a trigger. Contacts already in
+ * a flow are not entered twice, and only re-enter finished flows when the
+ * flow allows it.
+ * @param {string} shopId - Shop ID
+ * @param {string} contactId - Contact ID
+ * @param {string} triggerEvent - One of FLOW_TRIGGERS
+ * @param {Object} [context] - Trigger data for message variables
+ * @returns {Promise<Array<string>>} IDs of the runs started
+ */
+export async function enrollContact(shopId, contactId, triggerEvent, context = {}) {
+  const flows = await prisma.automationFlow.findMany({
+    where: { shopId, triggerEvent, isActive: true },
+  });
+
+  const started = [];
+
+  for (const flow of flows) {
+    const run = await startRun(flow, contactId, context);
+    if (run) started.push(run.id);
+  }
+
+  return started;
+}
+
+/**
+ * Start a run of one flow for a contact
+ * @returns {Promise<Object|null>} Run, or null when the contact may not enter
+ */
+async function startRun(flow, contactId, context) {
+  const contact = await prisma.contact.findFirst({
+    where: { id: contactId, shopId: flow.shopId },
+    select: { smsConsent: true },
+  });
+
+  if (contact?.smsConsent !== 'opted_in') return null;
+
+  const previous = await prisma.flowRun.findFirst({
+    where: {
+      flowId: flow.id,
+      contactId,
+      ...(flow.allowReentry && { status: 'active' }),
+    },
+    select: { id: true },
+  });
+
+  if (previous) return null;
+
+  const run = await prisma.flowRun.create({
+    data: {
+      flowId: flow.id,
+      shopId: flow.shopId,
+      contactId,
+      context,
+      nextRunAt: new Date(),
+    },
+  });
+
+  await scheduleRun(run);
+
+  logger.info('Contact entered flow', { flowId: flow.id, contactId, runId: run.id });
+
+  return run;
+}
+
+/**
+ * End the active runs of a contact in flows whose goal was just met
+ * @param {string} shopId - Shop ID
+ * @param {string} contactId - Contact ID
+ * @param {string} goal - One of FLOW_CONDITIONS
+ * @returns {Promise<number>} Number of runs ended
+ */
+export async function exitFlowsOnGoal(shopId, contactId, goal) {
+  const { count } = await prisma.flowRun.updateMany({
+    where: { shopId, contactId, status: 'active', flow: { goal } },
+    data: { status: 'exited', exitReason: 'goal', nextRunAt: null, finishedAt: new Date() },
+  });
+
+  if (count > 0) {
+    logger.info('Contact reached flow goal', { shopId, contactId, goal, runs: count });
+  }
+
+  return count;
+}
+
+/**
+ * Send a flow SMS step to the run's contact; the step is already claimed
+ * @returns {Promise<Object>} { sent }, with skipped when frequency capped
+ */
+async function sendFlowMessage(run, step, index) {
+  const { contact, flow } = run;
+
+  if (await isFrequencyCapped(run.shopId, contact.phoneE164)) {
+    logger.info('Flow message skipped by frequency cap', { runId: run.id, step: index });
+    return { sent: false, skipped: 'frequency_cap' };
+  }
+
+  const [shop, senderConfig] = await Promise.all([
+    prisma.shop.findUnique({ where: { id: run.shopId } }),
+    getSenderConfig(run.shopId),
+  ]);
+
+  const rendered = renderTemplate(step.message, buildTemplateContext({ contact, shop, data: run.context || {} }));
+  const text = await shortenLinks(rendered, { shopId: run.shopId, contactId: contact.id, flowId: flow.id });
+
+  const res = await sendMessage({
+    to: contact.phoneE164,
+    text,
+    senderOverride: senderConfig.senderNumber || senderConfig.senderName,
+    shopId: run.shopId,
+  });
+
+  await prisma.messageLog.create({
+    data: {
+      shopId: run.shopId,
+      phoneE164: contact.phoneE164,
+      direction: 'outbound',
+      provider: res.provider,
+      category: MESSAGE_CATEGORIES.MARKETING,
+      providerMsgId: res.messageId,
+      status: 'sent',
+      segments: res.segments,
+      payload: { type: 'flow', flowId: flow.id, runId: run.id, step: index },
+    },
+  });
+
+  return { sent: true };
+}
+
+/**
+ * Execute a run from its current step until it waits, finishes or is
+ * deferred. Each step is claimed by moving stepIndex forward before it runs,
+ * so duplicate jobs never repeat a step.
+ * @param {string} runId - Flow run ID
+ * @returns {Promise<Object>} Execution summary
+ */
+export async function runFlowStep(runId) {
+  const run = await prisma.flowRun.findUnique({
+    where: { id: runId },
+    include: { flow: true, contact: true },
+  });
+
+  if (!run || run.status !== 'active') {
+    return { ok: false, reason: 'run_not_active' };
+  }
+
+  if (!run.flow.isActive) {
+    await finishRun(run.id, 'exited', 'flow_inactive');
+    return { ok: true, status: 'exited', exitReason: 'flow_inactive' };
+  }
+
+  const steps = run.flow.steps;
+
+  for (let executed = 0; executed < MAX_STEPS_PER_JOB; executed++) {
+    if (run.contact.smsConsent !== 'opted_in') {
+      await finishRun(run.id, 'exited', 'opted_out');
+      return { ok: true, status: 'exited', exitReason: 'opted_out' };
+    }
+
+    if (run.flow.goal && await isConditionMet(run.flow.goal, run)) {
+      await finishRun(run.id, 'exited', 'goal');
+      return { ok: true, status: 'exited', exitReason: 'goal' };
+    }
+
+    const index = run.stepIndex;
+    const step = steps[index];
+
+    if (!step) {
+      await finishRun(run.id, 'completed');
+      return { ok: true, status: 'completed' };
+    }
+
+    if (step.type === 'exit') {
+      await finishRun(run.id, 'exited', 'exit_step');
+      return { ok: true, status: 'exited', exitReason: 'exit_step' };
+    }
+
+    let next = index + 1;
+    let runAt = null;
+
+    if (step.type === 'branch') {
+      const met = await isConditionMet(step.condition, run);
+      const target = met ? step.ifTrue : step.ifFalse;
+      if (target === 'exit') {
+        await finishRun(run.id, 'exited', 'exit_step');
+        return { ok: true, status: 'exited', exitReason: 'exit_step' };
+      }
+      next = target ?? next;
+    }
+
+    if (step.type === 'wait') {
+      runAt = new Date(Date.now() + step.amount * UNIT_MS[step.unit]);
+    }
+
+    // Quiet hours: run this same step again when the window ends; nothing is claimed yet
+    if (step.type === 'send_sms') {
+      const { deferred, sendAt } = resolveSendTime(await getQuietHours(run.shopId), run.contact.phoneE164);
+      if (deferred) {
+        await prisma.flowRun.update({ where: { id: run.id }, data: { nextRunAt: sendAt } });
+        await scheduleRun(run, sendAt);
+        return { ok: true, status: 'active', deferredUntil: sendAt };
+      }
+    }
+
+    const { count } = await prisma.flowRun.updateMany({
+      where: { id: run.id, status: 'active', stepIndex: index },
+      data: { stepIndex: next, nextRunAt: runAt || new Date() },
+    });
+
+    // Another job already moved this run on
+    if (count === 0) return { ok: false, reason: 'step_already_run' };
+
+    if (step.type === 'send_sms') {
+      try {
+        await sendFlowMessage(run, step, index);
+      } catch (error) {
+        logger.error('Flow message failed', { runId: run.id, step: index, error: error.message });
+        await finishRun(run.id, 'failed', 'send_failed');
+        return { ok: false, status: 'failed', exitReason: 'send_failed', error: error.message };
+      }
+    }
+
+    if (step.type === 'add_tag' && !run.contact.tags.includes(step.tag)) {
+      run.contact = await prisma.contact.update({
+        where: { id: run.contactId },
+        data: { tags: { push: step.tag } },
+      });
+    }
+
+    run.stepIndex = next;
+
+    if (runAt) {
+      await scheduleRun(run, runAt);
+      return { ok: true, status: 'active', stepIndex: next, nextRunAt: runAt };
+    }
+
+    run.contact = await prisma.contact.findUnique({ where: { id: run.contactId } });
+  }
+
+  logger.warn('Flow run stopped after too many steps without a wait', { runId: run.id });
+  await finishRun(run.id, 'failed', 'loop');
+  return { ok: false, status: 'failed', exitReason: 'loop' };
+}
+
+/**
+ * Run counts per status for flows
+ * @param {Array<string>} flowIds - Flow IDs
+ * @returns {Promise<Map<string, Object>>} flowId -> { active, completed, exited, failed }
+ */
+async function getRunCounts(flowIds) {
+  const rows = await prisma.flowRun.groupBy({
+    by: ['flowId', 'status'],
+    where: { flowId: { in: flowIds } },
+    _count: { _all: true },
+  });
+
+  const counts = new Map(flowIds.map(id => [id, { active: 0, completed: 0, exited: 0, failed: 0 }]));
+  for (const row of rows) {
+    counts.get(row.flowId)[row.status] = row._count._all;
+  }
+  return counts;
+}
+
+/**
+ * List a store's flows with run counts
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Array>} Flows
+ */
+export async function listFlows(storeId) {
+  const flows = await prisma.automationFlow.findMany({
+    where: { shopId: storeId },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const counts = await getRunCounts(flows.map(f => f.id));
+
+  return flows.map(flow => ({ ...flow, runs: counts.get(flow.id) }));
+}
+
+/**
+ * Get a flow with run counts
+ * @param {string} storeId - Store ID
+ * @param {string} flowId - Flow ID
+ * @returns {Promise<Object>} Flow
+ */
+export async function getFlowById(storeId, flowId) {
+  const flow = await prisma.automationFlow.findFirst({
+    where: { id: flowId, shopId: storeId },
+  });
+
+  if (!flow) {
+    throw new NotFoundError('Flow');
+  }
+
+  const counts = await getRunCounts([flow.id]);
+
+  return { ...flow, runs: counts.get(flow.id) };
+}
+
+async function assertNameAvailable(storeId, name, excludeId = null) {
+  const existing = await prisma.automationFlow.findFirst({
+    where: { shopId: storeId, name, ...(excludeId && { id: { not: excludeId } }) },
+    select: { id: true },
+  });
+
+  if (existing) {
+    throw new ConflictError('A flow with this name already exists');
+  }
+}
+
+/**
+ * Create a flow
+ * @param {string} storeId - Store ID
+ * @param {Object} flowData - { name, triggerEvent, steps, goal, allowReentry, isActive }
+ * @returns {Promise<Object>} Created flow
+ */
+export async function createFlow(storeId, flowData) {
+  const name = flowData.name.trim();
+
+  validateFlowSteps(flowData.steps);
+  await assertNameAvailable(storeId, name);
+
+  const flow = await prisma.automationFlow.create({
+    data: {
+      shopId: storeId,
+      name,
+      triggerEvent: flowData.triggerEvent,
+      steps: flowData.steps,
+      goal: flowData.goal || null,
+      allowReentry: !!flowData.allowReentry,
+      isActive: !!flowData.isActive,
+    },
+  });
+
+  logger.info('Flow created', { storeId, flowId: flow.id, triggerEvent: flow.triggerEvent });
+
+  return { ...flow, runs: { active: 0, completed: 0, exited: 0, failed: 0 } };
+}
+
+/**
+ * Update a flow. Contacts already in the flow continue from the same step
+ * index with the new steps.
+ * @param {string} storeId - Store ID
+ * @param {string} flowId - Flow ID
+ * @param {Object} flowData - Fields to update
+ * @returns {Promise<Object>} Updated flow
+ */
+export async function updateFlow(storeId, flowId, flowData) {
+  const existing = await prisma.automationFlow.findFirst({
+    where: { id: flowId, shopId: storeId },
+  });
+
+  if (!existing) {
+    throw new NotFoundError('Flow');
+  }
+
+  if (flowData.steps) validateFlowSteps(flowData.steps);
+
+  const name = flowData.name?.trim();
+  if (name && name !== existing.name) await assertNameAvailable(storeId, name, flowId);
+
+  await prisma.automationFlow.update({
+    where: { id: flowId },
+    data: {
+      ...(name && { name }),
+      ...(flowData.triggerEvent && { triggerEvent: flowData.triggerEvent }),
+      ...(flowData.steps && { steps: flowData.steps }),
+      ...(flowData.goal !== undefined && { goal: flowData.goal }),
+      ...(flowData.allowReentry !== undefined && { allowReentry: flowData.allowReentry }),
+      ...(flowData.isActive !== undefined && { isActive: flowData.isActive }),
+    },
+  });
+
+  logger.info('Flow updated', { storeId, flowId });
+
+  return getFlowById(storeId, flowId);
+}
+
+/**
+ * Delete a flow and its runs; pending step jobs find no run and stop
+ * @param {string} storeId - Store ID
+ * @param {string} flowId - Flow ID
+ */
+export async function deleteFlow(storeId, flowId) {
+  const { count } = await prisma.automationFlow.deleteMany({
+    where: { id: flowId, shopId: storeId },
+  });
+
+  if (count === 0) {
+    throw new NotFoundError('Flow');
+  }
+
+  logger.info('Flow deleted', { storeId, flowId });
+}
+
+/**
+ * Enter contacts into a flow by hand
+ * @param {string} storeId - Store ID
+ * @param {string} flowId - Flow ID
+ * @param {Array<string>} contactIds - Contact IDs
+ * @returns {Promise<Object>} { enrolled, skipped }
+ */
+export async function enrollContacts(storeId, flowId, contactIds) {
+  const flow = await prisma.automationFlow.findFirst({
+    where: { id: flowId, shopId: storeId },
+  });
+
+  if (!flow) {
+    throw new NotFoundError('Flow');
+  }
+
+  if (!flow.isActive) {
+    throw new ValidationError('Activate the flow before entering contacts');
+  }
+
+  let enrolled = 0;
+  for (const contactId of new Set(contactIds)) {
+    if (await startRun(flow, contactId, {})) enrolled++;
+  }
+
+  return { enrolled, skipped: contactIds.length - enrolled };
+}
+
+/**
+ * List the runs of a flow
+ * @param {string} storeId - Store ID
+ * @param {string} flowId - Flow ID
+ * @param {Object} filters - { status, page, pageSize }
+ * @returns {Promise<Object>} { runs, pagination }
+ */
+export async function listFlowRuns(storeId, flowId, filters = {}) {
+  const { status, page = 1, pageSize = 20 } = filters;
+
+  await getFlowById(storeId, flowId);
+
+  const where = { flowId, ...(status && { status }) };
+
+  const [runs, total] = await Promise.all([
+    prisma.flowRun.findMany({
+      where,
+      orderBy: { startedAt: 'desc' },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+      include: {
+        contact: { select: { id: true, firstName: true, lastName: true, phoneE164: true } },
+      },
+    }),
+    prisma.flowRun.count({ where }),
+  ]);
+
+  return {
+    runs,
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+    },
+  };
+}
+
+export default {
+  FLOW_STEP_JOB,
+  FLOW_TRIGGERS,
+  FLOW_STEP_TYPES,
+  FLOW_CONDITIONS,
+  validateFlowSteps,
+  enrollContact,
+  exitFlowsOnGoal,
+  runFlowStep,
+  listFlows,
+  getFlowById,
+  createFlow,
+  updateFlow,
+  deleteFlow,
+  enrollContacts,
+  listFlowRuns,
+};
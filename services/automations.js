@@ -1,19 +1,56 @@
 import prisma from './prisma.js';
-import { sendSms } from './mitto.js';
+import { sendMessage } from './sms.js';
+import { validateCreditsForMessages } from './credit-validation.js';
 import { logger } from '../utils/logger.js';
+import { buildTemplateContext, renderTemplate } from '../utils/template-engine.js';
+import { countSmsSegments } from '../utils/sms-segments.js';
+import { resolveSendTime } from '../utils/sending-window.js';
+import { getQuietHours } from './settings.js';
+import { getAutomationCategory, isFrequencyCapped, MESSAGE_CATEGORIES } from './frequency-caps.js';
+import { automationQueue } from '../queue/index.js';
+import { shortenLinks, withShortLinkPlaceholders } from './link-shortener.js';
+
+export const DEFERRED_AUTOMATION_JOB = 'deferred-automation';
+
+// Jobs handled by the automation worker (queue/worker.js)
+export const AUTOMATION_JOBS = {
+  ABANDONED_CART: 'abandoned-cart',
+  ORDER_CONFIRMATION: 'order-confirmation',
+  CUSTOMER_REENGAGEMENT: 'customer-reengagement',
+  BIRTHDAY: 'birthday',
+  FULFILLMENT_UPDATE: 'fulfillment-update',
+  REVIEW_REQUEST: 'review-request',
+  REORDER_REMINDER: 'reorder-reminder',
+  DAILY_REENGAGEMENT_CHECK: 'daily-reengagement-check',
+  DAILY_BIRTHDAY_CHECK: 'daily-birthday-check',
+  DAILY_REORDER_CHECK: 'daily-reorder-check',
+};
+
+// Cron pattern (UTC) of the daily birthday, re-engagement and reorder checks
+export const DAILY_CHECK_PATTERN = process.env.AUTOMATION_DAILY_CHECK_CRON || '0 9 * * *';
+
+// Outcomes recorded as skipped rather than failed in AutomationLog
+const SKIP_REASONS = ['Contact not found', 'No SMS consent', 'frequency_cap', 'insufficient_credits'];
 
 /**
- * Trigger an automation for a specific contact
+ * Trigger an automation for a specific contact.
+ * Inside the shop's quiet hours the trigger is re-queued for the end of the
+ * window and { success: true, deferred: true, deferredUntil } is returned.
+ * `message` replaces the automation's own message for this send (e.g. a
+ * specific abandoned checkout reminder).
  */
 export async function triggerAutomation({
   shopId,
   contactId,
   triggerEvent,
   additionalData = {},
+  message = null,
 }) {
+  let userAutomation = null;
+
   try {
     // Find the user automation for this trigger
-    const userAutomation = await prisma.userAutomation.findFirst({
+    userAutomation = await prisma.userAutomation.findFirst({
       where: {
         shopId,
         automation: {
@@ -51,7 +88,7 @@ export async function triggerAutomation({
         shopId,
         triggerEvent,
       });
-      return { success: false, reason: 'Contact not found' };
+      return { success: false, reason: 'Contact not found', automationId: userAutomation.automationId };
     }
 
     // Check if contact has SMS consent
@@ -62,11 +99,47 @@ export async function triggerAutomation({
         triggerEvent,
         smsConsent: contact.smsConsent,
       });
-      return { success: false, reason: 'No SMS consent' };
+      return { success: false, reason: 'No SMS consent', automationId: userAutomation.automationId };
+    }
+
+    // Marketing automations count toward the shop's frequency caps; transactional ones are exempt
+    const category = getAutomationCategory(triggerEvent);
+
+    if (category === MESSAGE_CATEGORIES.MARKETING && await isFrequencyCapped(shopId, contact.phoneE164)) {
+      logger.info('Automation skipped by frequency cap', {
+        shopId,
+        contactId,
+        triggerEvent,
+      });
+      return { success: false, reason: 'frequency_cap', automationId: userAutomation.automationId };
+    }
+
+    // Respect quiet hours: re-run the trigger once the window ends
+    const { deferred, sendAt } = resolveSendTime(await getQuietHours(shopId), contact.phoneE164);
+
+    if (deferred) {
+      await automationQueue.add(DEFERRED_AUTOMATION_JOB, {
+        shopId,
+        contactId,
+        triggerEvent,
+        additionalData,
+        message,
+      }, {
+        delay: Math.max(0, sendAt.getTime() - Date.now()),
+      });
+
+      logger.info('Automation deferred by quiet hours', {
+        shopId,
+        contactId,
+        triggerEvent,
+        deferredUntil: sendAt,
+      });
+
+      return { success: true, deferred: true, deferredUntil: sendAt, automationId: userAutomation.automationId };
     }
 
     // Prepare message content
-    const messageContent = userAutomation.userMessage || userAutomation.automation.defaultMessage;
+    const messageContent = message || userAutomation.userMessage || userAutomation.automation.defaultMessage;
 
     // Replace template variables
     const processedMessage = processMessageTemplate(messageContent, {
@@ -75,60 +148,90 @@ export async function triggerAutomation({
       ...additionalData,
     });
 
+    // Each SMS segment of the personalized message costs one credit (charged by sendMessage)
+    const { segments } = countSmsSegments(withShortLinkPlaceholders(processedMessage));
+    const creditCheck = await validateCreditsForMessages(shopId, Math.max(1, segments));
+
+    if (!creditCheck.canSend) {
+      logger.warn('Insufficient credits for automation SMS', {
+        shopId,
+        contactId,
+        triggerEvent,
+        segments,
+        missingCredits: creditCheck.missingCredits,
+      });
+      return {
+        success: false,
+        reason: 'insufficient_credits',
+        error: `You need ${creditCheck.missingCredits} more credits to send this message.`,
+        automationId: userAutomation.automationId,
+      };
+    }
+
     // Get sender information
     const senderNumber = userAutomation.shop.settings?.senderNumber ||
                          userAutomation.shop.settings?.senderName ||
                          process.env.MITTO_SENDER_NAME || 'Sendly';
 
-    // Send SMS
-    const smsResult = await sendSms({
-      to: contact.phoneE164,
-      text: processedMessage,
-      senderOverride: senderNumber,
-      shopId,
-    });
-
-    if (smsResult.success) {
-      // Log the automation trigger
-      await prisma.messageLog.create({
-        data: {
-          shopId,
-          phoneE164: contact.phoneE164,
-          direction: 'outbound',
-          provider: 'mitto',
-          providerMsgId: smsResult.messageId,
-          status: 'sent',
-          campaignId: null, // Automation, not campaign
-        },
-      });
-
-      logger.info('Automation triggered successfully', {
+    // Send SMS (sendMessage throws when the message is not accepted)
+    let smsResult;
+    try {
+      const text = await shortenLinks(processedMessage, {
         shopId,
-        contactId,
-        triggerEvent,
-        messageId: smsResult.messageId,
+        contactId: contact.id,
         automationId: userAutomation.automationId,
       });
 
-      return {
-        success: true,
-        messageId: smsResult.messageId,
-        automationId: userAutomation.automationId,
-      };
-    } else {
+      smsResult = await sendMessage({
+        to: contact.phoneE164,
+        text,
+        senderOverride: senderNumber,
+        shopId,
+      });
+    } catch (error) {
       logger.error('Failed to send automation SMS', {
         shopId,
         contactId,
         triggerEvent,
-        error: smsResult.error,
+        error: error.message,
       });
 
       return {
         success: false,
         reason: 'SMS sending failed',
-        error: smsResult.error,
+        error: error.message,
+        automationId: userAutomation.automationId,
       };
     }
+
+    await prisma.messageLog.create({
+      data: {
+        shopId,
+        phoneE164: contact.phoneE164,
+        direction: 'outbound',
+        provider: smsResult.provider,
+        category,
+        providerMsgId: smsResult.messageId,
+        status: 'sent',
+        campaignId: null, // Automation, not campaign
+        automationId: userAutomation.automationId,
+        segments: smsResult.segments,
+      },
+    });
+
+    logger.info('Automation triggered successfully', {
+      shopId,
+      contactId,
+      triggerEvent,
+      messageId: smsResult.messageId,
+      automationId: userAutomation.automationId,
+    });
+
+    return {
+      success: true,
+      messageId: smsResult.messageId,
+      automationId: userAutomation.automationId,
+    };
   } catch (error) {
     logger.error('Automation trigger failed', {
       error: error.message,
@@ -141,6 +244,7 @@ export async function triggerAutomation({
       success: false,
       reason: 'Internal error',
       error: error.message,
+      automationId: userAutomation?.automationId,
     };
   }
 }
@@ -149,47 +253,24 @@ export async function triggerAutomation({
  * Process message template with variables
  */
 function processMessageTemplate(template, data) {
-  let processedMessage = template;
-
-  // Replace contact variables
-  if (data.contact) {
-    processedMessage = processedMessage.replace(/\{\{firstName\}\}/g, data.contact.firstName || '');
-    processedMessage = processedMessage.replace(/\{\{lastName\}\}/g, data.contact.lastName || '');
-    processedMessage = processedMessage.replace(/\{\{phone\}\}/g, data.contact.phoneE164 || '');
-  }
-
-  // Replace shop variables
-  if (data.shop) {
-    processedMessage = processedMessage.replace(/\{\{shopName\}\}/g, data.shop.shopDomain || '');
-    processedMessage = processedMessage.replace(/\{\{shopDomain\}\}/g, data.shop.shopDomain || '');
-  }
-
-  // Replace additional data variables
-  if (data.orderNumber) {
-    processedMessage = processedMessage.replace(/\{\{orderNumber\}\}/g, data.orderNumber);
-  }
-  if (data.trackingLink) {
-    processedMessage = processedMessage.replace(/\{\{trackingLink\}\}/g, data.trackingLink);
-  }
-  if (data.productName) {
-    processedMessage = processedMessage.replace(/\{\{productName\}\}/g, data.productName);
-  }
-  if (data.discountCode) {
-    processedMessage = processedMessage.replace(/\{\{discountCode\}\}/g, data.discountCode);
-  }
-
-  return processedMessage;
+  const { contact, shop, ...additionalData } = data;
+  return renderTemplate(template, buildTemplateContext({
+    contact,
+    shop,
+    data: additionalData,
+  }));
 }
 
 /**
  * Trigger abandoned cart automation
  */
-export async function triggerAbandonedCart({ shopId, contactId, cartData = {} }) {
+export async function triggerAbandonedCart({ shopId, contactId, cartData = {}, message = null }) {
   return await triggerAutomation({
     shopId,
     contactId,
     triggerEvent: 'cart_abandoned',
     additionalData: cartData,
+    message,
   });
 }
 
@@ -229,6 +310,116 @@ export async function triggerBirthdayOffer({ shopId, contactId, birthdayData = {
   });
 }
 
+/**
+ * Queue an automation job for the automation worker
+ * @param {string} name - One of AUTOMATION_JOBS
+ * @param {Object} data - Job data ({ shopId, contactId, ... })
+ * @param {string} [jobId] - Deterministic job ID; a job with the same ID is only
+ *   queued once, ever (claimed in AutomationJobClaim, not just while BullMQ keeps the job),
+ *   unless the claim is released with releaseAutomationJob()
+ * @returns {Promise<Object|null>} Queued job, or null when it was queued before
+ */
+export async function queueAutomationJob(name, data, jobId = null) {
+  if (jobId) {
+    try {
+      await prisma.automationJobClaim.create({ data: { shopId: data.shopId, key: jobId } });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        logger.info('Automation job already queued, skipping', { name, jobId, shopId: data.shopId });
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  let job;
+  try {
+    // The claim dedupes keyed jobs; BullMQ must not keep their ID, or a released key could not be queued again
+    job = await automationQueue.add(name, data, jobId ? { jobId, removeOnComplete: true, removeOnFail: true } : {});
+  } catch (error) {
+    // Not queued: let a later retry claim it again
+    if (jobId) {
+      await releaseAutomationJob(data.shopId, jobId);
+    }
+    throw error;
+  }
+
+  logger.info('Automation job queued', { name, jobId: job.id, shopId: data.shopId, contactId: data.contactId });
+
+  return job;
+}
+
+/**
+ * Release the claim of a keyed automation job so it can be queued again
+ * @param {string} shopId - Shop ID
+ * @param {string} jobId - Job ID passed to queueAutomationJob()
+ */
+export async function releaseAutomationJob(shopId, jobId) {
+  await prisma.automationJobClaim.deleteMany({ where: { shopId, key: jobId } });
+}
+
+/**
+ * Record the outcome of a trigger in AutomationLog. Deferred triggers are
+ * recorded when they run, and triggers without an active automation are not
+ * recorded at all.
+ * @param {string} shopId - Shop ID
+ * @param {Object} result - Result of triggerAutomation()
+ */
+export async function recordAutomationOutcome(shopId, result) {
+  if (!result.automationId || result.deferred) return;
+
+  let status = 'failed';
+  if (result.success) status = 'sent';
+  else if (SKIP_REASONS.includes(result.reason)) status = 'skipped';
+
+  try {
+    await prisma.automationLog.create({
+      data: {
+        automationId: result.automationId,
+        storeId: shopId,
+        status,
+        reason: result.success ? null : result.error || result.reason,
+      },
+    });
+  } catch (error) {
+    logger.error('Failed to record automation outcome', {
+      shopId,
+      automationId: result.automationId,
+      status,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Register the daily birthday, re-engagement and reorder checks as repeatable jobs
+ * (run on worker startup). Schedules left over from an older pattern are removed.
+ * @returns {Promise<void>}
+ */
+export async function scheduleDailyAutomationChecks() {
+  const names = [
+    AUTOMATION_JOBS.DAILY_BIRTHDAY_CHECK,
+    AUTOMATION_JOBS.DAILY_REENGAGEMENT_CHECK,
+    AUTOMATION_JOBS.DAILY_REORDER_CHECK,
+  ];
+
+  const existing = await automationQueue.getRepeatableJobs();
+  for (const job of existing) {
+    if (names.includes(job.name) && job.pattern !== DAILY_CHECK_PATTERN) {
+      await automationQueue.removeRepeatableByKey(job.key);
+    }
+  }
+
+  for (const name of names) {
+    await automationQueue.add(name, {}, {
+      repeat: { pattern: DAILY_CHECK_PATTERN },
+      jobId: name,
+    });
+  }
+
+  logger.info('Daily automation checks scheduled', { pattern: DAILY_CHECK_PATTERN });
+}
+
 /**
  * Get all active automations for a shop
  */
@@ -263,6 +454,8 @@ export async function hasActiveAutomation(shopId, triggerEvent) {
 }
 
 export default {
+  DEFERRED_AUTOMATION_JOB,
+  AUTOMATION_JOBS,
   triggerAutomation,
   triggerAbandonedCart,
   triggerOrderConfirmation,
@@ -271,4 +464,8 @@ export default {
   getActiveAutomations,
   hasActiveAutomation,
   processMessageTemplate,
+  queueAutomationJob,
+  releaseAutomationJob,
+  recordAutomationOutcome,
+  scheduleDailyAutomationChecks,
 };
@@ -0,0 +1,356 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+import { getShopTimezone, getQuietHours, getFrequencyCaps } from './settings.js';
+import { getBirthdayContacts } from './contacts.js';
+import { addDaysInTimezone, formatDateInTimezone, getZonedParts, zonedTimeToUtc } from '../utils/timezone.js';
+import { getNextAllowedSendTime } from '../utils/sending-window.js';
+
+/**
+ * Campaign Calendar Service
+ * Campaigns and automation volume laid out on the shop's local calendar.
+ * Scheduled campaigns appear at their launch time, recurring campaigns once
+ * per future occurrence, and sent campaigns at their first send. Entries are
+ * flagged when they fall inside quiet hours or stack past the frequency caps.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range a single calendar request may cover
+export const MAX_CALENDAR_DAYS = 366;
+
+// Days of history used to estimate the daily volume of event-driven automations
+const AUTOMATION_HISTORY_DAYS = 30;
+
+/**
+ * Convert a local YYYY-MM-DD date to the UTC instant its day starts at
+ * @param {string} date - Local date
+ * @param {string} timeZone - Shop timezone
+ * @returns {Date} Start of the local day
+ */
+function startOfLocalDay(date, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  return zonedTimeToUtc({ year, month, day }, timeZone);
+}
+
+/**
+ * Shift a YYYY-MM-DD date by whole days
+ * @returns {string} YYYY-MM-DD date
+ */
+function shiftDate(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * List the local dates from `from` to `to`, inclusive
+ * @returns {Array<string>} YYYY-MM-DD dates
+ */
+function listDates(from, to) {
+  const dates = [];
+  for (let date = from; date <= to && dates.length <= MAX_CALENDAR_DAYS; date = shiftDate(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Build a calendar entry for one campaign send
+ * @returns {Object} Calendar entry
+ */
+function toEntry(campaign, kind, at, timeZone, extra = {}) {
+  const local = getZonedParts(at, timeZone);
+  return {
+    campaignId: campaign.id,
+    name: campaign.name,
+    status: campaign.status,
+    kind,
+    at,
+    date: formatDateInTimezone(at, timeZone),
+    localTime: `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`,
+    ...extra,
+    conflicts: [],
+  };
+}
+
+/**
+ * Occurrences of a recurring campaign inside the range
+ * @returns {Array<Date>} Occurrence instants
+ */
+function expandRecurring(campaign, rangeStart, rangeEnd, timeZone) {
+  const occurrences = [];
+  let next = new Date(campaign.scheduleAt);
+
+  while (next < rangeEnd) {
+    if (next >= rangeStart) occurrences.push(next);
+    next = addDaysInTimezone(next, campaign.recurringDays, timeZone);
+  }
+
+  return occurrences;
+}
+
+/**
+ * Campaign sends in the range, one entry per occurrence placed at its first send
+ * @returns {Promise<Array>} Calendar entries
+ */
+async function findSentEntries(storeId, rangeStart, rangeEnd, timeZone) {
+  const sends = await prisma.campaignRecipient.groupBy({
+    by: ['campaignId', 'occurrence'],
+    where: {
+      campaign: { shopId: storeId },
+      sentAt: { gte: rangeStart, lt: rangeEnd },
+    },
+    _min: { sentAt: true },
+    _count: { _all: true },
+  });
+
+  if (sends.length === 0) return [];
+
+  const campaigns = await prisma.campaign.findMany({
+    where: { id: { in: [...new Set(sends.map(s => s.campaignId))] } },
+    select: { id: true, name: true, status: true },
+  });
+
+  return sends
+    .map(row => {
+      const campaign = campaigns.find(c => c.id === row.campaignId);
+      return campaign && toEntry(campaign, 'sent', row._min.sentAt, timeZone, { sent: row._count._all });
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Scheduled and recurring campaigns that launch in the range. A recurring
+ * campaign still sending or paused keeps its next occurrences.
+ * @returns {Promise<Array>} Calendar entries
+ */
+async function findUpcomingEntries(storeId, rangeStart, rangeEnd, timeZone) {
+  const now = new Date();
+  const campaigns = await prisma.campaign.findMany({
+    where: {
+      shopId: storeId,
+      OR: [
+        { status: 'scheduled' },
+        { status: { in: ['sending', 'paused'] }, scheduleType: 'recurring' },
+      ],
+      scheduleAt: { not: null, lt: rangeEnd },
+    },
+    select: { id: true, name: true, status: true, scheduleType: true, scheduleAt: true, recurringDays: true },
+  });
+
+  const entries = [];
+
+  for (const campaign of campaigns) {
+    if (campaign.scheduleType === 'recurring' && campaign.recurringDays) {
+      const from = rangeStart > now ? rangeStart : now;
+      expandRecurring(campaign, from, rangeEnd, timeZone).forEach((at, index) => {
+        entries.push(toEntry(campaign, 'recurring', at, timeZone, {
+          recurringDays: campaign.recurringDays,
+          occurrence: index + 1,
+        }));
+      });
+    } else if (campaign.scheduleAt >= rangeStart) {
+      entries.push(toEntry(campaign, 'scheduled', campaign.scheduleAt, timeZone));
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Flag entries launched inside quiet hours; their sends wait for the window to end
+ */
+function flagQuietHours(entries, quietHours, timeZone) {
+  if (!quietHours.enabled) return;
+
+  for (const entry of entries) {
+    if (entry.kind === 'sent') continue;
+
+    const sendAt = getNextAllowedSendTime({ start: quietHours.start, end: quietHours.end, timeZone }, entry.at);
+    if (sendAt > entry.at) {
+      entry.conflicts.push({
+        type: 'quiet_hours',
+        message: `Starts inside quiet hours (${quietHours.start}-${quietHours.end}); sending waits until ${formatDateInTimezone(sendAt, timeZone)} ${quietHours.end}`,
+        sendsAt: sendAt,
+      });
+    }
+  }
+}
+
+/**
+ * Flag campaigns that exceed the daily or weekly cap together with the
+ * campaigns around them. Contacts in several of those audiences are skipped.
+ */
+function flagFrequencyCaps(entries, caps) {
+  const sorted = [...entries].sort((a, b) => a.at - b.at);
+
+  for (const entry of sorted) {
+    if (entry.kind === 'sent') continue;
+
+    const before = (ms) => sorted.filter(other => other.at <= entry.at && other.at > entry.at - ms).length;
+
+    if (caps.daily && before(DAY_MS) > caps.daily) {
+      entry.conflicts.push({
+        type: 'frequency_cap',
+        cap: 'daily',
+        message: `More than ${caps.daily} campaigns within 24 hours; contacts already messaged will be skipped`,
+      });
+    }
+
+    if (caps.weekly && before(7 * DAY_MS) > caps.weekly) {
+      entry.conflicts.push({
+        type: 'frequency_cap',
+        cap: 'weekly',
+        message: `More than ${caps.weekly} campaigns within 7 days; contacts already messaged will be skipped`,
+      });
+    }
+  }
+}
+
+/**
+ * Upcoming volume of the shop's active automations: birthdays per day, and
+ * for event-driven automations the average daily sends of the last 30 days
+ * @returns {Promise<Array>} [{ automationId, title, triggerEvent, estimatedPerDay, byDate }]
+ */
+async function estimateAutomations(storeId, from, to, timeZone) {
+  const active = await prisma.userAutomation.findMany({
+    where: { shopId: storeId, isActive: true },
+    include: { automation: { select: { id: true, title: true, triggerEvent: true } } },
+  });
+
+  if (active.length === 0) return [];
+
+  const today = formatDateInTimezone(new Date(), timeZone);
+  const upcoming = listDates(from > today ? from : today, to);
+  const since = new Date(Date.now() - AUTOMATION_HISTORY_DAYS * DAY_MS);
+
+  const history = await prisma.messageLog.groupBy({
+    by: ['automationId'],
+    where: {
+      shopId: storeId,
+      direction: 'outbound',
+      automationId: { in: active.map(a => a.automationId) },
+      createdAt: { gte: since },
+    },
+    _count: { _all: true },
+  });
+
+  const estimates = [];
+
+  for (const { automation } of active) {
+    if (automation.triggerEvent === 'birthday') {
+      const byDate = {};
+
+      if (upcoming.length > 0) {
+        const daysAhead = Math.ceil((startOfLocalDay(to, timeZone) - Date.now()) / DAY_MS) + 1;
+        const contacts = await getBirthdayContacts(storeId, daysAhead);
+        const days = new Set(upcoming);
+
+        for (const contact of contacts) {
+          const birthDate = new Date(contact.birthDate);
+          for (const year of new Set(upcoming.map(d => Number(d.slice(0, 4))))) {
+            // Feb 29 birthdays fall on Mar 1 in other years
+            const date = new Date(Date.UTC(year, birthDate.getUTCMonth(), birthDate.getUTCDate()))
+              .toISOString().slice(0, 10);
+            if (days.has(date)) byDate[date] = (byDate[date] || 0) + 1;
+          }
+        }
+      }
+
+      estimates.push({
+        automationId: automation.id,
+        title: automation.title,
+        triggerEvent: automation.triggerEvent,
+        estimatedPerDay: null,
+        byDate,
+      });
+      continue;
+    }
+
+    const sent = history.find(row => row.automationId === automation.id)?._count._all || 0;
+    const perDay = Math.round((sent / AUTOMATION_HISTORY_DAYS) * 10) / 10;
+
+    estimates.push({
+      automationId: automation.id,
+      title: automation.title,
+      triggerEvent: automation.triggerEvent,
+      estimatedPerDay: perDay,
+      byDate: Object.fromEntries(upcoming.map(date => [date, perDay])),
+    });
+  }
+
+  return estimates;
+}
+
+/**
+ * Campaign calendar for a date range in the shop's timezone
+ * @param {string} storeId - Store ID
+ * @param {Object} range - { from, to } local YYYY-MM-DD dates, inclusive
+ * @returns {Promise<Object>} { timezone, from, to, campaigns, automations, days }
+ * @throws {ValidationError} If the range is reversed or too long
+ */
+export async function getCampaignCalendar(storeId, range) {
+  const { from, to } = range;
+
+  logger.info('Getting campaign calendar', { storeId, from, to });
+
+  const dates = listDates(from, to);
+
+  if (dates.length === 0) {
+    throw new ValidationError('Calendar range is invalid', [
+      { field: 'to', message: 'Must be on or after from' },
+    ]);
+  }
+
+  if (dates.length > MAX_CALENDAR_DAYS) {
+    throw new ValidationError('Calendar range is too long', [
+      { field: 'to', message: `At most ${MAX_CALENDAR_DAYS} days` },
+    ]);
+  }
+
+  const [timeZone, quietHours, caps] = await Promise.all([
+    getShopTimezone(storeId),
+    getQuietHours(storeId),
+    getFrequencyCaps(storeId),
+  ]);
+
+  const rangeStart = startOfLocalDay(from, timeZone);
+  const rangeEnd = startOfLocalDay(shiftDate(to, 1), timeZone);
+
+  const [sent, upcoming, automations] = await Promise.all([
+    findSentEntries(storeId, rangeStart, rangeEnd, timeZone),
+    findUpcomingEntries(storeId, rangeStart, rangeEnd, timeZone),
+    estimateAutomations(storeId, from, to, timeZone),
+  ]);
+
+  const campaigns = [...sent, ...upcoming].sort((a, b) => a.at - b.at);
+
+  // Quiet hours apply in the shop timezone here; contact timezones may shift individual sends
+  flagQuietHours(campaigns, quietHours, timeZone);
+  flagFrequencyCaps(campaigns, caps);
+
+  const days = dates.map(date => {
+    const entries = campaigns.filter(c => c.date === date);
+    const automationMessages = automations.reduce((sum, a) => sum + (a.byDate[date] || 0), 0);
+    return {
+      date,
+      campaigns: entries.length,
+      estimatedAutomationMessages: Math.round(automationMessages),
+      conflicts: entries.reduce((sum, c) => sum + c.conflicts.length, 0),
+    };
+  });
+
+  return {
+    timezone: timeZone,
+    from,
+    to,
+    campaigns,
+    automations,
+    days,
+  };
+}
+
+export default {
+  MAX_CALENDAR_DAYS,
+  getCampaignCalendar,
+};
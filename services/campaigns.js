@@ -1,8 +1,36 @@
+import { Prisma } from '@prisma/client';
 import prisma from './prisma.js';
 import { logger } from '../utils/logger.js';
-import { ValidationError, NotFoundError } from '../utils/errors.js';
-import { validateAndConsumeCredits, InsufficientCreditsError } from './credit-validation.js';
-import { smsQueue } from '../queue/index.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+import { validateAndConsumeCredits, refundCredits, InsufficientCreditsError } from './credit-validation.js';
+import { campaignQueue } from '../queue/index.js';
+import { getShopTimezone, getSenderConfig } from './settings.js';
+import {
+  scheduleCampaignLaunch,
+  unscheduleCampaignLaunch,
+  queueCampaignSendJob,
+  removePendingJob,
+  sendJobId,
+} from './scheduler.js';
+import { parseDateInTimezone } from '../utils/timezone.js';
+import { assertValidTemplate, buildTemplateContext, extractVariables, renderTemplate } from '../utils/template-engine.js';
+import { countSmsSegments } from '../utils/sms-segments.js';
+import { getDiscountCode } from './shopify.js';
+import { getSegmentAudienceWhere } from './segments.js';
+import { getCappedPhones, MESSAGE_CATEGORIES } from './frequency-caps.js';
+import { applyExclusions, normalizeExclusions } from './audience-exclusions.js';
+import { sendMessage } from './sms.js';
+import { shortenLinks, withShortLinkPlaceholders } from './link-shortener.js';
+import { assertUniqueCodeDiscount, getDiscountCodePlaceholder, issueTestCode } from './discount-codes.js';
+import {
+  AB_WINNER_JOB,
+  abWinnerJobId,
+  buildVariants,
+  buildAbTestFields,
+  getAbTestConfig,
+  assignVariants,
+  getVariantMetrics,
+} from './ab-testing.js';
 
 /**
  * Campaigns Service
@@ -30,45 +58,140 @@ function normalizeAudienceQuery(audience) {
   return { smsConsent: 'opted_in' };
 }
 
+// Variants in label order, for A/B campaigns
+const VARIANTS_INCLUDE = { variants: { orderBy: { label: 'asc' } } };
+
+// Contact fields needed to personalize and price a message
+const RECIPIENT_CONTACT_SELECT = {
+  id: true,
+  phoneE164: true,
+  firstName: true,
+  lastName: true,
+  email: true,
+  tags: true,
+  lastOrderAt: true,
+};
+
 /**
- * Resolve recipients based on audience
+ * Load the contacts an audience targets
  * @param {string} shopId - Store ID
  * @param {string} audience - Audience filter
- * @returns {Promise<Array>} Array of recipients
+ * @returns {Promise<Array>} Contacts (RECIPIENT_CONTACT_SELECT)
  */
-async function resolveRecipients(shopId, audience) {
-  logger.info('Resolving recipients', { shopId, audience });
-
+async function findAudienceContacts(shopId, audience) {
   const base = normalizeAudienceQuery(audience);
-  
+
   if (base) {
-    const contacts = await prisma.contact.findMany({
+    return prisma.contact.findMany({
       where: { shopId, ...base },
-      select: { id: true, phoneE164: true },
+      select: RECIPIENT_CONTACT_SELECT,
     });
-    return contacts.map(c => ({ contactId: c.id, phoneE164: c.phoneE164 }));
   }
 
-  // Handle segment-based audience
+  // Handle segment-based audience (rules are evaluated at send time)
   if (audience.startsWith('segment:')) {
     const segmentId = audience.split(':')[1];
-    const members = await prisma.segmentMembership.findMany({
-      where: { segmentId },
-      include: {
-        contact: {
-          select: { id: true, phoneE164: true, smsConsent: true, shopId: true },
-        },
-      },
+    return prisma.contact.findMany({
+      where: await getSegmentAudienceWhere(shopId, segmentId),
+      select: RECIPIENT_CONTACT_SELECT,
     });
-
-    return members
-      .filter(m => m.contact?.shopId === shopId && m.contact?.smsConsent === 'opted_in')
-      .map(m => ({ contactId: m.contactId, phoneE164: m.contact.phoneE164 }));
   }
 
   return [];
 }
 
+export const RESEND_TARGETS = {
+  NON_CLICKERS: 'non_clickers',
+  NON_DELIVERERS: 'non_deliverers',
+};
+
+// Parent recipients a resend goes to. Numbers the provider refused as
+// invalid are left out of non-deliverer resends.
+const RESEND_RECIPIENT_WHERE = {
+  [RESEND_TARGETS.NON_CLICKERS]: { status: { in: ['sent', 'delivered'] }, clickedAt: null },
+  [RESEND_TARGETS.NON_DELIVERERS]: {
+    status: { in: ['sent', 'failed'] },
+    OR: [{ errorType: null }, { errorType: { not: 'validation' } }],
+  },
+};
+
+/**
+ * Load the opted-in contacts of the parent campaign a resend targets
+ * @param {Object} campaign - Resend campaign (parentCampaignId, resendTarget)
+ * @returns {Promise<Array>} Contacts (RECIPIENT_CONTACT_SELECT)
+ */
+async function findResendContacts(campaign) {
+  const recipients = await prisma.campaignRecipient.findMany({
+    where: {
+      campaignId: campaign.parentCampaignId,
+      ...RESEND_RECIPIENT_WHERE[campaign.resendTarget],
+      contact: { smsConsent: 'opted_in' },
+    },
+    select: { contact: { select: RECIPIENT_CONTACT_SELECT } },
+  });
+
+  return recipients.map(r => r.contact);
+}
+
+/**
+ * Resolve the campaign's recipients: one per phone number, without the
+ * contacts matched by its exclusion rules or at the shop's frequency caps.
+ * Resend campaigns take their audience from the parent campaign.
+ * @param {Object} campaign - Campaign record (shopId, audience, exclusions, parentCampaignId, resendTarget)
+ * @returns {Promise<Object>} { recipients: [{ contactId, phoneE164, contact }], skipped }
+ *   skipped: { total, duplicates, excluded: { segments, tags, recentlyMessaged, recentPurchasers }, frequencyCap }
+ */
+async function resolveRecipients(campaign) {
+  const { shopId, audience, exclusions, parentCampaignId } = campaign;
+
+  logger.info('Resolving recipients', { shopId, audience, exclusions, parentCampaignId });
+
+  const audienceContacts = parentCampaignId
+    ? await findResendContacts(campaign)
+    : await findAudienceContacts(shopId, audience);
+
+  const seen = new Set();
+  const unique = audienceContacts.filter(c => {
+    if (seen.has(c.phoneE164)) return false;
+    seen.add(c.phoneE164);
+    return true;
+  });
+
+  const { contacts, excluded } = await applyExclusions(shopId, unique, exclusions);
+  const capped = await getCappedPhones(shopId, contacts.map(c => c.phoneE164));
+
+  const recipients = contacts
+    .filter(c => !capped.has(c.phoneE164))
+    .map(c => ({ contactId: c.id, phoneE164: c.phoneE164, contact: c }));
+
+  const skipped = {
+    total: audienceContacts.length - recipients.length,
+    duplicates: audienceContacts.length - unique.length,
+    excluded,
+    frequencyCap: contacts.length - recipients.length,
+  };
+
+  return { recipients, skipped };
+}
+
+/**
+ * Error message for an audience with nobody left to send to
+ * @param {Object} skipped - Skipped counts from resolveRecipients
+ * @returns {string} Message
+ */
+function noRecipientsMessage(skipped) {
+  const excluded = Object.values(skipped.excluded).reduce((sum, n) => sum + n, 0);
+  const reasons = [];
+
+  if (excluded > 0) reasons.push(`${excluded} contacts are excluded`);
+  if (skipped.frequencyCap > 0) reasons.push(`${skipped.frequencyCap} contacts have reached the frequency cap`);
+
+  if (reasons.length > 0) {
+    return `No recipients left for this campaign: ${reasons.join(', ')}`;
+  }
+  return 'No recipients found for this campaign';
+}
+
 /**
  * Calculate recipient count without fetching all data
  * @param {string} shopId - Store ID
@@ -86,23 +209,134 @@ async function calculateRecipientCount(shopId, audience) {
 
   if (audience.startsWith('segment:')) {
     const segmentId = audience.split(':')[1];
-    const members = await prisma.segmentMembership.findMany({
-      where: { segmentId },
-      include: {
-        contact: {
-          select: { shopId: true, smsConsent: true },
-        },
-      },
+    return await prisma.contact.count({
+      where: await getSegmentAudienceWhere(shopId, segmentId),
     });
-
-    return members.filter(
-      m => m.contact?.shopId === shopId && m.contact?.smsConsent === 'opted_in'
-    ).length;
   }
 
   return 0;
 }
 
+/**
+ * Load what is shared by every recipient's message: shop fields and the discount code.
+ * With unique codes, discountCode is a same-length placeholder until each
+ * recipient's code is issued at send time.
+ * @param {Object} campaign - Campaign record (with variants, if any)
+ * @returns {Promise<Object>} Send context ({ shop, discountCode, uniqueDiscountCodes })
+ */
+export async function getCampaignSendContext(campaign) {
+  const shop = await prisma.shop.findUnique({
+    where: { id: campaign.shopId },
+    select: { shopDomain: true, shopName: true },
+  });
+
+  let discountCode = null;
+
+  const templates = [campaign.message, ...(campaign.variants || []).map(v => v.message)];
+  const usesDiscountCode = templates.some(t => extractVariables(t).includes('discountCode'));
+
+  if (campaign.discountId && usesDiscountCode && campaign.uniqueDiscountCodes) {
+    return { shop, discountCode: getDiscountCodePlaceholder(), uniqueDiscountCodes: true };
+  }
+
+  if (campaign.discountId && usesDiscountCode) {
+    try {
+      const discount = await getDiscountCode(shop.shopDomain, campaign.discountId);
+      discountCode = discount.code !== 'N/A' ? discount.code : null;
+    } catch (error) {
+      // Recipients still get the message; {{discountCode|fallback}} covers the gap
+      logger.warn('Could not resolve campaign discount code', {
+        campaignId: campaign.id,
+        discountId: campaign.discountId,
+        error: error.message,
+      });
+    }
+  }
+
+  return { shop, discountCode, uniqueDiscountCodes: false };
+}
+
+/**
+ * Check that a unique-code campaign can issue its codes before it is sent
+ * @param {Object} campaign - Campaign record
+ * @param {Object} sendContext - From getCampaignSendContext()
+ * @throws {ValidationError} If the message or the Shopify discount is not set up for unique codes
+ */
+async function assertDiscountCodeSetup(campaign, sendContext) {
+  if (!campaign.uniqueDiscountCodes) return;
+
+  if (!sendContext.uniqueDiscountCodes) {
+    throw new ValidationError('Add {{discountCode}} to the message to send unique discount codes', [
+      { field: 'message', message: 'Message must contain {{discountCode}}' },
+    ]);
+  }
+
+  await assertUniqueCodeDiscount(sendContext.shop.shopDomain, campaign.discountId);
+}
+
+/**
+ * Render the campaign message for one recipient
+ * @param {Object} campaign - Campaign record
+ * @param {Object} contact - Contact (or { phoneE164 } when the contact is gone)
+ * @param {Object} sendContext - From getCampaignSendContext()
+ * @param {Object} [variant] - A/B variant to render instead of campaign.message
+ * @returns {string} Personalized message
+ */
+export function renderCampaignMessage(campaign, contact, sendContext, variant = null) {
+  return renderTemplate(variant?.message || campaign.message, buildTemplateContext({
+    contact,
+    shop: sendContext.shop,
+    discountCode: sendContext.discountCode,
+  })).trim();
+}
+
+/**
+ * Price a campaign: each recipient costs the segments of their personalized message.
+ * Recipients of an A/B campaign without an assigned variant (held for the
+ * winner, or not yet split) are priced at their most expensive variant.
+ * URLs are priced at the length of the short links they are sent as.
+ * @param {Object} campaign - Campaign record (with variants, if any)
+ * @param {Array} recipients - Resolved recipients
+ * @param {Object} sendContext - From getCampaignSendContext()
+ * @param {Array<Object|null>} [assignments] - Variant per recipient, from assignVariants()
+ * @returns {Object} { creditsRequired, segments: number[], summary }
+ */
+function estimateCampaignCost(campaign, recipients, sendContext, assignments = []) {
+  const encodings = {};
+  let min = Infinity;
+  let max = 0;
+  const variants = campaign.variants?.length ? campaign.variants : [null];
+
+  const segments = recipients.map((recipient, index) => {
+    const candidates = assignments[index] ? [assignments[index]] : variants;
+    const result = candidates
+      .map(variant => countSmsSegments(withShortLinkPlaceholders(
+        renderCampaignMessage(campaign, recipient.contact || recipient, sendContext, variant),
+      )))
+      .reduce((a, b) => (b.segments > a.segments ? b : a));
+    const count = Math.max(1, result.segments);
+
+    encodings[result.encoding] = (encodings[result.encoding] || 0) + 1;
+    min = Math.min(min, count);
+    max = Math.max(max, count);
+
+    return count;
+  });
+
+  const creditsRequired = segments.reduce((sum, n) => sum + n, 0);
+
+  return {
+    creditsRequired,
+    segments,
+    summary: {
+      totalSegments: creditsRequired,
+      minPerRecipient: recipients.length > 0 ? min : 0,
+      maxPerRecipient: max,
+      encodings,
+    },
+  };
+}
+
 /**
  * Validate campaign data
  * @param {Object} campaignData - Campaign data to validate
@@ -121,6 +355,8 @@ function validateCampaignData(campaignData) {
     throw new ValidationError('Message is too long (max 1600 characters)');
   }
 
+  assertValidTemplate(campaignData.message);
+
   if (!['immediate', 'scheduled', 'recurring'].includes(campaignData.scheduleType)) {
     throw new ValidationError('Invalid schedule type');
   }
@@ -132,6 +368,16 @@ function validateCampaignData(campaignData) {
   if (campaignData.scheduleType === 'recurring' && !campaignData.recurringDays) {
     throw new ValidationError('Recurring days is required for recurring campaigns');
   }
+
+  if (campaignData.variants?.length && campaignData.scheduleType === 'recurring') {
+    throw new ValidationError('A/B tests are not supported for recurring campaigns');
+  }
+
+  if (campaignData.uniqueDiscountCodes && !campaignData.discountId) {
+    throw new ValidationError('Unique discount codes need a discount', [
+      { field: 'discountId', message: 'Choose the Shopify discount the codes are issued under' },
+    ]);
+  }
 }
 
 /**
@@ -153,7 +399,7 @@ export async function listCampaigns(storeId, filters = {}) {
 
   const where = { shopId: storeId };
 
-  if (status && ['draft', 'scheduled', 'sending', 'sent', 'failed', 'cancelled'].includes(status)) {
+  if (status && ['draft', 'scheduled', 'sending', 'paused', 'sent', 'failed', 'cancelled'].includes(status)) {
     where.status = status;
   }
 
@@ -207,6 +453,7 @@ export async function getCampaignById(storeId, campaignId) {
     },
     include: {
       metrics: true,
+      ...VARIANTS_INCLUDE,
       recipients: {
         take: 100, // Limit recipients for performance
       },
@@ -231,22 +478,38 @@ export async function getCampaignById(storeId, campaignId) {
 export async function createCampaign(storeId, campaignData) {
   logger.info('Creating campaign', { storeId, name: campaignData.name });
 
+  // A/B campaigns may omit message; it mirrors variant A
+  const variants = campaignData.variants?.length ? buildVariants(campaignData.variants) : [];
+  const message = campaignData.message || variants[0]?.message;
+
   // Validate campaign data
-  validateCampaignData(campaignData);
+  validateCampaignData({ ...campaignData, message });
+
+  const exclusions = await normalizeExclusions(storeId, campaignData.exclusions);
+
+  // Offset-less schedule dates are wall-clock times in the shop timezone
+  const timeZone = await getShopTimezone(storeId);
 
   // Create campaign
   const campaign = await prisma.campaign.create({
     data: {
       shopId: storeId,
       name: campaignData.name.trim(),
-      message: campaignData.message.trim(),
+      message: message.trim(),
       audience: campaignData.audience || 'all',
       discountId: campaignData.discountId || null,
       scheduleType: campaignData.scheduleType || 'immediate',
-      scheduleAt: campaignData.scheduleAt ? new Date(campaignData.scheduleAt) : null,
+      scheduleAt: campaignData.scheduleAt ? parseDateInTimezone(campaignData.scheduleAt, timeZone) : null,
       recurringDays: campaignData.recurringDays || null,
+      uniqueDiscountCodes: !!campaignData.uniqueDiscountCodes,
+      exclusions: exclusions || Prisma.DbNull,
       status: 'draft',
+      ...(variants.length > 0 && {
+        ...buildAbTestFields(campaignData.abTest || {}),
+        variants: { create: variants },
+      }),
     },
+    include: VARIANTS_INCLUDE,
   });
 
   // Create metrics record
@@ -300,6 +563,7 @@ export async function updateCampaign(storeId, campaignId, campaignData) {
     if (campaignData.message.length > 1600) {
       throw new ValidationError('Message is too long (max 1600 characters)');
     }
+    assertValidTemplate(campaignData.message);
     updateData.message = campaignData.message.trim();
   }
 
@@ -307,16 +571,79 @@ export async function updateCampaign(storeId, campaignId, campaignData) {
   if (campaignData.discountId !== undefined) updateData.discountId = campaignData.discountId;
   if (campaignData.scheduleType !== undefined) updateData.scheduleType = campaignData.scheduleType;
   if (campaignData.scheduleAt !== undefined) {
-    updateData.scheduleAt = campaignData.scheduleAt ? new Date(campaignData.scheduleAt) : null;
+    const timeZone = await getShopTimezone(storeId);
+    updateData.scheduleAt = campaignData.scheduleAt
+      ? parseDateInTimezone(campaignData.scheduleAt, timeZone)
+      : null;
   }
   if (campaignData.recurringDays !== undefined) updateData.recurringDays = campaignData.recurringDays;
+  if (campaignData.uniqueDiscountCodes !== undefined) updateData.uniqueDiscountCodes = campaignData.uniqueDiscountCodes;
+  if (campaignData.exclusions !== undefined) {
+    updateData.exclusions = await normalizeExclusions(storeId, campaignData.exclusions) || Prisma.DbNull;
+  }
+
+  const discountId = updateData.discountId !== undefined ? updateData.discountId : existing.discountId;
+  const uniqueDiscountCodes = updateData.uniqueDiscountCodes ?? existing.uniqueDiscountCodes;
+
+  if (uniqueDiscountCodes && !discountId) {
+    throw new ValidationError('Unique discount codes need a discount', [
+      { field: 'discountId', message: 'Choose the Shopify discount the codes are issued under' },
+    ]);
+  }
+
+  // Variants replace the existing ones; null or [] turns the A/B test off
+  let isAbTest = existing.abTestPercent != null;
+  const abTest = { ...getAbTestConfig(existing), ...campaignData.abTest };
+
+  if (campaignData.variants !== undefined || campaignData.abTest !== undefined) {
+    if (existing.status === 'sending') {
+      throw new ValidationError('Cannot change the A/B test of a campaign that is sending');
+    }
+  }
+
+  if (campaignData.variants !== undefined) {
+    const variants = campaignData.variants?.length ? buildVariants(campaignData.variants) : [];
+    isAbTest = variants.length > 0;
+    updateData.variants = { deleteMany: {}, create: variants };
+    Object.assign(updateData, buildAbTestFields(isAbTest ? abTest : null));
+    if (isAbTest && campaignData.message === undefined) updateData.message = variants[0].message;
+  } else if (campaignData.abTest !== undefined) {
+    if (!isAbTest) {
+      throw new ValidationError('Add variants to the campaign before configuring an A/B test');
+    }
+    Object.assign(updateData, buildAbTestFields(abTest));
+  }
+
+  if (isAbTest && (updateData.scheduleType || existing.scheduleType) === 'recurring') {
+    throw new ValidationError('A/B tests are not supported for recurring campaigns');
+  }
+
+  const scheduleChanged = ['scheduleType', 'scheduleAt', 'recurringDays']
+    .some(field => updateData[field] !== undefined);
+
+  // Rescheduling a scheduled campaign drops its pending launch job
+  if (existing.status === 'scheduled' && scheduleChanged) {
+    await unscheduleCampaignLaunch(existing);
+
+    const scheduleAt = updateData.scheduleAt !== undefined ? updateData.scheduleAt : existing.scheduleAt;
+    if (!scheduleAt) {
+      updateData.status = 'draft';
+    } else if (scheduleAt <= new Date()) {
+      throw new ValidationError('Schedule date must be in the future');
+    }
+  }
 
   // Update campaign
   const campaign = await prisma.campaign.update({
     where: { id: campaignId },
     data: updateData,
+    include: VARIANTS_INCLUDE,
   });
 
+  if (campaign.status === 'scheduled' && scheduleChanged) {
+    await scheduleCampaignLaunch(campaign);
+  }
+
   logger.info('Campaign updated successfully', { storeId, campaignId });
 
   return campaign;
@@ -341,10 +668,14 @@ export async function deleteCampaign(storeId, campaignId) {
   }
 
   // Can't delete sent campaigns
-  if (existing.status === 'sent' || existing.status === 'sending') {
+  if (['sent', 'sending', 'paused'].includes(existing.status)) {
     throw new ValidationError('Cannot delete a campaign that is sent or currently sending');
   }
 
+  if (existing.status === 'scheduled') {
+    await unscheduleCampaignLaunch(existing);
+  }
+
   // Delete campaign (metrics and recipients will cascade)
   await prisma.campaign.delete({
     where: { id: campaignId },
@@ -364,6 +695,7 @@ export async function prepareCampaign(storeId, campaignId) {
 
   const campaign = await prisma.campaign.findFirst({
     where: { id: campaignId, shopId: storeId },
+    include: VARIANTS_INCLUDE,
   });
 
   if (!campaign) {
@@ -375,35 +707,46 @@ export async function prepareCampaign(storeId, campaignId) {
   }
 
   // Calculate recipients
-  const recipients = await resolveRecipients(storeId, campaign.audience);
+  const { recipients, skipped } = await resolveRecipients(campaign);
   const recipientCount = recipients.length;
 
   if (recipientCount === 0) {
-    throw new ValidationError('No recipients found for this campaign');
+    throw new ValidationError(noRecipientsMessage(skipped));
   }
 
+  const sendContext = await getCampaignSendContext(campaign);
+  await assertDiscountCodeSetup(campaign, sendContext);
+  const { creditsRequired, summary } = estimateCampaignCost(campaign, recipients, sendContext);
+
   // Check credits (without consuming)
   const shop = await prisma.shop.findUnique({
     where: { id: storeId },
     select: { credits: true },
   });
 
-  if (shop.credits < recipientCount) {
-    throw new InsufficientCreditsError(recipientCount, shop.credits);
+  if (shop.credits < creditsRequired) {
+    const missingCredits = creditsRequired - shop.credits;
+    throw new InsufficientCreditsError(
+      `You need ${missingCredits} more credits to send this campaign. You currently have ${shop.credits} credits.`,
+      missingCredits,
+    );
   }
 
   logger.info('Campaign prepared successfully', {
     storeId,
     campaignId,
     recipientCount,
+    creditsRequired,
     creditsAvailable: shop.credits,
   });
 
   return {
     recipientCount,
-    creditsRequired: recipientCount,
+    skipped,
+    creditsRequired,
     creditsAvailable: shop.credits,
-    canSend: shop.credits >= recipientCount,
+    canSend: shop.credits >= creditsRequired,
+    segments: summary,
   };
 }
 
@@ -418,6 +761,7 @@ export async function sendCampaign(storeId, campaignId) {
 
   const campaign = await prisma.campaign.findFirst({
     where: { id: campaignId, shopId: storeId },
+    include: VARIANTS_INCLUDE,
   });
 
   if (!campaign) {
@@ -428,50 +772,470 @@ export async function sendCampaign(storeId, campaignId) {
     throw new ValidationError('Only draft campaigns can be sent');
   }
 
-  // Get recipients
-  const recipients = await resolveRecipients(storeId, campaign.audience);
-  const recipientCount = recipients.length;
+  return await queueCampaignSend(campaign);
+}
 
-  if (recipientCount === 0) {
-    throw new ValidationError('No recipients found for this campaign');
-  }
+/**
+ * Send the rendered campaign message to a few seed numbers. Test messages go
+ * through the shop's provider and are charged, but are logged without a
+ * campaignId (payload type campaign_test) so they stay out of campaign
+ * metrics, and as system messages so they do not count toward frequency caps.
+ * @param {string} storeId - Store ID
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} testData - { phones, contactIds, sampleContactId, variant }
+ * @returns {Promise<Object>} Per-seed results
+ */
+export async function testSendCampaign(storeId, campaignId, testData) {
+  const { phones = [], contactIds = [], sampleContactId, variant: variantLabel } = testData;
 
-  // Validate and consume credits
-  await validateAndConsumeCredits(storeId, recipientCount, `campaign:${campaignId}`);
+  logger.info('Test sending campaign', { storeId, campaignId, seeds: phones.length + contactIds.length });
 
-  // Update campaign status
-  await prisma.campaign.update({
-    where: { id: campaignId },
-    data: { status: 'sending' },
+  const campaign = await prisma.campaign.findFirst({
+    where: { id: campaignId, shopId: storeId },
+    include: VARIANTS_INCLUDE,
   });
 
-  // Create recipient records
-  await prisma.campaignRecipient.createMany({
-    data: recipients.map(r => ({
+  if (!campaign) {
+    throw new NotFoundError('Campaign');
+  }
+
+  const variant = variantLabel
+    ? campaign.variants.find(v => v.label === variantLabel)
+    : campaign.variants[0] || null;
+
+  if (variantLabel && !variant) {
+    throw new ValidationError(`Campaign has no variant ${variantLabel}`, [
+      { field: 'variant', message: 'Unknown variant' },
+    ]);
+  }
+
+  const ids = [...new Set([...contactIds, ...(sampleContactId ? [sampleContactId] : [])])];
+  const contacts = ids.length > 0
+    ? await prisma.contact.findMany({ where: { shopId: storeId, id: { in: ids } } })
+    : [];
+  const contactsById = new Map(contacts.map(c => [c.id, c]));
+
+  const missing = ids.filter(id => !contactsById.has(id));
+  if (missing.length > 0) {
+    throw new ValidationError('Some contacts were not found', missing.map(id => ({
+      field: id === sampleContactId ? 'sampleContactId' : 'contactIds',
+      message: `Contact ${id} not found`,
+    })));
+  }
+
+  // Raw seed phones that belong to opted-out contacts are refused as well
+  const optedOutPhones = phones.length > 0
+    ? await prisma.contact.findMany({
+      where: { shopId: storeId, phoneE164: { in: phones }, smsConsent: 'opted_out' },
+      select: { phoneE164: true },
+    })
+    : [];
+
+  const optedOut = [
+    ...contactIds
+      .filter(id => contactsById.get(id).smsConsent === 'opted_out')
+      .map(id => ({ field: 'contactIds', message: `Contact ${id} has opted out` })),
+    ...optedOutPhones.map(c => ({ field: 'phones', message: `${c.phoneE164} has opted out` })),
+  ];
+  if (optedOut.length > 0) {
+    throw new ValidationError('Cannot test send to opted-out contacts', optedOut);
+  }
+
+  // Each seed: its phone plus whose data renders the message
+  const sample = sampleContactId ? contactsById.get(sampleContactId) : null;
+  const seeds = [
+    ...contactIds.map(id => contactsById.get(id)),
+    ...phones.map(phoneE164 => ({ phoneE164 })),
+  ].filter((seed, index, all) => all.findIndex(s => s.phoneE164 === seed.phoneE164) === index);
+
+  const [sendContext, senderConfig] = await Promise.all([
+    getCampaignSendContext(campaign),
+    getSenderConfig(storeId),
+  ]);
+  const sender = senderConfig.senderNumber || senderConfig.senderName;
+
+  // Unique-code campaigns get one real code, shared by the seeds of this test
+  if (sendContext.uniqueDiscountCodes) {
+    sendContext.discountCode = await issueTestCode(campaign, sendContext.shop.shopDomain);
+  }
+
+  const results = [];
+  for (const seed of seeds) {
+    // Test links are not tied to the campaign, so their clicks stay out of its metrics
+    const text = await shortenLinks(
+      renderCampaignMessage(campaign, sample || seed, sendContext, variant),
+      { shopId: storeId, contactId: seed.id || null },
+    );
+    const payload = {
+      type: 'campaign_test',
       campaignId,
-      contactId: r.contactId,
-      phoneE164: r.phoneE164,
-      status: 'pending',
-    })),
-  });
+      variant: variant?.label || null,
+      sampleContactId: sample?.id || null,
+    };
+
+    try {
+      const res = await sendMessage({ to: seed.phoneE164, text, senderOverride: sender, shopId: storeId });
+
+      await prisma.messageLog.create({
+        data: {
+          shopId: storeId,
+          phoneE164: seed.phoneE164,
+          direction: 'outbound',
+          provider: res.provider,
+          category: MESSAGE_CATEGORIES.SYSTEM,
+          providerMsgId: res.messageId || null,
+          status: 'sent',
+          senderNumber: sender,
+          payload,
+        },
+      });
+
+      results.push({ phoneE164: seed.phoneE164, status: 'sent', messageId: res.messageId, segments: res.segments, text });
+    } catch (error) {
+      logger.warn('Campaign test send failed', { storeId, campaignId, phoneE164: seed.phoneE164, error: error.message });
 
-  // Queue campaign for sending
-  await smsQueue.add('send-campaign', {
+      results.push({ phoneE164: seed.phoneE164, status: 'failed', error: error.message, text });
+    }
+  }
+
+  const sent = results.filter(r => r.status === 'sent').length;
+
+  logger.info('Campaign test send completed', { storeId, campaignId, sent, failed: results.length - sent });
+
+  return {
     campaignId,
+    variant: variant?.label || null,
+    sent,
+    failed: results.length - sent,
+    results,
+  };
+}
+
+/**
+ * Launch a scheduled campaign occurrence (called by the scheduler job)
+ * @param {string} storeId - Store ID
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} Send result
+ */
+export async function launchScheduledCampaign(storeId, campaignId) {
+  logger.info('Launching scheduled campaign', { storeId, campaignId });
+
+  const campaign = await prisma.campaign.findFirst({
+    where: { id: campaignId, shopId: storeId },
+    include: VARIANTS_INCLUDE,
+  });
+
+  if (!campaign) {
+    throw new NotFoundError('Campaign');
+  }
+
+  if (campaign.status !== 'scheduled') {
+    throw new ValidationError('Only scheduled campaigns can be launched');
+  }
+
+  return await queueCampaignSend(campaign);
+}
+
+/**
+ * Resolve recipients, consume credits and hand the campaign to the campaign worker.
+ * For A/B campaigns only the test group is queued; the rest is held (and
+ * charged at its most expensive variant) until the winner is selected.
+ * The campaign is claimed (draft/scheduled -> sending, next sendCount) before
+ * anything is charged, so concurrent sends or a send racing its launch job
+ * queue each occurrence once.
+ * @param {Object} campaign - Campaign record with variants
+ * @returns {Promise<Object>} Send result
+ * @throws {ConflictError} If the campaign was sent or launched meanwhile
+ */
+async function queueCampaignSend(campaign) {
+  const { id: campaignId, shopId: storeId, status: previousStatus, sendCount } = campaign;
+  const occurrence = sendCount + 1;
+
+  const { count } = await prisma.campaign.updateMany({
+    where: { id: campaignId, status: previousStatus, sendCount },
+    data: { status: 'sending', sendCount: occurrence },
+  });
+
+  if (count === 0) {
+    throw new ConflictError('Campaign is already being sent');
+  }
+
+  let creditsConsumed = 0;
+  let send;
+
+  try {
+    // Get recipients
+    const { recipients, skipped } = await resolveRecipients(campaign);
+    const recipientCount = recipients.length;
+
+    if (recipientCount === 0) {
+      throw new ValidationError(noRecipientsMessage(skipped));
+    }
+
+    const isAbTest = campaign.variants?.length > 0;
+    const assignments = isAbTest
+      ? assignVariants(recipients, campaign.variants, campaign.abTestPercent)
+      : [];
+
+    // Each recipient costs the segments of their personalized message
+    const sendContext = await getCampaignSendContext(campaign);
+    await assertDiscountCodeSetup(campaign, sendContext);
+    const { creditsRequired, segments, summary } = estimateCampaignCost(
+      campaign, recipients, sendContext, assignments,
+    );
+
+    // Validate and consume credits
+    await validateAndConsumeCredits(storeId, creditsRequired);
+    creditsConsumed = creditsRequired;
+
+    // One row per (campaign occurrence, phone); the worker resumes from these rows
+    await prisma.$transaction([
+      prisma.campaignRecipient.createMany({
+        data: recipients.map((r, index) => ({
+          campaignId,
+          contactId: r.contactId,
+          phoneE164: r.phoneE164,
+          occurrence,
+          status: isAbTest && !assignments[index] ? 'held' : 'pending',
+          variantId: assignments[index]?.id || null,
+          segments: segments[index],
+        })),
+        skipDuplicates: true,
+      }),
+      prisma.campaignMetrics.update({
+        where: { campaignId },
+        data: { totalSkipped: { increment: skipped.total } },
+      }),
+    ]);
+
+    send = { recipientCount, skipped, isAbTest, assignments, creditsRequired, summary };
+  } catch (error) {
+    // No recipients were stored: release the claim and return the credits
+    await prisma.campaign.updateMany({
+      where: { id: campaignId, status: 'sending', sendCount: occurrence },
+      data: { status: previousStatus, sendCount },
+    });
+
+    if (creditsConsumed > 0) {
+      await refundCredits(storeId, creditsConsumed, `campaign:${campaignId}`, { reason: 'send_failed' });
+    }
+
+    throw error;
+  }
+
+  // Recipients are stored; if queueing fails the worker resumes the campaign on startup
+  return await enqueueCampaignSend(campaign, send);
+}
+
+/**
+ * Queue the send and A/B winner jobs of a claimed campaign
+ * @param {Object} campaign - Campaign record
+ * @param {Object} send - Recipients, assignments and cost from queueCampaignSend()
+ * @returns {Promise<Object>} Send result
+ */
+async function enqueueCampaignSend(campaign, { recipientCount, skipped, isAbTest, assignments, creditsRequired, summary }) {
+  const { id: campaignId, shopId: storeId } = campaign;
+
+  // Queue campaign for sending (processed in batches by the campaign worker)
+  await queueCampaignSendJob(campaignId, storeId, { recipientCount });
+
+  let abTest = null;
+  if (isAbTest) {
+    const testRecipients = assignments.filter(Boolean).length;
+    const delay = campaign.abTestWaitMinutes * 60 * 1000;
+
+    await campaignQueue.add(AB_WINNER_JOB, { campaignId, storeId }, {
+      delay,
+      jobId: abWinnerJobId(campaignId),
+      removeOnComplete: true,
+    });
+
+    abTest = {
+      testRecipients,
+      heldRecipients: recipientCount - testRecipients,
+      winnerSelectionAt: new Date(Date.now() + delay),
+    };
+  }
+
+  logger.info('Campaign queued for sending', {
     storeId,
+    campaignId,
     recipientCount,
+    skipped: skipped.total,
+    creditsRequired,
+    abTest,
   });
 
-  logger.info('Campaign queued for sending', { storeId, campaignId, recipientCount });
-
   return {
     campaignId,
     recipientCount,
+    skipped,
+    ...(abTest && { abTest }),
+    creditsConsumed: creditsRequired,
+    segments: summary,
     status: 'sending',
     queuedAt: new Date(),
   };
 }
 
+/**
+ * Re-queue recipients whose send failed for a transient reason (provider
+ * outage, rate limit, network error). Their credits were consumed when the
+ * campaign was queued, so the retry is not charged again. Recipients who
+ * opted out since are not retried.
+ * @param {string} storeId - Store ID
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} Retry result
+ * @throws {ConflictError} If the campaign is being sent or retried meanwhile
+ */
+export async function retryFailedRecipients(storeId, campaignId) {
+  logger.info('Retrying failed campaign recipients', { storeId, campaignId });
+
+  const campaign = await prisma.campaign.findFirst({
+    where: { id: campaignId, shopId: storeId },
+  });
+
+  if (!campaign) {
+    throw new NotFoundError('Campaign');
+  }
+
+  if (!['sent', 'failed'].includes(campaign.status)) {
+    throw new ValidationError('Only sent or failed campaigns can retry failed recipients');
+  }
+
+  const where = {
+    campaignId,
+    status: 'failed',
+    errorType: 'transient',
+    contact: { smsConsent: 'opted_in' },
+  };
+
+  const [retryable, failed] = await Promise.all([
+    prisma.campaignRecipient.findMany({ where, select: { id: true } }),
+    prisma.campaignRecipient.count({ where: { campaignId, status: 'failed' } }),
+  ]);
+
+  if (retryable.length === 0) {
+    throw new ValidationError('No recipients failed for a retryable reason');
+  }
+
+  const ids = retryable.map(r => r.id);
+
+  // The campaign is claimed first, so a concurrent retry (double-click) re-queues nothing
+  const retried = await prisma.$transaction(async (tx) => {
+    const claimed = await tx.campaign.updateMany({
+      where: { id: campaignId, status: { in: ['sent', 'failed'] } },
+      data: { status: 'sending' },
+    });
+
+    if (claimed.count === 0) {
+      throw new ConflictError('Campaign is already being sent');
+    }
+
+    const { count } = await tx.campaignRecipient.updateMany({
+      where: { id: { in: ids }, status: 'failed' },
+      data: { status: 'pending', error: null, errorType: null, deliveryStatus: null, deferredUntil: null },
+    });
+
+    if (count === 0) {
+      throw new ValidationError('No recipients failed for a retryable reason');
+    }
+
+    await tx.campaignMetrics.update({
+      where: { campaignId },
+      data: { totalFailed: { decrement: count } },
+    });
+
+    return count;
+  });
+
+  await queueCampaignSendJob(campaignId, storeId, { recipientCount: retried });
+
+  logger.info('Failed campaign recipients re-queued', {
+    storeId,
+    campaignId,
+    retried,
+    notRetryable: failed - retried,
+  });
+
+  return {
+    campaignId,
+    status: 'sending',
+    retried,
+    notRetryable: failed - retried,
+  };
+}
+
+/**
+ * Create a follow-up draft campaign for the recipients of a sent campaign who
+ * did not click its links or did not receive it. The resend has its own
+ * message and is prepared and sent like any campaign, with its own credit
+ * check; its recipients are resolved from the parent when it is sent.
+ * @param {string} storeId - Store ID
+ * @param {string} campaignId - Parent campaign ID
+ * @param {Object} resendData - { target, message, name, discountId }
+ * @returns {Promise<Object>} Created resend campaign
+ */
+export async function resendCampaign(storeId, campaignId, resendData) {
+  const { target } = resendData;
+
+  logger.info('Creating campaign resend', { storeId, campaignId, target });
+
+  const parent = await prisma.campaign.findFirst({
+    where: { id: campaignId, shopId: storeId },
+  });
+
+  if (!parent) {
+    throw new NotFoundError('Campaign');
+  }
+
+  if (parent.status !== 'sent') {
+    throw new ValidationError('Only sent campaigns can be resent');
+  }
+
+  if (target === RESEND_TARGETS.NON_CLICKERS) {
+    const links = await prisma.shortLink.count({ where: { campaignId } });
+    if (links === 0) {
+      throw new ValidationError('Campaign has no tracked links, so clicks cannot be told apart', [
+        { field: 'target', message: 'Use non_deliverers, or include a link in the campaign message' },
+      ]);
+    }
+  }
+
+  const label = target === RESEND_TARGETS.NON_CLICKERS ? 'non-clickers' : 'non-deliverers';
+  const name = resendData.name?.trim() ||
+    `${parent.name} - resend to ${label} ${new Date().toISOString().slice(0, 10)}`;
+
+  const taken = await prisma.campaign.findFirst({
+    where: { shopId: storeId, name },
+    select: { id: true },
+  });
+
+  if (taken) {
+    throw new ConflictError(`A campaign named "${name}" already exists`);
+  }
+
+  const discountId = resendData.discountId !== undefined ? resendData.discountId : parent.discountId;
+
+  const campaign = await createCampaign(storeId, {
+    name,
+    message: resendData.message,
+    audience: parent.audience,
+    discountId,
+    uniqueDiscountCodes: discountId === parent.discountId && parent.uniqueDiscountCodes,
+  });
+
+  const resend = await prisma.campaign.update({
+    where: { id: campaign.id },
+    data: { parentCampaignId: parent.id, resendTarget: target },
+    include: VARIANTS_INCLUDE,
+  });
+
+  logger.info('Campaign resend created', { storeId, campaignId, resendId: resend.id, target });
+
+  return resend;
+}
+
 /**
  * Schedule campaign for later
  * @param {string} storeId - Store ID
@@ -490,31 +1254,258 @@ export async function scheduleCampaign(storeId, campaignId, scheduleData) {
     throw new NotFoundError('Campaign');
   }
 
+  if (!['draft', 'scheduled'].includes(campaign.status)) {
+    throw new ValidationError('Only draft or scheduled campaigns can be scheduled');
+  }
+
   if (!scheduleData.scheduleAt) {
     throw new ValidationError('Schedule date is required');
   }
 
-  const scheduleAt = new Date(scheduleData.scheduleAt);
+  // Offset-less schedule dates are wall-clock times in the shop timezone
+  const timeZone = await getShopTimezone(storeId);
+  const scheduleAt = parseDateInTimezone(scheduleData.scheduleAt, timeZone);
 
   if (scheduleAt <= new Date()) {
     throw new ValidationError('Schedule date must be in the future');
   }
 
+  const scheduleType = scheduleData.scheduleType || 'scheduled';
+  const recurringDays = scheduleData.recurringDays ?? campaign.recurringDays;
+
+  if (scheduleType === 'recurring' && !recurringDays) {
+    throw new ValidationError('Recurring days is required for recurring campaigns');
+  }
+
+  // Rescheduling replaces the pending launch job
+  if (campaign.status === 'scheduled') {
+    await unscheduleCampaignLaunch(campaign);
+  }
+
   // Update campaign
   const updated = await prisma.campaign.update({
     where: { id: campaignId },
     data: {
-      scheduleType: scheduleData.scheduleType || 'scheduled',
+      scheduleType,
       scheduleAt,
+      recurringDays: scheduleType === 'recurring' ? recurringDays : campaign.recurringDays,
       status: 'scheduled',
     },
   });
 
-  logger.info('Campaign scheduled successfully', { storeId, campaignId, scheduleAt });
+  await scheduleCampaignLaunch(updated);
+
+  logger.info('Campaign scheduled successfully', { storeId, campaignId, scheduleAt, timeZone });
 
   return updated;
 }
 
+/**
+ * Remove a campaign's queued (not yet running) batch send and A/B winner
+ * jobs by their fixed IDs. A batch that is already running stops at its next
+ * status check, and the time-keyed resume and re-check jobs do nothing once
+ * the campaign is no longer sending.
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<number>} Number of jobs removed
+ */
+async function removeQueuedCampaignJobs(campaignId) {
+  const removed = await Promise.all([
+    removePendingJob(sendJobId(campaignId)),
+    removePendingJob(abWinnerJobId(campaignId)),
+  ]);
+
+  return removed.filter(Boolean).length;
+}
+
+/**
+ * Cancel recipients that were never sent and refund their credits. Only the
+ * rows this call moves to cancelled are refunded, so a recipient claimed by
+ * the worker meanwhile or cancelled by a concurrent call is not refunded.
+ * @param {Object} campaign - Campaign record
+ * @returns {Promise<{cancelledRecipients: number, creditsRefunded: number}>}
+ */
+async function cancelUnsentRecipients(campaign) {
+  const cancelled = await prisma.$queryRaw`
+    UPDATE "CampaignRecipient"
+    SET "status" = 'cancelled', "deferredUntil" = NULL
+    WHERE "campaignId" = ${campaign.id} AND "status" IN ('pending', 'held')
+    RETURNING "segments"
+  `;
+  const cancelledRecipients = cancelled.length;
+  const credits = cancelled.reduce((sum, row) => sum + row.segments, 0);
+
+  if (credits > 0) {
+    await refundCredits(campaign.shopId, credits, `campaign:${campaign.id}`, {
+      reason: 'campaign_cancelled',
+      recipients: cancelledRecipients,
+    });
+  }
+
+  return { cancelledRecipients, creditsRefunded: credits };
+}
+
+/**
+ * Cancel a scheduled, sending or paused campaign. Recipients already sent are
+ * kept; credits for the rest are refunded.
+ * @param {string} storeId - Store ID
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} Cancellation result
+ * @throws {ConflictError} If the campaign finished or was cancelled meanwhile
+ */
+export async function cancelCampaign(storeId, campaignId) {
+  logger.info('Cancelling campaign', { storeId, campaignId });
+
+  const campaign = await prisma.campaign.findFirst({
+    where: { id: campaignId, shopId: storeId },
+  });
+
+  if (!campaign) {
+    throw new NotFoundError('Campaign');
+  }
+
+  if (!['scheduled', 'sending', 'paused'].includes(campaign.status)) {
+    throw new ValidationError('Only scheduled, sending or paused campaigns can be cancelled');
+  }
+
+  // Stop the worker first so no new batch starts while unsent recipients are refunded.
+  // Guarded on the status so a campaign finished or cancelled meanwhile is left alone.
+  const { count } = await prisma.campaign.updateMany({
+    where: { id: campaignId, status: { in: ['scheduled', 'sending', 'paused'] } },
+    data: { status: 'cancelled' },
+  });
+
+  if (count === 0) {
+    throw new ConflictError('Campaign finished or was cancelled meanwhile');
+  }
+
+  // Recurring campaigns re-arm while sending, so the launch job may exist in any state
+  await unscheduleCampaignLaunch(campaign);
+  const jobsRemoved = await removeQueuedCampaignJobs(campaignId);
+
+  const { cancelledRecipients, creditsRefunded } = await cancelUnsentRecipients(campaign);
+
+  logger.info('Campaign cancelled', {
+    storeId,
+    campaignId,
+    previousStatus: campaign.status,
+    jobsRemoved,
+    cancelledRecipients,
+    creditsRefunded,
+  });
+
+  return {
+    campaignId,
+    status: 'cancelled',
+    previousStatus: campaign.status,
+    cancelledRecipients,
+    creditsRefunded,
+  };
+}
+
+/**
+ * Pause a sending campaign. Unsent recipients stay pending (and paid for)
+ * until the campaign is resumed or cancelled.
+ * @param {string} storeId - Store ID
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} Pause result
+ * @throws {ConflictError} If the campaign finished or changed status meanwhile
+ */
+export async function pauseCampaign(storeId, campaignId) {
+  logger.info('Pausing campaign', { storeId, campaignId });
+
+  const campaign = await prisma.campaign.findFirst({
+    where: { id: campaignId, shopId: storeId },
+  });
+
+  if (!campaign) {
+    throw new NotFoundError('Campaign');
+  }
+
+  if (campaign.status !== 'sending') {
+    throw new ValidationError('Only sending campaigns can be paused');
+  }
+
+  const { count } = await prisma.campaign.updateMany({
+    where: { id: campaignId, status: 'sending' },
+    data: { status: 'paused' },
+  });
+
+  if (count === 0) {
+    throw new ConflictError('Campaign finished or changed status meanwhile');
+  }
+
+  const jobsRemoved = await removeQueuedCampaignJobs(campaignId);
+
+  const remaining = await prisma.campaignRecipient.count({
+    where: { campaignId, status: { in: ['pending', 'held'] } },
+  });
+
+  logger.info('Campaign paused', { storeId, campaignId, jobsRemoved, remaining });
+
+  return { campaignId, status: 'paused', remainingRecipients: remaining };
+}
+
+/**
+ * Resume a paused campaign where it left off
+ * @param {string} storeId - Store ID
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} Resume result
+ * @throws {ConflictError} If the campaign was resumed or cancelled meanwhile
+ */
+export async function resumeCampaign(storeId, campaignId) {
+  logger.info('Resuming campaign', { storeId, campaignId });
+
+  const campaign = await prisma.campaign.findFirst({
+    where: { id: campaignId, shopId: storeId },
+  });
+
+  if (!campaign) {
+    throw new NotFoundError('Campaign');
+  }
+
+  if (campaign.status !== 'paused') {
+    throw new ValidationError('Only paused campaigns can be resumed');
+  }
+
+  const { count } = await prisma.campaign.updateMany({
+    where: { id: campaignId, status: 'paused' },
+    data: { status: 'sending' },
+  });
+
+  if (count === 0) {
+    throw new ConflictError('Campaign was resumed or cancelled meanwhile');
+  }
+
+  const [remaining, held] = await Promise.all([
+    prisma.campaignRecipient.count({ where: { campaignId, status: 'pending' } }),
+    prisma.campaignRecipient.count({ where: { campaignId, status: 'held' } }),
+  ]);
+
+  // Sends what is left, or finalizes the campaign when nothing is
+  await queueCampaignSendJob(campaignId, storeId, { recipientCount: remaining });
+
+  // A/B winner selection keeps the original wait, counted from the first test send
+  if (held > 0) {
+    const firstSend = await prisma.campaignRecipient.aggregate({
+      where: { campaignId, variantId: { not: null }, sentAt: { not: null } },
+      _min: { sentAt: true },
+    });
+    const selectAt = campaign.abWinnerSelectedAt || !firstSend._min.sentAt
+      ? Date.now()
+      : firstSend._min.sentAt.getTime() + campaign.abTestWaitMinutes * 60 * 1000;
+
+    await campaignQueue.add(AB_WINNER_JOB, { campaignId, storeId }, {
+      delay: Math.max(0, selectAt - Date.now()),
+      jobId: abWinnerJobId(campaignId),
+      removeOnComplete: true,
+    });
+  }
+
+  logger.info('Campaign resumed', { storeId, campaignId, remaining, held });
+
+  return { campaignId, status: 'sending', remainingRecipients: remaining + held };
+}
+
 /**
  * Get campaign metrics
  * @param {string} storeId - Store ID
@@ -533,13 +1524,28 @@ export async function getCampaignMetrics(storeId, campaignId) {
     throw new NotFoundError('Campaign');
   }
 
-  logger.info('Campaign metrics retrieved', { storeId, campaignId });
-
-  return campaign.metrics || {
+  const metrics = campaign.metrics || {
     totalSent: 0,
     totalDelivered: 0,
     totalFailed: 0,
     totalClicked: 0,
+    totalSkipped: 0,
+  };
+
+  const abTest = getAbTestConfig(campaign);
+
+  logger.info('Campaign metrics retrieved', { storeId, campaignId });
+
+  if (!abTest) return metrics;
+
+  return {
+    ...metrics,
+    abTest: {
+      ...abTest,
+      winnerSelectedAt: campaign.abWinnerSelectedAt,
+      results: campaign.abTestResults,
+    },
+    variants: await getVariantMetrics(campaignId),
   };
 }
 
@@ -572,6 +1578,7 @@ export async function getCampaignStats(storeId) {
       draft: statusStats.find(s => s.status === 'draft')?._count?.status || 0,
       scheduled: statusStats.find(s => s.status === 'scheduled')?._count?.status || 0,
       sending: statusStats.find(s => s.status === 'sending')?._count?.status || 0,
+      paused: statusStats.find(s => s.status === 'paused')?._count?.status || 0,
       sent: statusStats.find(s => s.status === 'sent')?._count?.status || 0,
       failed: statusStats.find(s => s.status === 'failed')?._count?.status || 0,
       cancelled: statusStats.find(s => s.status === 'cancelled')?._count?.status || 0,
@@ -585,6 +1592,7 @@ export async function getCampaignStats(storeId) {
 }
 
 export default {
+  RESEND_TARGETS,
   listCampaigns,
   getCampaignById,
   createCampaign,
@@ -592,7 +1600,14 @@ export default {
   deleteCampaign,
   prepareCampaign,
   sendCampaign,
+  testSendCampaign,
+  launchScheduledCampaign,
   scheduleCampaign,
+  cancelCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  retryFailedRecipients,
+  resendCampaign,
   getCampaignMetrics,
   getCampaignStats,
 };
@@ -0,0 +1,428 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+import { smsQueue } from '../queue/index.js';
+import { sendMessage, ValidationError } from './sms.js';
+import { getConsentSettings, getQuietHours, getSenderConfig } from './settings.js';
+import { MESSAGE_CATEGORIES } from './frequency-caps.js';
+import { enrollContact, FLOW_TRIGGERS } from './automation-flows.js';
+import { resolveSendTime } from '../utils/sending-window.js';
+import { countSmsSegments } from '../utils/sms-segments.js';
+import { refundCredits } from './credit-validation.js';
+
+/**
+ * Consent Service
+ * Every change to Contact.smsConsent goes through here so it leaves an
+ * audit trail (ConsentEvent) recording who changed it, how, and why.
+ * Also runs the double opt-in flow: when enabled for a shop, new opt-ins
+ * stay pending until the contact replies YES to a confirmation SMS.
+ */
+
+export const CONSENT_SOURCES = {
+  API: 'api',
+  IMPORT: 'import',
+  KEYWORD: 'keyword',
+  SHOPIFY: 'shopify',
+  CHECKOUT: 'checkout',
+  DOUBLE_OPT_IN: 'double_opt_in',
+};
+
+export const OPT_IN_CONFIRMATION_JOB = 'opt-in-confirmation';
+
+// Opt-ins the contact made themselves by SMS never need a second confirmation
+const SELF_CONFIRMED_SOURCES = [CONSENT_SOURCES.KEYWORD, CONSENT_SOURCES.DOUBLE_OPT_IN];
+
+const OPT_IN_CONFIRMATION_TEXT =
+  '{shop}: Reply YES to confirm you want to receive SMS offers from us. Reply STOP to opt out.';
+
+/**
+ * Decide what consent to store for a requested change.
+ * With double opt-in enabled, an opt-in from the shop side (API, import,
+ * Shopify, checkout) keeps the current consent (`unknown` for new contacts)
+ * until the contact confirms.
+ * @param {Object} params
+ * @param {string} params.requestedConsent - Consent being requested
+ * @param {string|null} params.currentConsent - Current consent (null for new contacts)
+ * @param {string} params.source - Consent source
+ * @param {boolean} params.doubleOptIn - Whether the shop requires double opt-in
+ * @returns {{ smsConsent: string, pendingConfirmation: boolean }} Resolved consent
+ */
+export function resolveConsent({ requestedConsent, currentConsent = null, source, doubleOptIn }) {
+  const pendingConfirmation = doubleOptIn &&
+    requestedConsent === 'opted_in' &&
+    currentConsent !== 'opted_in' &&
+    !SELF_CONFIRMED_SOURCES.includes(source);
+
+  return {
+    smsConsent: pendingConfirmation ? (currentConsent || 'unknown') : requestedConsent,
+    pendingConfirmation,
+  };
+}
+
+/**
+ * Record a consent change in the audit trail
+ * @param {Object} params
+ * @param {string} params.shopId - Store ID
+ * @param {string} params.contactId - Contact ID
+ * @param {string|null} params.previousConsent - Consent before the change (null for new contacts)
+ * @param {string} params.newConsent - Consent after the change
+ * @param {string} params.source - One of CONSENT_SOURCES
+ * @param {Object} [params.evidence] - Supporting data (message text, keyword, ...)
+ * @param {string} [params.ipAddress] - IP address of the request that made the change
+ * @param {string} [params.userAgent] - User agent of the request that made the change
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Object>} Created consent event
+ */
+export async function recordConsentChange({
+  shopId,
+  contactId,
+  previousConsent = null,
+  newConsent,
+  source,
+  evidence = null,
+  ipAddress = null,
+  userAgent = null,
+}, client = prisma) {
+  const event = await client.consentEvent.create({
+    data: {
+      shopId,
+      contactId,
+      previousConsent,
+      newConsent,
+      source,
+      evidence,
+      ipAddress,
+      userAgent,
+    },
+  });
+
+  logger.info('Consent change recorded', {
+    shopId,
+    contactId,
+    previousConsent,
+    newConsent,
+    source,
+  });
+
+  return event;
+}
+
+/**
+ * Audit evidence for a change, noting a pending double opt-in
+ * @param {Object|null} evidence - Caller evidence
+ * @param {boolean} pendingConfirmation - Whether confirmation is pending
+ * @returns {Object|null} Evidence to store
+ */
+function buildEvidence(evidence, pendingConfirmation) {
+  if (!pendingConfirmation) return evidence;
+  return { ...evidence, requestedConsent: 'opted_in', doubleOptIn: 'pending' };
+}
+
+/**
+ * Record the consent a new contact was created with.
+ * Nothing is recorded for contacts created with no consent information.
+ * @param {Object} contact - Created contact
+ * @param {Object} options - { source, pendingConfirmation, evidence, ipAddress, userAgent }
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Object|null>} Created consent event
+ */
+export async function recordInitialConsent(contact, {
+  source,
+  pendingConfirmation = false,
+  evidence = null,
+  ipAddress = null,
+  userAgent = null,
+}, client = prisma) {
+  if (contact.smsConsent === 'unknown' && !pendingConfirmation) {
+    return null;
+  }
+
+  return recordConsentChange({
+    shopId: contact.shopId,
+    contactId: contact.id,
+    previousConsent: null,
+    newConsent: contact.smsConsent,
+    source,
+    evidence: buildEvidence(evidence, pendingConfirmation),
+    ipAddress,
+    userAgent,
+  }, client);
+}
+
+/**
+ * Update a contact's consent and record the change.
+ * No event is written when the consent is already the requested value, or
+ * when a double opt-in confirmation is already pending for the contact.
+ * @param {Object} contact - Contact record (id, shopId, smsConsent, optInRequestedAt)
+ * @param {string} requestedConsent - opted_in, opted_out or unknown
+ * @param {Object} options - { source, evidence, ipAddress, userAgent, doubleOptIn }
+ *   doubleOptIn defaults to the shop setting
+ * @returns {Promise<{ contact: Object, changed: boolean, pendingConfirmation: boolean }>} Result
+ */
+export async function updateContactConsent(contact, requestedConsent, {
+  source,
+  evidence = null,
+  ipAddress = null,
+  userAgent = null,
+  doubleOptIn,
+}) {
+  const requireConfirmation = doubleOptIn ?? (await getConsentSettings(contact.shopId)).doubleOptIn;
+
+  const { smsConsent, pendingConfirmation } = resolveConsent({
+    requestedConsent,
+    currentConsent: contact.smsConsent,
+    source,
+    doubleOptIn: requireConfirmation,
+  });
+
+  if (pendingConfirmation && contact.optInRequestedAt) {
+    return { contact, changed: false, pendingConfirmation: true };
+  }
+
+  if (smsConsent === contact.smsConsent && !pendingConfirmation) {
+    return { contact, changed: false, pendingConfirmation: false };
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const result = await tx.contact.update({
+      where: { id: contact.id },
+      data: {
+        smsConsent,
+        // Any settled change ends a pending confirmation
+        optInRequestedAt: pendingConfirmation ? new Date() : null,
+      },
+    });
+
+    await recordConsentChange({
+      shopId: contact.shopId,
+      contactId: contact.id,
+      previousConsent: contact.smsConsent,
+      newConsent: smsConsent,
+      source,
+      evidence: buildEvidence(evidence, pendingConfirmation),
+      ipAddress,
+      userAgent,
+    }, tx);
+
+    return result;
+  });
+
+  if (pendingConfirmation) {
+    await requestOptInConfirmation(updated);
+  }
+
+  if (updated.smsConsent === 'opted_in' && source !== CONSENT_SOURCES.IMPORT) {
+    await enterOptInFlows(updated);
+  }
+
+  return { contact: updated, changed: true, pendingConfirmation };
+}
+
+/**
+ * Apply SMS marketing consent collected by Shopify (customer record or
+ * checkout). A Shopify opt-in only settles unknown consent, so a stale
+ * Shopify flag never undoes a STOP; a Shopify opt-out always applies.
+ * @param {Object} contact - Contact record
+ * @param {string|null} requestedConsent - opted_in, opted_out, or null when Shopify has no answer
+ * @param {Object} options - { source: SHOPIFY or CHECKOUT, evidence }
+ * @returns {Promise<{ contact: Object, changed: boolean, pendingConfirmation: boolean }>} Result
+ */
+export async function applyShopifyConsent(contact, requestedConsent, { source, evidence = null }) {
+  const applies = (requestedConsent === 'opted_in' && contact.smsConsent === 'unknown') ||
+    (requestedConsent === 'opted_out' && contact.smsConsent !== 'opted_out');
+
+  if (!applies) {
+    return { contact, changed: false, pendingConfirmation: false };
+  }
+
+  return await updateContactConsent(contact, requestedConsent, { source, evidence });
+}
+
+/**
+ * Enter a newly opted-in contact into the shop's opt-in flows (welcome series).
+ * Imported contacts are not entered.
+ * @param {Object} contact - Contact record (id, shopId)
+ * @returns {Promise<void>}
+ */
+export async function enterOptInFlows(contact) {
+  try {
+    await enrollContact(contact.shopId, contact.id, FLOW_TRIGGERS.CONTACT_OPTED_IN);
+  } catch (error) {
+    // Consent is already saved; a missed welcome series must not undo it
+    logger.error('Failed to enter contact into opt-in flows', {
+      shopId: contact.shopId,
+      contactId: contact.id,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Queue the double opt-in confirmation SMS for a pending contact,
+ * delayed past the shop's quiet hours
+ * @param {Object} contact - Contact record (id, shopId, phoneE164)
+ * @returns {Promise<void>}
+ */
+export async function requestOptInConfirmation(contact) {
+  try {
+    const { sendAt } = resolveSendTime(await getQuietHours(contact.shopId), contact.phoneE164);
+
+    await smsQueue.add(
+      OPT_IN_CONFIRMATION_JOB,
+      { shopId: contact.shopId, contactId: contact.id },
+      {
+        jobId: `opt-in-${contact.id}-${Date.now()}`,
+        delay: Math.max(0, sendAt.getTime() - Date.now()),
+      },
+    );
+  } catch (error) {
+    // The contact stays pending; the merchant can re-request by opting in again
+    logger.error('Failed to queue opt-in confirmation', {
+      shopId: contact.shopId,
+      contactId: contact.id,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Send the double opt-in confirmation SMS. Charged to the shop like any
+ * other message it initiates; a provider failure refunds the charge before
+ * the job is retried, so retries are never charged twice.
+ * @param {string} shopId - Store ID
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<Object>} { sent, reason?, messageId? }
+ */
+export async function sendOptInConfirmation(shopId, contactId) {
+  const contact = await prisma.contact.findFirst({
+    where: { id: contactId, shopId },
+    select: { id: true, phoneE164: true, smsConsent: true, optInRequestedAt: true },
+  });
+
+  if (!contact || !contact.optInRequestedAt || contact.smsConsent === 'opted_in') {
+    logger.info('Opt-in confirmation no longer pending, skipping', { shopId, contactId });
+    return { sent: false, reason: 'not_pending' };
+  }
+
+  const [shop, senderConfig] = await Promise.all([
+    prisma.shop.findUnique({ where: { id: shopId }, select: { shopName: true, shopDomain: true } }),
+    getSenderConfig(shopId),
+  ]);
+
+  const text = OPT_IN_CONFIRMATION_TEXT.replace('{shop}', shop?.shopName || shop?.shopDomain || 'Sendly');
+  const sender = senderConfig.senderNumber || senderConfig.senderName;
+
+  let res;
+  try {
+    res = await sendMessage({ to: contact.phoneE164, text, senderOverride: sender, shopId });
+  } catch (error) {
+    // Insufficient credits or an invalid number will not fix themselves on retry
+    if (error instanceof ValidationError) {
+      logger.warn('Opt-in confirmation not sent', { shopId, contactId, error: error.message });
+      return { sent: false, reason: error.message };
+    }
+
+    await refundCredits(shopId, Math.max(1, countSmsSegments(text).segments), `opt-in:${contactId}`, {
+      reason: 'send_failed',
+    });
+    throw error;
+  }
+
+  await prisma.messageLog.create({
+    data: {
+      shopId,
+      phoneE164: contact.phoneE164,
+      direction: 'outbound',
+      provider: res.provider,
+      category: MESSAGE_CATEGORIES.SYSTEM,
+      providerMsgId: res?.messageId || null,
+      status: 'sent',
+      senderNumber: sender,
+      payload: { type: 'opt_in_confirmation', contactId },
+    },
+  });
+
+  logger.info('Opt-in confirmation sent', { shopId, contactId, messageId: res?.messageId });
+
+  return { sent: true, messageId: res?.messageId || null };
+}
+
+/**
+ * Confirm a pending double opt-in after the contact replied YES
+ * @param {string} shopId - Store ID
+ * @param {string} phoneE164 - Contact phone
+ * @param {Object} evidence - Audit evidence (reply text, provider message ID)
+ * @returns {Promise<Object>} { contactId, confirmed }
+ */
+export async function confirmOptIn(shopId, phoneE164, evidence) {
+  const contact = await prisma.contact.findUnique({
+    where: { shopId_phoneE164: { shopId, phoneE164 } },
+  });
+
+  if (!contact || !contact.optInRequestedAt || contact.smsConsent === 'opted_in') {
+    return { contactId: contact?.id || null, confirmed: false };
+  }
+
+  await updateContactConsent(contact, 'opted_in', {
+    source: CONSENT_SOURCES.DOUBLE_OPT_IN,
+    evidence: { ...evidence, requestedAt: contact.optInRequestedAt },
+  });
+
+  return { contactId: contact.id, confirmed: true };
+}
+
+/**
+ * Get a contact's consent timeline, newest first
+ * @param {string} storeId - Store ID
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<Object>} Current consent and event history
+ */
+export async function getConsentTimeline(storeId, contactId) {
+  const contact = await prisma.contact.findFirst({
+    where: { id: contactId, shopId: storeId },
+    select: { id: true, phoneE164: true, smsConsent: true, optInRequestedAt: true },
+  });
+
+  if (!contact) {
+    throw new NotFoundError('Contact');
+  }
+
+  const events = await prisma.consentEvent.findMany({
+    where: { contactId, shopId: storeId },
+    orderBy: { createdAt: 'desc' },
+    select: {
+      id: true,
+      previousConsent: true,
+      newConsent: true,
+      source: true,
+      evidence: true,
+      ipAddress: true,
+      userAgent: true,
+      createdAt: true,
+    },
+  });
+
+  return {
+    contactId: contact.id,
+    phoneE164: contact.phoneE164,
+    smsConsent: contact.smsConsent,
+    pendingConfirmation: !!contact.optInRequestedAt && contact.smsConsent !== 'opted_in',
+    optInRequestedAt: contact.optInRequestedAt,
+    events,
+  };
+}
+
+export default {
+  CONSENT_SOURCES,
+  OPT_IN_CONFIRMATION_JOB,
+  resolveConsent,
+  recordConsentChange,
+  recordInitialConsent,
+  enterOptInFlows,
+  updateContactConsent,
+  applyShopifyConsent,
+  requestOptInConfirmation,
+  sendOptInConfirmation,
+  confirmOptIn,
+  getConsentTimeline,
+};
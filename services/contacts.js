@@ -1,6 +1,15 @@
 import prisma from './prisma.js';
 import { logger } from '../utils/logger.js';
 import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+import { getConsentSettings } from './settings.js';
+import {
+  CONSENT_SOURCES,
+  resolveConsent,
+  recordInitialConsent,
+  updateContactConsent,
+  requestOptInConfirmation,
+  enterOptInFlows,
+} from './consent.js';
 
 /**
  * Contacts Service
@@ -224,9 +233,10 @@ export async function getContactById(storeId, contactId) {
  * Create new contact
  * @param {string} storeId - Store ID
  * @param {Object} contactData - Contact data
+ * @param {Object} [context] - Consent audit context { source, ipAddress, userAgent }
  * @returns {Promise<Object>} Created contact
  */
-export async function createContact(storeId, contactData) {
+export async function createContact(storeId, contactData, context = {}) {
   logger.info('Creating contact', { storeId, phone: contactData.phoneE164 });
 
   // Validate required fields
@@ -270,22 +280,50 @@ export async function createContact(storeId, contactData) {
     );
   }
 
-  // Create contact
-  const contact = await prisma.contact.create({
-    data: {
-      shopId: storeId,
-      phoneE164,
-      firstName: contactData.firstName || null,
-      lastName: contactData.lastName || null,
-      email: contactData.email || null,
-      gender: contactData.gender || null,
-      birthDate: contactData.birthDate ? new Date(contactData.birthDate) : null,
-      smsConsent: contactData.smsConsent || 'unknown',
-      tags: contactData.tags || [],
-    },
+  const source = context.source || CONSENT_SOURCES.API;
+  const { doubleOptIn } = await getConsentSettings(storeId);
+  const { smsConsent, pendingConfirmation } = resolveConsent({
+    requestedConsent: contactData.smsConsent || 'unknown',
+    source,
+    doubleOptIn,
   });
 
-  logger.info('Contact created successfully', { storeId, contactId: contact.id });
+  // Create contact and its initial consent event together
+  const contact = await prisma.$transaction(async (tx) => {
+    const created = await tx.contact.create({
+      data: {
+        shopId: storeId,
+        phoneE164,
+        firstName: contactData.firstName || null,
+        lastName: contactData.lastName || null,
+        email: contactData.email || null,
+        gender: contactData.gender || null,
+        birthDate: contactData.birthDate ? new Date(contactData.birthDate) : null,
+        smsConsent,
+        optInRequestedAt: pendingConfirmation ? new Date() : null,
+        tags: contactData.tags || [],
+      },
+    });
+
+    await recordInitialConsent(created, {
+      source,
+      pendingConfirmation,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+    }, tx);
+
+    return created;
+  });
+
+  if (pendingConfirmation) {
+    await requestOptInConfirmation(contact);
+  }
+
+  if (contact.smsConsent === 'opted_in' && source !== CONSENT_SOURCES.IMPORT) {
+    await enterOptInFlows(contact);
+  }
+
+  logger.info('Contact created successfully', { storeId, contactId: contact.id, pendingConfirmation });
 
   return contact;
 }
@@ -295,9 +333,10 @@ export async function createContact(storeId, contactData) {
  * @param {string} storeId - Store ID
  * @param {string} contactId - Contact ID
  * @param {Object} contactData - Updated contact data
+ * @param {Object} [context] - Consent audit context { source, ipAddress, userAgent }
  * @returns {Promise<Object>} Updated contact
  */
-export async function updateContact(storeId, contactId, contactData) {
+export async function updateContact(storeId, contactId, contactData, context = {}) {
   logger.info('Updating contact', { storeId, contactId });
 
   // Check if contact exists
@@ -352,12 +391,11 @@ export async function updateContact(storeId, contactId, contactData) {
     updateData.gender = contactData.gender;
   }
 
-  // Validate SMS consent if provided
+  // Validate SMS consent if provided (applied separately so it is audited)
   if (contactData.smsConsent !== undefined) {
     if (!['opted_in', 'opted_out', 'unknown'].includes(contactData.smsConsent)) {
       throw new ValidationError('SMS consent must be one of: opted_in, opted_out, unknown');
     }
-    updateData.smsConsent = contactData.smsConsent;
   }
 
   // Update other fields
@@ -369,11 +407,19 @@ export async function updateContact(storeId, contactId, contactData) {
   if (contactData.tags !== undefined) updateData.tags = contactData.tags;
 
   // Update contact
-  const contact = await prisma.contact.update({
+  let contact = await prisma.contact.update({
     where: { id: contactId },
     data: updateData,
   });
 
+  if (contactData.smsConsent !== undefined) {
+    ({ contact } = await updateContactConsent(contact, contactData.smsConsent, {
+      source: context.source || CONSENT_SOURCES.API,
+      ipAddress: context.ipAddress,
+      userAgent: context.userAgent,
+    }));
+  }
+
   logger.info('Contact updated successfully', { storeId, contactId });
 
   return contact;
@@ -510,9 +556,10 @@ export async function getBirthdayContacts(storeId, daysAhead = 7) {
  * Import contacts in bulk
  * @param {string} storeId - Store ID
  * @param {Array} contactsData - Array of contact data
+ * @param {Object} [context] - Consent audit context { source, ipAddress, userAgent }
  * @returns {Promise<Object>} Import results
  */
-export async function importContacts(storeId, contactsData) {
+export async function importContacts(storeId, contactsData, context = {}) {
   logger.info('Importing contacts', { storeId, count: contactsData.length });
 
   const results = {
@@ -520,9 +567,19 @@ export async function importContacts(storeId, contactsData) {
     created: 0,
     updated: 0,
     skipped: 0,
+    pendingConfirmation: 0,
     errors: [],
   };
 
+  const source = context.source || CONSENT_SOURCES.IMPORT;
+  const { doubleOptIn } = await getConsentSettings(storeId);
+  const consentOptions = {
+    source,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+    doubleOptIn,
+  };
+
   for (const contactData of contactsData) {
     try {
       // Normalize phone
@@ -544,7 +601,7 @@ export async function importContacts(storeId, contactsData) {
 
       if (existing) {
         // Update existing contact
-        await prisma.contact.update({
+        const updated = await prisma.contact.update({
           where: { id: existing.id },
           data: {
             firstName: contactData.firstName || existing.firstName,
@@ -552,26 +609,48 @@ export async function importContacts(storeId, contactsData) {
             email: contactData.email || existing.email,
             gender: contactData.gender || existing.gender,
             birthDate: contactData.birthDate ? new Date(contactData.birthDate) : existing.birthDate,
-            smsConsent: contactData.smsConsent || existing.smsConsent,
             tags: contactData.tags || existing.tags,
           },
         });
+
+        if (contactData.smsConsent) {
+          const consent = await updateContactConsent(updated, contactData.smsConsent, consentOptions);
+          if (consent.changed && consent.pendingConfirmation) results.pendingConfirmation++;
+        }
         results.updated++;
       } else {
-        // Create new contact
-        await prisma.contact.create({
-          data: {
-            shopId: storeId,
-            phoneE164,
-            firstName: contactData.firstName || null,
-            lastName: contactData.lastName || null,
-            email: contactData.email || null,
-            gender: contactData.gender || null,
-            birthDate: contactData.birthDate ? new Date(contactData.birthDate) : null,
-            smsConsent: contactData.smsConsent || 'unknown',
-            tags: contactData.tags || [],
-          },
+        const { smsConsent, pendingConfirmation } = resolveConsent({
+          requestedConsent: contactData.smsConsent || 'unknown',
+          source,
+          doubleOptIn,
         });
+
+        // Create new contact with its initial consent event
+        const created = await prisma.$transaction(async (tx) => {
+          const contact = await tx.contact.create({
+            data: {
+              shopId: storeId,
+              phoneE164,
+              firstName: contactData.firstName || null,
+              lastName: contactData.lastName || null,
+              email: contactData.email || null,
+              gender: contactData.gender || null,
+              birthDate: contactData.birthDate ? new Date(contactData.birthDate) : null,
+              smsConsent,
+              optInRequestedAt: pendingConfirmation ? new Date() : null,
+              tags: contactData.tags || [],
+            },
+          });
+
+          await recordInitialConsent(contact, { ...consentOptions, pendingConfirmation }, tx);
+
+          return contact;
+        });
+
+        if (pendingConfirmation) {
+          await requestOptInConfirmation(created);
+          results.pendingConfirmation++;
+        }
         results.created++;
       }
     } catch (error) {
@@ -588,6 +667,44 @@ export async function importContacts(storeId, contactsData) {
   return results;
 }
 
+/**
+ * Record an order on a contact (feeds order-based segment rules). Each order
+ * counts once, however often Shopify retries the webhook, and an older order
+ * never moves lastOrderAt back.
+ * @param {string} shopId - Shop ID
+ * @param {string} contactId - Contact ID
+ * @param {string|number} orderId - Shopify order ID
+ * @param {Date|string} orderedAt - Order creation time
+ * @returns {Promise<boolean>} True if the order was new
+ */
+export async function recordContactOrder(shopId, contactId, orderId, orderedAt = new Date()) {
+  const date = new Date(orderedAt);
+
+  try {
+    await prisma.contactOrder.create({
+      data: { shopId, contactId, orderId: String(orderId), orderedAt: date },
+    });
+  } catch (error) {
+    if (error.code === 'P2002') return false;
+    throw error;
+  }
+
+  await prisma.$transaction([
+    prisma.contact.update({
+      where: { id: contactId },
+      data: { orderCount: { increment: 1 } },
+    }),
+    prisma.contact.updateMany({
+      where: { id: contactId, OR: [{ lastOrderAt: null }, { lastOrderAt: { lt: date } }] },
+      data: { lastOrderAt: date },
+    }),
+  ]);
+
+  logger.info('Contact order recorded', { shopId, contactId, orderId });
+
+  return true;
+}
+
 export default {
   listContacts,
   getContactById,
@@ -597,5 +714,6 @@ export default {
   getContactStats,
   getBirthdayContacts,
   importContacts,
+  recordContactOrder,
 };
 
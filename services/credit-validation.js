@@ -99,6 +99,54 @@ export async function validateAndConsumeCredits(storeId, messageCount) {
   }
 }
 
+/**
+ * Return previously consumed credits to a store (e.g. credits reserved for
+ * messages that were never sent)
+ * @param {string} storeId - The store ID
+ * @param {number} credits - Credits to return
+ * @param {string} ref - Reference (e.g., 'campaign:campaign_id')
+ * @param {Object} meta - Additional metadata
+ * @returns {Promise<{creditsRefunded: number, creditsRemaining: number}>}
+ */
+export async function refundCredits(storeId, credits, ref, meta = {}) {
+  if (!storeId) {
+    throw new Error('Store ID is required for credit refund');
+  }
+
+  if (!credits || credits <= 0) {
+    return { creditsRefunded: 0, creditsRemaining: null };
+  }
+
+  const store = await prisma.$transaction(async (tx) => {
+    const updated = await tx.shop.update({
+      where: { id: storeId },
+      data: { credits: { increment: credits } },
+      select: { credits: true },
+    });
+
+    await tx.walletTransaction.create({
+      data: {
+        shopId: storeId,
+        type: 'refund',
+        credits,
+        ref,
+        meta,
+      },
+    });
+
+    return updated;
+  });
+
+  logger.info('Credits refunded', {
+    storeId,
+    creditsRefunded: credits,
+    creditsRemaining: store.credits,
+    ref,
+  });
+
+  return { creditsRefunded: credits, creditsRemaining: store.credits };
+}
+
 /**
  * Check available credits without consuming them
  * @param {string} storeId - The store ID
@@ -261,6 +309,7 @@ export async function getCreditUsageStats(storeId) {
 
 export default {
   validateAndConsumeCredits,
+  refundCredits,
   checkAvailableCredits,
   validateCreditsForMessages,
   logAutomationSkip,
@@ -0,0 +1,109 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Delivery Reports Service
+ * Applies normalized provider delivery reports to message logs, campaign
+ * recipients and campaign metrics.
+ */
+
+/**
+ * Apply a delivery report
+ * @param {Object} report - Parsed report { messageId, to, status, deliveryStatus, error }
+ * @param {string} providerName - Provider that sent the report
+ * @param {Object} [payload] - Raw webhook payload, stored on the message log
+ * @returns {Promise<{matched: boolean, status?: string}>} Processing result
+ */
+export async function processDeliveryReport(report, providerName, payload = null) {
+  const { messageId, status, deliveryStatus, error } = report;
+
+  if (!messageId) {
+    logger.warn('Delivery report without message ID, ignoring', { provider: providerName });
+    return { matched: false };
+  }
+
+  const log = await prisma.messageLog.findFirst({
+    where: { provider: providerName, providerMsgId: messageId },
+  });
+
+  if (!log) {
+    logger.warn('Delivery report for unknown message', { provider: providerName, messageId });
+    return { matched: false };
+  }
+
+  const wasDelivered = log.status === 'delivered';
+
+  // Tagged logs (e.g. campaign_test) keep their tag next to the raw report
+  const tag = log.payload?.type;
+  const nextPayload = payload && tag ? { ...log.payload, deliveryReport: payload } : payload;
+
+  await prisma.messageLog.update({
+    where: { id: log.id },
+    data: {
+      status,
+      deliveryStatus,
+      error: status === 'failed' ? error || deliveryStatus : log.error,
+      ...(nextPayload && { payload: nextPayload }),
+    },
+  });
+
+  if (log.campaignId) {
+    await applyRecipientReport(log, report, wasDelivered);
+  }
+
+  logger.info('Delivery report processed', {
+    provider: providerName,
+    messageId,
+    status,
+    deliveryStatus,
+  });
+
+  return { matched: true, status };
+}
+
+/**
+ * Apply a delivery report to the campaign recipient of a message. Metrics
+ * move only when the recipient's status changes, so repeated reports count
+ * once and a recipient failed by its carrier leaves totalSent for totalFailed.
+ * @param {Object} log - Message log before the report
+ * @param {Object} report - Parsed report
+ * @param {boolean} wasDelivered - Whether the message was already delivered
+ */
+async function applyRecipientReport(log, report, wasDelivered) {
+  const { messageId, status, deliveryStatus, error } = report;
+  const where = { campaignId: log.campaignId, mittoMessageId: messageId };
+
+  if (status !== 'delivered' && status !== 'failed') {
+    await prisma.campaignRecipient.updateMany({ where, data: { deliveryStatus } });
+    return;
+  }
+
+  const { count } = await prisma.campaignRecipient.updateMany({
+    where: { ...where, status: { not: status } },
+    data: {
+      deliveryStatus,
+      status,
+      ...(status === 'delivered' && { deliveredAt: new Date() }),
+      ...(status === 'failed' && { error: error || deliveryStatus, errorType: 'delivery' }),
+    },
+  });
+
+  if (count === 0) return;
+
+  // A delivered report after a failed one puts the recipient back among the sent
+  const wasFailed = log.status === 'failed';
+  const data = status === 'delivered'
+    ? {
+      totalDelivered: { increment: count },
+      ...(wasFailed && { totalSent: { increment: count }, totalFailed: { decrement: count } }),
+    }
+    : {
+      totalSent: { decrement: count },
+      totalFailed: { increment: count },
+      ...(wasDelivered && { totalDelivered: { decrement: count } }),
+    };
+
+  await prisma.campaignMetrics.updateMany({ where: { campaignId: log.campaignId }, data });
+}
+
+export default { processDeliveryReport };
@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+import { addDiscountRedeemCodes, getDiscountCode } from './shopify.js';
+
+/**
+ * Discount Codes Service
+ * Campaigns with uniqueDiscountCodes issue every recipient their own
+ * single-use code under the campaign's Shopify code discount. Codes are
+ * stored in DiscountLink with the recipient so redemptions can be traced.
+ */
+
+export const UNIQUE_CODE_LENGTH = 10;
+
+// No 0/O or 1/I so codes are easy to type from an SMS
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generate a random discount code
+ * @returns {string} Code of UNIQUE_CODE_LENGTH characters
+ */
+export function generateDiscountCode() {
+  const bytes = crypto.randomBytes(UNIQUE_CODE_LENGTH);
+  let code = '';
+  for (const byte of bytes) {
+    code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+  }
+  return code;
+}
+
+/**
+ * Stand-in for a unique code when pricing messages before codes exist
+ * @returns {string} Placeholder of the same length as a real code
+ */
+export function getDiscountCodePlaceholder() {
+  return 'X'.repeat(UNIQUE_CODE_LENGTH);
+}
+
+/**
+ * Check that a Shopify discount can carry single-use recipient codes
+ * @param {string} shopDomain - Shop domain
+ * @param {string} discountId - Code discount ID
+ * @throws {ValidationError} If the discount is missing, inactive or reusable
+ */
+export async function assertUniqueCodeDiscount(shopDomain, discountId) {
+  let discount;
+  try {
+    discount = await getDiscountCode(shopDomain, discountId);
+  } catch (error) {
+    throw new ValidationError('Discount not found in Shopify', [
+      { field: 'discountId', message: error.message },
+    ]);
+  }
+
+  if (!discount.isActive) {
+    throw new ValidationError('Discount is not active', [
+      { field: 'discountId', message: `Discount status is ${discount.status}` },
+    ]);
+  }
+
+  if (discount.usageLimit !== 1) {
+    throw new ValidationError('Unique discount codes need a discount limited to one use per code', [
+      { field: 'discountId', message: 'Set the discount usage limit to 1 in Shopify' },
+    ]);
+  }
+}
+
+/**
+ * Create codes in Shopify and return the ones that were accepted
+ * @param {string} shopDomain - Shop domain
+ * @param {string} discountId - Code discount ID
+ * @param {number} count - Number of codes
+ * @returns {Promise<Array<string>>} Created codes
+ */
+async function createCodes(shopDomain, discountId, count) {
+  const codes = Array.from({ length: count }, generateDiscountCode);
+  const { created, failed } = await addDiscountRedeemCodes(shopDomain, discountId, codes);
+
+  if (failed.length > 0) {
+    logger.warn('Some discount codes were rejected by Shopify', {
+      shopDomain,
+      discountId,
+      failed: failed.length,
+      reason: failed[0].message,
+    });
+  }
+
+  return created;
+}
+
+/**
+ * Issue codes to campaign recipients that do not have one yet. Safe to call
+ * again for the same recipients (e.g. when a send job is retried).
+ * @param {Object} campaign - Campaign record
+ * @param {string} shopDomain - Shop domain
+ * @param {Array} recipients - Campaign recipients
+ * @returns {Promise<Map<string, string>>} Code per recipient ID
+ */
+export async function issueRecipientCodes(campaign, shopDomain, recipients) {
+  const existing = await prisma.discountLink.findMany({
+    where: { recipientId: { in: recipients.map(r => r.id) } },
+    select: { recipientId: true, code: true },
+  });
+
+  const codes = new Map(existing.map(link => [link.recipientId, link.code]));
+  const missing = recipients.filter(r => !codes.has(r.id));
+
+  if (missing.length === 0) return codes;
+
+  const created = await createCodes(shopDomain, campaign.discountId, missing.length);
+  const issued = missing.slice(0, created.length).map((recipient, index) => ({
+    shopId: campaign.shopId,
+    code: created[index],
+    campaignId: campaign.id,
+    recipientId: recipient.id,
+    contactId: recipient.contactId,
+  }));
+
+  await prisma.discountLink.createMany({ data: issued, skipDuplicates: true });
+
+  for (const link of issued) {
+    codes.set(link.recipientId, link.code);
+  }
+
+  logger.info('Unique discount codes issued', {
+    campaignId: campaign.id,
+    issued: issued.length,
+    withoutCode: missing.length - issued.length,
+  });
+
+  return codes;
+}
+
+/**
+ * Issue a code for a campaign test send; it is not tied to a recipient
+ * @param {Object} campaign - Campaign record
+ * @param {string} shopDomain - Shop domain
+ * @returns {Promise<string|null>} Code, or null if Shopify rejected it
+ */
+export async function issueTestCode(campaign, shopDomain) {
+  const [code] = await createCodes(shopDomain, campaign.discountId, 1);
+
+  if (!code) return null;
+
+  await prisma.discountLink.create({
+    data: { shopId: campaign.shopId, code },
+  });
+
+  return code;
+}
+
+/**
+ * Mark recipient codes used on an order as redeemed
+ * @param {string} shopId - Shop ID
+ * @param {Object} order - Shopify order payload (id, discount_codes, created_at)
+ * @returns {Promise<number>} Number of codes marked redeemed
+ */
+export async function recordDiscountRedemptions(shopId, order) {
+  const codes = (order.discount_codes || []).map(d => d.code?.toUpperCase()).filter(Boolean);
+
+  if (codes.length === 0) return 0;
+
+  const { count } = await prisma.discountLink.updateMany({
+    where: { shopId, code: { in: codes }, redeemedAt: null },
+    data: {
+      redeemedAt: order.created_at ? new Date(order.created_at) : new Date(),
+      orderId: order.id?.toString() || null,
+    },
+  });
+
+  if (count > 0) {
+    logger.info('Discount code redemptions recorded', { shopId, orderId: order.id, count });
+  }
+
+  return count;
+}
+
+/**
+ * Issued and redeemed unique codes of a campaign
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} { issued, redeemed, redemptionRate }
+ */
+export async function getCampaignDiscountStats(campaignId) {
+  const [issued, redeemed] = await Promise.all([
+    prisma.discountLink.count({ where: { campaignId } }),
+    prisma.discountLink.count({ where: { campaignId, redeemedAt: { not: null } } }),
+  ]);
+
+  return {
+    issued,
+    redeemed,
+    redemptionRate: issued > 0 ? Math.round((redeemed / issued) * 10000) / 100 : 0,
+  };
+}
+
+export default {
+  UNIQUE_CODE_LENGTH,
+  generateDiscountCode,
+  getDiscountCodePlaceholder,
+  assertUniqueCodeDiscount,
+  issueRecipientCodes,
+  issueTestCode,
+  recordDiscountRedemptions,
+  getCampaignDiscountStats,
+};
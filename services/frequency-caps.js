@@ -0,0 +1,145 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { getFrequencyCaps } from './settings.js';
+
+/**
+ * Frequency Caps Service
+ * Limits how many marketing messages a contact receives per rolling day and
+ * week, counted from outbound MessageLog history. Transactional and system
+ * messages are never capped and do not count toward the caps.
+ */
+
+export const MESSAGE_CATEGORIES = {
+  MARKETING: 'marketing',
+  TRANSACTIONAL: 'transactional',
+  SYSTEM: 'system',
+};
+
+// Automations that confirm something the customer did rather than promote
+const TRANSACTIONAL_TRIGGERS = [
+  'order_confirmation',
+  'order_placed',
+  'shipping_update',
+  'delivery_confirmation',
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keeps `IN (...)` lists at a size Postgres handles comfortably
+const PHONE_CHUNK_SIZE = 1000;
+
+/**
+ * Get the message category for an automation trigger
+ * @param {string} triggerEvent - Automation trigger event
+ * @returns {string} marketing or transactional
+ */
+export function getAutomationCategory(triggerEvent) {
+  return TRANSACTIONAL_TRIGGERS.includes(triggerEvent)
+    ? MESSAGE_CATEGORIES.TRANSACTIONAL
+    : MESSAGE_CATEGORIES.MARKETING;
+}
+
+/**
+ * Build the active cap windows from the shop settings
+ * @param {Object} caps - { daily, weekly }
+ * @param {Date} now - Reference time
+ * @returns {Array<{ limit: number, since: Date }>} Windows with a limit
+ */
+function getCapWindows(caps, now) {
+  const windows = [];
+  if (caps.daily) windows.push({ limit: caps.daily, since: new Date(now.getTime() - DAY_MS) });
+  if (caps.weekly) windows.push({ limit: caps.weekly, since: new Date(now.getTime() - 7 * DAY_MS) });
+  return windows;
+}
+
+/**
+ * Count marketing messages per phone since a given time
+ * @param {string} shopId - Store ID
+ * @param {Array<string>} phones - Phone numbers
+ * @param {Date} since - Window start
+ * @returns {Promise<Map<string, number>>} phone -> count
+ */
+async function countMarketingMessages(shopId, phones, since) {
+  const counts = new Map();
+
+  for (let i = 0; i < phones.length; i += PHONE_CHUNK_SIZE) {
+    const rows = await prisma.messageLog.groupBy({
+      by: ['phoneE164'],
+      where: {
+        shopId,
+        phoneE164: { in: phones.slice(i, i + PHONE_CHUNK_SIZE) },
+        direction: 'outbound',
+        category: MESSAGE_CATEGORIES.MARKETING,
+        status: { not: 'failed' },
+        createdAt: { gte: since },
+      },
+      _count: { _all: true },
+    });
+
+    for (const row of rows) {
+      counts.set(row.phoneE164, row._count._all);
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Find which phones have reached a frequency cap
+ * @param {string} shopId - Store ID
+ * @param {Array<string>} phones - Phone numbers to check
+ * @param {Object} [options] - { caps, now } caps default to the shop settings
+ * @returns {Promise<Set<string>>} Capped phone numbers
+ */
+export async function getCappedPhones(shopId, phones, { caps, now = new Date() } = {}) {
+  const capped = new Set();
+  const windows = getCapWindows(caps || await getFrequencyCaps(shopId), now);
+
+  if (windows.length === 0 || phones.length === 0) return capped;
+
+  for (const { limit, since } of windows) {
+    const counts = await countMarketingMessages(shopId, phones, since);
+    for (const [phone, count] of counts) {
+      if (count >= limit) capped.add(phone);
+    }
+  }
+
+  if (capped.size > 0) {
+    logger.info('Contacts at frequency cap', { shopId, checked: phones.length, capped: capped.size });
+  }
+
+  return capped;
+}
+
+/**
+ * Check whether a single contact has reached a frequency cap
+ * @param {string} shopId - Store ID
+ * @param {string} phoneE164 - Contact phone
+ * @returns {Promise<boolean>} True if capped
+ */
+export async function isFrequencyCapped(shopId, phoneE164) {
+  const capped = await getCappedPhones(shopId, [phoneE164]);
+  return capped.has(phoneE164);
+}
+
+/**
+ * Find which phones received a marketing message in the last days
+ * @param {string} shopId - Store ID
+ * @param {Array<string>} phones - Phone numbers to check
+ * @param {number} days - Look-back window in days
+ * @returns {Promise<Set<string>>} Recently messaged phone numbers
+ */
+export async function getRecentlyMessagedPhones(shopId, phones, days) {
+  if (phones.length === 0) return new Set();
+
+  const counts = await countMarketingMessages(shopId, phones, new Date(Date.now() - days * DAY_MS));
+  return new Set(counts.keys());
+}
+
+export default {
+  MESSAGE_CATEGORIES,
+  getAutomationCategory,
+  getCappedPhones,
+  isFrequencyCapped,
+  getRecentlyMessagedPhones,
+};
@@ -0,0 +1,228 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+import { AUTOMATION_JOBS, hasActiveAutomation, queueAutomationJob } from './automations.js';
+import { scheduleReviewRequest, REVIEW_AFTER } from './review-requests.js';
+
+/**
+ * Fulfillments Service
+ * Shopify fulfillments/create, fulfillments/update and fulfillment_events/create
+ * webhooks keep a Fulfillment record per shipment and fire the shipping_update
+ * automation once tracking is known and delivery_confirmation once the carrier
+ * reports delivery. Each notification goes out at most once per fulfillment.
+ * Deliveries also schedule the order's review request.
+ */
+
+export const FULFILLMENT_NOTIFICATIONS = {
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+};
+
+const NOTIFICATION_TRIGGERS = {
+  [FULFILLMENT_NOTIFICATIONS.SHIPPED]: 'shipping_update',
+  [FULFILLMENT_NOTIFICATIONS.DELIVERED]: 'delivery_confirmation',
+};
+
+// Fulfillments in these states never notify
+const FAILED_STATUSES = ['cancelled', 'error', 'failure'];
+
+function normalizePhone(phone) {
+  const cleaned = phone?.replace(/[\s\-().]/g, '');
+  return cleaned && /^\+[1-9]\d{6,14}$/.test(cleaned) ? cleaned : null;
+}
+
+/**
+ * Find the contact a fulfillment ships to: by email, then destination phone,
+ * then the contact the order was attributed to
+ * @returns {Promise<string|null>} Contact ID
+ */
+async function findFulfillmentContact(shopId, payload, orderId) {
+  if (payload.email) {
+    const contact = await prisma.contact.findFirst({
+      where: { shopId, email: payload.email },
+      select: { id: true },
+    });
+    if (contact) return contact.id;
+  }
+
+  const phoneE164 = normalizePhone(payload.destination?.phone || payload.phone);
+  if (phoneE164) {
+    const contact = await prisma.contact.findUnique({
+      where: { shopId_phoneE164: { shopId, phoneE164 } },
+      select: { id: true },
+    });
+    if (contact) return contact.id;
+  }
+
+  const attribution = await prisma.orderAttribution.findUnique({
+    where: { shopId_orderId: { shopId, orderId } },
+    select: { contactId: true },
+  });
+
+  return attribution?.contactId || null;
+}
+
+/**
+ * Notification a fulfillment currently calls for
+ * @param {Object} fulfillment - Fulfillment record
+ * @returns {string|null} One of FULFILLMENT_NOTIFICATIONS
+ */
+function getNotification(fulfillment) {
+  if (FAILED_STATUSES.includes(fulfillment.status)) return null;
+  if (fulfillment.shipmentStatus === 'delivered') return FULFILLMENT_NOTIFICATIONS.DELIVERED;
+  if (fulfillment.trackingNumber || fulfillment.trackingUrl) return FULFILLMENT_NOTIFICATIONS.SHIPPED;
+  return null;
+}
+
+/**
+ * Queue the automation for a fulfillment notification unless it was sent before
+ * @param {Object} fulfillment - Fulfillment record
+ * @returns {Promise<string|null>} Notification queued, or null
+ */
+async function notify(fulfillment) {
+  const notification = getNotification(fulfillment);
+
+  if (!notification || !fulfillment.contactId || fulfillment.notified.includes(notification)) {
+    return null;
+  }
+
+  const triggerEvent = NOTIFICATION_TRIGGERS[notification];
+
+  if (!await hasActiveAutomation(fulfillment.shopId, triggerEvent)) {
+    return null;
+  }
+
+  // Claim the notification; concurrent webhook deliveries for the same status lose here
+  const { count } = await prisma.fulfillment.updateMany({
+    where: { id: fulfillment.id, NOT: { notified: { has: notification } } },
+    data: { notified: { push: notification } },
+  });
+
+  if (count === 0) return null;
+
+  await queueAutomationJob(AUTOMATION_JOBS.FULFILLMENT_UPDATE, {
+    shopId: fulfillment.shopId,
+    contactId: fulfillment.contactId,
+    triggerEvent,
+    fulfillmentData: {
+      orderNumber: fulfillment.orderName,
+      trackingNumber: fulfillment.trackingNumber,
+      carrier: fulfillment.trackingCompany,
+      trackingLink: fulfillment.trackingUrl,
+    },
+  }, `fulfillment-${fulfillment.id}-${notification}`);
+
+  logger.info('Fulfillment notification queued', {
+    shopId: fulfillment.shopId,
+    fulfillmentId: fulfillment.fulfillmentId,
+    notification,
+  });
+
+  return notification;
+}
+
+/**
+ * Notify the contact and, once delivered, schedule the order's review request
+ * @param {Object} fulfillment - Fulfillment record
+ * @returns {Promise<string|null>} Notification queued, or null
+ */
+async function processFulfillment(fulfillment) {
+  const notification = await notify(fulfillment);
+
+  if (fulfillment.shipmentStatus === 'delivered' && fulfillment.contactId) {
+    await scheduleReviewRequest(fulfillment.shopId, {
+      orderId: fulfillment.orderId,
+      orderName: fulfillment.orderName,
+      contactId: fulfillment.contactId,
+    }, REVIEW_AFTER.DELIVERY);
+  }
+
+  return notification;
+}
+
+/**
+ * Record a Shopify fulfillment and send the notification its state calls for
+ * @param {string} shopId - Shop ID
+ * @param {Object} payload - fulfillments/create or fulfillments/update body
+ * @returns {Promise<Object>} { fulfillment, notification }
+ * @throws {ValidationError} If the payload has no fulfillment or order ID
+ */
+export async function recordFulfillment(shopId, payload) {
+  if (!payload.id || !payload.order_id) {
+    throw new ValidationError('Fulfillment ID and order ID are required', [
+      { field: 'id', message: 'Required' },
+      { field: 'order_id', message: 'Required' },
+    ]);
+  }
+
+  const fulfillmentId = String(payload.id);
+  const orderId = String(payload.order_id);
+
+  const existing = await prisma.fulfillment.findUnique({
+    where: { shopId_fulfillmentId: { shopId, fulfillmentId } },
+  });
+
+  // Webhooks may omit fields they did not change, so keep what we know
+  const fields = {
+    orderName: payload.name?.split('.')[0] || existing?.orderName || null,
+    status: payload.status || existing?.status || null,
+    shipmentStatus: payload.shipment_status || existing?.shipmentStatus || null,
+    trackingNumber: payload.tracking_number || payload.tracking_numbers?.[0] || existing?.trackingNumber || null,
+    trackingCompany: payload.tracking_company || existing?.trackingCompany || null,
+    trackingUrl: payload.tracking_url || payload.tracking_urls?.[0] || existing?.trackingUrl || null,
+    contactId: existing?.contactId || await findFulfillmentContact(shopId, payload, orderId),
+  };
+
+  const fulfillment = await prisma.fulfillment.upsert({
+    where: { shopId_fulfillmentId: { shopId, fulfillmentId } },
+    create: { shopId, fulfillmentId, orderId, ...fields },
+    update: fields,
+  });
+
+  const notification = await processFulfillment(fulfillment);
+
+  return { fulfillment, notification };
+}
+
+/**
+ * Apply a Shopify fulfillment event (carrier status update) to its fulfillment
+ * @param {string} shopId - Shop ID
+ * @param {Object} payload - fulfillment_events/create body
+ * @returns {Promise<Object>} { fulfillment, notification }; fulfillment is null when unknown
+ */
+export async function recordFulfillmentEvent(shopId, payload) {
+  if (!payload.fulfillment_id || !payload.status) {
+    throw new ValidationError('Fulfillment ID and status are required', [
+      { field: 'fulfillment_id', message: 'Required' },
+      { field: 'status', message: 'Required' },
+    ]);
+  }
+
+  const existing = await prisma.fulfillment.findUnique({
+    where: { shopId_fulfillmentId: { shopId, fulfillmentId: String(payload.fulfillment_id) } },
+  });
+
+  if (!existing) {
+    logger.warn('Fulfillment event for unknown fulfillment', {
+      shopId,
+      fulfillmentId: payload.fulfillment_id,
+      status: payload.status,
+    });
+    return { fulfillment: null, notification: null };
+  }
+
+  const fulfillment = await prisma.fulfillment.update({
+    where: { id: existing.id },
+    data: { shipmentStatus: payload.status },
+  });
+
+  const notification = await processFulfillment(fulfillment);
+
+  return { fulfillment, notification };
+}
+
+export default {
+  FULFILLMENT_NOTIFICATIONS,
+  recordFulfillment,
+  recordFulfillmentEvent,
+};
@@ -0,0 +1,391 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { sendMessage } from './sms.js';
+import { getSenderConfig } from './settings.js';
+import { MESSAGE_CATEGORIES } from './frequency-caps.js';
+import {
+  CONSENT_SOURCES,
+  updateContactConsent,
+  recordConsentChange,
+  confirmOptIn,
+} from './consent.js';
+
+/**
+ * Inbound SMS Service
+ * Routes inbound messages to the right shop and handles STOP/START/HELP
+ * keywords: updates consent, records the change and sends the required reply.
+ * YES confirms a pending double opt-in and is ignored otherwise.
+ */
+
+export const KEYWORD_ACTIONS = {
+  STOP: 'stop',
+  START: 'start',
+  HELP: 'help',
+  CONFIRM: 'confirm',
+};
+
+// Keywords are matched against the whole message after normalizeKeyword()
+const KEYWORDS = {
+  en: {
+    stop: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'OPT OUT', 'REVOKE'],
+    start: ['START', 'UNSTOP', 'SUBSCRIBE', 'OPTIN', 'OPT IN'],
+    help: ['HELP', 'INFO'],
+    confirm: ['YES', 'Y', 'CONFIRM'],
+  },
+  el: {
+    stop: ['ΣΤΟΠ', 'ΔΙΑΚΟΠΗ', 'ΑΠΕΓΓΡΑΦΗ', 'ΤΕΛΟΣ'],
+    start: ['ΕΝΑΡΞΗ', 'ΕΓΓΡΑΦΗ'],
+    help: ['ΒΟΗΘΕΙΑ'],
+    confirm: ['ΝΑΙ'],
+  },
+  es: {
+    stop: ['BAJA', 'ALTO', 'PARAR', 'CANCELAR'],
+    start: ['ALTA', 'EMPEZAR', 'SUSCRIBIR'],
+    help: ['AYUDA'],
+    confirm: ['SI'],
+  },
+  fr: {
+    stop: ['ARRET', 'DESABONNER', 'DESINSCRIRE'],
+    start: ['DEMARRER', 'ABONNER'],
+    help: ['AIDE'],
+    confirm: ['OUI'],
+  },
+  de: {
+    stop: ['STOPP', 'ABMELDEN', 'BEENDEN'],
+    start: ['ANMELDEN', 'STARTEN'],
+    help: ['HILFE'],
+    confirm: ['JA'],
+  },
+  it: {
+    stop: ['ANNULLA', 'DISISCRIVI', 'FERMA'],
+    start: ['ISCRIVI', 'INIZIA'],
+    help: ['AIUTO'],
+    confirm: ['SI'],
+  },
+  pt: {
+    stop: ['PARE', 'SAIR', 'CANCELAR'],
+    start: ['INICIAR', 'ASSINAR'],
+    help: ['AJUDA'],
+    confirm: ['SIM'],
+  },
+};
+
+// Confirmation replies per language; {shop} is replaced with the shop name
+const REPLIES = {
+  en: {
+    stop: '{shop}: You have been unsubscribed and will receive no further messages. Reply START to resubscribe.',
+    start: '{shop}: You are subscribed to SMS updates again. Reply STOP to unsubscribe, HELP for help.',
+    help: '{shop}: Marketing SMS. Reply STOP to unsubscribe, START to resubscribe. Msg & data rates may apply.',
+    confirm: '{shop}: Thanks, your subscription is confirmed. Reply STOP to unsubscribe, HELP for help.',
+  },
+  el: {
+    stop: '{shop}: Η εγγραφή σας ακυρώθηκε και δεν θα λάβετε άλλα μηνύματα. Απαντήστε ΕΝΑΡΞΗ για επανεγγραφή.',
+    start: '{shop}: Εγγραφήκατε ξανά στα SMS μας. Απαντήστε ΣΤΟΠ για διαγραφή, ΒΟΗΘΕΙΑ για βοήθεια.',
+    help: '{shop}: SMS προωθητικών ενεργειών. Απαντήστε ΣΤΟΠ για διαγραφή, ΕΝΑΡΞΗ για επανεγγραφή.',
+    confirm: '{shop}: Ευχαριστούμε, η εγγραφή σας επιβεβαιώθηκε. Απαντήστε ΣΤΟΠ για διαγραφή, ΒΟΗΘΕΙΑ για βοήθεια.',
+  },
+  es: {
+    stop: '{shop}: Te has dado de baja y no recibirás más mensajes. Responde ALTA para volver a suscribirte.',
+    start: '{shop}: Te has vuelto a suscribir a nuestros SMS. Responde BAJA para darte de baja, AYUDA para ayuda.',
+    help: '{shop}: SMS de marketing. Responde BAJA para darte de baja, ALTA para suscribirte.',
+    confirm: '{shop}: Gracias, tu suscripción está confirmada. Responde BAJA para darte de baja, AYUDA para ayuda.',
+  },
+  fr: {
+    stop: '{shop}: Vous êtes désabonné et ne recevrez plus de messages. Répondez DEMARRER pour vous réabonner.',
+    start: '{shop}: Vous êtes de nouveau abonné à nos SMS. Répondez ARRET pour vous désabonner, AIDE pour l\'aide.',
+    help: '{shop}: SMS marketing. Répondez ARRET pour vous désabonner, DEMARRER pour vous réabonner.',
+    confirm: '{shop}: Merci, votre abonnement est confirmé. Répondez ARRET pour vous désabonner, AIDE pour l\'aide.',
+  },
+  de: {
+    stop: '{shop}: Sie wurden abgemeldet und erhalten keine weiteren Nachrichten. Antworten Sie ANMELDEN zum erneuten Abonnieren.',
+    start: '{shop}: Sie sind wieder für unsere SMS angemeldet. Antworten Sie STOPP zum Abmelden, HILFE für Hilfe.',
+    help: '{shop}: Marketing-SMS. Antworten Sie STOPP zum Abmelden, ANMELDEN zum Anmelden.',
+    confirm: '{shop}: Danke, Ihr Abonnement ist bestätigt. Antworten Sie STOPP zum Abmelden, HILFE für Hilfe.',
+  },
+  it: {
+    stop: '{shop}: Disiscrizione completata, non riceverai altri messaggi. Rispondi ISCRIVI per iscriverti di nuovo.',
+    start: '{shop}: Sei di nuovo iscritto ai nostri SMS. Rispondi ANNULLA per disiscriverti, AIUTO per assistenza.',
+    help: '{shop}: SMS promozionali. Rispondi ANNULLA per disiscriverti, ISCRIVI per iscriverti.',
+    confirm: '{shop}: Grazie, la tua iscrizione è confermata. Rispondi ANNULLA per disiscriverti, AIUTO per assistenza.',
+  },
+  pt: {
+    stop: '{shop}: A sua subscrição foi cancelada e não receberá mais mensagens. Responda INICIAR para voltar a subscrever.',
+    start: '{shop}: Voltou a subscrever os nossos SMS. Responda PARE para cancelar, AJUDA para ajuda.',
+    help: '{shop}: SMS de marketing. Responda PARE para cancelar, INICIAR para subscrever.',
+    confirm: '{shop}: Obrigado, a sua subscrição está confirmada. Responda PARE para cancelar, AJUDA para ajuda.',
+  },
+};
+
+/**
+ * Normalize a message for keyword matching: trim, upper-case, strip accents
+ * and surrounding punctuation, collapse whitespace
+ * @param {string} text - Inbound message text
+ * @returns {string} Normalized text
+ */
+function normalizeKeyword(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Keyword lookup: normalized keyword -> { action, language }
+const KEYWORD_INDEX = new Map();
+for (const [language, actions] of Object.entries(KEYWORDS)) {
+  for (const [action, words] of Object.entries(actions)) {
+    for (const word of words) {
+      const key = normalizeKeyword(word);
+      // The first language listed wins for shared words (e.g. CANCELAR)
+      if (!KEYWORD_INDEX.has(key)) {
+        KEYWORD_INDEX.set(key, { action, language, keyword: word });
+      }
+    }
+  }
+}
+
+/**
+ * Detect a STOP/START/HELP/YES keyword. Only messages consisting of the keyword
+ * alone match, so "please don't stop" is not treated as an opt-out.
+ * @param {string} text - Inbound message text
+ * @returns {{ action: string, language: string, keyword: string }|null} Match
+ */
+export function detectKeyword(text) {
+  return KEYWORD_INDEX.get(normalizeKeyword(text)) || null;
+}
+
+/**
+ * Normalize a phone number from a provider payload to E.164
+ * @param {string} phone - Phone number
+ * @returns {string|null} E.164 number
+ */
+function toE164(phone) {
+  if (!phone) return null;
+  const digits = String(phone).replace(/[^\d+]/g, '').replace(/^00/, '+');
+  return digits.startsWith('+') ? digits : `+${digits}`;
+}
+
+/**
+ * Resolve the shop an inbound message belongs to.
+ * First by the number the message was sent to (ShopSettings.senderNumber);
+ * when several shops share that number, or none has it, by the most recent
+ * outbound message to the sender's phone.
+ * @param {Object} params - { from, to } E.164 numbers
+ * @returns {Promise<string|null>} Shop ID
+ */
+export async function resolveInboundShop({ from, to }) {
+  let candidateShopIds = null;
+
+  if (to) {
+    const settings = await prisma.shopSettings.findMany({
+      where: { senderNumber: { in: [...new Set([to, to.replace(/^\+/, '')])] } },
+      select: { shopId: true },
+    });
+
+    if (settings.length === 1) return settings[0].shopId;
+    if (settings.length > 1) candidateShopIds = settings.map(s => s.shopId);
+  }
+
+  if (from) {
+    const lastOutbound = await prisma.messageLog.findFirst({
+      where: {
+        phoneE164: from,
+        direction: 'outbound',
+        ...(candidateShopIds && { shopId: { in: candidateShopIds } }),
+      },
+      orderBy: { createdAt: 'desc' },
+      select: { shopId: true },
+    });
+
+    if (lastOutbound) return lastOutbound.shopId;
+  }
+
+  return null;
+}
+
+/**
+ * Apply a consent keyword to the contact, creating an opted-out contact for
+ * unknown numbers that send STOP so they stay suppressed
+ * @param {string} shopId - Store ID
+ * @param {string} phoneE164 - Sender phone
+ * @param {Object} match - Keyword match
+ * @param {Object} evidence - Audit evidence
+ * @returns {Promise<Object>} { contactId, changed }
+ */
+async function applyConsentKeyword(shopId, phoneE164, match, evidence) {
+  const newConsent = match.action === KEYWORD_ACTIONS.STOP ? 'opted_out' : 'opted_in';
+
+  const contact = await prisma.contact.findUnique({
+    where: { shopId_phoneE164: { shopId, phoneE164 } },
+  });
+
+  if (contact) {
+    const result = await updateContactConsent(contact, newConsent, { source: CONSENT_SOURCES.KEYWORD, evidence });
+    return { contactId: contact.id, changed: result.changed };
+  }
+
+  if (match.action !== KEYWORD_ACTIONS.STOP) {
+    return { contactId: null, changed: false };
+  }
+
+  const created = await prisma.contact.create({
+    data: { shopId, phoneE164, smsConsent: 'opted_out' },
+  });
+
+  await recordConsentChange({
+    shopId,
+    contactId: created.id,
+    previousConsent: null,
+    newConsent: 'opted_out',
+    source: CONSENT_SOURCES.KEYWORD,
+    evidence,
+  });
+
+  return { contactId: created.id, changed: true };
+}
+
+/**
+ * Send the keyword confirmation reply and log it.
+ * Compliance replies are not charged to the shop.
+ * @param {string} shopId - Store ID
+ * @param {string} phoneE164 - Recipient phone
+ * @param {Object} match - Keyword match
+ * @param {string} provider - Provider the inbound message arrived on
+ * @returns {Promise<string|null>} Provider message ID
+ */
+async function sendKeywordReply(shopId, phoneE164, match, provider) {
+  const [shop, senderConfig] = await Promise.all([
+    prisma.shop.findUnique({ where: { id: shopId }, select: { shopName: true, shopDomain: true } }),
+    getSenderConfig(shopId),
+  ]);
+
+  const template = REPLIES[match.language]?.[match.action] || REPLIES.en[match.action];
+  const text = template.replace('{shop}', shop?.shopName || shop?.shopDomain || 'Sendly');
+  const sender = senderConfig.senderNumber || senderConfig.senderName;
+
+  try {
+    const res = await sendMessage({
+      to: phoneE164,
+      text,
+      senderOverride: sender,
+      shopId,
+      charge: false,
+      provider,
+    });
+
+    await prisma.messageLog.create({
+      data: {
+        shopId,
+        phoneE164,
+        direction: 'outbound',
+        provider: res.provider,
+        category: MESSAGE_CATEGORIES.SYSTEM,
+        providerMsgId: res?.messageId || null,
+        status: 'sent',
+        senderNumber: sender,
+        payload: { type: 'keyword_reply', action: match.action, language: match.language },
+      },
+    });
+
+    return res?.messageId || null;
+  } catch (error) {
+    logger.error('Failed to send keyword reply', {
+      shopId,
+      phoneE164,
+      action: match.action,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Handle an inbound SMS from a provider webhook
+ * @param {Object} message - Parsed message { from, to, text, messageId }
+ * @param {Object} options - { provider, payload } provider name and raw webhook body
+ * @returns {Promise<Object>} Handling result
+ */
+export async function handleInboundMessage(message, { provider, payload = null }) {
+  const from = toE164(message.from);
+  const to = toE164(message.to);
+  const text = message.text || '';
+  const providerMsgId = message.messageId || null;
+
+  if (!from) {
+    logger.warn('Inbound SMS without sender, ignoring', { to });
+    return { handled: false, reason: 'missing_sender' };
+  }
+
+  const shopId = await resolveInboundShop({ from, to });
+
+  if (!shopId) {
+    logger.warn('Inbound SMS could not be mapped to a shop', { from, to });
+    return { handled: false, reason: 'shop_not_found' };
+  }
+
+  await prisma.messageLog.create({
+    data: {
+      shopId,
+      phoneE164: from,
+      direction: 'inbound',
+      provider,
+      providerMsgId,
+      status: 'received',
+      senderNumber: to,
+      payload: payload || message,
+    },
+  });
+
+  const match = detectKeyword(text);
+  const evidence = match && {
+    text,
+    keyword: match.keyword,
+    language: match.language,
+    providerMsgId,
+    to,
+  };
+
+  let consent = { contactId: null, changed: false };
+
+  if (match?.action === KEYWORD_ACTIONS.CONFIRM) {
+    const confirmation = await confirmOptIn(shopId, from, evidence);
+    consent = { contactId: confirmation.contactId, changed: confirmation.confirmed };
+  } else if (match && match.action !== KEYWORD_ACTIONS.HELP) {
+    consent = await applyConsentKeyword(shopId, from, match, evidence);
+  }
+
+  // A YES with no pending confirmation is an ordinary message
+  if (!match || (match.action === KEYWORD_ACTIONS.CONFIRM && !consent.changed)) {
+    logger.info('Inbound SMS received', { shopId, from });
+    return { handled: true, shopId, action: null };
+  }
+
+  const replyMessageId = await sendKeywordReply(shopId, from, match, provider);
+
+  logger.info('Inbound keyword processed', {
+    shopId,
+    from,
+    action: match.action,
+    language: match.language,
+    contactId: consent.contactId,
+    consentChanged: consent.changed,
+  });
+
+  return {
+    handled: true,
+    shopId,
+    action: match.action,
+    contactId: consent.contactId,
+    consentChanged: consent.changed,
+    replyMessageId,
+  };
+}
+
+export default {
+  KEYWORD_ACTIONS,
+  detectKeyword,
+  resolveInboundShop,
+  handleInboundMessage,
+};
@@ -0,0 +1,252 @@
+import crypto from 'crypto';
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Link Shortener Service
+ * URLs in outgoing messages are replaced with short tracked links, one per
+ * recipient, served by GET /l/:code. Clicks are stored per link and the first
+ * click of a campaign recipient counts toward the campaign's click metrics.
+ */
+
+const CODE_LENGTH = 7;
+const CODE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const MAX_CODE_ATTEMPTS = 3;
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"]+/gi;
+
+// Punctuation that usually ends the sentence rather than the URL
+const TRAILING_PUNCTUATION = /[.,!?;:)'\]]+$/;
+
+// Link previews fetched by messaging apps and crawlers are not clicks
+const PREVIEW_AGENTS = /bot|crawler|spider|preview|facebookexternalhit|whatsapp|slackbot|telegram|skypeuripreview/i;
+
+/**
+ * Base URL of short links, without trailing slash
+ * @returns {string} e.g. https://sendly.example/l
+ */
+export function getShortLinkBase() {
+  const base = process.env.SHORT_LINK_BASE_URL || `${process.env.HOST || 'http://localhost:3000'}/l`;
+  return base.replace(/\/+$/, '');
+}
+
+function generateCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = '';
+  for (const byte of bytes) {
+    code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+  }
+  return code;
+}
+
+/**
+ * Find the URLs in a message that should be shortened
+ * @param {string} text - Rendered message
+ * @returns {Array<{url: string, index: number}>} URLs with their position
+ */
+function findUrls(text) {
+  const base = getShortLinkBase();
+  const urls = [];
+
+  for (const match of text.matchAll(URL_PATTERN)) {
+    const url = match[0].replace(TRAILING_PUNCTUATION, '');
+    if (!url.startsWith(base)) {
+      urls.push({ url, index: match.index });
+    }
+  }
+
+  return urls;
+}
+
+function replaceUrls(text, urls, replacements) {
+  let result = text;
+  for (let i = urls.length - 1; i >= 0; i--) {
+    const { url, index } = urls[i];
+    result = result.slice(0, index) + replacements[i] + result.slice(index + url.length);
+  }
+  return result;
+}
+
+/**
+ * Replace URLs with a placeholder of the same length as a short link, for
+ * segment and credit estimates before the links exist
+ * @param {string} text - Rendered message
+ * @returns {string} Message as it will be sent
+ */
+export function withShortLinkPlaceholders(text) {
+  const urls = findUrls(text);
+  if (urls.length === 0) return text;
+
+  const placeholder = `${getShortLinkBase()}/${'x'.repeat(CODE_LENGTH)}`;
+  return replaceUrls(text, urls, urls.map(() => placeholder));
+}
+
+async function createShortLink(data) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.shortLink.create({ data: { ...data, code: generateCode() } });
+    } catch (error) {
+      // Unique violation on code: try another one
+      if (error.code !== 'P2002' || attempt >= MAX_CODE_ATTEMPTS) throw error;
+    }
+  }
+}
+
+/**
+ * Replace every URL in a message with a new short tracked link
+ * @param {string} text - Rendered message
+ * @param {Object} owner - { shopId, campaignId, recipientId, contactId, automationId, flowId }
+ * @returns {Promise<string>} Message with short links
+ */
+export async function shortenLinks(text, {
+  shopId,
+  campaignId = null,
+  recipientId = null,
+  contactId = null,
+  automationId = null,
+  flowId = null,
+}) {
+  const urls = findUrls(text);
+  if (urls.length === 0) return text;
+
+  const base = getShortLinkBase();
+  const links = [];
+  for (const { url } of urls) {
+    links.push(await createShortLink({
+      shopId,
+      targetUrl: url,
+      campaignId,
+      recipientId,
+      contactId,
+      automationId,
+      flowId,
+    }));
+  }
+
+  return replaceUrls(text, urls, links.map(link => `${base}/${link.code}`));
+}
+
+/**
+ * Look up a short link by code
+ * @param {string} code - Short link code
+ * @returns {Promise<Object|null>} Short link
+ */
+export async function findShortLink(code) {
+  if (!code || code.length !== CODE_LENGTH) return null;
+
+  return prisma.shortLink.findUnique({ where: { code } });
+}
+
+/**
+ * Record a click on a short link. The first click of a campaign recipient
+ * increments the campaign (and A/B variant) click totals.
+ * @param {Object} link - Short link
+ * @param {Object} client - { userAgent, ipAddress }
+ * @returns {Promise<{recorded: boolean, firstClick?: boolean}>}
+ */
+export async function recordClick(link, { userAgent = null, ipAddress = null } = {}) {
+  if (userAgent && PREVIEW_AGENTS.test(userAgent)) {
+    return { recorded: false };
+  }
+
+  const now = new Date();
+
+  await prisma.$transaction([
+    prisma.linkClick.create({
+      data: {
+        linkId: link.id,
+        campaignId: link.campaignId,
+        recipientId: link.recipientId,
+        contactId: link.contactId,
+        userAgent: userAgent?.slice(0, 500) || null,
+        ipAddress,
+        clickedAt: now,
+      },
+    }),
+    prisma.shortLink.update({
+      where: { id: link.id },
+      data: { clickCount: { increment: 1 }, lastClickedAt: now },
+    }),
+  ]);
+
+  let firstClick = false;
+
+  if (link.recipientId) {
+    // Only the update that sets clickedAt counts the recipient as a clicker
+    const claimed = await prisma.campaignRecipient.updateMany({
+      where: { id: link.recipientId, clickedAt: null },
+      data: { clickedAt: now },
+    });
+    firstClick = claimed.count > 0;
+  }
+
+  if (firstClick && link.campaignId) {
+    const recipient = await prisma.campaignRecipient.findUnique({
+      where: { id: link.recipientId },
+      select: { variantId: true },
+    });
+
+    await prisma.campaignMetrics.updateMany({
+      where: { campaignId: link.campaignId },
+      data: { totalClicked: { increment: 1 } },
+    });
+
+    if (recipient?.variantId) {
+      await prisma.campaignVariant.update({
+        where: { id: recipient.variantId },
+        data: { totalClicked: { increment: 1 } },
+      });
+    }
+  }
+
+  logger.info('Short link clicked', {
+    linkId: link.id,
+    campaignId: link.campaignId,
+    automationId: link.automationId,
+    firstClick,
+  });
+
+  return { recorded: true, firstClick };
+}
+
+/**
+ * Click statistics of a campaign
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} { totalClicks, uniqueClicks, clickRate, links }
+ */
+export async function getCampaignClickStats(campaignId) {
+  const [byUrl, uniqueClicks, attempted] = await Promise.all([
+    prisma.shortLink.groupBy({
+      by: ['targetUrl'],
+      where: { campaignId },
+      _sum: { clickCount: true },
+      _count: { _all: true },
+    }),
+    prisma.campaignRecipient.count({
+      where: { campaignId, clickedAt: { not: null } },
+    }),
+    prisma.campaignRecipient.count({
+      where: { campaignId, status: { in: ['sent', 'delivered'] } },
+    }),
+  ]);
+
+  const links = byUrl
+    .map(row => ({ url: row.targetUrl, clicks: row._sum.clickCount || 0, recipients: row._count._all }))
+    .sort((a, b) => b.clicks - a.clicks);
+
+  return {
+    totalClicks: links.reduce((sum, link) => sum + link.clicks, 0),
+    uniqueClicks,
+    clickRate: attempted > 0 ? Math.round((uniqueClicks / attempted) * 10000) / 100 : 0,
+    links,
+  };
+}
+
+export default {
+  getShortLinkBase,
+  withShortLinkPlaceholders,
+  shortenLinks,
+  findShortLink,
+  recordClick,
+  getCampaignClickStats,
+};
@@ -0,0 +1,287 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+import { triggerAutomation } from './automations.js';
+
+/**
+ * Reorder Reminders Service
+ * Orders are kept per contact and product (ContactPurchase). A product's
+ * reorder interval is either configured on the reorder_reminder automation
+ * (days one unit lasts, multiplied by the quantity bought) or learned from
+ * the average gap between repeat purchases in the shop's order history.
+ * The reminder goes out leadDays before the interval ends, e.g. around day
+ * 25 for a 30-day supply, and at most once per purchase. A reminder that
+ * could not be sent (credits, frequency cap, provider error) is tried again
+ * by the next daily check while the purchase is still due.
+ */
+
+export const REORDER_TRIGGER = 'reorder_reminder';
+
+export const DEFAULT_REORDER_CONFIG = {
+  leadDays: 5,
+  useOrderHistory: true,
+  products: [],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Order history used for learned intervals and due reminders
+const HISTORY_DAYS = 365;
+
+// Repeat purchases needed before a learned interval is trusted
+const MIN_HISTORY_SAMPLES = 3;
+
+const MAX_PRODUCTS = 200;
+
+// Results that will not change by the next daily check; the purchase stays reminded
+const FINAL_SKIP_REASONS = ['Contact not found', 'No SMS consent', 'No active automation found'];
+
+/**
+ * Validate reorder reminder settings
+ * @param {Object} config - { leadDays, useOrderHistory, products: [{ productId, intervalDays }] }
+ * @returns {Object} Settings to store
+ * @throws {ValidationError} If the settings are malformed
+ */
+export function validateReorderConfig(config) {
+  const {
+    leadDays = DEFAULT_REORDER_CONFIG.leadDays,
+    useOrderHistory = DEFAULT_REORDER_CONFIG.useOrderHistory,
+    products = [],
+  } = config || {};
+
+  if (!Number.isInteger(leadDays) || leadDays < 0 || leadDays > 30) {
+    throw new ValidationError('Invalid reminder lead time', [
+      { field: 'config.leadDays', message: 'Whole days between 0 and 30' },
+    ]);
+  }
+
+  if (typeof useOrderHistory !== 'boolean') {
+    throw new ValidationError('Invalid order history setting', [
+      { field: 'config.useOrderHistory', message: 'Must be true or false' },
+    ]);
+  }
+
+  if (!Array.isArray(products) || products.length > MAX_PRODUCTS) {
+    throw new ValidationError(`Configure at most ${MAX_PRODUCTS} products`, [
+      { field: 'config.products', message: `At most ${MAX_PRODUCTS} products` },
+    ]);
+  }
+
+  products.forEach((product, index) => {
+    if (!product?.productId || !Number.isInteger(product.intervalDays) ||
+      product.intervalDays < 1 || product.intervalDays > 365) {
+      throw new ValidationError(`Product ${index + 1} is invalid`, [
+        { field: `config.products.${index}`, message: 'productId and intervalDays (1-365) are required' },
+      ]);
+    }
+  });
+
+  return {
+    leadDays,
+    useOrderHistory,
+    products: products.map(p => ({ productId: String(p.productId), intervalDays: p.intervalDays })),
+  };
+}
+
+/**
+ * Record the products of an order for a contact. Webhook retries are safe.
+ * @param {string} shopId - Shop ID
+ * @param {string} contactId - Contact ID
+ * @param {Object} order - Shopify order payload
+ * @returns {Promise<number>} Purchases recorded
+ */
+export async function recordOrderPurchases(shopId, contactId, order) {
+  const byProduct = new Map();
+
+  for (const item of order.line_items || []) {
+    if (!item.product_id) continue;
+    const productId = String(item.product_id);
+    const current = byProduct.get(productId);
+    byProduct.set(productId, {
+      productTitle: current?.productTitle || item.title || null,
+      quantity: (current?.quantity || 0) + (item.quantity || 1),
+    });
+  }
+
+  if (byProduct.size === 0) return 0;
+
+  const orderedAt = order.created_at ? new Date(order.created_at) : new Date();
+
+  const { count } = await prisma.contactPurchase.createMany({
+    data: [...byProduct].map(([productId, item]) => ({
+      shopId,
+      contactId,
+      orderId: String(order.id),
+      productId,
+      productTitle: item.productTitle,
+      quantity: item.quantity,
+      orderedAt,
+    })),
+    skipDuplicates: true,
+  });
+
+  return count;
+}
+
+/**
+ * Average days between repeat purchases of each product by the same contact
+ * @param {Array} purchases - Purchases sorted by orderedAt
+ * @returns {Map<string, number>} productId -> days, for products with enough repeats
+ */
+function getLearnedIntervals(purchases) {
+  const previous = new Map();
+  const gaps = new Map();
+
+  for (const purchase of purchases) {
+    const key = `${purchase.contactId}:${purchase.productId}`;
+    const last = previous.get(key);
+
+    if (last) {
+      const list = gaps.get(purchase.productId) || [];
+      list.push((purchase.orderedAt - last.orderedAt) / DAY_MS);
+      gaps.set(purchase.productId, list);
+    }
+
+    previous.set(key, purchase);
+  }
+
+  const intervals = new Map();
+  for (const [productId, list] of gaps) {
+    if (list.length >= MIN_HISTORY_SAMPLES) {
+      intervals.set(productId, Math.round(list.reduce((sum, gap) => sum + gap, 0) / list.length));
+    }
+  }
+
+  return intervals;
+}
+
+/**
+ * Latest purchases of a shop whose reorder reminder is due now. A reminder
+ * is due from leadDays before the interval ends until leadDays after, so a
+ * missed daily check still sends it but old purchases are left alone.
+ * @param {string} shopId - Shop ID
+ * @param {Object} config - Reorder reminder settings
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Array<{ purchase: Object, intervalDays: number }>>} Due reminders
+ */
+export async function findDueReorders(shopId, config, now = new Date()) {
+  const { leadDays, useOrderHistory, products } = { ...DEFAULT_REORDER_CONFIG, ...config };
+
+  const purchases = await prisma.contactPurchase.findMany({
+    where: { shopId, orderedAt: { gte: new Date(now.getTime() - HISTORY_DAYS * DAY_MS) } },
+    orderBy: { orderedAt: 'asc' },
+    select: {
+      id: true,
+      contactId: true,
+      orderId: true,
+      productId: true,
+      productTitle: true,
+      quantity: true,
+      orderedAt: true,
+      remindedAt: true,
+    },
+  });
+
+  const configured = new Map(products.map(p => [p.productId, p.intervalDays]));
+  const learned = useOrderHistory ? getLearnedIntervals(purchases) : new Map();
+
+  // Only the latest purchase of each product by each contact can be due
+  const latest = new Map();
+  for (const purchase of purchases) {
+    latest.set(`${purchase.contactId}:${purchase.productId}`, purchase);
+  }
+
+  const due = [];
+
+  for (const purchase of latest.values()) {
+    if (purchase.remindedAt) continue;
+
+    const intervalDays = configured.has(purchase.productId)
+      ? configured.get(purchase.productId) * purchase.quantity
+      : learned.get(purchase.productId);
+
+    if (!intervalDays) continue;
+
+    // Short intervals keep the reminder in their second half
+    const lead = Math.min(leadDays, Math.floor(intervalDays / 2));
+    const remindAt = purchase.orderedAt.getTime() + (intervalDays - lead) * DAY_MS;
+    // The window spans at least one daily check, even without a lead time
+    const expiresAt = purchase.orderedAt.getTime() + (intervalDays + Math.max(lead, 1)) * DAY_MS;
+
+    if (now.getTime() >= remindAt && now.getTime() < expiresAt) {
+      due.push({ purchase, intervalDays });
+    }
+  }
+
+  return due;
+}
+
+/**
+ * Send the reorder reminder of a purchase
+ * @param {string} purchaseId - Contact purchase ID
+ * @param {number} intervalDays - Reorder interval used
+ * @returns {Promise<Object>} triggerAutomation() result, or { success: false, reason } when already sent
+ */
+export async function sendReorderReminder(purchaseId, intervalDays) {
+  // Claim the purchase so duplicate jobs never remind twice
+  const { count } = await prisma.contactPurchase.updateMany({
+    where: { id: purchaseId, remindedAt: null },
+    data: { remindedAt: new Date() },
+  });
+
+  if (count === 0) {
+    return { success: false, reason: 'reorder_reminder_sent' };
+  }
+
+  const purchase = await prisma.contactPurchase.findUnique({ where: { id: purchaseId } });
+
+  logger.info('Sending reorder reminder', {
+    shopId: purchase.shopId,
+    contactId: purchase.contactId,
+    productId: purchase.productId,
+    intervalDays,
+  });
+
+  let result;
+  try {
+    result = await triggerAutomation({
+      shopId: purchase.shopId,
+      contactId: purchase.contactId,
+      triggerEvent: REORDER_TRIGGER,
+      additionalData: {
+        productName: purchase.productTitle,
+        orderNumber: purchase.orderId,
+        daysSinceLastOrder: Math.floor((Date.now() - purchase.orderedAt.getTime()) / DAY_MS),
+      },
+    });
+  } catch (error) {
+    await releaseReminder(purchaseId);
+    throw error;
+  }
+
+  if (!result.success && !FINAL_SKIP_REASONS.includes(result.reason)) {
+    await releaseReminder(purchaseId);
+  }
+
+  return result;
+}
+
+/**
+ * Let the next daily check remind a purchase whose reminder was not sent
+ * @param {string} purchaseId - Contact purchase ID
+ */
+async function releaseReminder(purchaseId) {
+  await prisma.contactPurchase.update({
+    where: { id: purchaseId },
+    data: { remindedAt: null },
+  });
+}
+
+export default {
+  REORDER_TRIGGER,
+  DEFAULT_REORDER_CONFIG,
+  validateReorderConfig,
+  recordOrderPurchases,
+  findDueReorders,
+  sendReorderReminder,
+};
@@ -0,0 +1,169 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+import { automationQueue } from '../queue/index.js';
+import { AUTOMATION_JOBS, triggerAutomation } from './automations.js';
+
+/**
+ * Review Requests Service
+ * The review_request automation asks for a review a configurable number of
+ * days after an order is placed or delivered. Each order gets at most one
+ * request; the ReviewRequest row is created when it is scheduled and the
+ * delayed job sends it.
+ */
+
+export const REVIEW_TRIGGER = 'review_request';
+
+export const REVIEW_AFTER = {
+  ORDER: 'order',
+  DELIVERY: 'delivery',
+};
+
+export const DEFAULT_REVIEW_CONFIG = {
+  after: REVIEW_AFTER.DELIVERY,
+  delayDays: 7,
+  reviewUrl: null,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_REVIEW_DELAY_DAYS = 90;
+
+/**
+ * Validate review request settings
+ * @param {Object} config - { after, delayDays, reviewUrl }
+ * @returns {Object} Settings to store
+ * @throws {ValidationError} If the settings are malformed
+ */
+export function validateReviewConfig(config) {
+  const { after = DEFAULT_REVIEW_CONFIG.after, delayDays = DEFAULT_REVIEW_CONFIG.delayDays, reviewUrl = null } = config || {};
+
+  if (!Object.values(REVIEW_AFTER).includes(after)) {
+    throw new ValidationError('Review requests are sent after an order or a delivery', [
+      { field: 'config.after', message: 'Must be "order" or "delivery"' },
+    ]);
+  }
+
+  if (!Number.isInteger(delayDays) || delayDays < 0 || delayDays > MAX_REVIEW_DELAY_DAYS) {
+    throw new ValidationError('Invalid review request delay', [
+      { field: 'config.delayDays', message: `Whole days between 0 and ${MAX_REVIEW_DELAY_DAYS}` },
+    ]);
+  }
+
+  if (reviewUrl !== null && !/^https?:\/\/\S+$/.test(reviewUrl)) {
+    throw new ValidationError('Invalid review URL', [
+      { field: 'config.reviewUrl', message: 'Must be an http(s) URL' },
+    ]);
+  }
+
+  return { after, delayDays, reviewUrl };
+}
+
+/**
+ * Schedule the review request of an order when the shop's automation waits
+ * for this event. Repeated webhooks for the same order schedule nothing.
+ * @param {string} shopId - Shop ID
+ * @param {Object} order - { orderId, orderName, contactId }
+ * @param {string} event - One of REVIEW_AFTER
+ * @returns {Promise<Object|null>} Scheduled review request
+ */
+export async function scheduleReviewRequest(shopId, { orderId, orderName = null, contactId }, event) {
+  const automation = await prisma.userAutomation.findFirst({
+    where: {
+      shopId,
+      isActive: true,
+      automation: { triggerEvent: REVIEW_TRIGGER, isSystemDefault: true },
+    },
+  });
+
+  if (!automation || !contactId) return null;
+
+  const config = { ...DEFAULT_REVIEW_CONFIG, ...automation.config };
+  if (config.after !== event) return null;
+
+  const sendAt = new Date(Date.now() + config.delayDays * DAY_MS);
+
+  let request;
+  try {
+    request = await prisma.reviewRequest.create({
+      data: { shopId, orderId: String(orderId), orderName, contactId, sendAt },
+    });
+  } catch (error) {
+    // Already scheduled for this order
+    if (error.code === 'P2002') return null;
+    throw error;
+  }
+
+  await automationQueue.add(AUTOMATION_JOBS.REVIEW_REQUEST, {
+    shopId,
+    reviewRequestId: request.id,
+  }, {
+    jobId: `review-request-${request.id}`,
+    delay: config.delayDays * DAY_MS,
+  });
+
+  logger.info('Review request scheduled', { shopId, orderId, event, sendAt });
+
+  return request;
+}
+
+/**
+ * Send a scheduled review request
+ * @param {string} reviewRequestId - Review request ID
+ * @returns {Promise<Object>} triggerAutomation() result, or { success: false, reason } when already handled
+ */
+export async function sendReviewRequest(reviewRequestId) {
+  // Claim the request so duplicate jobs never send it twice
+  const { count } = await prisma.reviewRequest.updateMany({
+    where: { id: reviewRequestId, status: 'scheduled' },
+    data: { status: 'sent', sentAt: new Date() },
+  });
+
+  if (count === 0) {
+    return { success: false, reason: 'review_request_handled' };
+  }
+
+  const request = await prisma.reviewRequest.findUnique({
+    where: { id: reviewRequestId },
+    include: { shop: { select: { shopDomain: true } } },
+  });
+
+  const [automation, purchase] = await Promise.all([
+    prisma.userAutomation.findFirst({
+      where: { shopId: request.shopId, automation: { triggerEvent: REVIEW_TRIGGER, isSystemDefault: true } },
+      select: { config: true },
+    }),
+    prisma.contactPurchase.findFirst({
+      where: { shopId: request.shopId, orderId: request.orderId },
+      select: { productTitle: true },
+    }),
+  ]);
+
+  const result = await triggerAutomation({
+    shopId: request.shopId,
+    contactId: request.contactId,
+    triggerEvent: REVIEW_TRIGGER,
+    additionalData: {
+      reviewUrl: automation?.config?.reviewUrl || `https://${request.shop.shopDomain}`,
+      orderNumber: request.orderName,
+      productName: purchase?.productTitle,
+    },
+  });
+
+  if (!result.success) {
+    await prisma.reviewRequest.update({
+      where: { id: reviewRequestId },
+      data: { status: 'failed', reason: result.error || result.reason },
+    });
+  }
+
+  return result;
+}
+
+export default {
+  REVIEW_TRIGGER,
+  REVIEW_AFTER,
+  DEFAULT_REVIEW_CONFIG,
+  validateReviewConfig,
+  scheduleReviewRequest,
+  sendReviewRequest,
+};
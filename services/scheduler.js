@@ -0,0 +1,209 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { campaignQueue } from '../queue/index.js';
+import { addDaysInTimezone } from '../utils/timezone.js';
+
+/**
+ * Scheduler Service
+ * Arms BullMQ delayed jobs that launch scheduled and recurring campaigns.
+ * Jobs live in Redis, so they survive restarts; restoreScheduledCampaigns()
+ * re-arms anything that went missing and resumeSendingCampaigns() picks up
+ * campaigns whose send was cut short.
+ */
+
+export const LAUNCH_CAMPAIGN_JOB = 'launch-campaign';
+export const SEND_CAMPAIGN_JOB = 'send-campaign';
+
+// Job states that have not started running yet
+const PENDING_STATES = ['delayed', 'waiting', 'prioritized'];
+
+/**
+ * Build the deterministic job ID for a campaign occurrence
+ * @param {string} campaignId - Campaign ID
+ * @param {Date|string} scheduleAt - Occurrence time
+ * @returns {string} Job ID
+ */
+function scheduleJobId(campaignId, scheduleAt) {
+  return `campaign-schedule-${campaignId}-${new Date(scheduleAt).getTime()}`;
+}
+
+/**
+ * Job ID of a campaign's batch send job. It is the same for every send of the
+ * campaign, so cancel and pause find the job without scanning the queue.
+ * @param {string} campaignId - Campaign ID
+ * @returns {string} Job ID
+ */
+export function sendJobId(campaignId) {
+  return `send-campaign-${campaignId}`;
+}
+
+/**
+ * Queue the batch send job of a campaign. While one is waiting, adding
+ * another is a no-op; finished jobs are removed so the ID can be reused.
+ * @param {string} campaignId - Campaign ID
+ * @param {string} storeId - Store ID
+ * @param {Object} [data] - Extra job data (recipientCount)
+ * @returns {Promise<void>}
+ */
+export async function queueCampaignSendJob(campaignId, storeId, data = {}) {
+  await campaignQueue.add(SEND_CAMPAIGN_JOB, { campaignId, storeId, ...data }, {
+    jobId: sendJobId(campaignId),
+    removeOnComplete: true,
+    removeOnFail: true,
+  });
+}
+
+/**
+ * Remove a campaign queue job by ID if it has not started running
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} True if a pending job was removed
+ */
+export async function removePendingJob(jobId) {
+  const job = await campaignQueue.getJob(jobId);
+  if (!job) return false;
+
+  const state = await job.getState();
+  if (!PENDING_STATES.includes(state)) return false;
+
+  await job.remove();
+  return true;
+}
+
+/**
+ * Compute the next occurrence of a recurring campaign after a given instant.
+ * Days are added in the shop timezone so the local send time survives DST.
+ * @param {Date} scheduleAt - Current occurrence
+ * @param {number} recurringDays - Interval in days
+ * @param {string} timeZone - Shop timezone
+ * @param {Date} after - Return the first occurrence strictly after this instant
+ * @returns {Date} Next occurrence
+ */
+export function getNextOccurrence(scheduleAt, recurringDays, timeZone = 'UTC', after = new Date()) {
+  let next = new Date(scheduleAt);
+  while (next <= after) {
+    next = addDaysInTimezone(next, recurringDays, timeZone);
+  }
+  return next;
+}
+
+/**
+ * Arm the delayed launch job for a campaign's current scheduleAt
+ * @param {Object} campaign - Campaign with id, shopId and scheduleAt
+ * @returns {Promise<Object>} Scheduling result
+ */
+export async function scheduleCampaignLaunch(campaign) {
+  if (!campaign.scheduleAt) {
+    throw new Error('Campaign has no schedule date');
+  }
+
+  const scheduleAt = new Date(campaign.scheduleAt);
+  const jobId = scheduleJobId(campaign.id, scheduleAt);
+  const delay = Math.max(0, scheduleAt.getTime() - Date.now());
+
+  // Adding with an existing jobId is a no-op in BullMQ, so this is safe to repeat
+  await campaignQueue.add(
+    LAUNCH_CAMPAIGN_JOB,
+    {
+      campaignId: campaign.id,
+      storeId: campaign.shopId,
+      scheduleAt: scheduleAt.toISOString(),
+    },
+    { jobId, delay },
+  );
+
+  logger.info('Campaign launch scheduled', {
+    campaignId: campaign.id,
+    storeId: campaign.shopId,
+    scheduleAt,
+    delay,
+    jobId,
+  });
+
+  return { jobId, scheduleAt, delay };
+}
+
+/**
+ * Remove the pending launch job for a campaign's current scheduleAt
+ * @param {Object} campaign - Campaign with id and scheduleAt
+ * @returns {Promise<boolean>} True if a pending job was removed
+ */
+export async function unscheduleCampaignLaunch(campaign) {
+  if (!campaign.scheduleAt) return false;
+
+  const jobId = scheduleJobId(campaign.id, campaign.scheduleAt);
+
+  if (!await removePendingJob(jobId)) return false;
+
+  logger.info('Campaign launch unscheduled', { campaignId: campaign.id, jobId });
+
+  return true;
+}
+
+/**
+ * Re-arm launch jobs for every scheduled campaign (run on worker startup).
+ * Occurrences missed while the worker was down fire immediately.
+ * @returns {Promise<number>} Number of campaigns processed
+ */
+export async function restoreScheduledCampaigns() {
+  const campaigns = await prisma.campaign.findMany({
+    where: {
+      status: 'scheduled',
+      scheduleAt: { not: null },
+    },
+    select: { id: true, shopId: true, scheduleAt: true },
+  });
+
+  for (const campaign of campaigns) {
+    try {
+      await scheduleCampaignLaunch(campaign);
+    } catch (error) {
+      logger.error('Failed to restore campaign schedule', {
+        campaignId: campaign.id,
+        error: error.message,
+      });
+    }
+  }
+
+  logger.info('Scheduled campaigns restored', { count: campaigns.length });
+
+  return campaigns.length;
+}
+
+/**
+ * Queue a send job for every campaign left in sending (run on worker startup).
+ * The send job skips recipients that were already sent or claimed, so
+ * nobody who got the message is sent it again.
+ * @returns {Promise<number>} Number of campaigns resumed
+ */
+export async function resumeSendingCampaigns() {
+  const campaigns = await prisma.campaign.findMany({
+    where: { status: 'sending' },
+    select: { id: true, shopId: true },
+  });
+
+  for (const campaign of campaigns) {
+    try {
+      await queueCampaignSendJob(campaign.id, campaign.shopId);
+    } catch (error) {
+      logger.error('Failed to resume campaign send', {
+        campaignId: campaign.id,
+        error: error.message,
+      });
+    }
+  }
+
+  logger.info('Sending campaigns resumed', { count: campaigns.length });
+
+  return campaigns.length;
+}
+
+export default {
+  sendJobId,
+  queueCampaignSendJob,
+  removePendingJob,
+  getNextOccurrence,
+  scheduleCampaignLaunch,
+  unscheduleCampaignLaunch,
+  restoreScheduledCampaigns,
+  resumeSendingCampaigns,
+};
@@ -0,0 +1,258 @@
+import { Prisma } from '@prisma/client';
+import prisma from './prisma.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Segment Rules Evaluator
+ * Turns a segment's ruleJson into a Prisma Contact where clause.
+ *
+ * Rule format:
+ *   {
+ *     "operator": "and" | "or",
+ *     "conditions": [
+ *       { "field": "tags", "op": "has", "value": "vip" },
+ *       { "operator": "or", "conditions": [ ... ] }
+ *     ]
+ *   }
+ */
+
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+
+const DATE_OPS = ['before', 'after', 'between', 'within_days', 'not_within_days'];
+
+export const SEGMENT_FIELDS = {
+  tags: { ops: ['has', 'not_has', 'has_any', 'has_all'] },
+  gender: { ops: ['eq', 'neq', 'in'], values: ['male', 'female', 'other'] },
+  smsConsent: { ops: ['eq', 'neq', 'in'], values: ['opted_in', 'opted_out', 'unknown'] },
+  birthMonth: { ops: ['eq', 'in'] },
+  createdAt: { ops: DATE_OPS },
+  lastMessageAt: { ops: ['within_days', 'not_within_days', 'never'] },
+  orderCount: { ops: ['eq', 'gt', 'gte', 'lt', 'lte'] },
+  lastOrderAt: { ops: [...DATE_OPS, 'never'] },
+};
+
+/**
+ * Check whether a rule has any conditions (an empty rule means a static segment)
+ * @param {Object} rule - Segment ruleJson
+ * @returns {boolean} True if the rule defines conditions
+ */
+export function hasSegmentRules(rule) {
+  return !!rule && Array.isArray(rule.conditions) && rule.conditions.length > 0;
+}
+
+/**
+ * Validate a single condition's value for its field and operator
+ * @param {Object} condition - { field, op, value }
+ * @param {string} path - Path used in error details
+ * @returns {Array<Object>} Error details
+ */
+function validateCondition(condition, path) {
+  const errors = [];
+  const { field, op, value } = condition;
+  const spec = SEGMENT_FIELDS[field];
+
+  if (!spec) {
+    return [{ field: `${path}.field`, message: `Unknown field "${field}". Available: ${Object.keys(SEGMENT_FIELDS).join(', ')}` }];
+  }
+
+  if (!spec.ops.includes(op)) {
+    return [{ field: `${path}.op`, message: `Operator "${op}" is not supported for ${field}. Use one of: ${spec.ops.join(', ')}` }];
+  }
+
+  const fail = (message) => errors.push({ field: `${path}.value`, message });
+  const isList = ['in', 'has_any', 'has_all'].includes(op);
+
+  if (op === 'never') {
+    return errors;
+  }
+
+  if (isList && (!Array.isArray(value) || value.length === 0)) {
+    fail(`${field} ${op} requires a non-empty array`);
+    return errors;
+  }
+
+  const values = isList ? value : [value];
+
+  if (field === 'tags' && values.some(v => typeof v !== 'string' || !v.trim())) {
+    fail('Tags must be non-empty strings');
+  } else if (spec.values && values.some(v => !spec.values.includes(v))) {
+    fail(`${field} must be one of: ${spec.values.join(', ')}`);
+  } else if (field === 'birthMonth' && values.some(v => !Number.isInteger(v) || v < 1 || v > 12)) {
+    fail('Birth month must be an integer from 1 to 12');
+  } else if (field === 'orderCount' && (!Number.isInteger(value) || value < 0)) {
+    fail('Order count must be a non-negative integer');
+  } else if (['within_days', 'not_within_days'].includes(op) && (!Number.isInteger(value) || value < 1)) {
+    fail('Days must be a positive integer');
+  } else if (['before', 'after'].includes(op) && isNaN(new Date(value).getTime())) {
+    fail('Value must be a valid date');
+  } else if (op === 'between' && (
+    !Array.isArray(value) || value.length !== 2 ||
+    value.some(v => isNaN(new Date(v).getTime()))
+  )) {
+    fail('Between requires [from, to] dates');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a rule tree
+ * @param {Object} rule - Segment ruleJson
+ * @throws {ValidationError} When the rule is malformed
+ */
+export function validateSegmentRules(rule) {
+  const errors = [];
+  let count = 0;
+
+  const walk = (node, path, depth) => {
+    if (depth > MAX_DEPTH) {
+      errors.push({ field: path, message: `Rule groups can be nested at most ${MAX_DEPTH} levels deep` });
+      return;
+    }
+    if (!['and', 'or'].includes(node?.operator)) {
+      errors.push({ field: `${path}.operator`, message: 'Group operator must be "and" or "or"' });
+    }
+    if (!Array.isArray(node?.conditions)) {
+      errors.push({ field: `${path}.conditions`, message: 'Group conditions must be an array' });
+      return;
+    }
+    if (depth > 1 && node.conditions.length === 0) {
+      errors.push({ field: `${path}.conditions`, message: 'Nested groups need at least one condition' });
+    }
+
+    node.conditions.forEach((child, index) => {
+      const childPath = `${path}.conditions.${index}`;
+      if (child && child.conditions !== undefined) {
+        walk(child, childPath, depth + 1);
+      } else {
+        count++;
+        errors.push(...validateCondition(child || {}, childPath));
+      }
+    });
+  };
+
+  walk(rule, 'ruleJson', 1);
+
+  if (count > MAX_CONDITIONS) {
+    errors.push({ field: 'ruleJson', message: `Segments support at most ${MAX_CONDITIONS} conditions` });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid segment rules: ${errors[0].message}`, errors);
+  }
+}
+
+/**
+ * Start of the window for "within N days" operators
+ * @param {number} days - Number of days
+ * @returns {Date} Window start
+ */
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Build a Prisma date filter for a nullable or non-nullable date column
+ * @param {string} column - Contact column
+ * @param {string} op - Date operator
+ * @param {*} value - Operator value
+ * @returns {Object} Prisma where clause
+ */
+function dateWhere(column, op, value) {
+  switch (op) {
+  case 'before':
+    return { [column]: { lt: new Date(value) } };
+  case 'after':
+    return { [column]: { gt: new Date(value) } };
+  case 'between':
+    return { [column]: { gte: new Date(value[0]), lte: new Date(value[1]) } };
+  case 'within_days':
+    return { [column]: { gte: daysAgo(value) } };
+  case 'not_within_days':
+    // Nulls count as "not within" (e.g. contacts who never ordered)
+    return { OR: [{ [column]: { lt: daysAgo(value) } }, { [column]: null }] };
+  case 'never':
+    return { [column]: null };
+  default:
+    return {};
+  }
+}
+
+/**
+ * Resolve contacts whose birthday falls in the given months.
+ * Prisma cannot filter on a date part, so this runs a raw query.
+ * @param {string} shopId - Store ID
+ * @param {Array<number>} months - Months (1-12)
+ * @returns {Promise<Array<string>>} Contact IDs
+ */
+async function findContactIdsByBirthMonth(shopId, months) {
+  const rows = await prisma.$queryRaw`
+    SELECT "id" FROM "Contact"
+    WHERE "shopId" = ${shopId}
+      AND "birthDate" IS NOT NULL
+      AND EXTRACT(MONTH FROM "birthDate") IN (${Prisma.join(months)})
+  `;
+  return rows.map(row => row.id);
+}
+
+/**
+ * Convert a single condition to a Prisma where clause
+ * @param {string} shopId - Store ID
+ * @param {Object} condition - { field, op, value }
+ * @returns {Promise<Object>} Prisma where clause
+ */
+async function conditionWhere(shopId, { field, op, value }) {
+  switch (field) {
+  case 'tags':
+    if (op === 'has') return { tags: { has: value } };
+    if (op === 'not_has') return { NOT: { tags: { has: value } } };
+    if (op === 'has_any') return { tags: { hasSome: value } };
+    return { tags: { hasEvery: value } };
+  case 'gender':
+  case 'smsConsent':
+    if (op === 'eq') return { [field]: value };
+    // Contacts without a gender should still match "not male"
+    if (op === 'neq') return { OR: [{ [field]: { not: value } }, { [field]: null }] };
+    return { [field]: { in: value } };
+  case 'birthMonth': {
+    const months = op === 'in' ? value : [value];
+    const ids = await findContactIdsByBirthMonth(shopId, months);
+    return { id: { in: ids } };
+  }
+  case 'createdAt':
+  case 'lastOrderAt':
+    return dateWhere(field, op, value);
+  case 'orderCount':
+    return op === 'eq' ? { orderCount: value } : { orderCount: { [op]: value } };
+  case 'lastMessageAt':
+    if (op === 'never') return { recipients: { none: { sentAt: { not: null } } } };
+    if (op === 'within_days') return { recipients: { some: { sentAt: { gte: daysAgo(value) } } } };
+    return { recipients: { none: { sentAt: { gte: daysAgo(value) } } } };
+  default:
+    return {};
+  }
+}
+
+/**
+ * Convert a rule tree to a Prisma Contact where clause
+ * @param {string} shopId - Store ID
+ * @param {Object} rule - Segment ruleJson (validated)
+ * @returns {Promise<Object>} Prisma where clause (without shopId)
+ */
+export async function buildSegmentWhere(shopId, rule) {
+  const clauses = await Promise.all(rule.conditions.map(child => (
+    child.conditions !== undefined
+      ? buildSegmentWhere(shopId, child)
+      : conditionWhere(shopId, child)
+  )));
+
+  return rule.operator === 'or' ? { OR: clauses } : { AND: clauses };
+}
+
+export default {
+  SEGMENT_FIELDS,
+  hasSegmentRules,
+  validateSegmentRules,
+  buildSegmentWhere,
+};
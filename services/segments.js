@@ -0,0 +1,337 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors.js';
+import { buildSegmentWhere, hasSegmentRules, validateSegmentRules } from './segment-rules.js';
+
+/**
+ * Segments Service
+ * Handles segment CRUD and membership resolution. A segment with rule
+ * conditions is dynamic and evaluated on every read; a segment with an
+ * empty rule uses its static SegmentMembership rows.
+ */
+
+const EMPTY_RULE = { operator: 'and', conditions: [] };
+
+const PREVIEW_CONTACT_SELECT = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  phoneE164: true,
+  email: true,
+  gender: true,
+  tags: true,
+  smsConsent: true,
+  createdAt: true,
+};
+
+/**
+ * Build the Contact where clause for a segment
+ * @param {string} storeId - Store ID
+ * @param {Object} segment - Segment record
+ * @returns {Promise<Object>} Prisma where clause (scoped to the store)
+ */
+export async function getSegmentContactWhere(storeId, segment) {
+  if (hasSegmentRules(segment.ruleJson)) {
+    return {
+      shopId: storeId,
+      ...(await buildSegmentWhere(storeId, segment.ruleJson)),
+    };
+  }
+
+  return {
+    shopId: storeId,
+    memberships: { some: { segmentId: segment.id } },
+  };
+}
+
+/**
+ * Build the where clause for the sendable (opted-in) contacts of a segment
+ * @param {string} storeId - Store ID
+ * @param {string} segmentId - Segment ID
+ * @returns {Promise<Object>} Prisma where clause
+ */
+export async function getSegmentAudienceWhere(storeId, segmentId) {
+  const segment = await prisma.segment.findFirst({
+    where: { id: segmentId, shopId: storeId },
+  });
+
+  if (!segment) {
+    throw new NotFoundError('Segment');
+  }
+
+  const where = await getSegmentContactWhere(storeId, segment);
+  return { AND: [where, { smsConsent: 'opted_in' }] };
+}
+
+/**
+ * Count all and opted-in contacts matching a where clause
+ * @param {Object} where - Prisma where clause
+ * @returns {Promise<Object>} { contactCount, sendableCount }
+ */
+async function countContacts(where) {
+  const [contactCount, sendableCount] = await Promise.all([
+    prisma.contact.count({ where }),
+    prisma.contact.count({ where: { AND: [where, { smsConsent: 'opted_in' }] } }),
+  ]);
+
+  return { contactCount, sendableCount };
+}
+
+/**
+ * Shape a segment for API responses
+ * @param {Object} segment - Segment record
+ * @returns {Object} Segment with its type
+ */
+function formatSegment(segment) {
+  return {
+    ...segment,
+    type: hasSegmentRules(segment.ruleJson) ? 'dynamic' : 'static',
+  };
+}
+
+/**
+ * List segments for a store
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Array>} Segments
+ */
+export async function listSegments(storeId) {
+  logger.info('Listing segments', { storeId });
+
+  const segments = await prisma.segment.findMany({
+    where: { shopId: storeId },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  return segments.map(formatSegment);
+}
+
+/**
+ * Get a segment with live contact counts
+ * @param {string} storeId - Store ID
+ * @param {string} segmentId - Segment ID
+ * @returns {Promise<Object>} Segment with counts
+ */
+export async function getSegmentById(storeId, segmentId) {
+  logger.info('Getting segment by ID', { storeId, segmentId });
+
+  const segment = await prisma.segment.findFirst({
+    where: { id: segmentId, shopId: storeId },
+  });
+
+  if (!segment) {
+    throw new NotFoundError('Segment');
+  }
+
+  const counts = await countContacts(await getSegmentContactWhere(storeId, segment));
+
+  return { ...formatSegment(segment), ...counts };
+}
+
+/**
+ * Create a segment
+ * @param {string} storeId - Store ID
+ * @param {Object} segmentData - { name, ruleJson }
+ * @returns {Promise<Object>} Created segment
+ */
+export async function createSegment(storeId, segmentData) {
+  logger.info('Creating segment', { storeId, name: segmentData.name });
+
+  const name = segmentData.name?.trim();
+  if (!name) {
+    throw new ValidationError('Segment name is required');
+  }
+
+  const ruleJson = segmentData.ruleJson || EMPTY_RULE;
+  validateSegmentRules(ruleJson);
+
+  const existing = await prisma.segment.findFirst({
+    where: { shopId: storeId, name },
+  });
+
+  if (existing) {
+    throw new ConflictError('A segment with this name already exists');
+  }
+
+  const segment = await prisma.segment.create({
+    data: { shopId: storeId, name, ruleJson },
+  });
+
+  logger.info('Segment created successfully', { storeId, segmentId: segment.id });
+
+  return formatSegment(segment);
+}
+
+/**
+ * Update a segment
+ * @param {string} storeId - Store ID
+ * @param {string} segmentId - Segment ID
+ * @param {Object} segmentData - { name, ruleJson }
+ * @returns {Promise<Object>} Updated segment
+ */
+export async function updateSegment(storeId, segmentId, segmentData) {
+  logger.info('Updating segment', { storeId, segmentId });
+
+  const existing = await prisma.segment.findFirst({
+    where: { id: segmentId, shopId: storeId },
+  });
+
+  if (!existing) {
+    throw new NotFoundError('Segment');
+  }
+
+  const updateData = {};
+
+  if (segmentData.name !== undefined) {
+    const name = segmentData.name?.trim();
+    if (!name) {
+      throw new ValidationError('Segment name is required');
+    }
+
+    const duplicate = await prisma.segment.findFirst({
+      where: { shopId: storeId, name, id: { not: segmentId } },
+    });
+
+    if (duplicate) {
+      throw new ConflictError('A segment with this name already exists');
+    }
+
+    updateData.name = name;
+  }
+
+  if (segmentData.ruleJson !== undefined) {
+    validateSegmentRules(segmentData.ruleJson);
+    updateData.ruleJson = segmentData.ruleJson;
+  }
+
+  const segment = await prisma.segment.update({
+    where: { id: segmentId },
+    data: updateData,
+  });
+
+  logger.info('Segment updated successfully', { storeId, segmentId });
+
+  return formatSegment(segment);
+}
+
+/**
+ * Delete a segment
+ * @param {string} storeId - Store ID
+ * @param {string} segmentId - Segment ID
+ * @returns {Promise<void>}
+ */
+export async function deleteSegment(storeId, segmentId) {
+  logger.info('Deleting segment', { storeId, segmentId });
+
+  const segment = await prisma.segment.findFirst({
+    where: { id: segmentId, shopId: storeId },
+  });
+
+  if (!segment) {
+    throw new NotFoundError('Segment');
+  }
+
+  // Scheduled and in-flight campaigns resolve the segment when they send
+  const activeCampaigns = await prisma.campaign.count({
+    where: {
+      shopId: storeId,
+      audience: `segment:${segmentId}`,
+      status: { in: ['scheduled', 'sending'] },
+    },
+  });
+
+  if (activeCampaigns > 0) {
+    throw new ValidationError('Segment is used by scheduled or sending campaigns');
+  }
+
+  await prisma.segment.delete({
+    where: { id: segmentId },
+  });
+
+  logger.info('Segment deleted successfully', { storeId, segmentId });
+}
+
+/**
+ * Evaluate rules without saving them (live preview)
+ * @param {string} storeId - Store ID
+ * @param {Object} ruleJson - Segment rules
+ * @param {number} sampleSize - Number of sample contacts to return
+ * @returns {Promise<Object>} { contactCount, sendableCount, sample }
+ */
+export async function previewSegment(storeId, ruleJson, sampleSize = 10) {
+  validateSegmentRules(ruleJson);
+
+  const where = {
+    shopId: storeId,
+    ...(await buildSegmentWhere(storeId, ruleJson)),
+  };
+
+  const [counts, sample] = await Promise.all([
+    countContacts(where),
+    prisma.contact.findMany({
+      where,
+      select: PREVIEW_CONTACT_SELECT,
+      orderBy: { createdAt: 'desc' },
+      take: sampleSize,
+    }),
+  ]);
+
+  logger.info('Segment previewed', { storeId, ...counts });
+
+  return { ...counts, sample };
+}
+
+/**
+ * List the contacts currently in a segment
+ * @param {string} storeId - Store ID
+ * @param {string} segmentId - Segment ID
+ * @param {Object} options - { page, pageSize }
+ * @returns {Promise<Object>} Contacts with pagination
+ */
+export async function getSegmentContacts(storeId, segmentId, { page = 1, pageSize = 20 } = {}) {
+  const segment = await prisma.segment.findFirst({
+    where: { id: segmentId, shopId: storeId },
+  });
+
+  if (!segment) {
+    throw new NotFoundError('Segment');
+  }
+
+  const where = await getSegmentContactWhere(storeId, segment);
+  const pageNum = parseInt(page);
+  const size = parseInt(pageSize);
+
+  const [contacts, total] = await Promise.all([
+    prisma.contact.findMany({
+      where,
+      select: PREVIEW_CONTACT_SELECT,
+      orderBy: { createdAt: 'desc' },
+      skip: (pageNum - 1) * size,
+      take: size,
+    }),
+    prisma.contact.count({ where }),
+  ]);
+
+  return {
+    contacts,
+    pagination: {
+      page: pageNum,
+      pageSize: size,
+      total,
+      totalPages: Math.ceil(total / size),
+      hasNextPage: pageNum * size < total,
+      hasPrevPage: pageNum > 1,
+    },
+  };
+}
+
+export default {
+  getSegmentContactWhere,
+  getSegmentAudienceWhere,
+  listSegments,
+  getSegmentById,
+  createSegment,
+  updateSegment,
+  deleteSegment,
+  previewSegment,
+  getSegmentContacts,
+};
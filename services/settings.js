@@ -1,6 +1,13 @@
 import prisma from './prisma.js';
 import { logger } from '../utils/logger.js';
 import { ValidationError, NotFoundError } from '../utils/errors.js';
+import { isValidTimezone } from '../utils/timezone.js';
+import { isValidTimeOfDay } from '../utils/sending-window.js';
+import {
+  getDefaultProviderName,
+  isProviderAvailable,
+  listAvailableProviders,
+} from './sms-providers/index.js';
 
 /**
  * Settings Service
@@ -200,6 +207,252 @@ export async function getSenderConfig(storeId) {
   return senderConfig;
 }
 
+/**
+ * Get the timezone configured for a store
+ * @param {string} storeId - Store ID
+ * @returns {Promise<string>} IANA timezone name (defaults to UTC)
+ */
+export async function getShopTimezone(storeId) {
+  const settings = await prisma.shopSettings.findUnique({
+    where: { shopId: storeId },
+    select: { timezone: true },
+  });
+
+  return isValidTimezone(settings?.timezone) ? settings.timezone : 'UTC';
+}
+
+/**
+ * Get consent settings for a store
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Object>} { doubleOptIn }
+ */
+export async function getConsentSettings(storeId) {
+  const settings = await prisma.shopSettings.findUnique({
+    where: { shopId: storeId },
+    select: { doubleOptIn: true },
+  });
+
+  return {
+    doubleOptIn: settings?.doubleOptIn ?? false,
+  };
+}
+
+/**
+ * Update consent settings for a store
+ * @param {string} storeId - Store ID
+ * @param {Object} consentData - { doubleOptIn }
+ * @returns {Promise<Object>} Updated consent settings
+ */
+export async function updateConsentSettings(storeId, consentData) {
+  logger.info('Updating consent settings', { storeId, doubleOptIn: consentData.doubleOptIn });
+
+  const settings = await prisma.shopSettings.upsert({
+    where: { shopId: storeId },
+    update: { doubleOptIn: consentData.doubleOptIn },
+    create: {
+      shopId: storeId,
+      doubleOptIn: consentData.doubleOptIn,
+    },
+  });
+
+  return {
+    doubleOptIn: settings.doubleOptIn,
+    updatedAt: settings.updatedAt,
+  };
+}
+
+/**
+ * Get quiet hours for a store
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Object>} { enabled, start, end, timezone, useContactTimezone }
+ */
+export async function getQuietHours(storeId) {
+  const settings = await prisma.shopSettings.findUnique({
+    where: { shopId: storeId },
+    select: {
+      timezone: true,
+      quietHoursEnabled: true,
+      quietHoursStart: true,
+      quietHoursEnd: true,
+      quietHoursContactTimezone: true,
+    },
+  });
+
+  return {
+    enabled: settings?.quietHoursEnabled ?? false,
+    start: settings?.quietHoursStart || '21:00',
+    end: settings?.quietHoursEnd || '09:00',
+    timezone: isValidTimezone(settings?.timezone) ? settings.timezone : 'UTC',
+    useContactTimezone: settings?.quietHoursContactTimezone ?? false,
+  };
+}
+
+/**
+ * Update quiet hours for a store
+ * @param {string} storeId - Store ID
+ * @param {Object} quietHoursData - { enabled, start, end, useContactTimezone }
+ * @returns {Promise<Object>} Updated quiet hours
+ */
+export async function updateQuietHours(storeId, quietHoursData) {
+  logger.info('Updating quiet hours', { storeId, ...quietHoursData });
+
+  const { enabled, start, end, useContactTimezone } = quietHoursData;
+
+  for (const [field, value] of Object.entries({ start, end })) {
+    if (value !== undefined && !isValidTimeOfDay(value)) {
+      throw new ValidationError(`Quiet hours ${field} must be in HH:mm format`, [
+        { field, message: 'Must be in HH:mm format' },
+      ]);
+    }
+  }
+
+  const data = {
+    quietHoursEnabled: enabled,
+    quietHoursStart: start,
+    quietHoursEnd: end,
+    quietHoursContactTimezone: useContactTimezone,
+  };
+
+  await prisma.shopSettings.upsert({
+    where: { shopId: storeId },
+    update: data,
+    create: { shopId: storeId, ...data },
+  });
+
+  return getQuietHours(storeId);
+}
+
+/**
+ * Get frequency caps for a store
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Object>} { daily, weekly } (null = no cap)
+ */
+export async function getFrequencyCaps(storeId) {
+  const settings = await prisma.shopSettings.findUnique({
+    where: { shopId: storeId },
+    select: { frequencyCapDaily: true, frequencyCapWeekly: true },
+  });
+
+  return {
+    daily: settings?.frequencyCapDaily ?? null,
+    weekly: settings?.frequencyCapWeekly ?? null,
+  };
+}
+
+/**
+ * Update frequency caps for a store
+ * @param {string} storeId - Store ID
+ * @param {Object} capsData - { daily, weekly } (null removes a cap)
+ * @returns {Promise<Object>} Updated frequency caps
+ */
+export async function updateFrequencyCaps(storeId, capsData) {
+  logger.info('Updating frequency caps', { storeId, ...capsData });
+
+  const { daily, weekly } = capsData;
+
+  if (daily && weekly && weekly < daily) {
+    throw new ValidationError('Weekly cap cannot be lower than the daily cap', [
+      { field: 'weekly', message: 'Must be at least the daily cap' },
+    ]);
+  }
+
+  const data = {
+    frequencyCapDaily: daily,
+    frequencyCapWeekly: weekly,
+  };
+
+  await prisma.shopSettings.upsert({
+    where: { shopId: storeId },
+    update: data,
+    create: { shopId: storeId, ...data },
+  });
+
+  return getFrequencyCaps(storeId);
+}
+
+/**
+ * Get the SMS provider used for a store
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Object>} { provider, isDefault, available }
+ */
+export async function getSmsProvider(storeId) {
+  const settings = await prisma.shopSettings.findUnique({
+    where: { shopId: storeId },
+    select: { smsProvider: true },
+  });
+
+  // A provider that is no longer available falls back to the default
+  const selected = isProviderAvailable(settings?.smsProvider) ? settings.smsProvider : null;
+
+  return {
+    provider: selected || getDefaultProviderName(),
+    isDefault: !selected,
+    available: listAvailableProviders(),
+  };
+}
+
+/**
+ * Select the SMS provider for a store
+ * @param {string} storeId - Store ID
+ * @param {Object} providerData - { provider } (null resets to the default)
+ * @returns {Promise<Object>} Updated provider selection
+ */
+export async function updateSmsProvider(storeId, providerData) {
+  const { provider } = providerData;
+
+  logger.info('Updating SMS provider', { storeId, provider });
+
+  if (provider && !isProviderAvailable(provider)) {
+    throw new ValidationError('SMS provider is not available', [
+      { field: 'provider', message: `Must be one of: ${listAvailableProviders().join(', ')}` },
+    ]);
+  }
+
+  await prisma.shopSettings.upsert({
+    where: { shopId: storeId },
+    update: { smsProvider: provider || null },
+    create: { shopId: storeId, smsProvider: provider || null },
+  });
+
+  return getSmsProvider(storeId);
+}
+
+/**
+ * Get the order attribution window for a store
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Object>} { windowDays }
+ */
+export async function getAttributionSettings(storeId) {
+  const settings = await prisma.shopSettings.findUnique({
+    where: { shopId: storeId },
+    select: { attributionWindowDays: true },
+  });
+
+  return {
+    windowDays: settings?.attributionWindowDays ?? 7,
+  };
+}
+
+/**
+ * Update the order attribution window for a store
+ * @param {string} storeId - Store ID
+ * @param {Object} attributionData - { windowDays }
+ * @returns {Promise<Object>} Updated attribution settings
+ */
+export async function updateAttributionSettings(storeId, attributionData) {
+  const { windowDays } = attributionData;
+
+  logger.info('Updating attribution settings', { storeId, windowDays });
+
+  await prisma.shopSettings.upsert({
+    where: { shopId: storeId },
+    update: { attributionWindowDays: windowDays },
+    create: { shopId: storeId, attributionWindowDays: windowDays },
+  });
+
+  return getAttributionSettings(storeId);
+}
+
 /**
  * Validate sender configuration
  * @param {string} storeId - Store ID
@@ -245,6 +498,17 @@ export default {
   updateSettings,
   getUsageGuide,
   getSenderConfig,
+  getShopTimezone,
+  getConsentSettings,
+  updateConsentSettings,
+  getQuietHours,
+  updateQuietHours,
+  getFrequencyCaps,
+  updateFrequencyCaps,
+  getSmsProvider,
+  updateSmsProvider,
+  getAttributionSettings,
+  updateAttributionSettings,
   validateSenderConfig,
 };
 
@@ -266,10 +266,132 @@ export async function getDiscountCode(shopDomain, discountId) {
   }
 }
 
+// Shopify accepts up to 250 codes per bulk add
+const REDEEM_CODE_BATCH_SIZE = 250;
+const BULK_CREATION_POLL_MS = 1000;
+const BULK_CREATION_TIMEOUT_MS = 30000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Add redeem codes to an existing code discount. Shopify creates the codes
+ * asynchronously, so each batch is polled until it is done.
+ * @param {string} shopDomain - Shop domain
+ * @param {string} discountId - Code discount ID (gid://shopify/DiscountCodeNode/...)
+ * @param {Array<string>} codes - Codes to add
+ * @returns {Promise<{created: Array<string>, failed: Array<{code: string, message: string}>}>}
+ */
+export async function addDiscountRedeemCodes(shopDomain, discountId, codes) {
+  try {
+    const session = await getShopifySession(shopDomain);
+    const client = new shopifyApi.clients.Graphql({ session });
+
+    const mutation = `
+      mutation addRedeemCodes($discountId: ID!, $codes: [DiscountRedeemCodeInput!]!) {
+        discountRedeemCodeBulkAdd(discountId: $discountId, codes: $codes) {
+          bulkCreation {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+
+    const statusQuery = `
+      query redeemCodeBulkCreation($id: ID!) {
+        discountRedeemCodeBulkCreation(id: $id) {
+          done
+          codes(first: ${REDEEM_CODE_BATCH_SIZE}) {
+            edges {
+              node {
+                code
+                errors {
+                  message
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const created = [];
+    const failed = [];
+
+    for (let i = 0; i < codes.length; i += REDEEM_CODE_BATCH_SIZE) {
+      const batch = codes.slice(i, i + REDEEM_CODE_BATCH_SIZE);
+
+      const response = await client.query({
+        data: {
+          query: mutation,
+          variables: { discountId, codes: batch.map(code => ({ code })) },
+        },
+      });
+
+      const result = response.body.data.discountRedeemCodeBulkAdd;
+      if (result.userErrors?.length > 0) {
+        throw new Error(result.userErrors.map(e => e.message).join('; '));
+      }
+
+      let creation = null;
+      const deadline = Date.now() + BULK_CREATION_TIMEOUT_MS;
+
+      while (Date.now() < deadline) {
+        const status = await client.query({
+          data: { query: statusQuery, variables: { id: result.bulkCreation.id } },
+        });
+        creation = status.body.data.discountRedeemCodeBulkCreation;
+        if (creation?.done) break;
+        await sleep(BULK_CREATION_POLL_MS);
+      }
+
+      if (!creation?.done) {
+        // Still processing: Shopify finishes the codes on its own
+        logger.warn('Discount code creation not finished in time', {
+          shopDomain,
+          discountId,
+          bulkCreationId: result.bulkCreation.id,
+        });
+        created.push(...batch);
+        continue;
+      }
+
+      for (const { node } of creation.codes.edges) {
+        if (node.errors?.length > 0) {
+          failed.push({ code: node.code, message: node.errors.map(e => e.message).join('; ') });
+        } else {
+          created.push(node.code);
+        }
+      }
+    }
+
+    logger.info('Discount redeem codes added', {
+      shopDomain,
+      discountId,
+      created: created.length,
+      failed: failed.length,
+    });
+
+    return { created, failed };
+  } catch (error) {
+    logger.error('Failed to add discount redeem codes', {
+      shopDomain,
+      discountId,
+      count: codes.length,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
 export default {
   initShopifyContext,
   diagnostics,
   getShopifySession,
   getDiscountCodes,
   getDiscountCode,
+  addDiscountRedeemCodes,
 };
@@ -0,0 +1,23 @@
+/**
+ * SMS error classes shared by the send pipeline and provider adapters
+ */
+
+// The message cannot be sent as requested (bad number, no credits, ...); retrying will not help
+export class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+// The provider rejected the request or could not be reached
+export class SmsProviderError extends Error {
+  constructor(message, status, response) {
+    super(message);
+    this.name = 'SmsProviderError';
+    this.status = status;
+    this.response = response;
+  }
+}
+
+export default { ValidationError, SmsProviderError };
@@ -0,0 +1,74 @@
+import mittoProvider from './mitto.js';
+import mockProvider from './mock.js';
+
+/**
+ * SMS Provider Registry
+ *
+ * Every provider adapter implements the same interface:
+ *
+ * @typedef {Object} SmsProvider
+ * @property {string} name - Provider key stored in MessageLog.provider
+ * @property {Function} send - ({ to, text, sender }) => Promise<{ messageId, status }>
+ * @property {Function} getStatus - (messageId) => Promise<{ messageId, status, deliveryStatus, createdAt, updatedAt }>
+ * @property {Function} parseDeliveryReport - (payload) => { messageId, to, status, deliveryStatus, error }
+ * @property {Function} parseInbound - (payload) => { from, to, text, messageId }
+ * @property {Function} verifySignature - (req) => boolean
+ *
+ * `status` is always normalized to a MessageStatus value (queued, sent,
+ * delivered, failed); `deliveryStatus` keeps the provider's own wording.
+ */
+
+export const PROVIDERS = {
+  [mittoProvider.name]: mittoProvider,
+  [mockProvider.name]: mockProvider,
+};
+
+/**
+ * Provider used when a shop has not chosen one
+ * @returns {string} Provider name
+ */
+export function getDefaultProviderName() {
+  return isProviderAvailable(process.env.SMS_PROVIDER) ? process.env.SMS_PROVIDER : mittoProvider.name;
+}
+
+/**
+ * Check whether a provider may be selected. The mock provider is only
+ * available outside production unless SMS_MOCK_ENABLED=true.
+ * @param {string} name - Provider name
+ * @returns {boolean} True if available
+ */
+export function isProviderAvailable(name) {
+  if (!Object.hasOwn(PROVIDERS, name)) return false;
+  if (name === mockProvider.name) {
+    return process.env.NODE_ENV !== 'production' || process.env.SMS_MOCK_ENABLED === 'true';
+  }
+  return true;
+}
+
+/**
+ * List the providers that can be selected in this environment
+ * @returns {Array<string>} Provider names
+ */
+export function listAvailableProviders() {
+  return Object.keys(PROVIDERS).filter(isProviderAvailable);
+}
+
+/**
+ * Get a provider adapter by name, falling back to the default provider
+ * @param {string} [name] - Provider name
+ * @returns {SmsProvider} Provider adapter
+ */
+export function getProvider(name) {
+  if (name && isProviderAvailable(name)) {
+    return PROVIDERS[name];
+  }
+  return PROVIDERS[getDefaultProviderName()];
+}
+
+export default {
+  PROVIDERS,
+  getDefaultProviderName,
+  isProviderAvailable,
+  listAvailableProviders,
+  getProvider,
+};
@@ -0,0 +1,181 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { logger } from '../../utils/logger.js';
+import { SmsProviderError } from './errors.js';
+
+/**
+ * Mitto SMS provider adapter (API v1.1)
+ */
+
+// Custom error classes for better error handling
+export class MittoApiError extends SmsProviderError {
+  constructor(message, status, response) {
+    super(message, status, response);
+    this.name = 'MittoApiError';
+  }
+}
+
+// Mitto delivery statuses -> MessageStatus
+const STATUS_MAP = {
+  queued: 'queued',
+  accepted: 'queued',
+  pending: 'queued',
+  sent: 'sent',
+  submitted: 'sent',
+  delivered: 'delivered',
+  failed: 'failed',
+  undelivered: 'failed',
+  rejected: 'failed',
+  expired: 'failed',
+};
+
+/**
+ * Normalize a Mitto status to a MessageStatus value
+ * @param {string} status - Mitto status (any case)
+ * @returns {string} queued, sent, delivered or failed
+ */
+function normalizeStatus(status) {
+  return STATUS_MAP[String(status || '').toLowerCase()] || 'sent';
+}
+
+const mitto = axios.create({
+  baseURL: process.env.MITTO_API_BASE || 'http://messaging.mittoapi.com',
+  timeout: 30000,
+});
+
+mitto.interceptors.request.use((config) => {
+  config.headers = {
+    ...(config.headers || {}),
+    'X-Mitto-API-Key': process.env.MITTO_API_KEY,
+    'Content-Type': 'application/json',
+  };
+  return config;
+});
+
+mitto.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    const status = error.response?.status;
+    const response = error.response?.data;
+
+    logger.error('Mitto API Error', {
+      status,
+      response,
+      message: error.message,
+    });
+
+    throw new MittoApiError(
+      `Mitto API error: ${response?.message || error.message}`,
+      status,
+      response,
+    );
+  },
+);
+
+/**
+ * Send SMS via Mitto API v1.1
+ * @param {Object} params
+ * @param {string} params.to - E.164 phone number (e.g., +357123456789)
+ * @param {string} params.text - SMS message text
+ * @param {string} params.sender - Sender name or number
+ * @returns {Promise<{messageId: string, status: string}>}
+ */
+async function send({ to, text, sender }) {
+  const payload = {
+    trafficAccountId: process.env.MITTO_TRAFFIC_ACCOUNT_ID,
+    destination: to,
+    sms: {
+      text,
+      sender,
+    },
+  };
+
+  const { data } = await mitto.post('/api/v1.1/Messages/send', payload);
+
+  // Handle Mitto response format
+  const messageId = data.messages?.[0]?.messageId || data.id;
+  const status = data.messages?.[0]?.status || data.status || 'sent';
+
+  return { messageId, status: normalizeStatus(status) };
+}
+
+/**
+ * Get message delivery status from Mitto API
+ * @param {string} messageId - Mitto message ID
+ * @returns {Promise<{messageId: string, status: string, deliveryStatus: string, createdAt: string, updatedAt: string}>}
+ */
+async function getStatus(messageId) {
+  try {
+    const { data } = await mitto.get(`/api/v1.1/Messages/${messageId}`);
+
+    return {
+      messageId: data.messageId,
+      status: normalizeStatus(data.deliveryStatus),
+      deliveryStatus: data.deliveryStatus,
+      createdAt: data.createdAt,
+      updatedAt: data.updatedAt,
+    };
+  } catch (error) {
+    if (error instanceof MittoApiError) throw error;
+
+    throw new MittoApiError(
+      `Failed to fetch message status: ${error.message}`,
+      error.response?.status,
+      error.response?.data,
+    );
+  }
+}
+
+/**
+ * Parse a Mitto delivery report webhook
+ * @param {Object} payload - Webhook body
+ * @returns {{messageId: string, to: string, status: string, deliveryStatus: string, error: string|null}}
+ */
+function parseDeliveryReport(payload = {}) {
+  const deliveryStatus = payload.status || payload.dlr_status || payload.deliveryStatus || 'Delivered';
+
+  return {
+    messageId: payload.message_id || payload.messageId || payload.id || null,
+    to: payload.to || payload.msisdn || null,
+    status: normalizeStatus(deliveryStatus),
+    deliveryStatus,
+    error: payload.error || payload.error_message || null,
+  };
+}
+
+/**
+ * Parse a Mitto inbound message webhook
+ * @param {Object} payload - Webhook body
+ * @returns {{from: string, to: string, text: string, messageId: string}}
+ */
+function parseInbound(payload = {}) {
+  return {
+    from: payload.from || payload.msisdn || payload.sender || null,
+    to: payload.to || payload.destination || null,
+    text: payload.text || payload.message || payload.body || '',
+    messageId: payload.message_id || payload.messageId || payload.id || null,
+  };
+}
+
+/**
+ * Verify the HMAC signature Mitto sends with webhooks
+ * @param {Object} req - Express request
+ * @returns {boolean} True if valid (or no secret is configured)
+ */
+function verifySignature(req) {
+  const secret = process.env.MITTO_WEBHOOK_SECRET;
+  if (!secret) return true; // skip if not configured
+  const sig = req.header('x-mitto-signature') || '';
+  const body = JSON.stringify(req.body || {});
+  const mac = crypto.createHmac('sha256', secret).update(body).digest('hex');
+  return sig === mac;
+}
+
+export default {
+  name: 'mitto',
+  send,
+  getStatus,
+  parseDeliveryReport,
+  parseInbound,
+  verifySignature,
+};
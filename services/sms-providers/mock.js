@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import { logger } from '../../utils/logger.js';
+import { SmsProviderError } from './errors.js';
+import { processDeliveryReport } from '../delivery-reports.js';
+
+/**
+ * Mock SMS provider for local development and staging.
+ * Nothing leaves the process: messages are kept in memory and a delivery
+ * report is fed back through the normal DLR pipeline after a short delay.
+ *
+ * Deterministic test numbers:
+ * - ending in 0001: rejected at send time
+ * - ending in 0002: accepted, then reported as failed
+ *
+ * SMS_MOCK_FAILURE_RATE (0-1) fails that share of other messages at delivery,
+ * SMS_MOCK_DLR_DELAY_MS sets the delivery report delay (default 2000).
+ */
+
+const REJECT_SUFFIX = '0001';
+const FAIL_SUFFIX = '0002';
+
+// Keeps memory bounded in long-running dev servers
+const MAX_MESSAGES = 10000;
+
+const messages = new Map();
+
+function getFailureRate() {
+  const rate = parseFloat(process.env.SMS_MOCK_FAILURE_RATE || '0');
+  return Number.isFinite(rate) ? Math.min(Math.max(rate, 0), 1) : 0;
+}
+
+function getDlrDelay() {
+  const delay = parseInt(process.env.SMS_MOCK_DLR_DELAY_MS || '2000');
+  return Number.isFinite(delay) && delay >= 0 ? delay : 2000;
+}
+
+/**
+ * Report the final status of a mock message through the DLR pipeline
+ * @param {string} messageId - Mock message ID
+ * @param {boolean} failed - Whether delivery failed
+ */
+function scheduleDeliveryReport(messageId, failed) {
+  const timer = setTimeout(async () => {
+    const message = messages.get(messageId);
+    if (!message) return;
+
+    message.deliveryStatus = failed ? 'Failed' : 'Delivered';
+    message.updatedAt = new Date().toISOString();
+
+    try {
+      await processDeliveryReport(parseDeliveryReport({
+        messageId,
+        to: message.to,
+        status: message.deliveryStatus,
+        error: failed ? 'Simulated delivery failure' : null,
+      }), 'mock');
+    } catch (error) {
+      logger.error('Mock delivery report failed', { messageId, error: error.message });
+    }
+  }, getDlrDelay());
+
+  timer.unref();
+}
+
+/**
+ * Accept a message without sending it
+ * @param {Object} params - { to, text, sender }
+ * @returns {Promise<{messageId: string, status: string}>}
+ */
+async function send({ to, text, sender }) {
+  if (to.endsWith(REJECT_SUFFIX)) {
+    throw new SmsProviderError('Mock provider rejected the destination', 400, { code: 'rejected' });
+  }
+
+  const messageId = `mock_${crypto.randomUUID()}`;
+  const now = new Date().toISOString();
+
+  if (messages.size >= MAX_MESSAGES) {
+    messages.delete(messages.keys().next().value);
+  }
+
+  messages.set(messageId, {
+    messageId,
+    to,
+    text,
+    sender,
+    deliveryStatus: 'Queued',
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  const failed = to.endsWith(FAIL_SUFFIX) || Math.random() < getFailureRate();
+  scheduleDeliveryReport(messageId, failed);
+
+  logger.info('Mock SMS accepted', { messageId, to, sender, willFail: failed });
+
+  return { messageId, status: 'queued' };
+}
+
+/**
+ * Get the status of a mock message
+ * @param {string} messageId - Mock message ID
+ * @returns {Promise<Object>} Status
+ */
+async function getStatus(messageId) {
+  const message = messages.get(messageId);
+
+  if (!message) {
+    throw new SmsProviderError('Mock message not found', 404);
+  }
+
+  return {
+    messageId,
+    status: parseDeliveryReport({ status: message.deliveryStatus }).status,
+    deliveryStatus: message.deliveryStatus,
+    createdAt: message.createdAt,
+    updatedAt: message.updatedAt,
+  };
+}
+
+/**
+ * Parse a mock delivery report (also accepted over the webhook for manual testing)
+ * @param {Object} payload - { messageId, to, status, error }
+ * @returns {Object} Normalized delivery report
+ */
+function parseDeliveryReport(payload = {}) {
+  const deliveryStatus = payload.status || 'Delivered';
+  const lower = String(deliveryStatus).toLowerCase();
+  const status = ['queued', 'sent', 'delivered'].includes(lower) ? lower : 'failed';
+
+  return {
+    messageId: payload.messageId || null,
+    to: payload.to || null,
+    status,
+    deliveryStatus,
+    error: payload.error || null,
+  };
+}
+
+/**
+ * Parse a mock inbound message
+ * @param {Object} payload - { from, to, text, messageId }
+ * @returns {Object} Normalized inbound message
+ */
+function parseInbound(payload = {}) {
+  return {
+    from: payload.from || null,
+    to: payload.to || null,
+    text: payload.text || '',
+    messageId: payload.messageId || `mock_${crypto.randomUUID()}`,
+  };
+}
+
+// Mock webhooks are unsigned; the provider is unavailable in production by default
+function verifySignature() {
+  return true;
+}
+
+export default {
+  name: 'mock',
+  send,
+  getStatus,
+  parseDeliveryReport,
+  parseInbound,
+  verifySignature,
+};
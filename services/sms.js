@@ -0,0 +1,210 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { validateAndConsumeCredits, InsufficientCreditsError } from './credit-validation.js';
+import { countSmsSegments } from '../utils/sms-segments.js';
+import { getSmsProvider } from './settings.js';
+import { getProvider } from './sms-providers/index.js';
+import { ValidationError, SmsProviderError } from './sms-providers/errors.js';
+
+export { ValidationError, SmsProviderError };
+
+/**
+ * SMS Service
+ * Provider-independent send pipeline: validation, credits, sender lookup and
+ * dispatch to the shop's SMS provider.
+ */
+
+// E.164 phone number validation
+function validateE164PhoneNumber(phone) {
+  // E.164 format: +[country code][number] (max 15 digits including country code)
+  const e164Regex = /^\+[1-9]\d{1,14}$/;
+  return e164Regex.test(phone);
+}
+
+// Get sender from client settings or fallback to env
+async function getSender(shopId, senderOverride = null) {
+  if (senderOverride) {
+    return senderOverride;
+  }
+
+  if (shopId) {
+    try {
+      const settings = await prisma.shopSettings.findUnique({
+        where: { shopId },
+        select: { senderName: true, senderNumber: true },
+      });
+
+      if (settings?.senderName) {
+        return settings.senderName;
+      }
+    } catch (error) {
+      logger.warn('Failed to fetch shop settings for sender', {
+        shopId,
+        error: error.message,
+      });
+    }
+  }
+
+  // Fallback to environment default
+  return process.env.MITTO_SENDER_NAME || 'Sendly';
+}
+
+/**
+ * Resolve the provider adapter for a shop
+ * @param {string} [shopId] - Shop ID
+ * @param {string} [providerName] - Explicit provider
+ * @returns {Promise<Object>} Provider adapter
+ */
+async function resolveProvider(shopId, providerName) {
+  if (providerName || !shopId) {
+    return getProvider(providerName);
+  }
+
+  const { provider } = await getSmsProvider(shopId);
+  return getProvider(provider);
+}
+
+/**
+ * Send an SMS through the shop's provider
+ * @param {Object} params
+ * @param {string} params.to - E.164 phone number (e.g., +357123456789)
+ * @param {string} params.text - SMS message text
+ * @param {string} [params.senderOverride] - Override sender name
+ * @param {string} [params.shopId] - Shop ID for settings, provider and credits
+ * @param {boolean} [params.charge=true] - Consume credits from the shop
+ * @param {string} [params.provider] - Force a provider instead of the shop's
+ * @returns {Promise<{messageId: string, status: string, segments: number, provider: string}>}
+ */
+export async function sendMessage({
+  to,
+  text,
+  senderOverride = null,
+  shopId = null,
+  charge = true,
+  provider: providerName = null,
+}) {
+  try {
+    // Validate phone number
+    if (!validateE164PhoneNumber(to)) {
+      throw new ValidationError(
+        `Invalid phone number format. Expected E.164 format (e.g., +357123456789), got: ${to}`,
+      );
+    }
+
+    // One credit per SMS segment
+    const { encoding, segments } = countSmsSegments(text);
+    const credits = Math.max(1, segments);
+
+    if (charge && shopId) {
+      try {
+        const creditResult = await validateAndConsumeCredits(shopId, credits);
+        logger.info('Credits validated and consumed for SMS', {
+          shopId,
+          creditsConsumed: creditResult.creditsConsumed,
+          creditsRemaining: creditResult.creditsRemaining,
+        });
+      } catch (error) {
+        if (error instanceof InsufficientCreditsError) {
+          throw new ValidationError(error.message);
+        }
+        throw error;
+      }
+    }
+
+    const [sender, provider] = await Promise.all([
+      getSender(shopId, senderOverride),
+      resolveProvider(shopId, providerName),
+    ]);
+
+    logger.info('Sending SMS', {
+      provider: provider.name,
+      destination: to,
+      sender,
+      textLength: text.length,
+      encoding,
+      segments: credits,
+    });
+
+    const { messageId, status } = await provider.send({ to, text, sender });
+
+    logger.info('SMS sent successfully', {
+      provider: provider.name,
+      messageId,
+      status,
+      destination: to,
+    });
+
+    return {
+      messageId,
+      status,
+      segments: credits,
+      provider: provider.name,
+    };
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof SmsProviderError) {
+      throw error;
+    }
+
+    logger.error('Unexpected error in sendMessage', {
+      error: error.message,
+      destination: to,
+    });
+
+    throw new Error(`Failed to send SMS: ${error.message}`);
+  }
+}
+
+/**
+ * Classify a send failure. Only transient failures (provider outage, rate
+ * limit, network) are worth sending again.
+ * @param {Error} err - Error thrown by sendMessage
+ * @returns {string} "validation", "rejected" or "transient"
+ */
+export function classifySendError(err) {
+  if (err instanceof ValidationError) return 'validation';
+
+  if (err instanceof SmsProviderError) {
+    const { status } = err;
+    return !status || status >= 500 || status === 429 ? 'transient' : 'rejected';
+  }
+
+  return 'transient';
+}
+
+/**
+ * Get message delivery status from the provider that sent it
+ * @param {string} messageId - Provider message ID
+ * @param {string} [providerName] - Provider, looked up from the message log when omitted
+ * @returns {Promise<{messageId: string, status: string, deliveryStatus: string, createdAt: string, updatedAt: string}>}
+ */
+export async function getMessageStatus(messageId, providerName = null) {
+  let name = providerName;
+
+  if (!name) {
+    const log = await prisma.messageLog.findFirst({
+      where: { providerMsgId: messageId },
+      select: { provider: true },
+    });
+    name = log?.provider;
+  }
+
+  const provider = getProvider(name);
+
+  logger.info('Fetching message status', { provider: provider.name, messageId });
+
+  try {
+    return await provider.getStatus(messageId);
+  } catch (error) {
+    logger.error('Failed to fetch message status', {
+      provider: provider.name,
+      messageId,
+      error: error.message,
+    });
+
+    if (error instanceof SmsProviderError) throw error;
+
+    throw new SmsProviderError(`Failed to fetch message status: ${error.message}`);
+  }
+}
+
+export default { sendMessage, classifySendError, getMessageStatus };
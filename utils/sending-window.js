@@ -0,0 +1,166 @@
+import { getZonedParts, zonedTimeToUtc, isValidTimezone } from './timezone.js';
+
+/**
+ * Sending Window Utilities
+ * Quiet hours are a daily local-time window (e.g. 21:00-09:00) in which no
+ * marketing SMS is sent. Messages falling inside it are deferred to the end
+ * of the window in the recipient's timezone.
+ */
+
+const TIME_OF_DAY_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Calling code -> timezone for countries that span a single timezone.
+// Multi-timezone codes (+1, +7, +52, +55, +61, ...) fall back to the shop timezone.
+const CALLING_CODE_TIMEZONES = {
+  '20': 'Africa/Cairo',
+  '27': 'Africa/Johannesburg',
+  '30': 'Europe/Athens',
+  '31': 'Europe/Amsterdam',
+  '32': 'Europe/Brussels',
+  '33': 'Europe/Paris',
+  '34': 'Europe/Madrid',
+  '36': 'Europe/Budapest',
+  '39': 'Europe/Rome',
+  '40': 'Europe/Bucharest',
+  '41': 'Europe/Zurich',
+  '43': 'Europe/Vienna',
+  '44': 'Europe/London',
+  '45': 'Europe/Copenhagen',
+  '46': 'Europe/Stockholm',
+  '47': 'Europe/Oslo',
+  '48': 'Europe/Warsaw',
+  '49': 'Europe/Berlin',
+  '54': 'America/Argentina/Buenos_Aires',
+  '56': 'America/Santiago',
+  '57': 'America/Bogota',
+  '64': 'Pacific/Auckland',
+  '65': 'Asia/Singapore',
+  '81': 'Asia/Tokyo',
+  '82': 'Asia/Seoul',
+  '86': 'Asia/Shanghai',
+  '90': 'Europe/Istanbul',
+  '91': 'Asia/Kolkata',
+  '351': 'Europe/Lisbon',
+  '352': 'Europe/Luxembourg',
+  '353': 'Europe/Dublin',
+  '355': 'Europe/Tirane',
+  '356': 'Europe/Malta',
+  '357': 'Asia/Nicosia',
+  '358': 'Europe/Helsinki',
+  '359': 'Europe/Sofia',
+  '370': 'Europe/Vilnius',
+  '371': 'Europe/Riga',
+  '372': 'Europe/Tallinn',
+  '380': 'Europe/Kiev',
+  '381': 'Europe/Belgrade',
+  '385': 'Europe/Zagreb',
+  '386': 'Europe/Ljubljana',
+  '389': 'Europe/Skopje',
+  '420': 'Europe/Prague',
+  '421': 'Europe/Bratislava',
+  '852': 'Asia/Hong_Kong',
+  '966': 'Asia/Riyadh',
+  '971': 'Asia/Dubai',
+  '972': 'Asia/Jerusalem',
+};
+
+/**
+ * Check whether a value is a valid HH:mm time of day
+ * @param {string} value - Time of day
+ * @returns {boolean} True if valid
+ */
+export function isValidTimeOfDay(value) {
+  return typeof value === 'string' && TIME_OF_DAY_REGEX.test(value);
+}
+
+/**
+ * Convert HH:mm to minutes after midnight
+ * @param {string} value - Time of day
+ * @returns {number} Minutes after midnight
+ */
+function toMinutes(value) {
+  const [, hours, minutes] = value.match(TIME_OF_DAY_REGEX);
+  return parseInt(hours) * 60 + parseInt(minutes);
+}
+
+/**
+ * Infer a recipient's timezone from the country calling code of their number
+ * @param {string} phoneE164 - Phone number in E.164 format
+ * @returns {string|null} IANA timezone, or null when the code spans several zones
+ */
+export function inferTimezoneFromPhone(phoneE164) {
+  const digits = String(phoneE164 || '').replace(/^\+/, '');
+
+  // Calling codes are prefix-free, so the first match is the only match
+  for (const length of [1, 2, 3]) {
+    const timeZone = CALLING_CODE_TIMEZONES[digits.slice(0, length)];
+    if (timeZone) return timeZone;
+  }
+
+  return null;
+}
+
+/**
+ * Get the first instant at or after `from` that falls outside quiet hours
+ * @param {Object} window - { start, end, timeZone } with HH:mm start/end
+ * @param {Date} [from] - Instant to check
+ * @returns {Date} `from` itself when sending is allowed, otherwise the end of the window
+ */
+export function getNextAllowedSendTime({ start, end, timeZone = 'UTC' }, from = new Date()) {
+  const startMinutes = toMinutes(start);
+  const endMinutes = toMinutes(end);
+
+  if (startMinutes === endMinutes) return from;
+
+  const local = getZonedParts(from, timeZone);
+  const minutes = local.hour * 60 + local.minute;
+
+  // A window such as 21:00-09:00 wraps past midnight
+  const wraps = startMinutes > endMinutes;
+  const inQuietHours = wraps
+    ? minutes >= startMinutes || minutes < endMinutes
+    : minutes >= startMinutes && minutes < endMinutes;
+
+  if (!inQuietHours) return from;
+
+  const endsTomorrow = wraps && minutes >= startMinutes;
+
+  return zonedTimeToUtc({
+    year: local.year,
+    month: local.month,
+    day: local.day + (endsTomorrow ? 1 : 0),
+    hour: Math.floor(endMinutes / 60),
+    minute: endMinutes % 60,
+  }, timeZone);
+}
+
+/**
+ * Decide when a message to a recipient may be sent under a shop's quiet hours
+ * @param {Object} quietHours - { enabled, start, end, timezone, useContactTimezone }
+ * @param {string} phoneE164 - Recipient phone
+ * @param {Date} [from] - Intended send time
+ * @returns {{ deferred: boolean, sendAt: Date, timeZone: string|null }} Send decision
+ */
+export function resolveSendTime(quietHours, phoneE164, from = new Date()) {
+  if (!quietHours?.enabled) {
+    return { deferred: false, sendAt: from, timeZone: null };
+  }
+
+  const contactTimeZone = quietHours.useContactTimezone ? inferTimezoneFromPhone(phoneE164) : null;
+  const timeZone = [contactTimeZone, quietHours.timezone].find(isValidTimezone) || 'UTC';
+
+  const sendAt = getNextAllowedSendTime({
+    start: quietHours.start,
+    end: quietHours.end,
+    timeZone,
+  }, from);
+
+  return { deferred: sendAt > from, sendAt, timeZone };
+}
+
+export default {
+  isValidTimeOfDay,
+  inferTimezoneFromPhone,
+  getNextAllowedSendTime,
+  resolveSendTime,
+};
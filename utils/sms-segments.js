@@ -0,0 +1,115 @@
+/**
+ * SMS Segment Calculator
+ * Detects GSM-7 vs UCS-2 encoding and counts the multipart segments a
+ * message is split into. Each segment costs one credit.
+ */
+
+export const GSM7 = 'GSM-7';
+export const UCS2 = 'UCS-2';
+
+// Per-segment capacity: single message vs. each part of a concatenated message
+// (the user data header takes 7 septets / 3 UCS-2 characters per part)
+const LIMITS = {
+  [GSM7]: { single: 160, multipart: 153 },
+  [UCS2]: { single: 70, multipart: 67 },
+};
+
+// GSM 03.38 basic character set
+const GSM7_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà',
+);
+
+// GSM 03.38 extension table: sent as ESC + char, so each costs two septets
+const GSM7_EXTENDED = new Set('\f^{}\\[~]|€');
+
+/**
+ * Detect the encoding a message will be sent with
+ * @param {string} text - Message text
+ * @returns {string} 'GSM-7' or 'UCS-2'
+ */
+export function detectEncoding(text) {
+  for (const char of text || '') {
+    if (!GSM7_BASIC.has(char) && !GSM7_EXTENDED.has(char)) {
+      return UCS2;
+    }
+  }
+  return GSM7;
+}
+
+/**
+ * Size of each character in encoding units (septets or UTF-16 code units)
+ * @param {string} text - Message text
+ * @param {string} encoding - 'GSM-7' or 'UCS-2'
+ * @returns {Array<number>} Unit count per character
+ */
+function characterUnits(text, encoding) {
+  const units = [];
+  for (const char of text) {
+    if (encoding === GSM7) {
+      units.push(GSM7_EXTENDED.has(char) ? 2 : 1);
+    } else {
+      // Characters outside the BMP (most emoji) take a surrogate pair
+      units.push(char.length);
+    }
+  }
+  return units;
+}
+
+/**
+ * Count the segments a message is split into.
+ * Escape sequences and surrogate pairs are never split across parts.
+ * @param {string} text - Message text
+ * @returns {{ encoding: string, length: number, segments: number, perSegment: number, remaining: number }}
+ *   length is in encoding units; remaining is the space left in the last segment
+ */
+export function countSmsSegments(text) {
+  const value = text || '';
+  const encoding = detectEncoding(value);
+  const limits = LIMITS[encoding];
+  const units = characterUnits(value, encoding);
+  const length = units.reduce((sum, n) => sum + n, 0);
+
+  if (length === 0) {
+    return { encoding, length: 0, segments: 0, perSegment: limits.single, remaining: limits.single };
+  }
+
+  if (length <= limits.single) {
+    return { encoding, length, segments: 1, perSegment: limits.single, remaining: limits.single - length };
+  }
+
+  let segments = 1;
+  let used = 0;
+  for (const size of units) {
+    if (used + size > limits.multipart) {
+      segments++;
+      used = 0;
+    }
+    used += size;
+  }
+
+  return {
+    encoding,
+    length,
+    segments,
+    perSegment: limits.multipart,
+    remaining: limits.multipart - used,
+  };
+}
+
+/**
+ * Credits needed to send a message to one recipient
+ * @param {string} text - Rendered message text
+ * @returns {number} Credits (at least 1)
+ */
+export function calculateMessageCredits(text) {
+  return Math.max(1, countSmsSegments(text).segments);
+}
+
+export default {
+  GSM7,
+  UCS2,
+  detectEncoding,
+  countSmsSegments,
+  calculateMessageCredits,
+};
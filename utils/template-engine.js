@@ -0,0 +1,311 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Message Template Engine
+ * Shared by campaigns and automations.
+ *
+ * Syntax:
+ *   {{firstName}}                 variable
+ *   {{firstName|there}}           variable with fallback when empty
+ *   {{#if firstName}}…{{/if}}     conditional on a non-empty variable
+ *   {{#if tag:vip}}…{{else}}…{{/if}}  conditional on a contact tag
+ */
+
+// Variables available to every message
+export const CONTACT_VARIABLES = ['firstName', 'lastName', 'fullName', 'phone', 'email', 'tags'];
+export const SHOP_VARIABLES = ['shopName', 'shopDomain'];
+export const CAMPAIGN_VARIABLES = [...CONTACT_VARIABLES, ...SHOP_VARIABLES, 'discountCode'];
+
+// Event data passed by automation triggers
+export const AUTOMATION_VARIABLES = [
+  ...CAMPAIGN_VARIABLES,
+  'orderNumber',
+  'orderTotal',
+  'currency',
+  'customerName',
+  'productName',
+  'trackingLink',
+  'trackingNumber',
+  'carrier',
+  'cartUrl',
+  'reviewUrl',
+  'daysSinceLastOrder',
+];
+
+const TAG_REGEX = /\{\{\s*([^{}]*?)\s*\}\}/g;
+const VARIABLE_NAME_REGEX = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+const TAG_CONDITION_PREFIX = 'tag:';
+
+/**
+ * Split a template into text and tag tokens
+ * @param {string} template - Template source
+ * @returns {Array<Object>} Tokens
+ */
+function tokenize(template) {
+  const tokens = [];
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(TAG_REGEX)) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+
+    const raw = match[0];
+    const body = match[1];
+
+    if (body.startsWith('#if ')) {
+      tokens.push({ type: 'if', condition: body.slice(4).trim(), raw });
+    } else if (body === 'else') {
+      tokens.push({ type: 'else', raw });
+    } else if (body === '/if') {
+      tokens.push({ type: 'endif', raw });
+    } else {
+      const pipe = body.indexOf('|');
+      tokens.push({
+        type: 'var',
+        name: (pipe === -1 ? body : body.slice(0, pipe)).trim(),
+        fallback: pipe === -1 ? null : body.slice(pipe + 1).trim(),
+        raw,
+      });
+    }
+
+    lastIndex = match.index + raw.length;
+  }
+
+  if (lastIndex < template.length) {
+    tokens.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a template into a node tree.
+ * Structural problems are collected instead of thrown, so rendering stays
+ * lenient: stray tags render as literal text and open blocks close at the end.
+ * @param {string} template - Template source
+ * @returns {{ nodes: Array<Object>, errors: Array<string> }} Parse result
+ */
+function parse(template) {
+  const errors = [];
+  const root = { children: [] };
+  const stack = [];
+  let current = root.children;
+
+  for (const token of tokenize(template)) {
+    switch (token.type) {
+    case 'text':
+    case 'var':
+      current.push(token);
+      break;
+    case 'if': {
+      const node = { type: 'if', condition: token.condition, then: [], otherwise: [] };
+      current.push(node);
+      stack.push({ node, branch: 'then' });
+      current = node.then;
+      break;
+    }
+    case 'else': {
+      const open = stack[stack.length - 1];
+      if (!open || open.branch === 'otherwise') {
+        errors.push('{{else}} without a matching {{#if}}');
+        current.push({ type: 'text', value: token.raw });
+        break;
+      }
+      open.branch = 'otherwise';
+      current = open.node.otherwise;
+      break;
+    }
+    case 'endif': {
+      if (stack.length === 0) {
+        errors.push('{{/if}} without a matching {{#if}}');
+        current.push({ type: 'text', value: token.raw });
+        break;
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent ? parent.node[parent.branch] : root.children;
+      break;
+    }
+    }
+  }
+
+  if (stack.length > 0) {
+    errors.push(`${stack.length} {{#if}} block(s) not closed with {{/if}}`);
+  }
+
+  return { nodes: root.children, errors };
+}
+
+/**
+ * Build the variable context for rendering a message
+ * @param {Object} params - { contact, shop, discountCode, data }
+ * @returns {{ values: Object, tags: Array<string> }} Render context
+ */
+export function buildTemplateContext({ contact = null, shop = null, discountCode = null, data = {} } = {}) {
+  const firstName = contact?.firstName || '';
+  const lastName = contact?.lastName || '';
+  const tags = Array.isArray(contact?.tags) ? contact.tags : [];
+
+  const values = {
+    firstName,
+    lastName,
+    fullName: `${firstName} ${lastName}`.trim(),
+    phone: contact?.phoneE164 || '',
+    email: contact?.email || '',
+    tags: tags.join(', '),
+    shopName: shop?.shopName || shop?.shopDomain || '',
+    shopDomain: shop?.shopDomain || '',
+    discountCode: discountCode || data.discountCode || '',
+  };
+
+  for (const name of AUTOMATION_VARIABLES) {
+    if (values[name] === undefined && data[name] !== undefined && data[name] !== null) {
+      values[name] = String(data[name]);
+    }
+  }
+
+  // Order webhooks send Shopify's total_price as totalPrice
+  if (values.orderTotal === undefined && data.totalPrice !== undefined) {
+    values.orderTotal = String(data.totalPrice);
+  }
+
+  return { values, tags: tags.map(tag => String(tag).toLowerCase()) };
+}
+
+/**
+ * Evaluate an {{#if}} condition
+ * @param {string} condition - Variable name or tag:<name>
+ * @param {Object} context - Render context
+ * @returns {boolean} Whether the condition holds
+ */
+function evaluateCondition(condition, context) {
+  if (condition.startsWith(TAG_CONDITION_PREFIX)) {
+    const tag = condition.slice(TAG_CONDITION_PREFIX.length).trim().toLowerCase();
+    return context.tags.includes(tag);
+  }
+
+  const value = context.values[condition];
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+/**
+ * Render parsed nodes
+ * @param {Array<Object>} nodes - Parsed nodes
+ * @param {Object} context - Render context
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, context) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'var') {
+      const value = context.values[node.name];
+      const hasValue = value !== undefined && value !== null && String(value) !== '';
+      output += hasValue ? String(value) : (node.fallback ?? '');
+    } else if (node.type === 'if') {
+      const branch = evaluateCondition(node.condition, context) ? node.then : node.otherwise;
+      output += renderNodes(branch, context);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a message template
+ * @param {string} template - Template source
+ * @param {Object} context - Context from buildTemplateContext()
+ * @returns {string} Rendered message
+ */
+export function renderTemplate(template, context) {
+  if (!template) return '';
+  const { nodes } = parse(template);
+  return renderNodes(nodes, context || buildTemplateContext());
+}
+
+/**
+ * List the variable names referenced by a template (including conditions)
+ * @param {string} template - Template source
+ * @returns {Array<string>} Unique variable names
+ */
+export function extractVariables(template) {
+  const names = new Set();
+
+  for (const token of tokenize(template || '')) {
+    if (token.type === 'var') {
+      names.add(token.name);
+    } else if (token.type === 'if' && !token.condition.startsWith(TAG_CONDITION_PREFIX)) {
+      names.add(token.condition);
+    }
+  }
+
+  return [...names];
+}
+
+/**
+ * Check a template for syntax errors and unknown variables
+ * @param {string} template - Template source
+ * @param {Object} options - { variables } allowed variable names
+ * @returns {{ valid: boolean, errors: Array<string>, unknownVariables: Array<string> }} Result
+ */
+export function validateTemplate(template, { variables = CAMPAIGN_VARIABLES } = {}) {
+  const { errors } = parse(template || '');
+
+  for (const token of tokenize(template || '')) {
+    if (token.type === 'if' && token.condition.startsWith(TAG_CONDITION_PREFIX)) {
+      if (!token.condition.slice(TAG_CONDITION_PREFIX.length).trim()) {
+        errors.push(`Empty tag name in ${token.raw}`);
+      }
+    } else if ((token.type === 'var' || token.type === 'if') &&
+      !VARIABLE_NAME_REGEX.test(token.type === 'var' ? token.name : token.condition)) {
+      errors.push(`Invalid template tag ${token.raw}`);
+    }
+  }
+
+  const unknownVariables = extractVariables(template)
+    .filter(name => VARIABLE_NAME_REGEX.test(name) && !variables.includes(name));
+
+  return {
+    valid: errors.length === 0 && unknownVariables.length === 0,
+    errors,
+    unknownVariables,
+  };
+}
+
+/**
+ * Validate a template and throw if it cannot be used
+ * @param {string} template - Template source
+ * @param {Object} options - { variables, field }
+ * @throws {ValidationError} When the template has errors or unknown variables
+ */
+export function assertValidTemplate(template, { variables = CAMPAIGN_VARIABLES, field = 'message' } = {}) {
+  const result = validateTemplate(template, { variables });
+  if (result.valid) return;
+
+  const details = [
+    ...result.errors.map(message => ({ field, message })),
+    ...result.unknownVariables.map(name => ({ field, message: `Unknown variable {{${name}}}` })),
+  ];
+
+  const summary = result.unknownVariables.length > 0
+    ? `Unknown template variables: ${result.unknownVariables.map(name => `{{${name}}}`).join(', ')}. ` +
+      `Available: ${variables.join(', ')}`
+    : `Invalid message template: ${result.errors.join('; ')}`;
+
+  throw new ValidationError(summary, details);
+}
+
+export default {
+  CONTACT_VARIABLES,
+  SHOP_VARIABLES,
+  CAMPAIGN_VARIABLES,
+  AUTOMATION_VARIABLES,
+  buildTemplateContext,
+  renderTemplate,
+  extractVariables,
+  validateTemplate,
+  assertValidTemplate,
+};
@@ -0,0 +1,173 @@
+/**
+ * Timezone Utilities
+ * Converts between UTC instants and shop-local wall-clock times using Intl,
+ * so schedules keep their local time across DST changes
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Matches ISO strings that carry their own offset (Z or +hh:mm)
+const EXPLICIT_OFFSET_REGEX = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+// Matches local ISO strings without an offset (YYYY-MM-DDTHH:mm[:ss[.sss]])
+const LOCAL_DATETIME_REGEX = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/;
+
+/**
+ * Check whether a timezone name is supported by the runtime
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean} True if valid
+ */
+export function isValidTimezone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether an ISO date string carries an explicit UTC offset
+ * @param {string} value - ISO date string
+ * @returns {boolean} True if the string ends with Z or an offset
+ */
+export function hasExplicitOffset(value) {
+  return typeof value === 'string' && EXPLICIT_OFFSET_REGEX.test(value);
+}
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} { year, month, day, hour, minute, second, weekday }
+ */
+export function getZonedParts(date, timeZone = 'UTC') {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+  });
+
+  const parts = {};
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+/**
+ * Get the offset of a timezone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+export function getTimezoneOffset(date, timeZone = 'UTC') {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC instant
+ * @param {Object} parts - { year, month, day, hour, minute, second }
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} UTC instant
+ */
+export function zonedTimeToUtc(parts, timeZone = 'UTC') {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = parts;
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Two passes settle the offset when the guess lands on the other side of a DST switch
+  const firstOffset = getTimezoneOffset(new Date(asUtc), timeZone);
+  let result = asUtc - firstOffset;
+  const secondOffset = getTimezoneOffset(new Date(result), timeZone);
+  if (secondOffset !== firstOffset) {
+    result = asUtc - secondOffset;
+  }
+
+  return new Date(result);
+}
+
+/**
+ * Parse an ISO date string, interpreting offset-less values in the given timezone
+ * @param {string|Date} value - ISO date string or Date
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} UTC instant
+ */
+export function parseDateInTimezone(value, timeZone = 'UTC') {
+  if (value instanceof Date) return value;
+
+  const match = typeof value === 'string' && !hasExplicitOffset(value)
+    ? value.match(LOCAL_DATETIME_REGEX)
+    : null;
+
+  if (!match) return new Date(value);
+
+  return zonedTimeToUtc({
+    year: parseInt(match[1]),
+    month: parseInt(match[2]),
+    day: parseInt(match[3]),
+    hour: parseInt(match[4]),
+    minute: parseInt(match[5]),
+    second: match[6] ? parseInt(match[6]) : 0,
+  }, timeZone);
+}
+
+/**
+ * Add calendar days to an instant while keeping its local wall-clock time
+ * @param {Date} date - Instant
+ * @param {number} days - Days to add
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} UTC instant
+ */
+export function addDaysInTimezone(date, days, timeZone = 'UTC') {
+  const p = getZonedParts(date, timeZone);
+  const shifted = new Date(Date.UTC(p.year, p.month - 1, p.day + days));
+
+  return zonedTimeToUtc({
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    hour: p.hour,
+    minute: p.minute,
+    second: p.second,
+  }, timeZone);
+}
+
+/**
+ * Format an instant as a local calendar date (YYYY-MM-DD) in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} Local date
+ */
+export function formatDateInTimezone(date, timeZone = 'UTC') {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+export default {
+  isValidTimezone,
+  hasExplicitOffset,
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  parseDateInTimezone,
+  addDaysInTimezone,
+  formatDateInTimezone,
+};